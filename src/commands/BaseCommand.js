@@ -61,6 +61,14 @@ class BaseCommand {
      */
     this._guildOnly = true;
     
+    /**
+     * Whether run() defers the reply before validating commands with permissions or roles
+     * Commands that respond by opening a modal turn this off, as a deferred interaction cannot show one
+     * @type {boolean}
+     * @protected
+     */
+    this._autoDefer = true;
+
     /**
      * Command cooldown in milliseconds
      * @type {number}
@@ -78,9 +86,9 @@ class BaseCommand {
 
   /**
    * Command metadata for Discord registration
-   * Must be implemented by subclasses
+   * Must be implemented by subclasses; context-menu commands return a ContextMenuCommandBuilder
    * @abstract
-   * @returns {SlashCommandBuilder} Discord slash command data
+   * @returns {SlashCommandBuilder|ContextMenuCommandBuilder} Discord command data
    * @throws {Error} When not implemented by subclass
    * @example
    * get data() {
@@ -120,7 +128,7 @@ class BaseCommand {
     try {
       // Defer reply immediately for any command with permissions or roles
       // This prevents Discord's 3-second timeout during validation
-      const needsDefer = this._requiredRoles.length > 0 || this._requiredPermissions.length > 0;
+      const needsDefer = this._autoDefer && (this._requiredRoles.length > 0 || this._requiredPermissions.length > 0);
       if (needsDefer) {
         await interaction.deferReply();
       }
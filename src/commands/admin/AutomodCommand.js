@@ -0,0 +1,438 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const Duration = require('../../utils/Duration');
+
+/**
+ * Rule choices shared by the rule and exemption subcommands
+ * @type {Array<{name: string, value: string}>}
+ */
+const RULE_CHOICES = [
+  { name: 'Banned words & regexes', value: 'words' },
+  { name: 'Discord invites', value: 'invites' },
+  { name: 'Mass mentions', value: 'mentions' },
+  { name: 'Excessive caps', value: 'caps' },
+  { name: 'Zalgo text', value: 'zalgo' }
+];
+
+/**
+ * Automod command for configuring per-guild message filter rules
+ * @class AutomodCommand
+ * @extends BaseCommand
+ */
+class AutomodCommand extends BaseCommand {
+  /**
+   * Initialize automod command with configuration dependency
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   */
+  constructor(configRepository) {
+    super();
+    this.configRepository = configRepository;
+    this._category = 'admin';
+    this._requiredPermissions = ['Administrator'];
+    this._cooldown = 3000; // 3 seconds
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('automod')
+      .setDescription('Configure automatic message filtering')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('status')
+          .setDescription('Show automod rules for this server'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('rule')
+          .setDescription('Enable, disable or change a rule')
+          .addStringOption(option =>
+            option.setName('rule')
+              .setDescription('Rule to configure')
+              .setRequired(true)
+              .addChoices(...RULE_CHOICES))
+          .addBooleanOption(option =>
+            option.setName('enabled')
+              .setDescription('Whether the rule is active')
+              .setRequired(true))
+          .addStringOption(option =>
+            option.setName('action')
+              .setDescription('What happens besides deleting the message')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Delete only', value: 'delete' },
+                { name: 'Delete and warn', value: 'warn' },
+                { name: 'Delete and timeout', value: 'timeout' },
+                { name: 'Delete and jail', value: 'jail' }
+              ))
+          .addStringOption(option =>
+            option.setName('duration')
+              .setDescription('Timeout or jail duration (e.g., 10m, 1h, 1d)')
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('limit')
+              .setDescription('Mass mentions: most mentions allowed in one message')
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(50))
+          .addIntegerOption(option =>
+            option.setName('percent')
+              .setDescription('Excessive caps: uppercase percentage that triggers the rule')
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(100))
+          .addIntegerOption(option =>
+            option.setName('min_length')
+              .setDescription('Excessive caps: letters a message needs before caps are checked')
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(500)))
+      .addSubcommandGroup(group =>
+        group
+          .setName('filter')
+          .setDescription('Manage banned words and regular expressions')
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('add-word')
+              .setDescription('Ban a word (matched as a whole word, any case)')
+              .addStringOption(option =>
+                option.setName('word')
+                  .setDescription('Word to ban')
+                  .setRequired(true)
+                  .setMaxLength(200)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('remove-word')
+              .setDescription('Unban a word')
+              .addStringOption(option =>
+                option.setName('word')
+                  .setDescription('Word to remove')
+                  .setRequired(true)
+                  .setMaxLength(200)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('add-regex')
+              .setDescription('Ban messages matching a regular expression (any case)')
+              .addStringOption(option =>
+                option.setName('pattern')
+                  .setDescription('Regular expression, without slashes')
+                  .setRequired(true)
+                  .setMaxLength(200)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('remove-regex')
+              .setDescription('Remove a regular expression')
+              .addStringOption(option =>
+                option.setName('pattern')
+                  .setDescription('Regular expression to remove, exactly as added')
+                  .setRequired(true)
+                  .setMaxLength(200))))
+      .addSubcommandGroup(group =>
+        group
+          .setName('exempt')
+          .setDescription('Manage roles and channels a rule ignores')
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('add')
+              .setDescription('Exempt a role or channel from a rule')
+              .addStringOption(option =>
+                option.setName('rule')
+                  .setDescription('Rule to exempt from')
+                  .setRequired(true)
+                  .addChoices(...RULE_CHOICES, { name: 'All rules', value: 'all' }))
+              .addRoleOption(option =>
+                option.setName('role')
+                  .setDescription('Role to exempt')
+                  .setRequired(false))
+              .addChannelOption(option =>
+                option.setName('channel')
+                  .setDescription('Channel to exempt')
+                  .setRequired(false)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('remove')
+              .setDescription('Stop exempting a role or channel from a rule')
+              .addStringOption(option =>
+                option.setName('rule')
+                  .setDescription('Rule to change')
+                  .setRequired(true)
+                  .addChoices(...RULE_CHOICES, { name: 'All rules', value: 'all' }))
+              .addRoleOption(option =>
+                option.setName('role')
+                  .setDescription('Role to stop exempting')
+                  .setRequired(false))
+              .addChannelOption(option =>
+                option.setName('channel')
+                  .setDescription('Channel to stop exempting')
+                  .setRequired(false))))
+      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+  }
+
+  /**
+   * Execute automod command with subcommand routing
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const subcommandGroup = interaction.options.getSubcommandGroup();
+      const subcommand = interaction.options.getSubcommand();
+
+      let server = await this.configRepository.findServerById(interaction.guild.id);
+      if (!server) {
+        const Server = require('../../entities/Server');
+        server = new Server(interaction.guild.id, interaction.guild.name);
+      }
+
+      if (subcommandGroup === 'filter') {
+        await this._handleFilter(interaction, server, subcommand);
+        return;
+      }
+
+      if (subcommandGroup === 'exempt') {
+        await this._handleExempt(interaction, server, subcommand === 'add');
+        return;
+      }
+
+      switch (subcommand) {
+        case 'status':
+          await this._handleStatus(interaction, server);
+          break;
+        case 'rule':
+          await this._handleRule(interaction, server);
+          break;
+        default:
+          await interaction.editReply({
+            content: '❌ Unknown subcommand.'
+          });
+      }
+    } catch (error) {
+      console.error('Error executing automod command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while updating automod. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Handle showing the automod rules
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {Server} server - Server configuration
+   * @returns {Promise<void>}
+   */
+  async _handleStatus(interaction, server) {
+    const rules = server.getAutomodRules();
+
+    const embed = new EmbedBuilder()
+      .setTitle('🤖 Automod Rules')
+      .setColor(0x0099ff)
+      .setTimestamp();
+
+    for (const { name, value: type } of RULE_CHOICES) {
+      const rule = rules[type];
+      const lines = [
+        `**Status:** ${rule.enabled ? 'Enabled ✅' : 'Disabled'}`,
+        `**Action:** ${this._formatAction(rule)}`
+      ];
+
+      if (type === 'words') {
+        lines.push(`**Words:** ${rule.words.length > 0 ? rule.words.map(word => `\`${word}\``).join(', ') : 'None'}`);
+        lines.push(`**Regexes:** ${rule.patterns.length > 0 ? rule.patterns.map(pattern => `\`${pattern}\``).join(', ') : 'None'}`);
+      } else if (type === 'mentions') {
+        lines.push(`**Limit:** ${rule.limit} mention(s) per message`);
+      } else if (type === 'caps') {
+        lines.push(`**Trigger:** ${rule.percent}% uppercase, at least ${rule.minLength} letters`);
+      }
+
+      const exemptions = [
+        ...rule.exemptRoleIds.map(roleId => `<@&${roleId}>`),
+        ...rule.exemptChannelIds.map(channelId => `<#${channelId}>`)
+      ];
+      if (exemptions.length > 0) {
+        lines.push(`**Exempt:** ${exemptions.join(', ')}`);
+      }
+
+      embed.addFields({ name, value: lines.join('\n').slice(0, 1024), inline: false });
+    }
+
+    embed.setFooter({ text: 'Members with Manage Messages or the moderator role are never filtered' });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle configuring a rule
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {Server} server - Server configuration
+   * @returns {Promise<void>}
+   */
+  async _handleRule(interaction, server) {
+    const type = interaction.options.getString('rule');
+    const settings = { enabled: interaction.options.getBoolean('enabled') };
+
+    const action = interaction.options.getString('action');
+    const durationStr = interaction.options.getString('duration');
+    const limit = interaction.options.getInteger('limit');
+    const percent = interaction.options.getInteger('percent');
+    const minLength = interaction.options.getInteger('min_length');
+
+    if (action !== null) settings.action = action;
+    if (limit !== null) settings.limit = limit;
+    if (percent !== null) settings.percent = percent;
+    if (minLength !== null) settings.minLength = minLength;
+
+    if (durationStr) {
+      settings.durationMs = Duration.parse(durationStr);
+      if (!settings.durationMs) {
+        await interaction.editReply({
+          content: `❌ Invalid duration format. ${Duration.FORMAT_HINT}`
+        });
+        return;
+      }
+    }
+
+    if ((settings.action || server.getAutomodRule(type).action) === 'jail' && !server.getJailedRole()) {
+      await interaction.editReply({
+        content: '❌ The jail action needs a jail role. Use `/setup jail-role` first.'
+      });
+      return;
+    }
+
+    let rule;
+    try {
+      rule = server.setAutomodRule(type, settings);
+    } catch (error) {
+      await interaction.editReply({
+        content: `❌ ${error.message}`
+      });
+      return;
+    }
+
+    await this.configRepository.saveServer(server);
+
+    const label = RULE_CHOICES.find(choice => choice.value === type).name;
+    await interaction.editReply({
+      content: '✅ **Automod Rule Updated**\n' +
+              `**Rule:** ${label}\n` +
+              `**Status:** ${rule.enabled ? 'Enabled' : 'Disabled'}\n` +
+              `**Action:** ${this._formatAction(rule)}`
+    });
+
+    console.log(`Automod rule ${type} updated in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+
+  /**
+   * Handle adding and removing banned words and regexes
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {Server} server - Server configuration
+   * @param {string} subcommand - Filter subcommand
+   * @returns {Promise<void>}
+   */
+  async _handleFilter(interaction, server, subcommand) {
+    const kind = subcommand.endsWith('regex') ? 'patterns' : 'words';
+    const value = kind === 'patterns' ? interaction.options.getString('pattern') : interaction.options.getString('word');
+    const adding = subcommand.startsWith('add');
+
+    let changed;
+    try {
+      changed = adding ? server.addAutomodTerm(kind, value) : server.removeAutomodTerm(kind, value);
+    } catch (error) {
+      await interaction.editReply({
+        content: `❌ ${error.message}`
+      });
+      return;
+    }
+
+    const noun = kind === 'patterns' ? 'Regex' : 'Word';
+    if (!changed) {
+      await interaction.editReply({
+        content: `❌ ${noun} \`${value}\` is ${adding ? 'already' : 'not'} on the filter list.`
+      });
+      return;
+    }
+
+    await this.configRepository.saveServer(server);
+
+    let content = `✅ ${noun} \`${value}\` ${adding ? 'added to' : 'removed from'} the filter list.`;
+    if (adding && !server.getAutomodRule('words').enabled) {
+      content += '\n⚠️ The banned words rule is disabled. Enable it with `/automod rule`.';
+    }
+
+    await interaction.editReply({ content });
+
+    console.log(`Automod ${kind} ${adding ? 'added' : 'removed'} in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+
+  /**
+   * Handle adding and removing rule exemptions
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {Server} server - Server configuration
+   * @param {boolean} exempt - Whether to add the exemption
+   * @returns {Promise<void>}
+   */
+  async _handleExempt(interaction, server, exempt) {
+    const type = interaction.options.getString('rule');
+    const role = interaction.options.getRole('role');
+    const channel = interaction.options.getChannel('channel');
+
+    if (!role && !channel) {
+      await interaction.editReply({
+        content: '❌ Choose a role, a channel, or both.'
+      });
+      return;
+    }
+
+    const Server = require('../../entities/Server');
+    const types = type === 'all' ? Server.AUTOMOD_RULE_TYPES : [type];
+
+    for (const ruleType of types) {
+      if (role) server.setAutomodExemption(ruleType, 'role', role.id, exempt);
+      if (channel) server.setAutomodExemption(ruleType, 'channel', channel.id, exempt);
+    }
+
+    await this.configRepository.saveServer(server);
+
+    const targets = [role ? `<@&${role.id}>` : null, channel ? `<#${channel.id}>` : null].filter(Boolean).join(' and ');
+    const ruleLabel = type === 'all' ? 'all rules' : RULE_CHOICES.find(choice => choice.value === type).name;
+
+    await interaction.editReply({
+      content: exempt
+        ? `✅ ${targets} ${role && channel ? 'are' : 'is'} now exempt from ${ruleLabel}.`
+        : `✅ ${targets} ${role && channel ? 'are' : 'is'} no longer exempt from ${ruleLabel}.`
+    });
+
+    console.log(`Automod exemption ${exempt ? 'added' : 'removed'} for ${type} in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+
+  /**
+   * Format a rule's action for display
+   * @private
+   * @param {Object} rule - Automod rule
+   * @returns {string} Action description
+   */
+  _formatAction(rule) {
+    const labels = {
+      delete: 'Delete message',
+      warn: 'Delete and warn',
+      timeout: 'Delete and timeout',
+      jail: 'Delete and jail'
+    };
+
+    const label = labels[rule.action] || rule.action;
+    if (!rule.durationMs || (rule.action !== 'timeout' && rule.action !== 'jail')) {
+      return label;
+    }
+
+    return `${label} (${Duration.format(rule.durationMs)})`;
+  }
+}
+
+module.exports = AutomodCommand;
@@ -0,0 +1,210 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * Jobs command for inspecting and cancelling scheduled actions
+ * Gives administrators visibility into pending tempban, jail and lockdown expiries
+ * @class JobsCommand
+ * @extends BaseCommand
+ */
+class JobsCommand extends BaseCommand {
+  /**
+   * Initialize jobs command with scheduler dependency
+   * @param {SchedulerService} schedulerService - Service managing the job queue
+   */
+  constructor(schedulerService) {
+    super();
+    this.schedulerService = schedulerService;
+    this._category = 'admin';
+    this._requiredPermissions = ['Administrator'];
+    this._cooldown = 5000;
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('jobs')
+      .setDescription('View and manage scheduled moderation jobs')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('list')
+          .setDescription('List pending scheduled jobs for this server')
+          .addStringOption(option =>
+            option.setName('type')
+              .setDescription('Only show jobs of this type')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Unban', value: 'unban' },
+                { name: 'Unjail', value: 'unjail' },
+                { name: 'Unlock', value: 'unlock' },
+                { name: 'Watchlist expiry', value: 'unwatch' }
+              )))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('failed')
+          .setDescription('List jobs that exhausted their retries'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('cancel')
+          .setDescription('Cancel a pending scheduled job')
+          .addStringOption(option =>
+            option.setName('id')
+              .setDescription('The job ID to cancel')
+              .setRequired(true)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+  }
+
+  /**
+   * Execute jobs command with subcommand routing
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'list':
+          await this._handleList(interaction);
+          break;
+        case 'failed':
+          await this._handleFailed(interaction);
+          break;
+        case 'cancel':
+          await this._handleCancel(interaction);
+          break;
+        default:
+          await interaction.editReply({
+            content: '❌ Unknown subcommand.'
+          });
+      }
+    } catch (error) {
+      console.error('Error executing jobs command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while managing scheduled jobs. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Handle listing pending jobs
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<void>}
+   */
+  async _handleList(interaction) {
+    const type = interaction.options.getString('type');
+    const jobs = await this.schedulerService.getPendingJobs(interaction.guild.id, type, 15);
+    const total = await this.schedulerService.countPendingJobs(interaction.guild.id, type);
+
+    const embed = new EmbedBuilder()
+      .setTitle('⏰ Pending Scheduled Jobs')
+      .setColor(0x0099ff)
+      .setTimestamp();
+
+    if (jobs.length === 0) {
+      embed.setDescription('There are no pending jobs for this server.');
+    } else {
+      embed.setDescription(jobs.map(job => this._formatJob(job)).join('\n\n'));
+      embed.setFooter({ text: `Showing ${jobs.length} of ${total} pending job(s)` });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle listing permanently failed jobs
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<void>}
+   */
+  async _handleFailed(interaction) {
+    const jobs = await this.schedulerService.getFailedJobs(interaction.guild.id, 10);
+
+    const embed = new EmbedBuilder()
+      .setTitle('⚠️ Failed Scheduled Jobs')
+      .setColor(jobs.length > 0 ? 0xff0000 : 0x00ff00)
+      .setTimestamp();
+
+    if (jobs.length === 0) {
+      embed.setDescription('No jobs have failed for this server.');
+    } else {
+      embed.setDescription(jobs.map(job => {
+        const lastError = job.getLastError() || 'Unknown error';
+        return `${this._formatJob(job)}\n• **Error:** ${lastError.slice(0, 200)}`;
+      }).join('\n\n'));
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle cancelling a pending job
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<void>}
+   */
+  async _handleCancel(interaction) {
+    const jobId = interaction.options.getString('id').trim();
+    const result = await this.schedulerService.cancelJob(jobId, interaction.user.id, interaction.guild.id);
+
+    if (!result.success) {
+      await interaction.editReply({
+        content: `❌ ${result.error}`
+      });
+      return;
+    }
+
+    await interaction.editReply({
+      content: '✅ **Job Cancelled**\n' +
+              `**Job ID:** \`${result.job.id}\`\n` +
+              `**Type:** ${result.job.type}\n` +
+              `**Target:** ${this._formatTarget(result.job)}\n\n` +
+              'The action will no longer be reversed automatically.'
+    });
+
+    console.log(`Scheduled job ${result.job.id} (${result.job.type}) cancelled by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+
+  /**
+   * Format a job for display
+   * @private
+   * @param {ScheduledJob} job - Job to format
+   * @returns {string} Formatted job summary
+   */
+  _formatJob(job) {
+    const runAt = Math.floor(new Date(job.runAt).getTime() / 1000);
+    const lines = [
+      `**${job.type.toUpperCase()}** • \`${job.id}\``,
+      `• **Target:** ${this._formatTarget(job)}`,
+      `• **Runs:** <t:${runAt}:f> (<t:${runAt}:R>)`
+    ];
+
+    if (job.getAttempts() > 0) {
+      lines.push(`• **Attempts:** ${job.getAttempts()}/${job.maxAttempts}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format the user or channel a job acts on
+   * @private
+   * @param {ScheduledJob} job - Job to format
+   * @returns {string} Mention of the target, or N/A
+   */
+  _formatTarget(job) {
+    if (job.payload.userId) {
+      return `<@${job.payload.userId}>`;
+    }
+
+    return job.payload.channelId ? `<#${job.payload.channelId}>` : 'N/A';
+  }
+}
+
+module.exports = JobsCommand;
@@ -0,0 +1,220 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const Duration = require('../../utils/Duration');
+
+/**
+ * Reasons command for managing per-guild moderation reason presets
+ * @class ReasonsCommand
+ * @extends BaseCommand
+ */
+class ReasonsCommand extends BaseCommand {
+  /**
+   * Initialize reasons command with configuration dependencies
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   * @param {ReasonPresetService} reasonPresetService - Service describing and suggesting presets
+   */
+  constructor(configRepository, reasonPresetService) {
+    super();
+    this.configRepository = configRepository;
+    this.reasonPresetService = reasonPresetService;
+    this._category = 'admin';
+    this._requiredPermissions = ['ManageGuild'];
+    this._cooldown = 3000; // 3 seconds
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('reasons')
+      .setDescription('Manage moderation reason presets')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('add')
+          .setDescription('Add a reason preset, or replace one with the same code')
+          .addStringOption(option =>
+            option.setName('code')
+              .setDescription('Short code typed in the reason option (e.g., spam)')
+              .setRequired(true)
+              .setMaxLength(20))
+          .addStringOption(option =>
+            option.setName('text')
+              .setDescription('Full reason stored in moderation history')
+              .setRequired(true)
+              .setMaxLength(500))
+          .addStringOption(option =>
+            option.setName('duration')
+              .setDescription('Default duration for /tempban and /jail (e.g., 1h, 2d, 1w)')
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('remove')
+          .setDescription('Remove a reason preset')
+          .addStringOption(option =>
+            option.setName('code')
+              .setDescription('Code of the preset to remove')
+              .setRequired(true)
+              .setAutocomplete(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('list')
+          .setDescription('List the reason presets of this server'))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+  }
+
+  /**
+   * Execute reasons command with subcommand routing
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      let server = await this.configRepository.findServerById(interaction.guild.id);
+      if (!server) {
+        const Server = require('../../entities/Server');
+        server = new Server(interaction.guild.id, interaction.guild.name);
+      }
+
+      switch (subcommand) {
+        case 'add':
+          await this._handleAdd(interaction, server);
+          break;
+        case 'remove':
+          await this._handleRemove(interaction, server);
+          break;
+        case 'list':
+          await this._handleList(interaction, server);
+          break;
+        default:
+          await interaction.editReply({
+            content: '❌ Unknown subcommand.'
+          });
+      }
+    } catch (error) {
+      console.error('Error executing reasons command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while updating reason presets. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Suggest existing preset codes for the remove subcommand
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    await this.reasonPresetService.respond(interaction);
+  }
+
+  /**
+   * Handle adding a reason preset
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {Server} server - Server configuration
+   * @returns {Promise<void>}
+   */
+  async _handleAdd(interaction, server) {
+    const durationStr = interaction.options.getString('duration');
+    let durationMs = null;
+
+    if (durationStr) {
+      durationMs = Duration.parse(durationStr);
+      if (!durationMs) {
+        await interaction.editReply({
+          content: `❌ Invalid duration format. ${Duration.FORMAT_HINT}`
+        });
+        return;
+      }
+    }
+
+    let preset;
+    try {
+      preset = server.addReasonPreset({
+        code: interaction.options.getString('code'),
+        text: interaction.options.getString('text'),
+        durationMs,
+        createdBy: interaction.user.id
+      });
+    } catch (error) {
+      await interaction.editReply({
+        content: `❌ ${error.message}`
+      });
+      return;
+    }
+
+    await this.configRepository.saveServer(server);
+
+    await interaction.editReply({
+      content: '✅ **Reason Preset Saved**\n' +
+              `**Code:** \`${preset.code}\`\n` +
+              `**Reason:** ${preset.text}\n` +
+              `**Default Duration:** ${preset.durationMs ? Duration.format(preset.durationMs) : 'None'}`
+    });
+
+    console.log(`Reason preset ${preset.code} saved in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+
+  /**
+   * Handle removing a reason preset
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {Server} server - Server configuration
+   * @returns {Promise<void>}
+   */
+  async _handleRemove(interaction, server) {
+    const code = interaction.options.getString('code').trim();
+
+    if (!server.removeReasonPreset(code)) {
+      await interaction.editReply({
+        content: `❌ No reason preset with code \`${code}\` exists.`
+      });
+      return;
+    }
+
+    await this.configRepository.saveServer(server);
+
+    await interaction.editReply({
+      content: `✅ Reason preset \`${code.toLowerCase()}\` removed.`
+    });
+
+    console.log(`Reason preset ${code.toLowerCase()} removed in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+
+  /**
+   * Handle listing the reason presets
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {Server} server - Server configuration
+   * @returns {Promise<void>}
+   */
+  async _handleList(interaction, server) {
+    const presets = server.getReasonPresets();
+
+    const embed = new EmbedBuilder()
+      .setTitle('📋 Reason Presets')
+      .setColor(0x0099ff)
+      .setTimestamp();
+
+    if (presets.length === 0) {
+      embed.setDescription('No reason presets yet. Add one with `/reasons add`.');
+    } else {
+      embed.setDescription(presets
+        .map(preset => `\`${this.reasonPresetService.describePreset(preset)}\``)
+        .join('\n')
+        .slice(0, 4096));
+    }
+
+    embed.setFooter({ text: 'Type a code in the reason option of /warn, /kick, /ban, /tempban or /jail; extra words are kept as detail' });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+}
+
+module.exports = ReasonsCommand;
@@ -1,5 +1,18 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
+const Duration = require('../../utils/Duration');
+
+/**
+ * Actions members can be messaged about, as slash command choices
+ * @type {Array<{name: string, value: string}>}
+ */
+const DM_ACTION_CHOICES = [
+  { name: 'Warn', value: 'warn' },
+  { name: 'Kick', value: 'kick' },
+  { name: 'Ban', value: 'ban' },
+  { name: 'Temporary Ban', value: 'tempban' },
+  { name: 'Jail', value: 'jail' }
+];
 
 /**
  * Setup command for configuring bot settings per server
@@ -12,11 +25,13 @@ class SetupCommand extends BaseCommand {
    * Initialize setup command with permission service dependency
    * @param {PermissionService} permissionService - Service for permission operations
    * @param {ConfigRepository} configRepository - Repository for server configuration
+   * @param {MemberNotificationService} memberNotificationService - Service building member DM previews
    */
-  constructor(permissionService, configRepository) {
+  constructor(permissionService, configRepository, memberNotificationService) {
     super();
     this.permissionService = permissionService;
     this.configRepository = configRepository;
+    this.memberNotificationService = memberNotificationService;
     this._category = 'admin';
     this._requiredPermissions = []; // Remove automatic permission check
     this._cooldown = 5000;
@@ -55,10 +70,228 @@ class SetupCommand extends BaseCommand {
             option.setName('role')
               .setDescription('The role that jailed users will receive (replaces other roles)')
               .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('mod-log-channel')
+          .setDescription('Set the channel where moderation actions are logged')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('The channel that will receive moderation log embeds')
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('watchlist-channel')
+          .setDescription('Set the channel where watched users\' joins and first messages are reported')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('The channel that will receive watchlist alerts')
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('report-channel')
+          .setDescription('Set the staff channel where member reports are queued')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('The channel that will receive member reports')
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('anti-raid')
+          .setDescription('Configure join-rate raid detection')
+          .addBooleanOption(option =>
+            option.setName('enabled')
+              .setDescription('Whether raid detection is active')
+              .setRequired(true))
+          .addIntegerOption(option =>
+            option.setName('joins')
+              .setDescription('Start a lockdown when more than this many accounts join within the window')
+              .setRequired(false)
+              .setMinValue(2)
+              .setMaxValue(100))
+          .addIntegerOption(option =>
+            option.setName('seconds')
+              .setDescription('Length of the join window in seconds')
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(600))
+          .addStringOption(option =>
+            option.setName('response')
+              .setDescription('What to do during a lockdown')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Alert moderators only', value: 'alert' },
+                { name: 'Raise verification level', value: 'verification' },
+                { name: 'Jail new joins', value: 'jail' },
+                { name: 'Kick young accounts', value: 'kick' }
+              ))
+          .addIntegerOption(option =>
+            option.setName('account_age_days')
+              .setDescription('Kick response: kick accounts younger than this many days')
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(365)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('anti-evasion')
+          .setDescription('Configure detection of banned and jailed users coming back on new accounts')
+          .addBooleanOption(option =>
+            option.setName('enabled')
+              .setDescription('Whether joins are compared against banned and jailed users')
+              .setRequired(true))
+          .addIntegerOption(option =>
+            option.setName('threshold')
+              .setDescription('Score at which a join is reported (default: 60; identical avatar alone scores 50)')
+              .setRequired(false)
+              .setMinValue(20)
+              .setMaxValue(150))
+          .addBooleanOption(option =>
+            option.setName('auto_jail')
+              .setDescription('Also jail reported joins until a moderator reviews them')
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('anti-spam')
+          .setDescription('Configure flood and duplicate-message spam detection')
+          .addBooleanOption(option =>
+            option.setName('enabled')
+              .setDescription('Whether spam detection is active')
+              .setRequired(true))
+          .addIntegerOption(option =>
+            option.setName('messages')
+              .setDescription('Act when a member sends more than this many messages within the flood window')
+              .setRequired(false)
+              .setMinValue(2)
+              .setMaxValue(50))
+          .addIntegerOption(option =>
+            option.setName('seconds')
+              .setDescription('Length of the flood window in seconds')
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(60))
+          .addIntegerOption(option =>
+            option.setName('duplicates')
+              .setDescription('Act when the same message is posted more than this many times')
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(20))
+          .addIntegerOption(option =>
+            option.setName('duplicate_seconds')
+              .setDescription('Length of the duplicate window in seconds')
+              .setRequired(false)
+              .setMinValue(10)
+              .setMaxValue(3600))
+          .addBooleanOption(option =>
+            option.setName('delete_messages')
+              .setDescription('Delete the spammer\'s recent messages in every channel they posted in')
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('action')
+              .setDescription('Action taken against the spammer')
+              .setRequired(false)
+              .addChoices(
+                { name: 'None (alert only)', value: 'none' },
+                { name: 'Timeout', value: 'timeout' },
+                { name: 'Jail', value: 'jail' }
+              ))
+          .addStringOption(option =>
+            option.setName('duration')
+              .setDescription('Timeout or jail duration (e.g., 10m, 1h, 1d)')
+              .setRequired(false)))
       .addSubcommand(subcommand =>
         subcommand
           .setName('status')
           .setDescription('Show current bot configuration for this server'))
+      .addSubcommandGroup(group =>
+        group
+          .setName('escalation')
+          .setDescription('Configure automatic actions for repeated warnings')
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('add')
+              .setDescription('Add or replace an escalation rule')
+              .addIntegerOption(option =>
+                option.setName('warnings')
+                  .setDescription('Number of warnings that triggers the rule')
+                  .setRequired(true)
+                  .setMinValue(1)
+                  .setMaxValue(50))
+              .addIntegerOption(option =>
+                option.setName('days')
+                  .setDescription('Only count warnings from the last N days')
+                  .setRequired(true)
+                  .setMinValue(1)
+                  .setMaxValue(365))
+              .addStringOption(option =>
+                option.setName('action')
+                  .setDescription('Action to take automatically')
+                  .setRequired(true)
+                  .addChoices(
+                    { name: 'Jail', value: 'jail' },
+                    { name: 'Temporary Ban', value: 'tempban' },
+                    { name: 'Kick', value: 'kick' },
+                    { name: 'Ban', value: 'ban' }
+                  ))
+              .addStringOption(option =>
+                option.setName('duration')
+                  .setDescription('Duration for jail or tempban (e.g., 1h, 3d, 1w)')
+                  .setRequired(false)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('remove')
+              .setDescription('Remove an escalation rule')
+              .addIntegerOption(option =>
+                option.setName('warnings')
+                  .setDescription('Warning count of the rule to remove')
+                  .setRequired(true)
+                  .setMinValue(1)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('list')
+              .setDescription('List escalation rules for this server')))
+      .addSubcommandGroup(group =>
+        group
+          .setName('dm')
+          .setDescription('Configure direct messages sent to members who are punished')
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('toggle')
+              .setDescription('Turn member DM notifications on or off')
+              .addBooleanOption(option =>
+                option.setName('enabled')
+                  .setDescription('Whether punished members are messaged')
+                  .setRequired(true)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('template')
+              .setDescription('Set the message for an action, or reset it to the default')
+              .addStringOption(option =>
+                option.setName('action')
+                  .setDescription('Action the message is sent for')
+                  .setRequired(true)
+                  .addChoices(...DM_ACTION_CHOICES))
+              .addStringOption(option =>
+                option.setName('text')
+                  .setDescription('Message text; placeholders like {reason} and {case} are filled in, \\n starts a new line')
+                  .setRequired(false)
+                  .setMaxLength(1500)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('appeal')
+              .setDescription('Set the appeal instructions used for {appeal}, or reset them')
+              .addStringOption(option =>
+                option.setName('text')
+                  .setDescription('How members can appeal')
+                  .setRequired(false)
+                  .setMaxLength(500)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('preview')
+              .setDescription('Preview the message sent for an action')
+              .addStringOption(option =>
+                option.setName('action')
+                  .setDescription('Action to preview')
+                  .setRequired(true)
+                  .addChoices(...DM_ACTION_CHOICES))))
       .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
   }
 
@@ -77,8 +310,19 @@ class SetupCommand extends BaseCommand {
       return;
     }
 
+    const subcommandGroup = interaction.options.getSubcommandGroup();
     const subcommand = interaction.options.getSubcommand();
 
+    if (subcommandGroup === 'escalation') {
+      await this._handleEscalation(interaction, subcommand);
+      return;
+    }
+
+    if (subcommandGroup === 'dm') {
+      await this._handleDmNotifications(interaction, subcommand);
+      return;
+    }
+
     switch (subcommand) {
       case 'moderator-role':
         await this._handleModeratorRole(interaction);
@@ -89,6 +333,24 @@ class SetupCommand extends BaseCommand {
       case 'jail-role':
         await this._handleJailRole(interaction);
         break;
+      case 'mod-log-channel':
+        await this._handleModLogChannel(interaction);
+        break;
+      case 'watchlist-channel':
+        await this._handleWatchlistChannel(interaction);
+        break;
+      case 'report-channel':
+        await this._handleReportChannel(interaction);
+        break;
+      case 'anti-raid':
+        await this._handleAntiRaid(interaction);
+        break;
+      case 'anti-spam':
+        await this._handleAntiSpam(interaction);
+        break;
+      case 'anti-evasion':
+        await this._handleAntiEvasion(interaction);
+        break;
       case 'status':
         await this._handleStatus(interaction);
         break;
@@ -315,6 +577,623 @@ class SetupCommand extends BaseCommand {
     }
   }
 
+  /**
+   * Handle moderation log channel setup
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   */
+  async _handleModLogChannel(interaction) {
+    // Defer reply for potentially long-running database operations
+    await interaction.deferReply();
+
+    try {
+      const channel = interaction.options.getChannel('channel');
+
+      // Validate channel
+      if (!channel.isTextBased()) {
+        await interaction.editReply({
+          content: '❌ Mod log channel must be a text-based channel.'
+        });
+        return;
+      }
+
+      // Check bot permissions in the channel
+      const botMember = interaction.guild.members.cache.get(interaction.client.user.id);
+      const permissions = channel.permissionsFor(botMember);
+
+      if (!permissions.has(['ViewChannel', 'SendMessages', 'EmbedLinks'])) {
+        await interaction.editReply({
+          content: '❌ I need View Channel, Send Messages, and Embed Links permissions in that channel.'
+        });
+        return;
+      }
+
+      // Get or create server configuration
+      let server = await this.configRepository.findServerById(interaction.guild.id);
+      if (!server) {
+        const Server = require('../../entities/Server');
+        server = new Server(interaction.guild.id, interaction.guild.name);
+      }
+
+      // Set mod log channel
+      server.setModLogChannel(channel.id);
+      await this.configRepository.saveServer(server);
+
+      await interaction.editReply({
+        content: `✅ **Mod Log Channel Updated!**\n\n` +
+                `**Channel:** <#${channel.id}>\n` +
+                `**Every moderation action, including automatic ones, will be logged here.**\n\n` +
+                `Use \`/setup status\` to view all bot settings.`
+      });
+
+      console.log(`Mod log channel set to '${channel.name}' (${channel.id}) for server ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+    } catch (error) {
+      console.error('Error setting mod log channel:', error);
+      await interaction.editReply({
+        content: '❌ An error occurred while setting the mod log channel.'
+      });
+    }
+  }
+
+  /**
+   * Handle watchlist alert channel setup
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   */
+  async _handleWatchlistChannel(interaction) {
+    await interaction.deferReply();
+
+    try {
+      const channel = interaction.options.getChannel('channel');
+
+      if (!channel.isTextBased()) {
+        await interaction.editReply({
+          content: '❌ Watchlist channel must be a text-based channel.'
+        });
+        return;
+      }
+
+      const botMember = interaction.guild.members.cache.get(interaction.client.user.id);
+      const permissions = channel.permissionsFor(botMember);
+
+      if (!permissions.has(['ViewChannel', 'SendMessages', 'EmbedLinks'])) {
+        await interaction.editReply({
+          content: '❌ I need View Channel, Send Messages, and Embed Links permissions in that channel.'
+        });
+        return;
+      }
+
+      // Get or create server configuration
+      let server = await this.configRepository.findServerById(interaction.guild.id);
+      if (!server) {
+        const Server = require('../../entities/Server');
+        server = new Server(interaction.guild.id, interaction.guild.name);
+      }
+
+      server.setWatchlistChannel(channel.id);
+      await this.configRepository.saveServer(server);
+
+      await interaction.editReply({
+        content: `✅ **Watchlist Channel Updated!**\n\n` +
+                `**Channel:** <#${channel.id}>\n` +
+                `**Users added with \`/watch add\` are reported here when they join or send their first message.**` +
+                (server.getModeratorRole() ? '' : '\n\n⚠️ No moderator role is set, so alerts will not ping anyone. Use `/setup moderator-role`.') +
+                `\n\nUse \`/setup status\` to view all bot settings.`
+      });
+
+      console.log(`Watchlist channel set to '${channel.name}' (${channel.id}) for server ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+    } catch (error) {
+      console.error('Error setting watchlist channel:', error);
+      await interaction.editReply({
+        content: '❌ An error occurred while setting the watchlist channel.'
+      });
+    }
+  }
+
+  /**
+   * Handle member report queue channel setup
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   */
+  async _handleReportChannel(interaction) {
+    await interaction.deferReply();
+
+    try {
+      const channel = interaction.options.getChannel('channel');
+
+      if (!channel.isTextBased()) {
+        await interaction.editReply({
+          content: '❌ Report channel must be a text-based channel.'
+        });
+        return;
+      }
+
+      const botMember = interaction.guild.members.cache.get(interaction.client.user.id);
+      const permissions = channel.permissionsFor(botMember);
+
+      if (!permissions.has(['ViewChannel', 'SendMessages', 'EmbedLinks'])) {
+        await interaction.editReply({
+          content: '❌ I need View Channel, Send Messages, and Embed Links permissions in that channel.'
+        });
+        return;
+      }
+
+      // Get or create server configuration
+      let server = await this.configRepository.findServerById(interaction.guild.id);
+      if (!server) {
+        const Server = require('../../entities/Server');
+        server = new Server(interaction.guild.id, interaction.guild.name);
+      }
+
+      server.setReportChannel(channel.id);
+      await this.configRepository.saveServer(server);
+
+      await interaction.editReply({
+        content: `✅ **Report Channel Updated!**\n\n` +
+                `**Channel:** <#${channel.id}>\n` +
+                `**Reports filed with \`/report\` or the Report to Mods menu are queued here with Claim, Dismiss and Take Action buttons.**` +
+                (server.getModeratorRole() ? '' : '\n\n⚠️ No moderator role is set, so reports will not ping anyone. Use `/setup moderator-role`.') +
+                `\n\nUse \`/setup status\` to view all bot settings.`
+      });
+
+      console.log(`Report channel set to '${channel.name}' (${channel.id}) for server ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+    } catch (error) {
+      console.error('Error setting report channel:', error);
+      await interaction.editReply({
+        content: '❌ An error occurred while setting the report channel.'
+      });
+    }
+  }
+
+  /**
+   * Handle anti-raid setup
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   */
+  async _handleAntiRaid(interaction) {
+    // Defer reply for database operations
+    await interaction.deferReply();
+
+    try {
+      const settings = { enabled: interaction.options.getBoolean('enabled') };
+      const joins = interaction.options.getInteger('joins');
+      const seconds = interaction.options.getInteger('seconds');
+      const response = interaction.options.getString('response');
+      const accountAgeDays = interaction.options.getInteger('account_age_days');
+
+      if (joins !== null) settings.joinThreshold = joins;
+      if (seconds !== null) settings.windowSeconds = seconds;
+      if (response !== null) settings.response = response;
+      if (accountAgeDays !== null) settings.accountAgeDays = accountAgeDays;
+
+      // Get or create server configuration
+      let server = await this.configRepository.findServerById(interaction.guild.id);
+      if (!server) {
+        const Server = require('../../entities/Server');
+        server = new Server(interaction.guild.id, interaction.guild.name);
+      }
+
+      const updated = server.setAntiRaidSettings(settings);
+
+      if (updated.response === 'jail' && !server.getJailedRole()) {
+        await interaction.editReply({
+          content: '❌ The jail response needs a jail role. Use `/setup jail-role` first.'
+        });
+        return;
+      }
+
+      await this.configRepository.saveServer(server);
+
+      const responseLabels = {
+        alert: 'Alert moderators only',
+        verification: 'Raise verification level to High',
+        jail: 'Jail new joins',
+        kick: `Kick accounts younger than ${updated.accountAgeDays} day(s)`
+      };
+
+      let content = `✅ **Anti-Raid ${updated.enabled ? 'Enabled' : 'Disabled'}**\n\n` +
+                   `**Trigger:** more than ${updated.joinThreshold} joins within ${updated.windowSeconds} second(s)\n` +
+                   `**Response:** ${responseLabels[updated.response]}\n\n` +
+                   'Moderators can check or lift a lockdown with `/raid status` and `/raid end`.';
+
+      if (updated.enabled && !server.getModLogChannel()) {
+        content += '\n\n⚠️ No mod log channel is set, so raid alerts will not be posted. Use `/setup mod-log-channel`.';
+      }
+
+      await interaction.editReply({ content });
+
+      console.log(`Anti-raid settings updated for server ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+    } catch (error) {
+      console.error('Error configuring anti-raid:', error);
+      await interaction.editReply({
+        content: '❌ An error occurred while saving the anti-raid settings.'
+      });
+    }
+  }
+
+  /**
+   * Handle ban evasion detection setup
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   */
+  async _handleAntiEvasion(interaction) {
+    await interaction.deferReply();
+
+    try {
+      const settings = { enabled: interaction.options.getBoolean('enabled') };
+      const threshold = interaction.options.getInteger('threshold');
+      const autoJail = interaction.options.getBoolean('auto_jail');
+
+      if (threshold !== null) settings.threshold = threshold;
+      if (autoJail !== null) settings.autoJail = autoJail;
+
+      // Get or create server configuration
+      let server = await this.configRepository.findServerById(interaction.guild.id);
+      if (!server) {
+        const Server = require('../../entities/Server');
+        server = new Server(interaction.guild.id, interaction.guild.name);
+      }
+
+      const updated = server.setEvasionSettings(settings);
+
+      if (updated.autoJail && !server.getJailedRole()) {
+        await interaction.editReply({
+          content: '❌ Auto-jail needs a jail role. Use `/setup jail-role` first.'
+        });
+        return;
+      }
+
+      await this.configRepository.saveServer(server);
+
+      let content = `✅ **Anti-Evasion ${updated.enabled ? 'Enabled' : 'Disabled'}**\n\n` +
+                   `**Report Threshold:** score of ${updated.threshold}\n` +
+                   `**Auto-Jail:** ${updated.autoJail ? 'On' : 'Off'}\n\n` +
+                   'Joins are scored on avatar and name matches with banned or jailed users, ' +
+                   'plus account age and how soon after the ban they join.';
+
+      if (updated.enabled && !server.getModLogChannel()) {
+        content += '\n\n⚠️ No mod log channel is set, so evasion alerts will not be posted. Use `/setup mod-log-channel`.';
+      }
+
+      await interaction.editReply({ content });
+
+      console.log(`Anti-evasion settings updated for server ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+    } catch (error) {
+      console.error('Error configuring anti-evasion:', error);
+      await interaction.editReply({
+        content: '❌ An error occurred while saving the anti-evasion settings.'
+      });
+    }
+  }
+
+  /**
+   * Handle anti-spam setup
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   */
+  async _handleAntiSpam(interaction) {
+    // Defer reply for database operations
+    await interaction.deferReply();
+
+    try {
+      const settings = { enabled: interaction.options.getBoolean('enabled') };
+      const optionKeys = {
+        messages: 'messageLimit',
+        seconds: 'messageWindowSeconds',
+        duplicates: 'duplicateLimit',
+        duplicate_seconds: 'duplicateWindowSeconds'
+      };
+
+      for (const [option, key] of Object.entries(optionKeys)) {
+        const value = interaction.options.getInteger(option);
+        if (value !== null) settings[key] = value;
+      }
+
+      const deleteMessages = interaction.options.getBoolean('delete_messages');
+      const action = interaction.options.getString('action');
+      const durationStr = interaction.options.getString('duration');
+
+      if (deleteMessages !== null) settings.deleteMessages = deleteMessages;
+      if (action !== null) settings.action = action;
+      if (durationStr) {
+        settings.durationMs = Duration.parse(durationStr);
+        if (!settings.durationMs) {
+          await interaction.editReply({
+            content: `❌ Invalid duration format. ${Duration.FORMAT_HINT}`
+          });
+          return;
+        }
+      }
+
+      // Get or create server configuration
+      let server = await this.configRepository.findServerById(interaction.guild.id);
+      if (!server) {
+        const Server = require('../../entities/Server');
+        server = new Server(interaction.guild.id, interaction.guild.name);
+      }
+
+      let updated;
+      try {
+        updated = server.setAntiSpamSettings(settings);
+      } catch (error) {
+        await interaction.editReply({ content: `❌ ${error.message}` });
+        return;
+      }
+
+      if (updated.action === 'jail' && !server.getJailedRole()) {
+        await interaction.editReply({
+          content: '❌ The jail action needs a jail role. Use `/setup jail-role` first.'
+        });
+        return;
+      }
+
+      await this.configRepository.saveServer(server);
+
+      const actionLabels = {
+        none: 'Alert moderators only',
+        timeout: `Timeout for ${Duration.format(updated.durationMs || 0)}`,
+        jail: updated.durationMs ? `Jail for ${Duration.format(updated.durationMs)}` : 'Jail until released'
+      };
+
+      let content = `✅ **Anti-Spam ${updated.enabled ? 'Enabled' : 'Disabled'}**\n\n` +
+                   `**Flood:** more than ${updated.messageLimit} messages within ${updated.messageWindowSeconds} second(s)\n` +
+                   `**Duplicates:** same message more than ${updated.duplicateLimit} times within ${updated.duplicateWindowSeconds} second(s)\n` +
+                   `**Delete Messages:** ${updated.deleteMessages ? 'Yes, across every channel used' : 'No'}\n` +
+                   `**Action:** ${actionLabels[updated.action]}\n\n` +
+                   'Members with Manage Messages or the moderator role are never checked.';
+
+      if (updated.enabled && !server.getModLogChannel()) {
+        content += '\n\n⚠️ No mod log channel is set, so spam reports will not be posted. Use `/setup mod-log-channel`.';
+      }
+
+      await interaction.editReply({ content });
+
+      console.log(`Anti-spam settings updated for server ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+    } catch (error) {
+      console.error('Error configuring anti-spam:', error);
+      await interaction.editReply({
+        content: '❌ An error occurred while saving the anti-spam settings.'
+      });
+    }
+  }
+
+  /**
+   * Handle escalation rule management
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {string} subcommand - Escalation subcommand (add, remove, list)
+   */
+  async _handleEscalation(interaction, subcommand) {
+    // Defer reply for database operations
+    await interaction.deferReply();
+
+    try {
+      // Get or create server configuration
+      let server = await this.configRepository.findServerById(interaction.guild.id);
+      if (!server) {
+        const Server = require('../../entities/Server');
+        server = new Server(interaction.guild.id, interaction.guild.name);
+      }
+
+      if (subcommand === 'list') {
+        const rules = server.getEscalationRules();
+
+        if (rules.length === 0) {
+          await interaction.editReply({
+            content: `📋 **Escalation Rules**\n\n` +
+                    `No escalation rules configured. Warnings will not trigger automatic actions.\n\n` +
+                    `Use \`/setup escalation add\` to create one.`
+          });
+          return;
+        }
+
+        await interaction.editReply({
+          content: `📋 **Escalation Rules**\n\n` +
+                  rules.map(rule => `• ${this._formatEscalationRule(rule)}`).join('\n')
+        });
+        return;
+      }
+
+      if (subcommand === 'remove') {
+        const threshold = interaction.options.getInteger('warnings');
+
+        if (!server.removeEscalationRule(threshold)) {
+          await interaction.editReply({
+            content: `❌ No escalation rule exists for ${threshold} warning(s).`
+          });
+          return;
+        }
+
+        await this.configRepository.saveServer(server);
+
+        await interaction.editReply({
+          content: `✅ **Escalation Rule Removed!**\n\n` +
+                  `**Warnings:** ${threshold}`
+        });
+
+        console.log(`Escalation rule for ${threshold} warning(s) removed in server ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+        return;
+      }
+
+      const action = interaction.options.getString('action');
+      const durationStr = interaction.options.getString('duration');
+      let durationMs = null;
+
+      if (action === 'jail' || action === 'tempban') {
+        if (durationStr) {
+          durationMs = Duration.parse(durationStr);
+          if (!durationMs) {
+            await interaction.editReply({
+              content: `❌ Invalid duration format. ${Duration.FORMAT_HINT}`
+            });
+            return;
+          }
+        } else if (action === 'tempban') {
+          await interaction.editReply({
+            content: '❌ A duration is required for temporary ban rules.'
+          });
+          return;
+        }
+
+        // Match the limits enforced by /jail and /tempban
+        const maxDuration = (action === 'jail' ? 7 : 30) * 24 * 60 * 60 * 1000;
+        if (durationMs && durationMs > maxDuration) {
+          await interaction.editReply({
+            content: `❌ Maximum ${action === 'jail' ? 'jail' : 'temporary ban'} duration is ${action === 'jail' ? 7 : 30} days.`
+          });
+          return;
+        }
+      }
+
+      const rule = server.addEscalationRule({
+        threshold: interaction.options.getInteger('warnings'),
+        windowDays: interaction.options.getInteger('days'),
+        action,
+        durationMs,
+        createdBy: interaction.user.id
+      });
+      await this.configRepository.saveServer(server);
+
+      let statusMessage = `✅ **Escalation Rule Saved!**\n\n` +
+                         `**Rule:** ${this._formatEscalationRule(rule)}\n\n`;
+
+      if (action === 'jail' && (!server.getJailedRole() || !server.getJailChannel())) {
+        statusMessage += `⚠️ **Jail system is not fully configured; this rule will fail until \`/setup jail-role\` and \`/setup jail-channel\` are set**\n\n`;
+      }
+
+      statusMessage += `Use \`/setup escalation list\` to view all rules.`;
+
+      await interaction.editReply({
+        content: statusMessage
+      });
+
+      console.log(`Escalation rule '${this._formatEscalationRule(rule)}' saved in server ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+    } catch (error) {
+      console.error('Error managing escalation rules:', error);
+      await interaction.editReply({
+        content: '❌ An error occurred while updating escalation rules.'
+      });
+    }
+  }
+
+  /**
+   * Handle member DM notification settings
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {string} subcommand - Subcommand name (toggle, template, appeal, preview)
+   */
+  async _handleDmNotifications(interaction, subcommand) {
+    // Defer reply for database operations
+    await interaction.deferReply();
+
+    try {
+      // Get or create server configuration
+      let server = await this.configRepository.findServerById(interaction.guild.id);
+      if (!server) {
+        const Server = require('../../entities/Server');
+        server = new Server(interaction.guild.id, interaction.guild.name);
+      }
+
+      if (subcommand === 'preview') {
+        const action = interaction.options.getString('action');
+        const timed = action === 'tempban' || action === 'jail';
+        const preview = this.memberNotificationService.buildMessage(interaction.guild, server, action, {
+          user: interaction.user,
+          reason: 'Example reason',
+          durationMs: timed ? Duration.DAY : null,
+          caseNumber: 123
+        });
+
+        await interaction.editReply({
+          content: `👀 **${action} message preview** ` +
+                  `(${server.getDmNotificationSettings().enabled ? 'notifications are on' : 'notifications are off; use `/setup dm toggle` to send it'})\n\n` +
+                  preview.content.slice(0, 1800),
+          components: preview.components
+        });
+        return;
+      }
+
+      let message;
+
+      if (subcommand === 'toggle') {
+        const enabled = interaction.options.getBoolean('enabled');
+        server.setDmNotificationsEnabled(enabled);
+        message = enabled
+          ? '✅ **DM Notifications Enabled!**\n\nWarned, kicked, banned and jailed members will be messaged before the action takes effect.'
+          : '✅ **DM Notifications Disabled!**\n\nMembers will no longer be messaged about actions taken against them.';
+      } else {
+        // Slash command options cannot hold line breaks, so \n is accepted in their place
+        const text = (interaction.options.getString('text') || '').replace(/\\n/g, '\n');
+
+        try {
+          if (subcommand === 'template') {
+            const action = interaction.options.getString('action');
+            server.setDmTemplate(action, text);
+            message = text.trim()
+              ? `✅ **${action} message updated!** Use \`/setup dm preview\` to see it.`
+              : `✅ **${action} message reset to the default.**`;
+          } else {
+            server.setAppealInstructions(text);
+            message = text.trim()
+              ? '✅ **Appeal instructions updated!**'
+              : '✅ **Appeal instructions reset to the default.**';
+          }
+        } catch (error) {
+          await interaction.editReply({
+            content: `❌ ${error.message}`
+          });
+          return;
+        }
+      }
+
+      await this.configRepository.saveServer(server);
+
+      await interaction.editReply({
+        content: message
+      });
+
+      console.log(`DM notification setting '${subcommand}' updated in server ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+    } catch (error) {
+      console.error('Error managing DM notification settings:', error);
+      await interaction.editReply({
+        content: '❌ An error occurred while updating DM notification settings.'
+      });
+    }
+  }
+
+  /**
+   * Format an escalation rule for display
+   * @private
+   * @param {Object} rule - Escalation rule
+   * @returns {string} Human readable rule
+   */
+  _formatEscalationRule(rule) {
+    const actionLabels = {
+      jail: 'jail',
+      tempban: 'temporary ban',
+      kick: 'kick',
+      ban: 'permanent ban'
+    };
+
+    let text = `${rule.threshold} warning(s) in ${rule.windowDays} day(s) → ${actionLabels[rule.action] || rule.action}`;
+
+    if (rule.durationMs) {
+      text += ` for ${Duration.format(rule.durationMs)}`;
+    } else if (rule.action === 'jail') {
+      text += ' (indefinite)';
+    }
+
+    return text;
+  }
+
   /**
    * Configure jail permissions automatically
    * @private
@@ -434,6 +1313,41 @@ class SetupCommand extends BaseCommand {
         status += `**Jail Role:** Not set ❌\n`;
       }
 
+      // Mod log channel status
+      const modLogChannelId = server.getModLogChannel();
+      const modLogChannel = modLogChannelId ? interaction.guild.channels.cache.get(modLogChannelId) : null;
+      if (modLogChannel) {
+        status += `**Mod Log Channel:** <#${modLogChannel.id}> ✅\n`;
+      } else {
+        status += `**Mod Log Channel:** Not set ⚠️\n`;
+      }
+
+      const watchlistChannelId = server.getWatchlistChannel();
+      const watchlistChannel = watchlistChannelId ? interaction.guild.channels.cache.get(watchlistChannelId) : null;
+      status += `**Watchlist Channel:** ${watchlistChannel ? `<#${watchlistChannel.id}> ✅` : 'Not set (alerts go to the mod log)'}\n`;
+
+      const reportChannelId = server.getReportChannel();
+      const reportChannel = reportChannelId ? interaction.guild.channels.cache.get(reportChannelId) : null;
+      status += `**Report Channel:** ${reportChannel ? `<#${reportChannel.id}> ✅` : 'Not set (reports go to the mod log)'}\n`;
+
+      const escalationRules = server.getEscalationRules();
+      status += `**Escalation Rules:** ${escalationRules.length > 0 ? `${escalationRules.length} active` : 'None'}\n`;
+
+      const antiRaid = server.getAntiRaidSettings();
+      status += `**Anti-Raid:** ${antiRaid.enabled ? `On (>${antiRaid.joinThreshold} joins / ${antiRaid.windowSeconds}s, ${antiRaid.response})` : 'Off'}\n`;
+      if (server.getRaidLockdown()) {
+        status += '**Raid Lockdown:** Active 🚨\n';
+      }
+
+      const evasion = server.getEvasionSettings();
+      status += `**Anti-Evasion:** ${evasion.enabled ? `On (score ${evasion.threshold}+${evasion.autoJail ? ', auto-jail' : ''})` : 'Off'}\n`;
+
+      const antiSpam = server.getAntiSpamSettings();
+      status += `**Anti-Spam:** ${antiSpam.enabled ? `On (>${antiSpam.messageLimit} msgs / ${antiSpam.messageWindowSeconds}s, >${antiSpam.duplicateLimit} duplicates, ${antiSpam.action})` : 'Off'}\n`;
+
+      const dmNotifications = server.getDmNotificationSettings();
+      status += `**Member DMs:** ${dmNotifications.enabled ? `On${dmNotifications.customized.length > 0 ? ` (custom: ${dmNotifications.customized.join(', ')})` : ''}` : 'Off'}\n`;
+
       status += `\n**Configuration Updated:** <t:${Math.floor(server._config.updatedAt.getTime() / 1000)}:R>\n\n`;
 
       // Show setup instructions for missing configurations  
@@ -0,0 +1,93 @@
+const {
+  ContextMenuCommandBuilder,
+  ApplicationCommandType,
+  PermissionFlagsBits,
+  ModalBuilder,
+  ActionRowBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const NoteCommand = require('../moderation/NoteCommand');
+
+/**
+ * "Add Note" user context menu collecting a staff note in a modal, then adding it like /note add
+ * Modal custom IDs follow the format `Add Note_<userId>`
+ * @class AddNoteCommand
+ * @extends NoteCommand
+ */
+class AddNoteCommand extends NoteCommand {
+  /**
+   * Initialize note context menu with the same dependency as /note
+   * @param {ModerationService} moderationService - Service for moderation operations
+   */
+  constructor(moderationService) {
+    super(moderationService);
+    this._autoDefer = false; // Responds with a modal
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {ContextMenuCommandBuilder} Discord context menu command data
+   */
+  get data() {
+    return new ContextMenuCommandBuilder()
+      .setName('Add Note')
+      .setType(ApplicationCommandType.User)
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Open the note form for the clicked user
+   * @param {UserContextMenuCommandInteraction} interaction - Discord context menu interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    const target = interaction.targetUser;
+
+    const modal = new ModalBuilder()
+      .setCustomId(`${this.data.name}_${target.id}`)
+      .setTitle(`Staff note for ${target.tag}`.slice(0, 45))
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('content')
+          .setLabel('Note (only visible to staff)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(2000)
+          .setRequired(true)
+      ));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Add the note from a submitted form
+   * @param {ModalSubmitInteraction} interaction - Discord modal submit interaction
+   * @param {Array<string>} params - Custom ID segments after the command name
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction, params) {
+    const [userId] = params;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const targetUser = await interaction.client.users.fetch(userId).catch(() => null);
+      if (!targetUser) {
+        await interaction.editReply({
+          content: '❌ Target user could not be resolved.'
+        });
+        return;
+      }
+
+      const targetMember = await interaction.guild.members.fetch(userId).catch(() => null);
+      await this._handleAdd(interaction, targetMember || targetUser, interaction.fields.getTextInputValue('content'));
+    } catch (error) {
+      console.error('Error executing Add Note context menu:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while adding the staff note. Please try again later.'
+      });
+    }
+  }
+}
+
+module.exports = AddNoteCommand;
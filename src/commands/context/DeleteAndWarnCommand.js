@@ -0,0 +1,124 @@
+const {
+  ContextMenuCommandBuilder,
+  ApplicationCommandType,
+  PermissionFlagsBits,
+  ModalBuilder,
+  ActionRowBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const WarnCommand = require('../moderation/WarnCommand');
+
+/**
+ * "Delete & Warn" message context menu warning the author of a message, then deleting it
+ * The message is stored as evidence with the warning before it is deleted.
+ * Modal custom IDs follow the format `Delete & Warn_<channelId>_<messageId>`
+ * @class DeleteAndWarnCommand
+ * @extends WarnCommand
+ */
+class DeleteAndWarnCommand extends WarnCommand {
+  /**
+   * Initialize delete and warn context menu with the same dependencies as /warn
+   * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {ReasonPresetService} reasonPresetService - Service expanding reason presets
+   * @param {EvidenceService} evidenceService - Service storing the deleted message as evidence
+   */
+  constructor(moderationService, reasonPresetService, evidenceService) {
+    super(moderationService, reasonPresetService, evidenceService);
+    this._requiredPermissions = ['ModerateMembers', 'ManageMessages'];
+    this._autoDefer = false; // Responds with a modal
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {ContextMenuCommandBuilder} Discord context menu command data
+   */
+  get data() {
+    return new ContextMenuCommandBuilder()
+      .setName('Delete & Warn')
+      .setType(ApplicationCommandType.Message)
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers | PermissionFlagsBits.ManageMessages);
+  }
+
+  /**
+   * Open the warning form for the author of the clicked message
+   * @param {MessageContextMenuCommandInteraction} interaction - Discord context menu interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    const message = interaction.targetMessage;
+
+    if (message.author.bot || message.webhookId) {
+      await interaction.reply({
+        content: '❌ Messages from bots and webhooks cannot be warned for.',
+        flags: [4] // MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`${this.data.name}_${message.channelId}_${message.id}`)
+      .setTitle(`Delete & warn ${message.author.tag}`.slice(0, 45))
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('reason')
+          .setLabel('Reason or preset code')
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(500)
+          .setRequired(true)
+      ));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Warn the author and delete the message from a submitted form
+   * The message is only deleted once the warning went through
+   * @param {ModalSubmitInteraction} interaction - Discord modal submit interaction
+   * @param {Array<string>} params - Custom ID segments after the command name
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction, params) {
+    const [channelId, messageId] = params;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const channel = await interaction.guild.channels.fetch(channelId).catch(() => null);
+      const message = channel ? await channel.messages.fetch(messageId).catch(() => null) : null;
+      if (!message) {
+        await interaction.editReply({
+          content: '❌ The message could not be found; it may already be deleted. Use `/warn` instead.'
+        });
+        return;
+      }
+
+      const warnResult = await this._warn(
+        interaction,
+        message.author,
+        interaction.fields.getTextInputValue('reason'),
+        null,
+        { messageLink: message.url }
+      );
+      if (!warnResult) {
+        return;
+      }
+
+      try {
+        await message.delete();
+      } catch (error) {
+        await interaction.followUp({
+          content: `⚠️ Warning issued, but the message could not be deleted: ${error.message}`,
+          ephemeral: true
+        });
+      }
+    } catch (error) {
+      console.error('Error executing Delete & Warn context menu:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while issuing the warning. Please try again later.'
+      });
+    }
+  }
+}
+
+module.exports = DeleteAndWarnCommand;
@@ -0,0 +1,111 @@
+const {
+  ContextMenuCommandBuilder,
+  ApplicationCommandType,
+  PermissionFlagsBits,
+  ModalBuilder,
+  ActionRowBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const JailCommand = require('../moderation/JailCommand');
+
+/**
+ * "Jail" user context menu asking for a reason and duration in a modal, then jailing like /jail
+ * Modal custom IDs follow the format `Jail_<userId>`
+ * @class JailUserCommand
+ * @extends JailCommand
+ */
+class JailUserCommand extends JailCommand {
+  /**
+   * Initialize jail context menu with the same dependencies as /jail
+   * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {ConfigRepository} configRepository - Repository for server configuration
+   * @param {ReasonPresetService} reasonPresetService - Service expanding reason presets
+   * @param {EvidenceService} evidenceService - Service storing evidence attached to the action
+   */
+  constructor(moderationService, configRepository, reasonPresetService, evidenceService) {
+    super(moderationService, configRepository, reasonPresetService, evidenceService);
+    this._autoDefer = false; // Responds with a modal
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {ContextMenuCommandBuilder} Discord context menu command data
+   */
+  get data() {
+    return new ContextMenuCommandBuilder()
+      .setName('Jail')
+      .setType(ApplicationCommandType.User)
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles);
+  }
+
+  /**
+   * Open the jail form for the clicked user
+   * @param {UserContextMenuCommandInteraction} interaction - Discord context menu interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    const target = interaction.targetUser;
+
+    const modal = new ModalBuilder()
+      .setCustomId(`${this.data.name}_${target.id}`)
+      .setTitle(`Jail ${target.tag}`.slice(0, 45))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel('Reason or preset code')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(500)
+            .setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('duration')
+            .setLabel('Duration (e.g. 1h, 2d) - empty for indefinite')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(50)
+            .setRequired(false)
+        )
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Jail the user from a submitted form
+   * @param {ModalSubmitInteraction} interaction - Discord modal submit interaction
+   * @param {Array<string>} params - Custom ID segments after the command name
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction, params) {
+    const [userId] = params;
+    await interaction.deferReply();
+
+    try {
+      const target = await interaction.client.users.fetch(userId).catch(() => null);
+      if (!target) {
+        await interaction.editReply({
+          content: '❌ Target user could not be resolved.'
+        });
+        return;
+      }
+
+      await this._jail(
+        interaction,
+        target,
+        interaction.fields.getTextInputValue('reason'),
+        interaction.fields.getTextInputValue('duration') || null,
+        {}
+      );
+    } catch (error) {
+      console.error('Error executing Jail context menu:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while jailing the user. Please try again later.'
+      });
+    }
+  }
+}
+
+module.exports = JailUserCommand;
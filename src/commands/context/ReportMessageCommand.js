@@ -0,0 +1,120 @@
+const {
+  ContextMenuCommandBuilder,
+  ApplicationCommandType,
+  ModalBuilder,
+  ActionRowBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * "Report to Mods" message context menu letting any member flag a message for staff
+ * Reports join the same queue as /report, with the message content kept so it survives deletion.
+ * Modal custom IDs follow the format `Report to Mods_<channelId>_<messageId>`
+ * @class ReportMessageCommand
+ * @extends BaseCommand
+ */
+class ReportMessageCommand extends BaseCommand {
+  /**
+   * Initialize report context menu with the report service
+   * @param {ReportService} reportService - Service filing reports and posting them to the queue
+   */
+  constructor(reportService) {
+    super();
+    this.reportService = reportService;
+    this._category = 'moderation';
+    this._cooldown = 60000; // 1 minute, so members cannot flood staff with reports
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {ContextMenuCommandBuilder} Discord context menu command data
+   */
+  get data() {
+    return new ContextMenuCommandBuilder()
+      .setName('Report to Mods')
+      .setType(ApplicationCommandType.Message);
+  }
+
+  /**
+   * Open the report form for the clicked message
+   * @param {MessageContextMenuCommandInteraction} interaction - Discord context menu interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    const message = interaction.targetMessage;
+
+    if (message.author.id === interaction.user.id) {
+      await interaction.reply({
+        content: '❌ You cannot report your own message.',
+        flags: [4] // MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`${this.data.name}_${message.channelId}_${message.id}`)
+      .setTitle('Report message to moderators')
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('details')
+          .setLabel('What is wrong with this message?')
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(1000)
+          .setRequired(true)
+      ));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Post the report from a submitted form
+   * @param {ModalSubmitInteraction} interaction - Discord modal submit interaction
+   * @param {Array<string>} params - Custom ID segments after the command name
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction, params) {
+    const [channelId, messageId] = params;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const channel = await interaction.guild.channels.fetch(channelId).catch(() => null);
+      const message = channel ? await channel.messages.fetch(messageId).catch(() => null) : null;
+      if (!message) {
+        await interaction.editReply({
+          content: '❌ The message could not be found; it may already have been removed.'
+        });
+        return;
+      }
+
+      const result = await this.reportService.fileReport(
+        interaction.guild,
+        interaction.user,
+        message.author,
+        interaction.fields.getTextInputValue('details'),
+        message
+      );
+
+      if (!result.success) {
+        await interaction.editReply({
+          content: `❌ ${result.error}`
+        });
+        return;
+      }
+
+      await interaction.editReply({
+        content: `✅ Thanks, the moderators have been notified (report #${result.report.reportNumber}).`
+      });
+    } catch (error) {
+      console.error('Error executing Report to Mods context menu:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while sending your report. Please try again later.'
+      });
+    }
+  }
+}
+
+module.exports = ReportMessageCommand;
@@ -0,0 +1,41 @@
+const { ContextMenuCommandBuilder, ApplicationCommandType, PermissionFlagsBits } = require('discord.js');
+const UserStatsCommand = require('../moderation/UserStatsCommand');
+
+/**
+ * "User Info" user context menu showing the /userstats overview of the clicked user
+ * The embed's navigation buttons keep the `userstats_` prefix, so /userstats handles them
+ * @class UserInfoCommand
+ * @extends UserStatsCommand
+ */
+class UserInfoCommand extends UserStatsCommand {
+  /**
+   * Command metadata for Discord registration
+   * @returns {ContextMenuCommandBuilder} Discord context menu command data
+   */
+  get data() {
+    return new ContextMenuCommandBuilder()
+      .setName('User Info')
+      .setType(ApplicationCommandType.User)
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Show the overview page for the clicked user
+   * @param {UserContextMenuCommandInteraction} interaction - Discord context menu interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const view = await this._buildView(interaction.guild, interaction.targetUser, 'overview', 0);
+      await interaction.editReply(view);
+    } catch (error) {
+      console.error('Error executing User Info context menu:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while gathering user statistics. Please try again later.'
+      });
+    }
+  }
+}
+
+module.exports = UserInfoCommand;
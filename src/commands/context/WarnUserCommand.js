@@ -0,0 +1,103 @@
+const {
+  ContextMenuCommandBuilder,
+  ApplicationCommandType,
+  PermissionFlagsBits,
+  ModalBuilder,
+  ActionRowBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const WarnCommand = require('../moderation/WarnCommand');
+
+/**
+ * "Warn" user context menu asking for a reason in a modal, then warning like /warn
+ * Modal custom IDs follow the format `Warn_<userId>`
+ * @class WarnUserCommand
+ * @extends WarnCommand
+ */
+class WarnUserCommand extends WarnCommand {
+  /**
+   * Initialize warn context menu with the same dependencies as /warn
+   * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {ReasonPresetService} reasonPresetService - Service expanding reason presets
+   * @param {EvidenceService} evidenceService - Service storing evidence attached to the action
+   */
+  constructor(moderationService, reasonPresetService, evidenceService) {
+    super(moderationService, reasonPresetService, evidenceService);
+    this._autoDefer = false; // Responds with a modal
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {ContextMenuCommandBuilder} Discord context menu command data
+   */
+  get data() {
+    return new ContextMenuCommandBuilder()
+      .setName('Warn')
+      .setType(ApplicationCommandType.User)
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Open the warning form for the clicked user
+   * @param {UserContextMenuCommandInteraction} interaction - Discord context menu interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    const target = interaction.targetUser;
+
+    const modal = new ModalBuilder()
+      .setCustomId(`${this.data.name}_${target.id}`)
+      .setTitle(`Warn ${target.tag}`.slice(0, 45))
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel('Reason or preset code')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(500)
+            .setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('note')
+            .setLabel('Staff note (optional)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(2000)
+            .setRequired(false)
+        )
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Issue the warning from a submitted form
+   * @param {ModalSubmitInteraction} interaction - Discord modal submit interaction
+   * @param {Array<string>} params - Custom ID segments after the command name
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction, params) {
+    const [userId] = params;
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const targetUser = await interaction.client.users.fetch(userId).catch(() => null);
+      await this._warn(
+        interaction,
+        targetUser,
+        interaction.fields.getTextInputValue('reason'),
+        interaction.fields.getTextInputValue('note'),
+        {}
+      );
+    } catch (error) {
+      console.error('Error executing Warn context menu:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while issuing the warning. Please try again later.'
+      });
+    }
+  }
+}
+
+module.exports = WarnUserCommand;
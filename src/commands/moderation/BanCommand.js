@@ -11,10 +11,14 @@ class BanCommand extends BaseCommand {
   /**
    * Initialize ban command with moderation service dependency
    * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {ReasonPresetService} reasonPresetService - Service expanding reason presets
+   * @param {EvidenceService} evidenceService - Service storing evidence attached to the action
    */
-  constructor(moderationService) {
+  constructor(moderationService, reasonPresetService, evidenceService) {
     super();
     this.moderationService = moderationService;
+    this.reasonPresetService = reasonPresetService;
+    this.evidenceService = evidenceService;
     this._category = 'moderation';
     this._requiredPermissions = ['BanMembers'];
     this._cooldown = 10000; // 10 second cooldown for serious action
@@ -35,6 +39,7 @@ class BanCommand extends BaseCommand {
       .addStringOption(option =>
         option.setName('reason')
           .setDescription('Reason for the ban')
+          .setAutocomplete(true)
           .setRequired(true)
           .setMaxLength(500))
       .addIntegerOption(option =>
@@ -43,6 +48,14 @@ class BanCommand extends BaseCommand {
           .setMinValue(0)
           .setMaxValue(7)
           .setRequired(false))
+      .addAttachmentOption(option =>
+        option.setName('evidence')
+          .setDescription('Screenshot or file backing up the ban')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('evidence_link')
+          .setDescription('Link to a message backing up the ban; its content is saved in case it is deleted')
+          .setRequired(false))
       .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers);
   }
 
@@ -53,45 +66,16 @@ class BanCommand extends BaseCommand {
    */
   async execute(interaction) {
     try {
-      // Get command parameters
-      const target = interaction.options.getUser('target');
-      const reason = interaction.options.getString('reason');
-      const deleteDays = interaction.options.getInteger('delete_days') || 0;
-      const executor = interaction.member;
-
-      // Check if user is already banned
-      const existingBan = await interaction.guild.bans.fetch(target.id).catch(() => null);
-      if (existingBan) {
-        await interaction.editReply({
-          content: `❌ User ${target.tag} is already banned from this server.`
-        });
-        return;
-      }
-
-      // Get target member object (may be null if user already left)
-      const targetMember = await interaction.guild.members.fetch(target.id).catch(() => null);
-
-      // Execute ban operation
-      const banResult = await this.moderationService.banUser(
+      await this._ban(
         interaction,
-        target,
-        reason,
-        deleteDays
+        interaction.options.getUser('target'),
+        interaction.options.getString('reason'),
+        interaction.options.getInteger('delete_days') || 0,
+        {
+          attachment: interaction.options.getAttachment('evidence'),
+          messageLink: interaction.options.getString('evidence_link')
+        }
       );
-
-      // Send success response
-      const memberStatus = targetMember ? 'member' : 'user (not in server)';
-      await interaction.editReply({
-        content: `✅ Successfully banned ${memberStatus} ${target.tag}\n` +
-                `**Reason:** ${reason}\n` +
-                `**Case ID:** ${banResult.caseId}\n` +
-                `**Moderator:** ${executor.user.tag}\n` +
-                `**Messages deleted:** ${deleteDays} day(s)`
-      });
-
-      // Log the action (handled by ModerationService)
-      console.log(`User ${target.tag} (${target.id}) banned by ${executor.user.tag} (${executor.id}) - Reason: ${reason}`);
-
     } catch (error) {
       console.error('Error executing ban command:', error);
       
@@ -116,6 +100,76 @@ class BanCommand extends BaseCommand {
     }
   }
 
+  /**
+   * Ban a user and reply with the outcome
+   * Shared with the report queue; errors are left to the caller
+   * @protected
+   * @param {CommandInteraction|ModalSubmitInteraction} interaction - Interaction the ban was issued from
+   * @param {User} target - User to ban
+   * @param {string} reasonInput - Reason text or reason preset code
+   * @param {number} deleteDays - Days of messages to delete (0-7)
+   * @param {Object} evidenceSources - Evidence to store with the ban (see EvidenceService.collect)
+   * @returns {Promise<Object|null>} Ban result, or null when the ban was refused
+   */
+  async _ban(interaction, target, reasonInput, deleteDays, evidenceSources) {
+    const { reason } = await this.reasonPresetService.resolveReason(interaction.guild.id, reasonInput);
+    const executor = interaction.member;
+
+    // Check if user is already banned
+    const existingBan = await interaction.guild.bans.fetch(target.id).catch(() => null);
+    if (existingBan) {
+      await interaction.editReply({
+        content: `❌ User ${target.tag} is already banned from this server.`
+      });
+      return null;
+    }
+
+    // Get target member object (may be null if user already left)
+    const targetMember = await interaction.guild.members.fetch(target.id).catch(() => null);
+
+    // Copy evidence before acting, while linked messages still exist
+    const evidence = await this.evidenceService.collect(interaction.guild, interaction.member, evidenceSources);
+    if (!evidence.success) {
+      await interaction.editReply({
+        content: `❌ Could not store evidence: ${evidence.error}`
+      });
+      return null;
+    }
+
+    // Execute ban operation
+    const banResult = await this.moderationService.banUser(
+      interaction,
+      target,
+      reason,
+      deleteDays,
+      { evidence: evidence.items }
+    );
+
+    if (!banResult.success) {
+      await this.evidenceService.discard(interaction.guild.id, evidence.items);
+      await interaction.editReply({
+        content: `❌ ${banResult.error}`
+      });
+      return null;
+    }
+
+    // Send success response
+    const memberStatus = targetMember ? 'member' : 'user (not in server)';
+    await interaction.editReply({
+      content: `✅ Successfully banned ${memberStatus} ${target.tag}\n` +
+              `**Reason:** ${reason}\n` +
+              `**Case:** ${banResult.caseNumber ? `#${banResult.caseNumber}` : banResult.actionId}\n` +
+              `**Moderator:** ${executor.user.tag}\n` +
+              `**Messages deleted:** ${deleteDays} day(s)` +
+              (evidence.items.length > 0 ? `\n**Evidence:** ${evidence.items.length} item(s) stored` : '')
+    });
+
+    // Log the action (handled by ModerationService)
+    console.log(`User ${target.tag} (${target.id}) banned by ${executor.user.tag} (${executor.id}) - Reason: ${reason}`);
+
+    return banResult;
+  }
+
   /**
    * Custom permission validation for ban command
    * @param {CommandInteraction} interaction - Discord interaction
@@ -136,6 +190,15 @@ class BanCommand extends BaseCommand {
 
     return true;
   }
+
+  /**
+   * Suggest reason presets while the reason is typed
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    await this.reasonPresetService.respond(interaction);
+  }
 }
 
 module.exports = BanCommand;
\ No newline at end of file
@@ -0,0 +1,258 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * Case command for looking up and correcting numbered moderation cases
+ * @class CaseCommand
+ * @extends BaseCommand
+ */
+class CaseCommand extends BaseCommand {
+  /**
+   * Initialize case command with moderation service dependency
+   * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {EvidenceService} evidenceService - Service holding evidence stored with cases
+   */
+  constructor(moderationService, evidenceService) {
+    super();
+    this.moderationService = moderationService;
+    this.evidenceService = evidenceService;
+    this._category = 'moderation';
+    this._requiredPermissions = ['ModerateMembers'];
+    this._cooldown = 3000; // 3 seconds
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('case')
+      .setDescription('View or manage a moderation case')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('view')
+          .setDescription('Show the details of a case')
+          .addIntegerOption(option =>
+            option.setName('number')
+              .setDescription('Case number')
+              .setRequired(true)
+              .setMinValue(1)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('edit-reason')
+          .setDescription('Replace the reason recorded for a case')
+          .addIntegerOption(option =>
+            option.setName('number')
+              .setDescription('Case number')
+              .setRequired(true)
+              .setMinValue(1))
+          .addStringOption(option =>
+            option.setName('reason')
+              .setDescription('The corrected reason')
+              .setRequired(true)
+              .setMaxLength(2000)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('delete')
+          .setDescription('Delete a case recorded in error')
+          .addIntegerOption(option =>
+            option.setName('number')
+              .setDescription('Case number')
+              .setRequired(true)
+              .setMinValue(1)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Execute case command with subcommand routing
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      const caseNumber = interaction.options.getInteger('number');
+
+      switch (subcommand) {
+        case 'view':
+          await this._handleView(interaction, caseNumber);
+          break;
+        case 'edit-reason':
+          await this._handleEditReason(interaction, caseNumber);
+          break;
+        case 'delete':
+          await this._handleDelete(interaction, caseNumber);
+          break;
+        default:
+          await interaction.editReply({
+            content: '❌ Unknown subcommand.'
+          });
+      }
+    } catch (error) {
+      console.error('Error executing case command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while processing the case. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Handle viewing a case
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {number} caseNumber - Case number
+   * @returns {Promise<void>}
+   */
+  async _handleView(interaction, caseNumber) {
+    const result = await this.moderationService.getCase(interaction.guild.id, caseNumber);
+
+    if (!result.success) {
+      await interaction.editReply({
+        content: `❌ ${result.error}`
+      });
+      return;
+    }
+
+    const { record } = result;
+    const isNote = result.case.kind === 'note';
+    const timestamp = Math.floor(new Date(record.timestamp).getTime() / 1000);
+
+    const lines = [
+      `📁 **Case #${caseNumber}**`,
+      `**Action:** ${this._formatAction(result.case.action)}`,
+      `**User:** ${result.user.tag} (<@${result.user.id}>)`,
+      `**Moderator:** ${this._formatModerator(record.moderator)}`,
+      `**Date:** <t:${timestamp}:F> (<t:${timestamp}:R>)`,
+      `**${isNote ? 'Content' : 'Reason'}:** ${isNote ? record.content : record.reason}`
+    ];
+
+    if (record.metadata.expiresAt) {
+      const expiresTimestamp = Math.floor(new Date(record.metadata.expiresAt).getTime() / 1000);
+      lines.push(`**Expires:** <t:${expiresTimestamp}:F> (<t:${expiresTimestamp}:R>)`);
+    }
+
+    if (record.metadata.automatic) {
+      lines.push('**Automatic:** Yes');
+    }
+
+    if (record.metadata.revoked) {
+      lines.push(`**Pardoned:** by <@${record.metadata.revokedBy}> - ${record.metadata.revokeReason}`);
+    }
+
+    const reasonHistory = record.metadata.reasonHistory || record.metadata.revisions || [];
+    if (reasonHistory.length > 0) {
+      const lastEdit = reasonHistory[reasonHistory.length - 1];
+      lines.push(`**Edited:** ${reasonHistory.length} time(s), last by <@${lastEdit.editedBy}>`);
+    } else if (record.metadata.editedBy) {
+      lines.push(`**Edited:** by <@${record.metadata.editedBy}>`);
+    }
+
+    // Stored copies are re-attached so evidence stays viewable after the original is deleted
+    const evidence = record.metadata.evidence || [];
+    if (evidence.length > 0) {
+      lines.push('', `**Evidence (${evidence.length}):**`, ...evidence.map(item => this.evidenceService.describe(item)));
+    }
+
+    const attachments = await this.evidenceService.getAttachments(interaction.guild.id, evidence);
+    if (attachments.omitted > 0) {
+      lines.push(`*${attachments.omitted} stored file(s) are too large to attach here; they remain in the evidence store.*`);
+    }
+
+    const content = lines.join('\n');
+    await interaction.editReply({
+      content: content.length > 2000 ? `${content.slice(0, 1997)}...` : content,
+      files: attachments.files
+    });
+  }
+
+  /**
+   * Handle editing a case reason
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {number} caseNumber - Case number
+   * @returns {Promise<void>}
+   */
+  async _handleEditReason(interaction, caseNumber) {
+    const reason = interaction.options.getString('reason');
+    const result = await this.moderationService.updateCaseReason(interaction, caseNumber, reason);
+
+    if (!result.success) {
+      await interaction.editReply({
+        content: `❌ ${result.error}`
+      });
+      return;
+    }
+
+    await interaction.editReply({
+      content: `✅ **Case #${caseNumber} Updated**\n` +
+              `**User:** ${result.user.tag} (<@${result.user.id}>)\n` +
+              `**Previous Reason:** ${result.previousReason}\n` +
+              `**New Reason:** ${result.reason}`
+    });
+
+    console.log(`Case #${caseNumber} reason edited in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+
+  /**
+   * Handle deleting a case
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {number} caseNumber - Case number
+   * @returns {Promise<void>}
+   */
+  async _handleDelete(interaction, caseNumber) {
+    const result = await this.moderationService.deleteCase(interaction, caseNumber);
+
+    if (!result.success) {
+      await interaction.editReply({
+        content: `❌ ${result.error}`
+      });
+      return;
+    }
+
+    await this.evidenceService.discard(interaction.guild.id, result.record.metadata.evidence);
+
+    await interaction.editReply({
+      content: `🗑️ **Case #${caseNumber} Deleted**\n` +
+              `**Action:** ${this._formatAction(result.case.action)}\n` +
+              `**User:** ${result.user.tag} (<@${result.user.id}>)\n\n` +
+              'The record has been removed from the user\'s history. ' +
+              'This does not reverse the action itself.'
+    });
+
+    console.log(`Case #${caseNumber} (${result.case.action}) deleted in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+
+  /**
+   * Format an action name for display
+   * @private
+   * @param {string} action - Case action
+   * @returns {string} Display label
+   */
+  _formatAction(action) {
+    const labels = {
+      tempban: 'Temporary Ban',
+      note: 'Staff Note',
+      untimeout: 'Timeout Removed',
+      'appeal-accepted': 'Appeal Accepted',
+      'appeal-denied': 'Appeal Denied'
+    };
+
+    return labels[action] || action.charAt(0).toUpperCase() + action.slice(1);
+  }
+
+  /**
+   * Format the moderator of a record for display
+   * @private
+   * @param {string} moderatorId - Moderator ID or 'system'
+   * @returns {string} Display text
+   */
+  _formatModerator(moderatorId) {
+    return moderatorId === 'system' ? 'System (automatic)' : `<@${moderatorId}>`;
+  }
+}
+
+module.exports = CaseCommand;
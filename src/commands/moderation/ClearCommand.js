@@ -1,18 +1,37 @@
-const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, AttachmentBuilder } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
 
+/**
+ * Message IDs are Discord snowflakes
+ * @type {RegExp}
+ */
+const MESSAGE_ID_PATTERN = /^\d{17,20}$/;
+
+/**
+ * Largest archive posted in one message, text and JSON together, leaving headroom under
+ * Discord's 10 MB upload limit for servers without boosts; bigger archives are split into parts
+ * @type {number}
+ */
+const ARCHIVE_MAX_BYTES = 8 * 1024 * 1024;
+
 /**
  * Clear command for bulk message deletion
  * Implements moderator-only message cleanup with safety limits
+ * Messages are archived to the mod log channel before they are deleted, and kept when the archive cannot be posted;
+ * without a mod log channel the archive is sent privately to the moderator instead
  * @class ClearCommand
  * @extends BaseCommand
  */
 class ClearCommand extends BaseCommand {
   /**
-   * Initialize clear command
+   * Initialize clear command with message cleanup and mod log dependencies
+   * @param {MessageCleanupService} messageCleanupService - Service selecting and deleting messages
+   * @param {ModLogService} modLogService - Service posting cleanup archives
    */
-  constructor() {
+  constructor(messageCleanupService, modLogService) {
     super();
+    this.messageCleanupService = messageCleanupService;
+    this.modLogService = modLogService;
     this._category = 'moderation';
     this._requiredPermissions = ['ManageMessages'];
     this._cooldown = 5000; // 5 second cooldown
@@ -26,17 +45,46 @@ class ClearCommand extends BaseCommand {
   get data() {
     return new SlashCommandBuilder()
       .setName('clear')
-      .setDescription('Delete a specified number of messages from the channel')
+      .setDescription('Delete messages from the channel, archiving them to the mod log or to you if none is set')
       .addIntegerOption(option =>
         option.setName('amount')
-          .setDescription('Number of messages to delete (1-100)')
+          .setDescription('Number of messages to delete (1-1000)')
           .setRequired(true)
           .setMinValue(1)
-          .setMaxValue(100))
+          .setMaxValue(1000))
       .addUserOption(option =>
         option.setName('user')
           .setDescription('Only delete messages from this specific user')
           .setRequired(false))
+      .addBooleanOption(option =>
+        option.setName('bots')
+          .setDescription('Only delete messages sent by bots')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('contains')
+          .setDescription('Only delete messages containing this text')
+          .setRequired(false)
+          .setMaxLength(100))
+      .addBooleanOption(option =>
+        option.setName('attachments')
+          .setDescription('Only delete messages with attachments')
+          .setRequired(false))
+      .addBooleanOption(option =>
+        option.setName('links')
+          .setDescription('Only delete messages containing links')
+          .setRequired(false))
+      .addBooleanOption(option =>
+        option.setName('embeds')
+          .setDescription('Only delete messages with embeds')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('before')
+          .setDescription('Only delete messages sent before this message ID')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('after')
+          .setDescription('Only delete messages sent after this message ID')
+          .setRequired(false))
       .addStringOption(option =>
         option.setName('reason')
           .setDescription('Reason for clearing messages')
@@ -60,6 +108,29 @@ class ClearCommand extends BaseCommand {
       const targetUser = interaction.options.getUser('user');
       const reason = interaction.options.getString('reason') || 'Message cleanup';
       const silent = interaction.options.getBoolean('silent') ?? false;
+      const criteria = {
+        amount,
+        userId: targetUser ? targetUser.id : null,
+        botsOnly: interaction.options.getBoolean('bots') ?? false,
+        contains: interaction.options.getString('contains'),
+        hasAttachments: interaction.options.getBoolean('attachments') ?? false,
+        hasLinks: interaction.options.getBoolean('links') ?? false,
+        embedsOnly: interaction.options.getBoolean('embeds') ?? false,
+        before: interaction.options.getString('before'),
+        after: interaction.options.getString('after'),
+        excludeIds: [interaction.id]
+      };
+
+      for (const key of ['before', 'after']) {
+        if (criteria[key] && !MESSAGE_ID_PATTERN.test(criteria[key])) {
+          await interaction.editReply({
+            content: `❌ \`${key}\` must be a message ID. Enable Developer Mode and use **Copy Message ID**.`
+          });
+          return;
+        }
+      }
+
+      const filters = this._describeFilters(criteria, targetUser);
 
       // Validate bot permissions
       const botPermissions = interaction.channel.permissionsFor(interaction.client.user);
@@ -74,20 +145,15 @@ class ClearCommand extends BaseCommand {
       await interaction.editReply({
         content: `🔄 **Processing Message Deletion**\n\n` +
                 `**Amount:** ${amount} messages\n` +
-                `**Target User:** ${targetUser ? targetUser.tag : 'All users'}\n` +
+                `**Filters:** ${filters}\n` +
                 `**Reason:** ${reason}\n\n` +
                 `Fetching messages...`
       });
 
-      // Fetch messages from the channel
-      let messagesToDelete = [];
-      let fetchedMessages;
-      
+      // Fetch and filter messages from the channel
+      let messagesToDelete;
       try {
-        // Fetch messages (Discord limit is 100 per request)
-        fetchedMessages = await interaction.channel.messages.fetch({ 
-          limit: Math.min(amount + 10, 100) // Get a few extra in case some are filtered
-        });
+        messagesToDelete = await this.messageCleanupService.fetchMessages(interaction.channel, criteria);
       } catch (error) {
         await interaction.editReply({
           content: '❌ Failed to fetch messages. I may not have permission to read message history in this channel.'
@@ -95,34 +161,6 @@ class ClearCommand extends BaseCommand {
         return;
       }
 
-      // Filter messages based on criteria
-      const now = Date.now();
-      const twoWeeksAgo = now - (14 * 24 * 60 * 60 * 1000); // Discord's bulk delete limit
-
-      for (const message of fetchedMessages.values()) {
-        // Skip if we have enough messages
-        if (messagesToDelete.length >= amount) {
-          break;
-        }
-
-        // Skip the interaction reply
-        if (message.id === interaction.id) {
-          continue;
-        }
-
-        // Skip messages older than 2 weeks (Discord API limitation)
-        if (message.createdTimestamp < twoWeeksAgo) {
-          continue;
-        }
-
-        // Filter by user if specified
-        if (targetUser && message.author.id !== targetUser.id) {
-          continue;
-        }
-
-        messagesToDelete.push(message);
-      }
-
       if (messagesToDelete.length === 0) {
         await interaction.editReply({
           content: '❌ No messages found to delete. Messages older than 2 weeks cannot be bulk deleted due to Discord limitations.'
@@ -130,6 +168,19 @@ class ClearCommand extends BaseCommand {
         return;
       }
 
+      // Archive before deleting so the purge stays auditable
+      const hasModLog = await this.modLogService.hasLogChannel(interaction.guild.id);
+      if (hasModLog) {
+        const archived = await this._postArchive(interaction, messagesToDelete, reason, filters);
+        if (!archived) {
+          await interaction.editReply({
+            content: '❌ No messages were deleted because the archive could not be posted to the mod log channel. ' +
+                    'Check that the channel still exists and that I can send messages and files there.'
+          });
+          return;
+        }
+      }
+
       // Update status
       await interaction.editReply({
         content: `🔄 **Deleting Messages**\n\n` +
@@ -138,29 +189,11 @@ class ClearCommand extends BaseCommand {
       });
 
       // Perform bulk deletion
-      let deletedCount = 0;
-      const errors = [];
+      const { deletedCount, errors } = await this.messageCleanupService.deleteMessages(interaction.channel, messagesToDelete);
 
-      try {
-        if (messagesToDelete.length === 1) {
-          // Single message deletion
-          await messagesToDelete[0].delete();
-          deletedCount = 1;
-        } else {
-          // Bulk deletion (Discord allows up to 100 messages at once)
-          const deleted = await interaction.channel.bulkDelete(messagesToDelete, true);
-          deletedCount = deleted.size;
-        }
-      } catch (error) {
-        console.error('Error during message deletion:', error);
-        
-        if (error.code === 50034) {
-          errors.push('Some messages were too old to delete (older than 2 weeks)');
-        } else if (error.code === 50013) {
-          errors.push('Missing permissions to delete messages');
-        } else {
-          errors.push(`Deletion failed: ${error.message}`);
-        }
+      // Without a mod log the archive goes to the moderator only, never to the channel
+      if (!hasModLog && !(await this._sendArchiveToModerator(interaction, messagesToDelete, reason, filters))) {
+        errors.push('The archive could not be sent to you, and no mod log channel is set');
       }
 
       // Create result embed
@@ -174,7 +207,7 @@ class ClearCommand extends BaseCommand {
             value: `**Requested:** ${amount} messages\n` +
                   `**Found:** ${messagesToDelete.length} eligible messages\n` +
                   `**Deleted:** ${deletedCount} messages\n` +
-                  `**Target User:** ${targetUser ? targetUser.tag : 'All users'}\n` +
+                  `**Filters:** ${filters}\n` +
                   `**Reason:** ${reason}`,
             inline: false
           },
@@ -246,6 +279,144 @@ class ClearCommand extends BaseCommand {
     }
   }
 
+  /**
+   * Describe the active filters for replies and archives
+   * @private
+   * @param {Object} criteria - Selection criteria
+   * @param {User|null} targetUser - User filter
+   * @returns {string} Filter summary
+   */
+  _describeFilters(criteria, targetUser) {
+    const filters = [];
+
+    if (targetUser) filters.push(`from ${targetUser.tag}`);
+    if (criteria.botsOnly) filters.push('bots only');
+    if (criteria.contains) filters.push(`contains "${criteria.contains}"`);
+    if (criteria.hasAttachments) filters.push('with attachments');
+    if (criteria.hasLinks) filters.push('with links');
+    if (criteria.embedsOnly) filters.push('with embeds');
+    if (criteria.before) filters.push(`before ${criteria.before}`);
+    if (criteria.after) filters.push(`after ${criteria.after}`);
+
+    return filters.length > 0 ? filters.join(', ') : 'None (all users)';
+  }
+
+  /**
+   * Post a text and JSON archive of the selected messages to the mod log channel
+   * Archives too large for one upload are posted in parts, oldest messages first
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {Array<Message>} messages - Messages about to be deleted
+   * @param {string} reason - Cleanup reason
+   * @param {string} filters - Filter summary
+   * @returns {Promise<boolean>} Whether every part of the archive was posted
+   */
+  async _postArchive(interaction, messages, reason, filters) {
+    const parts = this._splitArchive(interaction.channel, messages, {
+      moderator: interaction.user,
+      reason,
+      filters
+    });
+    const fileName = `clear-${interaction.channel.id}-${Date.now()}`;
+
+    for (let index = 0; index < parts.length; index++) {
+      const posted = await this.modLogService.sendAlert(interaction.guild.id, {
+        title: parts.length > 1 ? `🗄️ Messages Archived (part ${index + 1}/${parts.length})` : '🗄️ Messages Archived',
+        description: `${parts[index].count} of ${messages.length} message(s) from <#${interaction.channel.id}> archived before deletion.`,
+        color: 0x95a5a6,
+        fields: [
+          { name: 'Moderator', value: `<@${interaction.user.id}> (${interaction.user.tag})`, inline: true },
+          { name: 'Filters', value: filters.slice(0, 1024), inline: true },
+          { name: 'Reason', value: reason, inline: false }
+        ],
+        files: this._buildArchiveFiles(parts, index, fileName)
+      });
+
+      if (!posted) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Send the archive to the moderator as ephemeral follow-ups, for guilds without a mod log channel
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {Array<Message>} messages - Messages that were cleared
+   * @param {string} reason - Cleanup reason
+   * @param {string} filters - Filter summary
+   * @returns {Promise<boolean>} Whether every part of the archive was sent
+   */
+  async _sendArchiveToModerator(interaction, messages, reason, filters) {
+    const parts = this._splitArchive(interaction.channel, messages, {
+      moderator: interaction.user,
+      reason,
+      filters
+    });
+    const fileName = `clear-${interaction.channel.id}-${Date.now()}`;
+
+    try {
+      for (let index = 0; index < parts.length; index++) {
+        await interaction.followUp({
+          content: index === 0
+            ? `🗄️ No mod log channel is set, so here is the archive of the ${messages.length} cleared message(s)` +
+              `${parts.length > 1 ? ` in ${parts.length} parts` : ''}. Set one with \`/setup mod-log-channel\` to keep archives there.`
+            : `🗄️ Archive part ${index + 1}/${parts.length}`,
+          files: this._buildArchiveFiles(parts, index, fileName),
+          flags: [4] // MessageFlags.Ephemeral
+        });
+      }
+
+      return true;
+    } catch (error) {
+      console.warn(`Failed to send clear archive to ${interaction.user.id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Build the text and JSON attachments for one archive part
+   * @private
+   * @param {Array<Object>} parts - Archive parts from _splitArchive
+   * @param {number} index - Part to build
+   * @param {string} fileName - File name shared by all parts
+   * @returns {Array<AttachmentBuilder>} Text and JSON attachments
+   */
+  _buildArchiveFiles(parts, index, fileName) {
+    const { text, json } = parts[index];
+    const suffix = parts.length > 1 ? `-part${index + 1}` : '';
+
+    return [
+      new AttachmentBuilder(Buffer.from(text, 'utf8'), { name: `${fileName}${suffix}.txt` }),
+      new AttachmentBuilder(Buffer.from(json, 'utf8'), { name: `${fileName}${suffix}.json` })
+    ];
+  }
+
+  /**
+   * Build the archive, halving the message list until every part fits in one upload
+   * @private
+   * @param {TextChannel} channel - Channel the messages belong to
+   * @param {Array<Message>} messages - Messages to archive, newest first
+   * @param {Object} details - Who ran the cleanup and why (see MessageCleanupService.buildArchive)
+   * @returns {Array<{text: string, json: string, count: number}>} Archive parts, oldest messages first
+   */
+  _splitArchive(channel, messages, details) {
+    const archive = this.messageCleanupService.buildArchive(channel, messages, details);
+    const size = Buffer.byteLength(archive.text, 'utf8') + Buffer.byteLength(archive.json, 'utf8');
+
+    if (size <= ARCHIVE_MAX_BYTES || messages.length === 1) {
+      return [{ ...archive, count: messages.length }];
+    }
+
+    const middle = Math.ceil(messages.length / 2);
+    return [
+      ...this._splitArchive(channel, messages.slice(middle), details),
+      ...this._splitArchive(channel, messages.slice(0, middle), details)
+    ];
+  }
+
   /**
    * Custom permission validation for clear command
    * @param {CommandInteraction} interaction - Discord interaction
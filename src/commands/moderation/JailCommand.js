@@ -1,5 +1,12 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
+const Duration = require('../../utils/Duration');
+
+/**
+ * Shortest and longest timed jail; longer punishments call for a ban
+ * @type {{min: number, max: number}}
+ */
+const JAIL_LIMITS = { min: Duration.MINUTE, max: 7 * Duration.DAY };
 
 /**
  * Jail command for confining users to a specific channel
@@ -12,11 +19,15 @@ class JailCommand extends BaseCommand {
    * Initialize jail command with moderation service dependency
    * @param {ModerationService} moderationService - Service for moderation operations
    * @param {ConfigRepository} configRepository - Repository for server configuration
+   * @param {ReasonPresetService} reasonPresetService - Service expanding reason presets
+   * @param {EvidenceService} evidenceService - Service storing evidence attached to the action
    */
-  constructor(moderationService, configRepository) {
+  constructor(moderationService, configRepository, reasonPresetService, evidenceService) {
     super();
     this.moderationService = moderationService;
+    this.reasonPresetService = reasonPresetService;
     this.configRepository = configRepository;
+    this.evidenceService = evidenceService;
     this._category = 'moderation';
     this._requiredRoles = ['moderation']; // Ensure BaseCommand defers interaction (validated dynamically)
     this._cooldown = 5000;
@@ -37,11 +48,21 @@ class JailCommand extends BaseCommand {
       .addStringOption(option =>
         option.setName('reason')
           .setDescription('Reason for jailing the user')
+          .setAutocomplete(true)
           .setRequired(true)
           .setMaxLength(500))
       .addStringOption(option =>
         option.setName('duration')
-          .setDescription('Jail duration (e.g., 1h, 2d) - leave empty for indefinite')
+          .setDescription('Jail duration (e.g., 1h, 2d, 1d12h) - leave empty for indefinite')
+          .setAutocomplete(true)
+          .setRequired(false))
+      .addAttachmentOption(option =>
+        option.setName('evidence')
+          .setDescription('Screenshot or file backing up the jail')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('evidence_link')
+          .setDescription('Link to a message backing up the jail; its content is saved in case it is deleted')
           .setRequired(false))
       .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles);
   }
@@ -53,145 +74,16 @@ class JailCommand extends BaseCommand {
    */
   async execute(interaction) {
     try {
-      // Get command parameters
-      const target = interaction.options.getUser('target');
-      const reason = interaction.options.getString('reason');
-      const durationStr = interaction.options.getString('duration');
-      const executor = interaction.member;
-
-      // Parse duration if provided
-      let duration = null;
-      if (durationStr) {
-        duration = this._parseDuration(durationStr);
-        if (!duration) {
-          await interaction.editReply({
-            content: '❌ Invalid duration format. Use formats like: `1h`, `2d`, `1w`, `30m`\n' +
-                    'Supported units: m (minutes), h (hours), d (days), w (weeks)'
-          });
-          return;
-        }
-
-        // Validate duration limits (max 7 days for jail)
-        const maxDuration = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-        if (duration > maxDuration) {
-          await interaction.editReply({
-            content: '❌ Maximum jail duration is 7 days. For longer punishments, use ban commands.'
-          });
-          return;
+      await this._jail(
+        interaction,
+        interaction.options.getUser('target'),
+        interaction.options.getString('reason'),
+        interaction.options.getString('duration'),
+        {
+          attachment: interaction.options.getAttachment('evidence'),
+          messageLink: interaction.options.getString('evidence_link')
         }
-      }
-
-      // Get target member object
-      const targetMember = await interaction.guild.members.fetch(target.id).catch(() => null);
-      
-      if (!targetMember) {
-        await interaction.editReply({
-          content: `❌ User ${target.tag} is not a member of this server.`
-        });
-        return;
-      }
-
-      // Check if user is already jailed
-      const isJailed = await this.moderationService.isUserJailed(interaction.guild.id, target.id);
-      if (isJailed) {
-        await interaction.editReply({
-          content: `❌ User ${target.tag} is already jailed.`
-        });
-        return;
-      }
-
-      // Validate jail operation
-      const validationResult = await this.moderationService.validateJail(
-        interaction.guild.id,
-        executor.id,
-        target.id,
-        reason
       );
-
-      if (!validationResult.isValid) {
-        await interaction.editReply({
-          content: `❌ Cannot jail user: ${validationResult.error}`
-        });
-        return;
-      }
-
-      // Get server configuration for role manipulation
-      const server = await this.configRepository.findServerById(interaction.guild.id);
-      if (!server) {
-        await interaction.editReply({
-          content: '❌ Server configuration not found. Please run setup first.'
-        });
-        return;
-      }
-
-      const jailedRoleId = server.getJailedRole();
-      if (!jailedRoleId) {
-        await interaction.editReply({
-          content: '❌ Jail role not configured. Use `/setup jail-role` to configure.'
-        });
-        return;
-      }
-
-      // Get jail role
-      const jailRole = interaction.guild.roles.cache.get(jailedRoleId);
-      if (!jailRole) {
-        await interaction.editReply({
-          content: '❌ Jail role not found. Please reconfigure jail system with `/setup jail-role`.'
-        });
-        return;
-      }
-
-      // Backup current roles (excluding @everyone and managed roles)
-      const rolesToBackup = targetMember.roles.cache
-        .filter(role => role.id !== interaction.guild.id && !role.managed)
-        .map(role => role.id);
-
-      // Perform Discord role manipulation
-      try {
-        await targetMember.roles.set([jailRole.id], `Jailed by ${executor.user.tag}: ${reason}`);
-      } catch (error) {
-        await interaction.editReply({
-          content: `❌ Failed to modify roles: ${error.message}`
-        });
-        return;
-      }
-
-      // Execute jail operation in database
-      const jailResult = await this.moderationService.jailUser(
-        interaction.guild.id,
-        executor.id,
-        target.id,
-        reason,
-        duration,
-        rolesToBackup
-      );
-
-      // Update the roles backed up count
-      jailResult.rolesBackedUp = rolesToBackup.length;
-
-      // Format response based on duration
-      let durationText = 'indefinitely';
-      let expiresText = '';
-      
-      if (duration) {
-        durationText = `for ${durationStr}`;
-        const expiresAt = new Date(Date.now() + duration);
-        const expiresTimestamp = Math.floor(expiresAt.getTime() / 1000);
-        expiresText = `\n**Expires:** <t:${expiresTimestamp}:F> (<t:${expiresTimestamp}:R>)`;
-      }
-
-      // Send success response
-      await interaction.editReply({
-        content: `🔒 Successfully jailed ${target.tag} ${durationText}\n` +
-                `**Reason:** ${reason}\n` +
-                `**Case ID:** ${jailResult.caseId}\n` +
-                `**Moderator:** ${executor.user.tag}\n` +
-                `**Roles backed up:** ${jailResult.rolesBackedUp} role(s)${expiresText}`
-      });
-
-      // Log the action (handled by ModerationService)
-      console.log(`User ${target.tag} (${target.id}) jailed by ${executor.user.tag} (${executor.id}) - Reason: ${reason}`);
-
     } catch (error) {
       console.error('Error executing jail command:', error);
       
@@ -217,32 +109,177 @@ class JailCommand extends BaseCommand {
   }
 
   /**
-   * Parse duration string into milliseconds
-   * @private
-   * @param {string} durationStr - Duration string (e.g., "1h", "30m", "2d")
-   * @returns {number|null} Duration in milliseconds or null if invalid
+   * Jail a member and reply with the outcome
+   * Shared with the Jail context menu and the report queue; errors are left to the caller
+   * @protected
+   * @param {CommandInteraction|ModalSubmitInteraction} interaction - Interaction the jail was issued from
+   * @param {User} target - User to jail
+   * @param {string} reasonInput - Reason text or reason preset code
+   * @param {string|null} durationStr - Jail duration, or null for the preset's default or indefinitely
+   * @param {Object} evidenceSources - Evidence to store with the jail (see EvidenceService.collect)
+   * @returns {Promise<Object|null>} Jail result, or null when the jail was refused
    */
-  _parseDuration(durationStr) {
-    const match = durationStr.toLowerCase().match(/^(\d+)([mhdw])$/);
-    if (!match) {
+  async _jail(interaction, target, reasonInput, durationStr, evidenceSources) {
+    const { reason, durationMs: presetDurationMs } = await this.reasonPresetService.resolveReason(
+      interaction.guild.id,
+      reasonInput
+    );
+    const executor = interaction.member;
+
+    // Parse duration if provided
+    let duration = null;
+    if (durationStr) {
+      duration = Duration.parse(durationStr);
+      if (!duration) {
+        await interaction.editReply({
+          content: `❌ Invalid duration format. ${Duration.FORMAT_HINT}`
+        });
+        return null;
+      }
+    } else if (presetDurationMs) {
+      // Fall back to the reason preset's default sentence
+      duration = presetDurationMs;
+    }
+
+    // Validate duration limits (1 minute to 7 days for jail)
+    const limitError = duration ? Duration.checkLimits(duration, JAIL_LIMITS) : null;
+    if (limitError) {
+      await interaction.editReply({
+        content: `❌ ${limitError} for a jail.` +
+                (duration > JAIL_LIMITS.max ? ' For longer punishments, use ban commands.' : '')
+      });
+      return null;
+    }
+
+    // Get target member object
+    const targetMember = await interaction.guild.members.fetch(target.id).catch(() => null);
+    
+    if (!targetMember) {
+      await interaction.editReply({
+        content: `❌ User ${target.tag} is not a member of this server.`
+      });
+      return null;
+    }
+
+    // Check if user is already jailed
+    const isJailed = await this.moderationService.isUserJailed(interaction.guild.id, target.id);
+    if (isJailed) {
+      await interaction.editReply({
+        content: `❌ User ${target.tag} is already jailed.`
+      });
       return null;
     }
 
-    const value = parseInt(match[1]);
-    const unit = match[2];
+    // Validate jail operation
+    const validationResult = await this.moderationService.validateJail(
+      interaction.guild.id,
+      executor.id,
+      target.id,
+      reason
+    );
 
-    const multipliers = {
-      'm': 60 * 1000,        // minutes to milliseconds
-      'h': 60 * 60 * 1000,   // hours to milliseconds
-      'd': 24 * 60 * 60 * 1000, // days to milliseconds
-      'w': 7 * 24 * 60 * 60 * 1000 // weeks to milliseconds
-    };
+    if (!validationResult.isValid) {
+      await interaction.editReply({
+        content: `❌ Cannot jail user: ${validationResult.error}`
+      });
+      return null;
+    }
+
+    // Get server configuration for role manipulation
+    const server = await this.configRepository.findServerById(interaction.guild.id);
+    if (!server) {
+      await interaction.editReply({
+        content: '❌ Server configuration not found. Please run setup first.'
+      });
+      return null;
+    }
 
-    if (!multipliers[unit] || value <= 0) {
+    const jailedRoleId = server.getJailedRole();
+    if (!jailedRoleId) {
+      await interaction.editReply({
+        content: '❌ Jail role not configured. Use `/setup jail-role` to configure.'
+      });
       return null;
     }
 
-    return value * multipliers[unit];
+    // Get jail role
+    const jailRole = interaction.guild.roles.cache.get(jailedRoleId);
+    if (!jailRole) {
+      await interaction.editReply({
+        content: '❌ Jail role not found. Please reconfigure jail system with `/setup jail-role`.'
+      });
+      return null;
+    }
+
+    // Backup current roles (excluding @everyone and managed roles)
+    const rolesToBackup = targetMember.roles.cache
+      .filter(role => role.id !== interaction.guild.id && !role.managed)
+      .map(role => role.id);
+
+    // Copy evidence before acting, while linked messages still exist
+    const evidence = await this.evidenceService.collect(interaction.guild, interaction.member, evidenceSources);
+    if (!evidence.success) {
+      await interaction.editReply({
+        content: `❌ Could not store evidence: ${evidence.error}`
+      });
+      return null;
+    }
+
+    // Perform Discord role manipulation
+    try {
+      await targetMember.roles.set([jailRole.id], `Jailed by ${executor.user.tag}: ${reason}`);
+    } catch (error) {
+      await this.evidenceService.discard(interaction.guild.id, evidence.items);
+      await interaction.editReply({
+        content: `❌ Failed to modify roles: ${error.message}`
+      });
+      return null;
+    }
+
+    // Execute jail operation in database
+    const jailResult = await this.moderationService.jailUser(
+      interaction.guild.id,
+      executor.id,
+      target.id,
+      reason,
+      duration,
+      rolesToBackup,
+      { evidence: evidence.items }
+    ).catch(async error => {
+      // Without a stored backup the member's roles would be lost, so put them back
+      await targetMember.roles.set(rolesToBackup, 'Jail could not be recorded').catch(() => null);
+      await this.evidenceService.discard(interaction.guild.id, evidence.items);
+      throw error;
+    });
+
+    // Update the roles backed up count
+    jailResult.rolesBackedUp = rolesToBackup.length;
+
+    // Format response based on duration
+    let durationText = 'indefinitely';
+    let expiresText = '';
+    
+    if (duration) {
+      durationText = `for ${Duration.format(duration)}`;
+      const expiresAt = new Date(Date.now() + duration);
+      const expiresTimestamp = Math.floor(expiresAt.getTime() / 1000);
+      expiresText = `\n**Expires:** <t:${expiresTimestamp}:F> (<t:${expiresTimestamp}:R>)`;
+    }
+
+    // Send success response
+    await interaction.editReply({
+      content: `🔒 Successfully jailed ${target.tag} ${durationText}\n` +
+              `**Reason:** ${reason}\n` +
+              `**Case:** ${jailResult.caseNumber ? `#${jailResult.caseNumber}` : jailResult.caseId}\n` +
+              `**Moderator:** ${executor.user.tag}\n` +
+              `**Roles backed up:** ${jailResult.rolesBackedUp} role(s)${expiresText}` +
+              (evidence.items.length > 0 ? `\n**Evidence:** ${evidence.items.length} item(s) stored` : '')
+    });
+
+    // Log the action (handled by ModerationService)
+    console.log(`User ${target.tag} (${target.id}) jailed by ${executor.user.tag} (${executor.id}) - Reason: ${reason}`);
+
+    return jailResult;
   }
 
   /**
@@ -292,6 +329,21 @@ class JailCommand extends BaseCommand {
       return false;
     }
   }
+
+  /**
+   * Suggest reason presets, or preview when the duration being typed would expire
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name === 'duration') {
+      await interaction.respond(Duration.suggest(focused.value, JAIL_LIMITS));
+      return;
+    }
+
+    await this.reasonPresetService.respond(interaction);
+  }
 }
 
 module.exports = JailCommand;
\ No newline at end of file
@@ -11,10 +11,14 @@ class KickCommand extends BaseCommand {
   /**
    * Initialize kick command with moderation service dependency
    * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {ReasonPresetService} reasonPresetService - Service expanding reason presets
+   * @param {EvidenceService} evidenceService - Service storing evidence attached to the action
    */
-  constructor(moderationService) {
+  constructor(moderationService, reasonPresetService, evidenceService) {
     super();
     this.moderationService = moderationService;
+    this.reasonPresetService = reasonPresetService;
+    this.evidenceService = evidenceService;
     this._category = 'moderation';
     this._requiredPermissions = ['KickMembers'];
     this._cooldown = 5000; // 5 second cooldown
@@ -35,8 +39,17 @@ class KickCommand extends BaseCommand {
       .addStringOption(option =>
         option.setName('reason')
           .setDescription('Reason for the kick')
+          .setAutocomplete(true)
           .setRequired(true)
           .setMaxLength(500))
+      .addAttachmentOption(option =>
+        option.setName('evidence')
+          .setDescription('Screenshot or file backing up the kick')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('evidence_link')
+          .setDescription('Link to a message backing up the kick; its content is saved in case it is deleted')
+          .setRequired(false))
       .setDefaultMemberPermissions(PermissionFlagsBits.KickMembers);
   }
 
@@ -49,7 +62,7 @@ class KickCommand extends BaseCommand {
     try {
       // Get command parameters
       const target = interaction.options.getUser('target');
-      const reason = interaction.options.getString('reason');
+      const { reason } = await this.reasonPresetService.resolveReason(interaction.guild.id, interaction.options.getString('reason'));
       const executor = interaction.member;
 
       // Get target member object
@@ -62,19 +75,38 @@ class KickCommand extends BaseCommand {
         return;
       }
 
+      // Copy evidence before acting, while linked messages still exist
+      const evidence = await this.evidenceService.collectFromInteraction(interaction);
+      if (!evidence.success) {
+        await interaction.editReply({
+          content: `❌ Could not store evidence: ${evidence.error}`
+        });
+        return;
+      }
+
       // Execute kick operation
       const kickResult = await this.moderationService.kickUser(
         interaction,
         targetMember,
-        reason
+        reason,
+        { evidence: evidence.items }
       );
 
+      if (!kickResult.success) {
+        await this.evidenceService.discard(interaction.guild.id, evidence.items);
+        await interaction.editReply({
+          content: `❌ ${kickResult.error}`
+        });
+        return;
+      }
+
       // Send success response
       await interaction.editReply({
         content: `✅ Successfully kicked ${target.tag}\n` +
                 `**Reason:** ${reason}\n` +
-                `**Case ID:** ${kickResult.caseId}\n` +
-                `**Moderator:** ${executor.user.tag}`
+                `**Case:** ${kickResult.caseNumber ? `#${kickResult.caseNumber}` : kickResult.actionId}\n` +
+                `**Moderator:** ${executor.user.tag}` +
+                (evidence.items.length > 0 ? `\n**Evidence:** ${evidence.items.length} item(s) stored` : '')
       });
 
       // Log the action (handled by ModerationService)
@@ -120,6 +152,15 @@ class KickCommand extends BaseCommand {
 
     return true;
   }
+
+  /**
+   * Suggest reason presets while the reason is typed
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    await this.reasonPresetService.respond(interaction);
+  }
 }
 
 module.exports = KickCommand;
\ No newline at end of file
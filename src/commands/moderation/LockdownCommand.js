@@ -0,0 +1,184 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const Duration = require('../../utils/Duration');
+
+/**
+ * Shortest timed lockdown; there is no upper limit since a lockdown can always be lifted early
+ * @type {{min: number}}
+ */
+const LOCKDOWN_LIMITS = { min: Duration.MINUTE };
+
+/**
+ * Lockdown command stopping @everyone from sending messages in one or all channels
+ * @class LockdownCommand
+ * @extends BaseCommand
+ */
+class LockdownCommand extends BaseCommand {
+  /**
+   * Initialize lockdown command with lockdown service dependency
+   * @param {LockdownService} lockdownService - Service locking channels
+   */
+  constructor(lockdownService) {
+    super();
+    this.lockdownService = lockdownService;
+    this._category = 'moderation';
+    this._requiredPermissions = ['ManageChannels'];
+    this._cooldown = 5000; // 5 second cooldown
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('lockdown')
+      .setDescription('Stop @everyone from sending messages')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('channel')
+          .setDescription('Lock a single channel')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel to lock (defaults to this channel)')
+              .setRequired(false)
+              .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+          .addStringOption(option =>
+            option.setName('duration')
+              .setDescription('Unlock automatically after this long (e.g., 30m, 2h, 1d)')
+              .setAutocomplete(true)
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('reason')
+              .setDescription('Reason for the lockdown')
+              .setRequired(false)
+              .setMaxLength(500)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('all')
+          .setDescription('Lock every channel @everyone can see')
+          .addStringOption(option =>
+            option.setName('duration')
+              .setDescription('Unlock automatically after this long (e.g., 30m, 2h, 1d)')
+              .setAutocomplete(true)
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('reason')
+              .setDescription('Reason for the lockdown')
+              .setRequired(false)
+              .setMaxLength(500)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
+  }
+
+  /**
+   * Execute lockdown command
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      const durationStr = interaction.options.getString('duration');
+      const reason = interaction.options.getString('reason') || 'No reason provided';
+
+      let durationMs = null;
+      if (durationStr) {
+        durationMs = Duration.parse(durationStr);
+        if (!durationMs) {
+          await interaction.editReply({
+            content: `❌ Invalid duration format. ${Duration.FORMAT_HINT}`
+          });
+          return;
+        }
+
+        const limitError = Duration.checkLimits(durationMs, LOCKDOWN_LIMITS);
+        if (limitError) {
+          await interaction.editReply({
+            content: `❌ ${limitError} for a timed lockdown.`
+          });
+          return;
+        }
+      }
+
+      const channels = subcommand === 'all'
+        ? this.lockdownService.getLockableChannels(interaction.guild)
+        : [interaction.options.getChannel('channel') || interaction.channel];
+
+      if (channels.length === 0) {
+        await interaction.editReply({
+          content: '❌ There are no channels to lock.'
+        });
+        return;
+      }
+
+      const result = await this.lockdownService.lockChannels(interaction.guild, channels, interaction.user.id, {
+        durationMs,
+        reason
+      });
+
+      if (result.locked.length === 0) {
+        await interaction.editReply({
+          content: `❌ ${result.skipped.length === 1 ? result.skipped[0].error : 'No channels could be locked.'}`
+        });
+        return;
+      }
+
+      let content = `🔒 **${result.locked.length === 1 ? `<#${result.locked[0]}> Locked` : `${result.locked.length} Channels Locked`}**\n` +
+                   `**Reason:** ${reason}\n`;
+
+      if (result.expiresAt) {
+        const expiresTimestamp = Math.floor(result.expiresAt.getTime() / 1000);
+        content += `**Unlocks:** <t:${expiresTimestamp}:F> (<t:${expiresTimestamp}:R>)\n`;
+      } else {
+        content += '**Unlocks:** Manually with `/unlock`\n';
+      }
+
+      if (result.skipped.length > 0) {
+        content += `**Skipped:** ${result.skipped.length} channel(s) (already locked or missing permissions)\n`;
+      }
+
+      await interaction.editReply({ content });
+
+      console.log(`Lockdown (${subcommand}) by ${interaction.user.tag} (${interaction.user.id}) in ${interaction.guild.name} (${interaction.guild.id}) - ${result.locked.length} channel(s), Reason: ${reason}`);
+
+    } catch (error) {
+      console.error('Error executing lockdown command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while locking channels. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Custom permission validation for lockdown command
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<boolean>} Permission validation result
+   */
+  async validatePermissions(interaction) {
+    const hasBasePermissions = await super.validatePermissions(interaction);
+    if (!hasBasePermissions) {
+      return false;
+    }
+
+    // Additional validation: ensure bot can edit channel overwrites
+    const botMember = interaction.guild.members.cache.get(interaction.client.user.id);
+    if (!botMember.permissions.has([PermissionFlagsBits.ManageChannels, PermissionFlagsBits.ManageRoles])) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Preview when the lockdown being typed would lift
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    await interaction.respond(Duration.suggest(interaction.options.getFocused(), LOCKDOWN_LIMITS));
+  }
+}
+
+module.exports = LockdownCommand;
@@ -0,0 +1,442 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * Mass ban command for cleaning up after a raid
+ * Targets come from pasted or attached user IDs and/or a recent join window;
+ * nothing is banned until the moderator confirms the preview
+ * @class MassbanCommand
+ * @extends BaseCommand
+ */
+class MassbanCommand extends BaseCommand {
+  /**
+   * Initialize mass ban command with service dependencies
+   * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {PermissionService} permissionService - Service for role hierarchy checks
+   */
+  constructor(moderationService, permissionService) {
+    super();
+    this.moderationService = moderationService;
+    this.permissionService = permissionService;
+    this._category = 'moderation';
+    this._requiredPermissions = ['BanMembers'];
+    this._cooldown = 30000; // 30 second cooldown for bulk action
+    this._guildOnly = true;
+
+    /**
+     * Mass bans awaiting confirmation, keyed by the originating interaction ID
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this._pending = new Map();
+
+    /**
+     * Maximum number of users a single mass ban may target
+     * @type {number}
+     * @private
+     */
+    this._maxTargets = 200;
+
+    /**
+     * How long a preview can be confirmed for
+     * @type {number}
+     * @private
+     */
+    this._confirmWindowMs = 2 * 60 * 1000;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('massban')
+      .setDescription('Ban many users at once after a raid')
+      .addStringOption(option =>
+        option.setName('reason')
+          .setDescription('Reason recorded for every ban')
+          .setRequired(true)
+          .setMaxLength(500))
+      .addStringOption(option =>
+        option.setName('ids')
+          .setDescription('User IDs separated by spaces, commas or new lines')
+          .setRequired(false))
+      .addAttachmentOption(option =>
+        option.setName('file')
+          .setDescription('Text file containing user IDs')
+          .setRequired(false))
+      .addIntegerOption(option =>
+        option.setName('joined_within')
+          .setDescription('Also target members who joined in the last N minutes')
+          .setMinValue(1)
+          .setMaxValue(1440)
+          .setRequired(false))
+      .addIntegerOption(option =>
+        option.setName('delete_days')
+          .setDescription('Number of days of messages to delete (0-7)')
+          .setMinValue(0)
+          .setMaxValue(7)
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers);
+  }
+
+  /**
+   * Execute mass ban command by building a preview for confirmation
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const reason = interaction.options.getString('reason');
+      const idsInput = interaction.options.getString('ids');
+      const file = interaction.options.getAttachment('file');
+      const joinedWithin = interaction.options.getInteger('joined_within');
+      const deleteDays = interaction.options.getInteger('delete_days') || 0;
+
+      if (!idsInput && !file && !joinedWithin) {
+        await interaction.editReply({
+          content: '❌ Provide user IDs, an attached ID list, or a `joined_within` window.'
+        });
+        return;
+      }
+
+      const userIds = this._extractIds(idsInput || '');
+
+      if (file) {
+        if (file.size > 100 * 1024) {
+          await interaction.editReply({
+            content: '❌ The attached ID list must be smaller than 100 KB.'
+          });
+          return;
+        }
+
+        const response = await fetch(file.url);
+        if (!response.ok) {
+          await interaction.editReply({
+            content: `❌ Could not download ${file.name} (HTTP ${response.status}). Try attaching the ID list again.`
+          });
+          return;
+        }
+
+        userIds.push(...this._extractIds(await response.text()));
+      }
+
+      const { targets, skipped } = await this._resolveTargets(interaction, [...new Set(userIds)], joinedWithin);
+
+      if (targets.length > this._maxTargets) {
+        await interaction.editReply({
+          content: `❌ That would ban ${targets.length} users. A single mass ban is limited to ${this._maxTargets}.`
+        });
+        return;
+      }
+
+      if (targets.length === 0) {
+        await interaction.editReply({
+          content: `❌ No bannable users matched.\n${this._formatSkipped(skipped)}`
+        });
+        return;
+      }
+
+      this._prunePending();
+      this._pending.set(interaction.id, {
+        commandInteraction: interaction,
+        userId: interaction.user.id,
+        targets,
+        reason,
+        deleteDays,
+        expiresAt: Date.now() + this._confirmWindowMs
+      });
+
+      await interaction.editReply({
+        embeds: [this._buildPreviewEmbed(targets, skipped, reason, deleteDays)],
+        components: [this._buildConfirmRow(interaction.id)]
+      });
+
+    } catch (error) {
+      console.error('Error executing massban command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while preparing the mass ban. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Handle the confirm and cancel buttons of a preview
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {Array<string>} params - Custom ID segments ([step, token])
+   * @returns {Promise<void>}
+   */
+  async handleButton(interaction, params) {
+    const [step, token] = params;
+    const pending = this._pending.get(token);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      this._pending.delete(token);
+      await interaction.update({
+        content: '⌛ This mass ban preview has expired. Run `/massban` again.',
+        embeds: [],
+        components: []
+      });
+      return;
+    }
+
+    if (interaction.user.id !== pending.userId) {
+      await interaction.reply({
+        content: '❌ Only the moderator who started this mass ban can confirm it.',
+        flags: [4] // MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    this._pending.delete(token);
+
+    if (step !== 'confirm') {
+      await interaction.update({
+        content: '❎ Mass ban cancelled. Nobody was banned.',
+        embeds: [],
+        components: []
+      });
+      return;
+    }
+
+    await interaction.update({
+      content: `⏳ Banning 0/${pending.targets.length}...`,
+      embeds: [],
+      components: []
+    });
+
+    // Bans run against the original command so permission checks see its options
+    const summary = await this.moderationService.massBanUsers(
+      pending.commandInteraction,
+      pending.targets,
+      pending.reason,
+      {
+        deleteMessageDays: pending.deleteDays,
+        onProgress: async ({ processed, total, banned, failed }) => {
+          if (processed % 5 === 0 && processed < total) {
+            await interaction.editReply({
+              content: `⏳ Banning ${processed}/${total}... (${banned.length} banned, ${failed.length} failed)`
+            }).catch(() => null);
+          }
+        }
+      }
+    );
+
+    await interaction.editReply({
+      content: '',
+      embeds: [this._buildSummaryEmbed(summary, pending.reason)]
+    });
+
+    console.log(`Mass ban ${summary.batchId} by ${interaction.user.tag} (${interaction.user.id}) in ${interaction.guild.name} (${interaction.guild.id}) - ${summary.banned.length} banned, ${summary.failed.length} failed, Reason: ${pending.reason}`);
+  }
+
+  /**
+   * Pull user IDs out of free-form text
+   * @private
+   * @param {string} text - Text containing IDs
+   * @returns {Array<string>} Discord user IDs in the order found
+   */
+  _extractIds(text) {
+    return text.match(/\d{17,20}/g) || [];
+  }
+
+  /**
+   * Resolve IDs and the join window into ban targets, setting aside anyone who cannot be banned
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {Array<string>} userIds - Explicit user IDs
+   * @param {number|null} joinedWithin - Join window in minutes
+   * @returns {Promise<Object>} `{ targets, skipped }` where skipped counts users per reason
+   */
+  async _resolveTargets(interaction, userIds, joinedWithin) {
+    const guild = interaction.guild;
+    const candidates = new Map();
+    const skipped = { self: 0, protected: 0, aboveBot: 0, alreadyBanned: 0, unresolved: 0 };
+    const bans = await guild.bans.fetch().catch(() => null);
+
+    if (joinedWithin) {
+      const cutoff = Date.now() - joinedWithin * 60 * 1000;
+      const members = await guild.members.fetch();
+      for (const member of members.values()) {
+        if (!member.user.bot && member.joinedTimestamp >= cutoff) {
+          candidates.set(member.id, member);
+        }
+      }
+    }
+
+    for (const userId of userIds) {
+      if (candidates.has(userId)) {
+        continue;
+      }
+
+      if (bans && bans.has(userId)) {
+        skipped.alreadyBanned++;
+        continue;
+      }
+
+      const member = await guild.members.fetch(userId).catch(() => null);
+      const user = member || await interaction.client.users.fetch(userId).catch(() => null);
+      if (user) {
+        candidates.set(userId, user);
+      } else {
+        skipped.unresolved++;
+      }
+    }
+
+    const targets = [];
+
+    for (const [userId, target] of candidates) {
+      if (userId === interaction.user.id || userId === interaction.client.user.id) {
+        skipped.self++;
+      } else if (target.user && !this.permissionService.canModerateUser(interaction.member, target)) {
+        skipped.protected++;
+      } else if (target.user && !this.permissionService.botCanModerateUser(guild, target)) {
+        skipped.aboveBot++;
+      } else {
+        targets.push(target);
+      }
+    }
+
+    return { targets, skipped };
+  }
+
+  /**
+   * Build the preview embed listing who will be banned
+   * @private
+   * @param {Array<GuildMember|User>} targets - Users to ban
+   * @param {Object} skipped - Skipped user counts per reason
+   * @param {string} reason - Ban reason
+   * @param {number} deleteDays - Days of messages to delete
+   * @returns {EmbedBuilder} Preview embed
+   */
+  _buildPreviewEmbed(targets, skipped, reason, deleteDays) {
+    const shown = 20;
+    const lines = targets.slice(0, shown).map(target => {
+      const user = target.user || target;
+      const joined = target.joinedTimestamp
+        ? ` • joined <t:${Math.floor(target.joinedTimestamp / 1000)}:R>`
+        : ' • not in server';
+      return `\`${user.id}\` ${user.tag}${joined}`;
+    });
+
+    if (targets.length > shown) {
+      lines.push(`…and ${targets.length - shown} more`);
+    }
+
+    return new EmbedBuilder()
+      .setTitle(`🔨 Mass Ban Preview (${targets.length} user(s))`)
+      .setColor(0xff0000)
+      .setDescription(lines.join('\n'))
+      .addFields(
+        { name: 'Reason', value: reason, inline: false },
+        { name: 'Messages deleted', value: `${deleteDays} day(s)`, inline: true },
+        { name: 'Skipped', value: this._formatSkipped(skipped), inline: true }
+      )
+      .setFooter({ text: 'Confirm within 2 minutes. Bans are applied one at a time.' })
+      .setTimestamp();
+  }
+
+  /**
+   * Build the final report embed
+   * @private
+   * @param {Object} summary - Batch summary from massBanUsers
+   * @param {string} reason - Ban reason
+   * @returns {EmbedBuilder} Summary embed
+   */
+  _buildSummaryEmbed(summary, reason) {
+    const embed = new EmbedBuilder()
+      .setTitle('🔨 Mass Ban Complete')
+      .setColor(summary.failed.length > 0 ? 0xff9900 : 0x00ff00)
+      .addFields(
+        { name: 'Banned', value: `${summary.banned.length}`, inline: true },
+        { name: 'Failed', value: `${summary.failed.length}`, inline: true },
+        { name: 'Not processed', value: `${summary.total - summary.processed}`, inline: true },
+        { name: 'Reason', value: reason, inline: false }
+      )
+      .setTimestamp();
+
+    if (summary.failed.length > 0) {
+      const failures = summary.failed.slice(0, 10)
+        .map(failure => `\`${failure.id}\` ${failure.tag}: ${failure.error}`.slice(0, 100));
+      embed.addFields({ name: 'Failures', value: failures.join('\n'), inline: false });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Build the confirm/cancel button row
+   * @private
+   * @param {string} token - Pending mass ban token
+   * @returns {ActionRowBuilder} Action row with confirmation buttons
+   */
+  _buildConfirmRow(token) {
+    return new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(`massban_confirm_${token}`)
+          .setLabel('Ban them')
+          .setEmoji('🔨')
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+          .setCustomId(`massban_cancel_${token}`)
+          .setLabel('Cancel')
+          .setStyle(ButtonStyle.Secondary)
+      );
+  }
+
+  /**
+   * Format skipped user counts
+   * @private
+   * @param {Object} skipped - Skipped user counts per reason
+   * @returns {string} Summary text
+   */
+  _formatSkipped(skipped) {
+    const parts = [];
+    if (skipped.alreadyBanned) parts.push(`${skipped.alreadyBanned} already banned`);
+    if (skipped.protected) parts.push(`${skipped.protected} above your role`);
+    if (skipped.aboveBot) parts.push(`${skipped.aboveBot} above my role`);
+    if (skipped.self) parts.push(`${skipped.self} yourself/the bot`);
+    if (skipped.unresolved) parts.push(`${skipped.unresolved} unknown ID(s)`);
+
+    return parts.length > 0 ? parts.join('\n') : 'None';
+  }
+
+  /**
+   * Drop previews that can no longer be confirmed
+   * @private
+   * @returns {void}
+   */
+  _prunePending() {
+    const now = Date.now();
+    for (const [token, pending] of this._pending) {
+      if (pending.expiresAt < now) {
+        this._pending.delete(token);
+      }
+    }
+  }
+
+  /**
+   * Custom permission validation for mass ban command
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<boolean>} Permission validation result
+   */
+  async validatePermissions(interaction) {
+    const hasBasePermissions = await super.validatePermissions(interaction);
+    if (!hasBasePermissions) {
+      return false;
+    }
+
+    // Additional validation: ensure bot has permissions
+    const botMember = interaction.guild.members.cache.get(interaction.client.user.id);
+    if (!botMember.permissions.has(PermissionFlagsBits.BanMembers)) {
+      return false;
+    }
+
+    return true;
+  }
+}
+
+module.exports = MassbanCommand;
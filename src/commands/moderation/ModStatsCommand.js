@@ -0,0 +1,300 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const Duration = require('../../utils/Duration');
+
+/**
+ * Most moderators listed on the leaderboard
+ * @type {number}
+ */
+const LEADERBOARD_SIZE = 20;
+
+/**
+ * Share of a moderator's actions that were later pardoned before they are flagged
+ * Only applied once a moderator has taken enough actions for the share to mean something
+ * @type {{share: number, minimumActions: number}}
+ */
+const PARDON_WARNING = Object.freeze({ share: 0.25, minimumActions: 4 });
+
+/**
+ * Readable names for action types
+ * @type {Object<string, string>}
+ */
+const ACTION_NAMES = {
+  warn: 'Warnings',
+  timeout: 'Timeouts',
+  jail: 'Jails',
+  kick: 'Kicks',
+  tempban: 'Tempbans',
+  ban: 'Bans',
+  unban: 'Unbans',
+  unjail: 'Unjails',
+  untimeout: 'Timeouts lifted'
+};
+
+/**
+ * Moderator statistics command for reviewing staff activity
+ * Shows a leaderboard of every moderator, or one moderator's actions and ticket work
+ * @class ModStatsCommand
+ * @extends BaseCommand
+ */
+class ModStatsCommand extends BaseCommand {
+  /**
+   * Initialize moderator stats command with moderation, ticket and configuration dependencies
+   * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {TicketRepository} ticketRepository - Repository for ticket lookups
+   * @param {ConfigRepository} configRepository - Server configuration repository, for the moderator role
+   */
+  constructor(moderationService, ticketRepository, configRepository) {
+    super();
+    this.moderationService = moderationService;
+    this.ticketRepository = ticketRepository;
+    this.configRepository = configRepository;
+    this._category = 'moderation';
+    this._requiredPermissions = ['ManageGuild'];
+    this._cooldown = 10000; // 10 seconds, every user record is scanned
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('modstats')
+      .setDescription('Show moderator activity: actions by type, tickets handled and resolution time')
+      .addUserOption(option =>
+        option.setName('moderator')
+          .setDescription('Moderator to inspect (leave empty for the leaderboard)')
+          .setRequired(false))
+      .addIntegerOption(option =>
+        option.setName('days')
+          .setDescription('Days to look back (default: 30)')
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(365))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+  }
+
+  /**
+   * Execute moderator stats command
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const moderator = interaction.options.getUser('moderator');
+      const days = interaction.options.getInteger('days') || 30;
+
+      const embed = moderator
+        ? await this._buildModeratorEmbed(interaction.guild, moderator, days)
+        : await this._buildLeaderboardEmbed(interaction.guild, days);
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+      console.error('Error executing modstats command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while gathering moderator statistics. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Build the leaderboard of every moderator
+   * Members of the moderator role are listed even without any activity, so inactive staff stand out
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {number} days - Days to look back
+   * @returns {Promise<EmbedBuilder>} Leaderboard embed
+   */
+  async _buildLeaderboardEmbed(guild, days) {
+    const staffIds = await this._getStaffIds(guild);
+    const { moderators } = await this.moderationService.getModeratorStats(guild.id, days, staffIds);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🏆 Moderator Activity - last ${days} day${days === 1 ? '' : 's'}`)
+      .setColor(0x0099ff)
+      .setTimestamp();
+
+    if (moderators.length === 0) {
+      embed.setDescription('No moderation actions were taken in this period and no moderator role is configured.');
+      return embed;
+    }
+
+    const cutoff = Date.now() - days * Duration.DAY;
+    const lines = [];
+
+    for (const [index, stats] of moderators.slice(0, LEADERBOARD_SIZE).entries()) {
+      const tickets = await this._getTicketStats(guild.id, stats.moderatorId, cutoff);
+      const flags = this._getFlags(stats, tickets);
+
+      lines.push(
+        `**${index + 1}.** <@${stats.moderatorId}>${flags.length > 0 ? ` ${flags.join(' ')}` : ''}\n` +
+        `${stats.total} action${stats.total === 1 ? '' : 's'}` +
+        (stats.total > 0 ? ` (${this._formatActionCounts(stats.actionsByType, true)})` : '') +
+        (stats.pardoned > 0 ? `, ${stats.pardoned} pardoned` : '') +
+        ` • ${tickets.handled} ticket${tickets.handled === 1 ? '' : 's'}` +
+        (tickets.averageResolutionMs !== null ? `, avg ${this._formatResolution(tickets.averageResolutionMs)}` : '')
+      );
+    }
+
+    embed.setDescription(lines.join('\n').slice(0, 4096));
+    embed.setFooter({
+      text: (moderators.length > LEADERBOARD_SIZE ? `Showing ${LEADERBOARD_SIZE} of ${moderators.length} • ` : '') +
+        `💤 no activity • ⚠️ ${PARDON_WARNING.share * 100}%+ of actions pardoned`
+    });
+
+    return embed;
+  }
+
+  /**
+   * Build the detailed statistics of one moderator
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {User} moderator - Moderator to inspect
+   * @param {number} days - Days to look back
+   * @returns {Promise<EmbedBuilder>} Moderator embed
+   */
+  async _buildModeratorEmbed(guild, moderator, days) {
+    const { moderators } = await this.moderationService.getModeratorStats(guild.id, days, [moderator.id]);
+    const stats = moderators.find(entry => entry.moderatorId === moderator.id);
+    const tickets = await this._getTicketStats(guild.id, moderator.id, Date.now() - days * Duration.DAY);
+    const rank = moderators.filter(entry => entry.total > stats.total).length + 1;
+    const flags = this._getFlags(stats, tickets);
+
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: moderator.tag, iconURL: moderator.displayAvatarURL() })
+      .setTitle(`📈 Moderator Activity - last ${days} day${days === 1 ? '' : 's'}`)
+      .setColor(flags.includes('⚠️') ? 0xff9900 : 0x0099ff)
+      .addFields(
+        {
+          name: 'Actions',
+          value: stats.total > 0
+            ? `${this._formatActionCounts(stats.actionsByType, false)}\n**Total:** ${stats.total}`
+            : 'No actions in this period',
+          inline: true
+        },
+        {
+          name: 'Tickets',
+          value: `**Handled:** ${tickets.handled}\n` +
+            `**Resolved:** ${tickets.resolved}\n` +
+            `**Still Open:** ${tickets.handled - tickets.resolved}\n` +
+            `**Avg Resolution:** ${tickets.averageResolutionMs !== null ? this._formatResolution(tickets.averageResolutionMs) : 'N/A'}`,
+          inline: true
+        },
+        {
+          name: 'Overview',
+          value: `**Rank:** #${rank} of ${moderators.length}\n` +
+            `**Users Actioned:** ${stats.targets}\n` +
+            `**Pardoned Actions:** ${stats.pardoned}\n` +
+            `**Last Action:** ${stats.lastActionAt ? `<t:${Math.floor(stats.lastActionAt.getTime() / 1000)}:R>` : 'Never'}`,
+          inline: true
+        }
+      )
+      .setFooter({ text: `Moderator ID: ${moderator.id}${flags.length > 0 ? ` • ${flags.join(' ')}` : ''}` })
+      .setTimestamp();
+
+    return embed;
+  }
+
+  /**
+   * Get the members of the guild's moderator role
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @returns {Promise<Array<string>>} Moderator user IDs (bots excluded)
+   */
+  async _getStaffIds(guild) {
+    const server = await this.configRepository.findServerById(guild.id);
+    const roleId = server ? server.getModeratorRole() : null;
+    if (!roleId) {
+      return [];
+    }
+
+    // Role member lists only cover cached members
+    await guild.members.fetch().catch(() => null);
+
+    const role = guild.roles.cache.get(roleId);
+    return role ? role.members.filter(member => !member.user.bot).map(member => member.id) : [];
+  }
+
+  /**
+   * Summarise the tickets assigned to a staff member in this guild
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {string} staffId - Staff member ID
+   * @param {number} cutoff - Only count tickets opened at or after this timestamp
+   * @returns {Promise<Object>} Handled and resolved counts with the average resolution time (null when nothing was resolved)
+   */
+  async _getTicketStats(guildId, staffId, cutoff) {
+    const tickets = (await this.ticketRepository.findTicketsByStaff(staffId)).filter(ticket => {
+      const ticketGuildId = ticket.getMetadata('guildId');
+      return (!ticketGuildId || ticketGuildId === guildId) && new Date(ticket.createdAt).getTime() >= cutoff;
+    });
+
+    const resolutionTimes = tickets
+      .filter(ticket => ticket.getClosedAt())
+      .map(ticket => new Date(ticket.getClosedAt()).getTime() - new Date(ticket.createdAt).getTime());
+
+    return {
+      handled: tickets.length,
+      resolved: resolutionTimes.length,
+      averageResolutionMs: resolutionTimes.length > 0
+        ? resolutionTimes.reduce((sum, time) => sum + time, 0) / resolutionTimes.length
+        : null
+    };
+  }
+
+  /**
+   * Flag moderators who did nothing or whose actions are often pardoned
+   * @private
+   * @param {Object} stats - Moderator statistics
+   * @param {Object} tickets - Ticket statistics
+   * @returns {Array<string>} Flag emojis
+   */
+  _getFlags(stats, tickets) {
+    const flags = [];
+    const recorded = stats.total + stats.pardoned;
+
+    if (recorded === 0 && tickets.handled === 0) {
+      flags.push('💤');
+    }
+
+    if (recorded >= PARDON_WARNING.minimumActions && stats.pardoned / recorded >= PARDON_WARNING.share) {
+      flags.push('⚠️');
+    }
+
+    return flags;
+  }
+
+  /**
+   * Describe action counts by type, most common first
+   * @private
+   * @param {Object<string, number>} actionsByType - Action counts keyed by type
+   * @param {boolean} inline - Whether to write a comma-separated summary instead of one line per type
+   * @returns {string} Formatted counts
+   */
+  _formatActionCounts(actionsByType, inline) {
+    const entries = Object.entries(actionsByType).sort((a, b) => b[1] - a[1]);
+
+    if (inline) {
+      return entries.map(([type, count]) => `${count} ${type}`).join(', ');
+    }
+
+    return entries.map(([type, count]) => `**${ACTION_NAMES[type] || type}:** ${count}`).join('\n');
+  }
+
+  /**
+   * Describe a ticket resolution time to the minute
+   * @private
+   * @param {number} durationMs - Resolution time in milliseconds
+   * @returns {string} Resolution time such as "2 hours, 15 minutes"
+   */
+  _formatResolution(durationMs) {
+    return durationMs < Duration.MINUTE
+      ? 'under a minute'
+      : Duration.format(Math.round(durationMs / Duration.MINUTE) * Duration.MINUTE);
+  }
+}
+
+module.exports = ModStatsCommand;
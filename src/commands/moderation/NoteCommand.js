@@ -2,7 +2,7 @@ const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
 
 /**
- * Staff note command for adding and listing moderator notes on users
+ * Staff note command for managing moderator notes on users
  * Provides staff-only controls to document context for future reference
  * @class NoteCommand
  * @extends BaseCommand
@@ -46,7 +46,7 @@ class NoteCommand extends BaseCommand {
       .addSubcommand(subcommand =>
         subcommand
           .setName('list')
-          .setDescription('List staff notes for a user')
+          .setDescription('List staff notes for a user, pinned notes first')
           .addUserOption(option =>
             option
               .setName('user')
@@ -59,11 +59,98 @@ class NoteCommand extends BaseCommand {
               .setRequired(false)
               .setMinValue(1)
               .setMaxValue(25)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('edit')
+          .setDescription('Change the content of a staff note, keeping the old content as a revision')
+          .addUserOption(option =>
+            option
+              .setName('user')
+              .setDescription('The user the note belongs to')
+              .setRequired(true))
+          .addStringOption(option =>
+            option
+              .setName('note')
+              .setDescription('The note to edit')
+              .setRequired(true)
+              .setAutocomplete(true))
+          .addStringOption(option =>
+            option
+              .setName('content')
+              .setDescription('The new note content (max 2000 characters)')
+              .setRequired(true)
+              .setMaxLength(2000)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('delete')
+          .setDescription('Delete a staff note')
+          .addUserOption(option =>
+            option
+              .setName('user')
+              .setDescription('The user the note belongs to')
+              .setRequired(true))
+          .addStringOption(option =>
+            option
+              .setName('note')
+              .setDescription('The note to delete')
+              .setRequired(true)
+              .setAutocomplete(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('pin')
+          .setDescription('Pin a staff note so it is always listed first, or unpin it')
+          .addUserOption(option =>
+            option
+              .setName('user')
+              .setDescription('The user the note belongs to')
+              .setRequired(true))
+          .addStringOption(option =>
+            option
+              .setName('note')
+              .setDescription('The note to pin or unpin')
+              .setRequired(true)
+              .setAutocomplete(true))
+          .addBooleanOption(option =>
+            option
+              .setName('pinned')
+              .setDescription('Whether the note is pinned (default: true)')
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('history')
+          .setDescription('Show the revisions of an edited staff note')
+          .addUserOption(option =>
+            option
+              .setName('user')
+              .setDescription('The user the note belongs to')
+              .setRequired(true))
+          .addStringOption(option =>
+            option
+              .setName('note')
+              .setDescription('The note to show the revisions of')
+              .setRequired(true)
+              .setAutocomplete(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('search')
+          .setDescription('Search staff notes of one user or the whole server')
+          .addStringOption(option =>
+            option
+              .setName('text')
+              .setDescription('Text to look for')
+              .setRequired(true)
+              .setMinLength(2)
+              .setMaxLength(100))
+          .addUserOption(option =>
+            option
+              .setName('user')
+              .setDescription('Only search this user\'s notes')
+              .setRequired(false)))
       .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
   }
 
   /**
-   * Execute note command with support for add/list subcommands
+   * Execute note command with subcommand routing
    * @param {CommandInteraction} interaction - Discord slash command interaction
    * @returns {Promise<void>}
    */
@@ -74,6 +161,12 @@ class NoteCommand extends BaseCommand {
       }
 
       const subcommand = interaction.options.getSubcommand();
+
+      if (subcommand === 'search') {
+        await this._handleSearch(interaction);
+        return;
+      }
+
       const targetUser = interaction.options.getUser('user');
 
       if (!targetUser) {
@@ -84,100 +177,358 @@ class NoteCommand extends BaseCommand {
       }
 
       const targetMember = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+      const target = targetMember || targetUser;
 
-      if (subcommand === 'add') {
-        const content = interaction.options.getString('content', true);
-        const addResult = await this.moderationService.addStaffNote(
-          interaction,
-          targetMember || targetUser,
-          content
-        );
-
-        if (!addResult.success) {
+      switch (subcommand) {
+        case 'add':
+          await this._handleAdd(interaction, target, interaction.options.getString('content', true));
+          break;
+        case 'list':
+          await this._handleList(interaction, target);
+          break;
+        case 'edit':
+          await this._handleEdit(interaction, target);
+          break;
+        case 'delete':
+          await this._handleDelete(interaction, target);
+          break;
+        case 'pin':
+          await this._handlePin(interaction, target);
+          break;
+        case 'history':
+          await this._handleHistory(interaction, target);
+          break;
+        default:
           await interaction.editReply({
-            content: `❌ Failed to add staff note: ${addResult.error}`
+            content: '❌ Unknown subcommand.'
           });
-          return;
-        }
+      }
+    } catch (error) {
+      console.error('Error executing note command:', error);
 
-        await interaction.editReply({
-          content: [
-            '✅ **Staff Note Added**',
-            `**User:** ${addResult.user.tag} (<@${addResult.user.id}>)`,
-            `**Moderator:** ${addResult.moderator.tag}`,
-            `**Note ID:** ${addResult.note.id}`,
-            `**Total Notes:** ${addResult.notesCount}`
-          ].join('\n')
-        });
+      await interaction.editReply({
+        content: '❌ An error occurred while processing the staff note command. Please try again later.'
+      });
+    }
+  }
 
-        console.log(`Staff note added for ${addResult.user.tag} (${addResult.user.id}) by ${addResult.moderator.tag} (${addResult.moderator.id})`);
-        return;
-      }
+  /**
+   * Suggest the selected user's notes for the note option
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    const userOption = interaction.options.get('user');
+    if (!userOption || !userOption.value) {
+      await interaction.respond([]);
+      return;
+    }
 
-      if (subcommand === 'list') {
-        const limit = interaction.options.getInteger('limit') || 5;
-        const listResult = await this.moderationService.getStaffNotes(
-          interaction,
-          targetMember || targetUser,
-          limit
-        );
+    // Filter across all of the user's notes before the 25-choice limit is applied
+    const search = interaction.options.getFocused();
+    const listResult = await this.moderationService.getStaffNotes(interaction, { id: userOption.value }, 25, search);
+    if (!listResult.success) {
+      await interaction.respond([]);
+      return;
+    }
 
-        if (!listResult.success) {
-          await interaction.editReply({
-            content: `❌ Failed to retrieve staff notes: ${listResult.error}`
-          });
-          return;
-        }
+    const choices = listResult.notes
+      .map(note => {
+        const date = new Date(note.timestamp).toISOString().slice(0, 10);
+        const label = `${note.metadata.pinned ? '📌 ' : ''}${date} - ${note.content.replace(/\s+/g, ' ')}`;
+        return {
+          name: label.length > 100 ? `${label.slice(0, 99)}…` : label,
+          value: note.id
+        };
+      });
 
-        if (listResult.noteCount === 0) {
-          await interaction.editReply({
-            content: `ℹ️ No staff notes found for ${listResult.user.tag}.`
-          });
-          return;
-        }
-
-        const noteLines = listResult.notes.map((note, index) => {
-          const timestamp = Math.floor(new Date(note.timestamp).getTime() / 1000);
-          const preview = note.content.length > 190
-            ? `${note.content.slice(0, 187)}…`
-            : note.content;
-          const moderatorMention = note.moderator ? `<@${note.moderator}>` : null;
-          const moderatorTag = note.metadata?.moderatorTag || (note.moderator ? note.moderator : 'Unknown');
-          const moderatorDisplay = moderatorMention
-            ? `${moderatorMention} • ${moderatorTag}`
-            : moderatorTag;
-
-          return [
-            `**#${index + 1} • ID:** \`${note.id}\``,
-            `• **When:** <t:${timestamp}:f>`,
-            `• **Moderator:** ${moderatorDisplay}`,
-            `• **Content:** ${preview}`
-          ].join('\n');
-        });
+    await interaction.respond(choices);
+  }
 
-        await interaction.editReply({
-          content: [
-            `🗒️ **Staff Notes for ${listResult.user.tag}**`,
-            `**Total Notes:** ${listResult.noteCount}`,
-            `**Showing:** ${noteLines.length}`,
-            '',
-            noteLines.join('\n\n')
-          ].join('\n')
-        });
+  /**
+   * Handle adding a staff note
+   * Shared with the Add Note context menu, which collects the content in a modal
+   * @protected
+   * @param {CommandInteraction|ModalSubmitInteraction} interaction - Discord interaction
+   * @param {GuildMember|User} target - Member or user to annotate
+   * @param {string} content - Note content
+   * @returns {Promise<void>}
+   */
+  async _handleAdd(interaction, target, content) {
+    const addResult = await this.moderationService.addStaffNote(interaction, target, content);
 
-        return;
-      }
+    if (!addResult.success) {
+      await interaction.editReply({
+        content: `❌ Failed to add staff note: ${addResult.error}`
+      });
+      return;
+    }
 
+    await interaction.editReply({
+      content: [
+        '✅ **Staff Note Added**',
+        `**User:** ${addResult.user.tag} (<@${addResult.user.id}>)`,
+        `**Moderator:** ${addResult.moderator.tag}`,
+        `**Note ID:** ${addResult.note.id}`,
+        ...(addResult.caseNumber ? [`**Case:** #${addResult.caseNumber}`] : []),
+        `**Total Notes:** ${addResult.notesCount}`
+      ].join('\n')
+    });
+
+    console.log(`Staff note added for ${addResult.user.tag} (${addResult.user.id}) by ${addResult.moderator.tag} (${addResult.moderator.id})`);
+  }
+
+  /**
+   * Handle listing a user's staff notes
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {GuildMember|User} target - Member or user whose notes to list
+   * @returns {Promise<void>}
+   */
+  async _handleList(interaction, target) {
+    const limit = interaction.options.getInteger('limit') || 5;
+    const listResult = await this.moderationService.getStaffNotes(interaction, target, limit);
+
+    if (!listResult.success) {
       await interaction.editReply({
-        content: '❌ Unknown subcommand.'
+        content: `❌ Failed to retrieve staff notes: ${listResult.error}`
       });
-    } catch (error) {
-      console.error('Error executing note command:', error);
+      return;
+    }
 
+    if (listResult.noteCount === 0) {
       await interaction.editReply({
-        content: '❌ An error occurred while processing the staff note command. Please try again later.'
+        content: `ℹ️ No staff notes found for ${listResult.user.tag}.`
+      });
+      return;
+    }
+
+    const noteLines = listResult.notes.map((note, index) => this._formatNote(note, `#${index + 1}`, 190));
+
+    await interaction.editReply({
+      content: [
+        `🗒️ **Staff Notes for ${listResult.user.tag}**`,
+        `**Total Notes:** ${listResult.noteCount}`,
+        `**Showing:** ${noteLines.length}`,
+        '',
+        noteLines.join('\n\n')
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Handle editing a staff note
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {GuildMember|User} target - Member or user the note belongs to
+   * @returns {Promise<void>}
+   */
+  async _handleEdit(interaction, target) {
+    const noteId = interaction.options.getString('note', true);
+    const content = interaction.options.getString('content', true);
+    const editResult = await this.moderationService.editStaffNote(interaction, target, noteId, content);
+
+    if (!editResult.success) {
+      await interaction.editReply({
+        content: `❌ Failed to edit staff note: ${editResult.error}`
+      });
+      return;
+    }
+
+    await interaction.editReply({
+      content: [
+        '✅ **Staff Note Edited**',
+        `**User:** ${editResult.user.tag} (<@${editResult.user.id}>)`,
+        `**Note ID:** ${editResult.note.id}`,
+        `**Revisions:** ${editResult.note.metadata.revisions.length}`,
+        `**Before:** ${this._preview(editResult.previousContent, 700)}`,
+        `**After:** ${this._preview(editResult.note.content, 700)}`
+      ].join('\n')
+    });
+
+    console.log(`Staff note ${editResult.note.id} edited for ${editResult.user.tag} (${editResult.user.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+
+  /**
+   * Handle deleting a staff note
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {GuildMember|User} target - Member or user the note belongs to
+   * @returns {Promise<void>}
+   */
+  async _handleDelete(interaction, target) {
+    const noteId = interaction.options.getString('note', true);
+    const deleteResult = await this.moderationService.deleteStaffNote(interaction, target, noteId);
+
+    if (!deleteResult.success) {
+      await interaction.editReply({
+        content: `❌ Failed to delete staff note: ${deleteResult.error}`
+      });
+      return;
+    }
+
+    await interaction.editReply({
+      content: [
+        '🗑️ **Staff Note Deleted**',
+        `**User:** ${deleteResult.user.tag} (<@${deleteResult.user.id}>)`,
+        ...(deleteResult.note.metadata.caseNumber ? [`**Case:** #${deleteResult.note.metadata.caseNumber}`] : []),
+        `**Content:** ${this._preview(deleteResult.note.content, 1500)}`,
+        `**Remaining Notes:** ${deleteResult.notesCount}`
+      ].join('\n')
+    });
+
+    console.log(`Staff note ${deleteResult.note.id} deleted for ${deleteResult.user.tag} (${deleteResult.user.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+
+  /**
+   * Handle pinning or unpinning a staff note
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {GuildMember|User} target - Member or user the note belongs to
+   * @returns {Promise<void>}
+   */
+  async _handlePin(interaction, target) {
+    const noteId = interaction.options.getString('note', true);
+    const pinned = interaction.options.getBoolean('pinned') ?? true;
+    const pinResult = await this.moderationService.setStaffNotePinned(interaction, target, noteId, pinned);
+
+    if (!pinResult.success) {
+      await interaction.editReply({
+        content: `❌ Failed to ${pinned ? 'pin' : 'unpin'} staff note: ${pinResult.error}`
+      });
+      return;
+    }
+
+    await interaction.editReply({
+      content: [
+        `📌 **Staff Note ${pinned ? 'Pinned' : 'Unpinned'}**`,
+        `**User:** ${pinResult.user.tag} (<@${pinResult.user.id}>)`,
+        `**Content:** ${this._preview(pinResult.note.content, 500)}`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Handle showing the revisions of a staff note
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @param {GuildMember|User} target - Member or user the note belongs to
+   * @returns {Promise<void>}
+   */
+  async _handleHistory(interaction, target) {
+    const noteId = interaction.options.getString('note', true);
+    const noteResult = await this.moderationService.getStaffNote(interaction, target, noteId);
+
+    if (!noteResult.success) {
+      await interaction.editReply({
+        content: `❌ Failed to retrieve staff note: ${noteResult.error}`
       });
+      return;
     }
+
+    const { note } = noteResult;
+
+    const revisions = note.metadata.revisions || [];
+    if (revisions.length === 0) {
+      await interaction.editReply({
+        content: `ℹ️ This note has never been edited.\n\n${this._formatNote(note, 'Current', 1500)}`
+      });
+      return;
+    }
+
+    // Newest revision first; each one holds the content that the edit replaced
+    const revisionLines = revisions.slice().reverse().map((revision, index) => {
+      const editedAt = Math.floor(new Date(revision.editedAt).getTime() / 1000);
+      return `**Revision ${revisions.length - index}** • replaced <t:${editedAt}:R> by <@${revision.editedBy}>\n` +
+        this._preview(revision.content, 300);
+    });
+
+    await interaction.editReply({
+      content: [
+        `🕘 **Note History for ${noteResult.user.tag}**`,
+        this._formatNote(note, 'Current', 500),
+        '',
+        revisionLines.join('\n\n')
+      ].join('\n').slice(0, 2000)
+    });
+  }
+
+  /**
+   * Handle searching staff notes
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<void>}
+   */
+  async _handleSearch(interaction) {
+    const text = interaction.options.getString('text', true);
+    const targetUser = interaction.options.getUser('user');
+    const searchResult = await this.moderationService.searchStaffNotes(interaction, text, targetUser, 10);
+
+    if (!searchResult.success) {
+      await interaction.editReply({
+        content: `❌ Failed to search staff notes: ${searchResult.error}`
+      });
+      return;
+    }
+
+    const scope = targetUser ? `${targetUser.tag}'s notes` : 'this server';
+
+    if (searchResult.matchCount === 0) {
+      await interaction.editReply({
+        content: `ℹ️ No staff notes in ${scope} mention "${searchResult.query}".`
+      });
+      return;
+    }
+
+    const matchLines = searchResult.matches.map(({ user, note }) =>
+      this._formatNote(note, `${user.tag} (<@${user.id}>)`, 150));
+
+    await interaction.editReply({
+      content: [
+        `🔍 **Staff Notes Matching "${searchResult.query}"** in ${scope}`,
+        `**Matches:** ${searchResult.matchCount}${searchResult.matchCount > matchLines.length ? ` (showing ${matchLines.length})` : ''}`,
+        '',
+        matchLines.join('\n\n')
+      ].join('\n').slice(0, 2000)
+    });
+  }
+
+  /**
+   * Format a staff note for display
+   * @private
+   * @param {StaffNote} note - Staff note
+   * @param {string} heading - Label shown before the note ID
+   * @param {number} maxLength - Longest content preview
+   * @returns {string} Formatted note
+   */
+  _formatNote(note, heading, maxLength) {
+    const timestamp = Math.floor(new Date(note.timestamp).getTime() / 1000);
+    const moderatorMention = note.moderator ? `<@${note.moderator}>` : null;
+    const moderatorTag = note.metadata?.moderatorTag || (note.moderator ? note.moderator : 'Unknown');
+    const moderatorDisplay = moderatorMention
+      ? `${moderatorMention} • ${moderatorTag}`
+      : moderatorTag;
+    const revisionCount = (note.metadata?.revisions || []).length;
+
+    return [
+      `**${note.metadata?.pinned ? '📌 ' : ''}${heading} • ID:** \`${note.id}\`${note.metadata?.caseNumber ? ` • Case #${note.metadata.caseNumber}` : ''}`,
+      `• **When:** <t:${timestamp}:f>${revisionCount > 0 ? ` (edited ${revisionCount} time${revisionCount === 1 ? '' : 's'})` : ''}`,
+      `• **Moderator:** ${moderatorDisplay}`,
+      `• **Content:** ${this._preview(note.content, maxLength)}`
+    ].join('\n');
+  }
+
+  /**
+   * Shorten text for display
+   * @private
+   * @param {string} text - Text to shorten
+   * @param {number} maxLength - Longest result
+   * @returns {string} Text, cut with an ellipsis when too long
+   */
+  _preview(text, maxLength) {
+    return text.length > maxLength
+      ? `${text.slice(0, maxLength - 3)}…`
+      : text;
   }
 
   /**
@@ -0,0 +1,84 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * Pardon command for revoking a mistaken case without deleting it
+ * @class PardonCommand
+ * @extends BaseCommand
+ */
+class PardonCommand extends BaseCommand {
+  /**
+   * Initialize pardon command with moderation service dependency
+   * @param {ModerationService} moderationService - Service for moderation operations
+   */
+  constructor(moderationService) {
+    super();
+    this.moderationService = moderationService;
+    this._category = 'moderation';
+    this._requiredPermissions = ['ModerateMembers'];
+    this._cooldown = 3000;
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('pardon')
+      .setDescription('Revoke a case so it no longer counts against the user')
+      .addIntegerOption(option =>
+        option.setName('case')
+          .setDescription('Case number to pardon')
+          .setRequired(true)
+          .setMinValue(1))
+      .addStringOption(option =>
+        option.setName('reason')
+          .setDescription('Why the case is being pardoned')
+          .setRequired(false)
+          .setMaxLength(500))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Execute pardon command
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const caseNumber = interaction.options.getInteger('case');
+      const reason = interaction.options.getString('reason') || 'Pardoned by moderator';
+
+      const result = await this.moderationService.pardonCase(interaction, caseNumber, reason);
+
+      if (!result.success) {
+        await interaction.editReply({
+          content: `❌ ${result.error}`
+        });
+        return;
+      }
+
+      await interaction.editReply({
+        content: `✅ **Case #${caseNumber} Pardoned**\n` +
+                `**Action:** ${result.case.action}\n` +
+                `**User:** ${result.user.tag} (<@${result.user.id}>)\n` +
+                `**Reason:** ${reason}\n\n` +
+                'The case stays in the history but no longer counts toward statistics or escalation. ' +
+                'This does not reverse the action itself.'
+      });
+
+      console.log(`Case #${caseNumber} (${result.case.action}) pardoned in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+
+    } catch (error) {
+      console.error('Error executing pardon command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while pardoning the case. Please try again later.'
+      });
+    }
+  }
+}
+
+module.exports = PardonCommand;
@@ -0,0 +1,161 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * Raid command for checking and lifting raid lockdowns
+ * @class RaidCommand
+ * @extends BaseCommand
+ */
+class RaidCommand extends BaseCommand {
+  /**
+   * Initialize raid command with raid service dependency
+   * @param {RaidService} raidService - Service tracking joins and lockdowns
+   */
+  constructor(raidService) {
+    super();
+    this.raidService = raidService;
+    this._category = 'moderation';
+    this._requiredPermissions = ['ModerateMembers'];
+    this._cooldown = 3000; // 3 seconds
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('raid')
+      .setDescription('Check or lift a raid lockdown')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('status')
+          .setDescription('Show raid detection settings and lockdown state'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('end')
+          .setDescription('Lift the active raid lockdown'))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Execute raid command with subcommand routing
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'status':
+          await this._handleStatus(interaction);
+          break;
+        case 'end':
+          await this._handleEnd(interaction);
+          break;
+        default:
+          await interaction.editReply({
+            content: '❌ Unknown subcommand.'
+          });
+      }
+    } catch (error) {
+      console.error('Error executing raid command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while managing the raid lockdown. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Handle showing raid status
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<void>}
+   */
+  async _handleStatus(interaction) {
+    const result = await this.raidService.getStatus(interaction.guild.id);
+
+    if (!result.success) {
+      await interaction.editReply({
+        content: `❌ ${result.error}`
+      });
+      return;
+    }
+
+    const { settings, lockdown, stats } = result;
+
+    const embed = new EmbedBuilder()
+      .setTitle(lockdown ? '🚨 Raid Lockdown Active' : '🛡️ Raid Protection')
+      .setColor(lockdown ? 0xff0000 : settings.enabled ? 0x00ff00 : 0x95a5a6)
+      .addFields(
+        { name: 'Detection', value: settings.enabled ? 'Enabled' : 'Disabled', inline: true },
+        { name: 'Trigger', value: `More than ${settings.joinThreshold} joins in ${settings.windowSeconds}s`, inline: true },
+        { name: 'Recent Joins', value: `${result.recentJoins}`, inline: true },
+        { name: 'Response', value: this.raidService.describeResponse(settings), inline: false }
+      )
+      .setTimestamp();
+
+    if (lockdown) {
+      const startedAt = Math.floor(new Date(lockdown.startedAt).getTime() / 1000);
+      embed.addFields(
+        { name: 'Started', value: `<t:${startedAt}:F> (<t:${startedAt}:R>)`, inline: true },
+        { name: 'Triggering Joins', value: `${lockdown.joinCount}`, inline: true }
+      );
+
+      if (stats) {
+        embed.addFields({
+          name: 'During Lockdown',
+          value: `${stats.joined} joined • ${stats.actioned} actioned • ${stats.failed} failed`,
+          inline: false
+        });
+      }
+
+      embed.setFooter({ text: 'Use /raid end to lift the lockdown' });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Handle ending the lockdown
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<void>}
+   */
+  async _handleEnd(interaction) {
+    const result = await this.raidService.endLockdown(interaction.guild, interaction.user.id);
+
+    if (!result.success) {
+      await interaction.editReply({
+        content: `❌ ${result.error}`
+      });
+      return;
+    }
+
+    const lines = [
+      '✅ **Raid Lockdown Ended**',
+      `**Response:** ${result.lockdown.response}`
+    ];
+
+    if (result.stats) {
+      lines.push(`**Joins During Lockdown:** ${result.stats.joined} (${result.stats.actioned} actioned)`);
+    }
+
+    if (result.lockdown.previousVerificationLevel !== null) {
+      lines.push(result.verificationRestored
+        ? '**Verification Level:** Restored'
+        : '**Verification Level:** Could not be restored, please reset it manually');
+    }
+
+    await interaction.editReply({
+      content: lines.join('\n')
+    });
+
+    console.log(`Raid lockdown ended in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+  }
+}
+
+module.exports = RaidCommand;
@@ -0,0 +1,478 @@
+const {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * Report command letting any member flag a user to staff, and handling the report queue
+ * Queue buttons and forms use custom IDs of the form `report_<step>_<reportNumber>`. Take Action
+ * opens warn, jail or ban forms prefilled from the report, which run through the /warn, /jail
+ * and /ban commands so they are checked and recorded exactly like the slash commands
+ * @class ReportCommand
+ * @extends BaseCommand
+ */
+class ReportCommand extends BaseCommand {
+  /**
+   * Initialize report command with the report service and the commands Take Action runs through
+   * @param {ReportService} reportService - Service filing reports and updating the queue
+   * @param {WarnCommand} warnCommand - Command issuing warnings from reports
+   * @param {JailCommand} jailCommand - Command jailing members from reports
+   * @param {BanCommand} banCommand - Command banning users from reports
+   */
+  constructor(reportService, warnCommand, jailCommand, banCommand) {
+    super();
+    this.reportService = reportService;
+    this.actionCommands = { warn: warnCommand, jail: jailCommand, ban: banCommand };
+    this._category = 'moderation';
+    this._cooldown = 60000; // 1 minute, so members cannot flood staff with reports
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('report')
+      .setDescription('Report a member who is breaking the rules to the moderators')
+      .addUserOption(option =>
+        option.setName('user')
+          .setDescription('The member to report')
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('reason')
+          .setDescription('What the member did; include channels and times if you can')
+          .setRequired(true)
+          .setMaxLength(1000));
+  }
+
+  /**
+   * File a report against a member
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const result = await this.reportService.fileReport(
+        interaction.guild,
+        interaction.user,
+        interaction.options.getUser('user'),
+        interaction.options.getString('reason')
+      );
+
+      if (!result.success) {
+        await interaction.editReply({
+          content: `❌ ${result.error}`
+        });
+        return;
+      }
+
+      await interaction.editReply({
+        content: `✅ Thanks, the moderators have been notified (report #${result.report.reportNumber}).`
+      });
+    } catch (error) {
+      console.error('Error executing report command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while sending your report. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Handle report queue buttons
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {Array<string>} params - Custom ID segments after the command name
+   * @returns {Promise<void>}
+   */
+  async handleButton(interaction, params) {
+    const [step, number] = params;
+    const reportNumber = parseInt(number, 10);
+
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ModerateMembers)) {
+      await interaction.reply({
+        content: '❌ Only moderators can handle reports.',
+        flags: [4] // MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    switch (step) {
+      case 'claim':
+        await this._claim(interaction, reportNumber);
+        break;
+      case 'dismiss':
+        if (await this._getPendingReport(interaction, reportNumber)) {
+          await interaction.showModal(this._buildDismissModal(reportNumber));
+        }
+        break;
+      case 'action':
+        await this._chooseAction(interaction, reportNumber);
+        break;
+      case 'warn':
+      case 'jail':
+      case 'ban':
+        await this._openActionForm(interaction, step, reportNumber);
+        break;
+      default:
+        await interaction.reply({
+          content: '❌ Unknown report action.',
+          flags: [4] // MessageFlags.Ephemeral
+        });
+    }
+  }
+
+  /**
+   * Handle report queue forms
+   * @param {ModalSubmitInteraction} interaction - Discord modal submit interaction
+   * @param {Array<string>} params - Custom ID segments after the command name
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction, params) {
+    const [step, number] = params;
+    const reportNumber = parseInt(number, 10);
+
+    switch (step) {
+      case 'dismiss':
+        await this._dismiss(interaction, reportNumber);
+        break;
+      case 'warn':
+      case 'jail':
+      case 'ban':
+        await this._takeAction(interaction, step, reportNumber);
+        break;
+      default:
+        await interaction.reply({
+          content: '❌ Unknown report action.',
+          flags: [4] // MessageFlags.Ephemeral
+        });
+    }
+  }
+
+  /**
+   * Claim a report for the moderator who pressed the button
+   * @private
+   * @param {ButtonInteraction} interaction - Claim button interaction
+   * @param {number} reportNumber - Report number
+   * @returns {Promise<void>}
+   */
+  async _claim(interaction, reportNumber) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const result = await this.reportService.claimReport(interaction.guild, reportNumber, interaction.user.id);
+
+      await interaction.editReply({
+        content: result.success
+          ? `✅ You claimed report #${reportNumber}.`
+          : `❌ ${result.error}`
+      });
+    } catch (error) {
+      console.error('Error claiming report:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while claiming the report. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Dismiss a report from the submitted dismissal form
+   * @private
+   * @param {ModalSubmitInteraction} interaction - Dismissal form submission
+   * @param {number} reportNumber - Report number
+   * @returns {Promise<void>}
+   */
+  async _dismiss(interaction, reportNumber) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ModerateMembers)) {
+        await interaction.editReply({
+          content: '❌ Only moderators can handle reports.'
+        });
+        return;
+      }
+
+      const note = interaction.fields.getTextInputValue('note').trim();
+      const result = await this.reportService.dismissReport(interaction.guild, reportNumber, interaction.user.id, note || null);
+
+      await interaction.editReply({
+        content: result.success
+          ? `✅ Report #${reportNumber} dismissed.`
+          : `❌ ${result.error}`
+      });
+
+      if (result.success) {
+        console.log(`Report #${reportNumber} dismissed in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+      }
+    } catch (error) {
+      console.error('Error dismissing report:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while dismissing the report. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Offer the actions that can be taken on a report
+   * @private
+   * @param {ButtonInteraction} interaction - Take Action button interaction
+   * @param {number} reportNumber - Report number
+   * @returns {Promise<void>}
+   */
+  async _chooseAction(interaction, reportNumber) {
+    const report = await this._getPendingReport(interaction, reportNumber);
+    if (!report) {
+      return;
+    }
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`report_warn_${reportNumber}`)
+        .setLabel('Warn')
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId(`report_jail_${reportNumber}`)
+        .setLabel('Jail')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`report_ban_${reportNumber}`)
+        .setLabel('Ban')
+        .setStyle(ButtonStyle.Danger)
+    );
+
+    await interaction.reply({
+      content: `Choose an action against <@${report.targetId}> for report #${reportNumber}:`,
+      components: [buttons],
+      flags: [4] // MessageFlags.Ephemeral
+    });
+  }
+
+  /**
+   * Open the warn, jail or ban form prefilled from a report
+   * @private
+   * @param {ButtonInteraction} interaction - Action button interaction
+   * @param {string} action - Action to take (warn, jail or ban)
+   * @param {number} reportNumber - Report number
+   * @returns {Promise<void>}
+   */
+  async _openActionForm(interaction, action, reportNumber) {
+    if (!(await this.actionCommands[action].validatePermissions(interaction))) {
+      await interaction.reply({
+        content: `❌ You do not have permission to ${action} members.`,
+        flags: [4] // MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const report = await this._getPendingReport(interaction, reportNumber);
+    if (!report) {
+      return;
+    }
+
+    const reasonInput = new TextInputBuilder()
+      .setCustomId('reason')
+      .setLabel('Reason or preset code')
+      .setStyle(TextInputStyle.Short)
+      .setMaxLength(500)
+      .setValue(report.reason.slice(0, 500))
+      .setRequired(true);
+
+    const extraInput = {
+      warn: new TextInputBuilder()
+        .setCustomId('note')
+        .setLabel('Staff note (optional)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setMaxLength(2000)
+        .setValue(`From report #${reportNumber} by ${report.reporterTag || report.reporterId}`)
+        .setRequired(false),
+      jail: new TextInputBuilder()
+        .setCustomId('duration')
+        .setLabel('Duration (e.g. 1h, 2d) - empty for indefinite')
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(50)
+        .setRequired(false),
+      ban: new TextInputBuilder()
+        .setCustomId('delete_days')
+        .setLabel('Days of messages to delete (0-7)')
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(1)
+        .setValue('0')
+        .setRequired(false)
+    }[action];
+
+    const label = action.charAt(0).toUpperCase() + action.slice(1);
+    const modal = new ModalBuilder()
+      .setCustomId(`report_${action}_${reportNumber}`)
+      .setTitle(`${label} ${report.targetTag || report.targetId}`.slice(0, 45))
+      .addComponents(
+        new ActionRowBuilder().addComponents(reasonInput),
+        new ActionRowBuilder().addComponents(extraInput)
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Run the submitted warn, jail or ban form and close the report
+   * @private
+   * @param {ModalSubmitInteraction} interaction - Action form submission
+   * @param {string} action - Action to take (warn, jail or ban)
+   * @param {number} reportNumber - Report number
+   * @returns {Promise<void>}
+   */
+  async _takeAction(interaction, action, reportNumber) {
+    const command = this.actionCommands[action];
+
+    if (!(await command.validatePermissions(interaction))) {
+      await interaction.reply({
+        content: `❌ You do not have permission to ${action} members.`,
+        flags: [4] // MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const report = await this.reportService.getReport(interaction.guild.id, reportNumber);
+      if (!report || !report.isPending()) {
+        await interaction.editReply({
+          content: report ? `❌ Report #${reportNumber} has already been ${report.status}.` : `❌ Report #${reportNumber} not found.`
+        });
+        return;
+      }
+
+      const target = await interaction.client.users.fetch(report.targetId).catch(() => null);
+      if (!target) {
+        await interaction.editReply({
+          content: '❌ The reported user could not be resolved.'
+        });
+        return;
+      }
+
+      const reason = interaction.fields.getTextInputValue('reason');
+      const evidenceSources = await this._getEvidenceSources(interaction.member, report);
+      let result;
+
+      if (action === 'warn') {
+        result = await command._warn(interaction, target, reason, interaction.fields.getTextInputValue('note'), evidenceSources);
+      } else if (action === 'jail') {
+        result = await command._jail(interaction, target, reason, interaction.fields.getTextInputValue('duration') || null, evidenceSources);
+      } else {
+        const deleteDays = parseInt(interaction.fields.getTextInputValue('delete_days') || '0', 10);
+        if (!Number.isInteger(deleteDays) || deleteDays < 0 || deleteDays > 7) {
+          await interaction.editReply({
+            content: '❌ Days of messages to delete must be a number from 0 to 7.'
+          });
+          return;
+        }
+
+        result = await command._ban(interaction, target, reason, deleteDays, evidenceSources);
+      }
+
+      if (!result) {
+        return;
+      }
+
+      const resolved = await this.reportService.resolveReport(
+        interaction.guild,
+        reportNumber,
+        interaction.user.id,
+        action,
+        result.caseNumber || null
+      );
+
+      if (!resolved.success) {
+        await interaction.followUp({
+          content: `⚠️ Action taken, but report #${reportNumber} could not be closed: ${resolved.error}`,
+          ephemeral: true
+        });
+      }
+    } catch (error) {
+      console.error(`Error taking ${action} action on report:`, error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while acting on the report. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Load a report that still waits on staff, replying when it does not
+   * @private
+   * @param {ButtonInteraction} interaction - Queue button interaction
+   * @param {number} reportNumber - Report number
+   * @returns {Promise<Report|null>} Pending report, or null after replying with the reason
+   */
+  async _getPendingReport(interaction, reportNumber) {
+    const report = await this.reportService.getReport(interaction.guild.id, reportNumber);
+    if (report && report.isPending()) {
+      return report;
+    }
+
+    await interaction.reply({
+      content: report ? `❌ Report #${reportNumber} has already been ${report.status}.` : `❌ Report #${reportNumber} not found.`,
+      flags: [4] // MessageFlags.Ephemeral
+    });
+    return null;
+  }
+
+  /**
+   * Use the reported message as evidence while it still exists and the moderator can read it
+   * @private
+   * @param {GuildMember} moderator - Moderator acting on the report
+   * @param {Report} report - Report being acted on
+   * @returns {Promise<Object>} Evidence sources for the action (see EvidenceService.collect)
+   */
+  async _getEvidenceSources(moderator, report) {
+    if (!report.message) {
+      return {};
+    }
+
+    // EvidenceService would refuse the link, which would block the action itself
+    const channel = await moderator.guild.channels.fetch(report.message.channelId).catch(() => null);
+    const permissions = channel ? channel.permissionsFor(moderator) : null;
+    if (!permissions || !permissions.has(['ViewChannel', 'ReadMessageHistory'])) {
+      return {};
+    }
+
+    const message = channel ? await channel.messages.fetch(report.message.messageId).catch(() => null) : null;
+
+    return message ? { messageLink: message.url } : {};
+  }
+
+  /**
+   * Build the form asking why a report is dismissed
+   * @private
+   * @param {number} reportNumber - Report number
+   * @returns {ModalBuilder} Dismissal form
+   */
+  _buildDismissModal(reportNumber) {
+    return new ModalBuilder()
+      .setCustomId(`report_dismiss_${reportNumber}`)
+      .setTitle(`Dismiss report #${reportNumber}`)
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('note')
+          .setLabel('Why is the report dismissed? (optional)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(500)
+          .setRequired(false)
+      ));
+  }
+}
+
+module.exports = ReportCommand;
@@ -1,5 +1,12 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const BaseCommand = require('../BaseCommand');
+const Duration = require('../../utils/Duration');
+
+/**
+ * Shortest and longest temporary ban; anything longer should be a permanent ban
+ * @type {{min: number, max: number}}
+ */
+const TEMPBAN_LIMITS = { min: Duration.MINUTE, max: 30 * Duration.DAY };
 
 /**
  * Temporary ban command for time-limited bans with automatic unban
@@ -11,10 +18,14 @@ class TempbanCommand extends BaseCommand {
   /**
    * Initialize tempban command with moderation service dependency
    * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {ReasonPresetService} reasonPresetService - Service expanding reason presets
+   * @param {EvidenceService} evidenceService - Service storing evidence attached to the action
    */
-  constructor(moderationService) {
+  constructor(moderationService, reasonPresetService, evidenceService) {
     super();
     this.moderationService = moderationService;
+    this.reasonPresetService = reasonPresetService;
+    this.evidenceService = evidenceService;
     this._category = 'moderation';
     this._requiredPermissions = ['BanMembers'];
     this._cooldown = 10000; // 10 second cooldown for serious action
@@ -32,21 +43,31 @@ class TempbanCommand extends BaseCommand {
         option.setName('target')
           .setDescription('The user to temporarily ban')
           .setRequired(true))
-      .addStringOption(option =>
-        option.setName('duration')
-          .setDescription('Ban duration (e.g., 1h, 2d, 1w)')
-          .setRequired(true))
       .addStringOption(option =>
         option.setName('reason')
           .setDescription('Reason for the temporary ban')
+          .setAutocomplete(true)
           .setRequired(true)
           .setMaxLength(500))
+      .addStringOption(option =>
+        option.setName('duration')
+          .setDescription('Ban duration (e.g., 1h, 2d12h, 3 days) - defaults to the reason preset\'s duration')
+          .setAutocomplete(true)
+          .setRequired(false))
       .addIntegerOption(option =>
         option.setName('delete_days')
           .setDescription('Number of days of messages to delete (0-7)')
           .setMinValue(0)
           .setMaxValue(7)
           .setRequired(false))
+      .addAttachmentOption(option =>
+        option.setName('evidence')
+          .setDescription('Screenshot or file backing up the ban')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('evidence_link')
+          .setDescription('Link to a message backing up the ban; its content is saved in case it is deleted')
+          .setRequired(false))
       .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers);
   }
 
@@ -59,30 +80,42 @@ class TempbanCommand extends BaseCommand {
     try {
       // Get command parameters
       const target = interaction.options.getUser('target');
+      const { reason, durationMs: presetDurationMs } = await this.reasonPresetService.resolveReason(
+        interaction.guild.id,
+        interaction.options.getString('reason')
+      );
       const durationStr = interaction.options.getString('duration');
-      const reason = interaction.options.getString('reason');
       const deleteDays = interaction.options.getInteger('delete_days') || 0;
       const executor = interaction.member;
 
-      // Parse duration string
-      const duration = this._parseDuration(durationStr);
+      if (!durationStr && !presetDurationMs) {
+        await interaction.editReply({
+          content: '❌ A duration is required unless the reason is a preset with a default duration.'
+        });
+        return;
+      }
+
+      // Parse duration string, falling back to the reason preset's default
+      const duration = durationStr ? Duration.parse(durationStr) : presetDurationMs;
       if (!duration) {
         await interaction.editReply({
-          content: '❌ Invalid duration format. Use formats like: `1h`, `2d`, `1w`, `30m`\n' +
-                  'Supported units: m (minutes), h (hours), d (days), w (weeks)'
+          content: `❌ Invalid duration format. ${Duration.FORMAT_HINT}`
         });
         return;
       }
 
-      // Validate duration limits (max 30 days)
-      const maxDuration = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
-      if (duration > maxDuration) {
+      // Validate duration limits (1 minute to 30 days)
+      const limitError = Duration.checkLimits(duration, TEMPBAN_LIMITS);
+      if (limitError) {
         await interaction.editReply({
-          content: '❌ Maximum temporary ban duration is 30 days. Use `/ban` for permanent bans.'
+          content: `❌ ${limitError} for a temporary ban.` +
+                  (duration > TEMPBAN_LIMITS.max ? ' Use `/ban` for permanent bans.' : '')
         });
         return;
       }
 
+      const durationText = Duration.format(duration);
+
       // Check if user is already banned
       const existingBan = await interaction.guild.bans.fetch(target.id).catch(() => null);
       if (existingBan) {
@@ -95,15 +128,33 @@ class TempbanCommand extends BaseCommand {
       // Get target member object (may be null if user already left)
       const targetMember = await interaction.guild.members.fetch(target.id).catch(() => null);
 
+      // Copy evidence before acting, while linked messages still exist
+      const evidence = await this.evidenceService.collectFromInteraction(interaction);
+      if (!evidence.success) {
+        await interaction.editReply({
+          content: `❌ Could not store evidence: ${evidence.error}`
+        });
+        return;
+      }
+
       // Execute temporary ban operation
       const tempbanResult = await this.moderationService.tempbanUser(
         interaction,
         target,
         duration,
         reason,
-        deleteDays
+        deleteDays,
+        { evidence: evidence.items }
       );
 
+      if (!tempbanResult.success) {
+        await this.evidenceService.discard(interaction.guild.id, evidence.items);
+        await interaction.editReply({
+          content: `❌ ${tempbanResult.error}`
+        });
+        return;
+      }
+
       // Format expiration time
       const expiresAt = new Date(Date.now() + duration);
       const expiresTimestamp = Math.floor(expiresAt.getTime() / 1000);
@@ -113,15 +164,16 @@ class TempbanCommand extends BaseCommand {
       await interaction.editReply({
         content: `✅ Successfully temporarily banned ${memberStatus} ${target.tag}\n` +
                 `**Reason:** ${reason}\n` +
-                `**Duration:** ${durationStr}\n` +
+                `**Duration:** ${durationText}\n` +
                 `**Expires:** <t:${expiresTimestamp}:F> (<t:${expiresTimestamp}:R>)\n` +
-                `**Case ID:** ${tempbanResult.caseId}\n` +
+                `**Case:** ${tempbanResult.caseNumber ? `#${tempbanResult.caseNumber}` : tempbanResult.actionId}\n` +
                 `**Moderator:** ${executor.user.tag}\n` +
-                `**Messages deleted:** ${deleteDays} day(s)`
+                `**Messages deleted:** ${deleteDays} day(s)` +
+                (evidence.items.length > 0 ? `\n**Evidence:** ${evidence.items.length} item(s) stored` : '')
       });
 
       // Log the action (handled by ModerationService)
-      console.log(`User ${target.tag} (${target.id}) temporarily banned by ${executor.user.tag} (${executor.id}) - Duration: ${durationStr}, Reason: ${reason}`);
+      console.log(`User ${target.tag} (${target.id}) temporarily banned by ${executor.user.tag} (${executor.id}) - Duration: ${durationText}, Reason: ${reason}`);
 
     } catch (error) {
       console.error('Error executing tempban command:', error);
@@ -147,35 +199,6 @@ class TempbanCommand extends BaseCommand {
     }
   }
 
-  /**
-   * Parse duration string into milliseconds
-   * @private
-   * @param {string} durationStr - Duration string (e.g., "1h", "30m", "2d")
-   * @returns {number|null} Duration in milliseconds or null if invalid
-   */
-  _parseDuration(durationStr) {
-    const match = durationStr.toLowerCase().match(/^(\d+)([mhdw])$/);
-    if (!match) {
-      return null;
-    }
-
-    const value = parseInt(match[1]);
-    const unit = match[2];
-
-    const multipliers = {
-      'm': 60 * 1000,        // minutes to milliseconds
-      'h': 60 * 60 * 1000,   // hours to milliseconds
-      'd': 24 * 60 * 60 * 1000, // days to milliseconds
-      'w': 7 * 24 * 60 * 60 * 1000 // weeks to milliseconds
-    };
-
-    if (!multipliers[unit] || value <= 0) {
-      return null;
-    }
-
-    return value * multipliers[unit];
-  }
-
   /**
    * Custom permission validation for tempban command
    * @param {CommandInteraction} interaction - Discord interaction
@@ -196,6 +219,21 @@ class TempbanCommand extends BaseCommand {
 
     return true;
   }
+
+  /**
+   * Suggest reason presets, or preview when the duration being typed would expire
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name === 'duration') {
+      await interaction.respond(Duration.suggest(focused.value, TEMPBAN_LIMITS));
+      return;
+    }
+
+    await this.reasonPresetService.respond(interaction);
+  }
 }
 
 module.exports = TempbanCommand;
\ No newline at end of file
@@ -0,0 +1,177 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const Duration = require('../../utils/Duration');
+
+/**
+ * Shortest and longest timeout; Discord rejects timeouts longer than 28 days
+ * @type {{min: number, max: number}}
+ */
+const TIMEOUT_LIMITS = { min: Duration.MINUTE, max: 28 * Duration.DAY };
+
+/**
+ * Timeout command using Discord's native communication timeout
+ * Discord lifts the timeout on its own once the duration has passed
+ * @class TimeoutCommand
+ * @extends BaseCommand
+ */
+class TimeoutCommand extends BaseCommand {
+  /**
+   * Initialize timeout command with moderation service dependency
+   * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {EvidenceService} evidenceService - Service storing evidence attached to the action
+   */
+  constructor(moderationService, evidenceService) {
+    super();
+    this.moderationService = moderationService;
+    this.evidenceService = evidenceService;
+    this._category = 'moderation';
+    this._requiredPermissions = ['ModerateMembers'];
+    this._cooldown = 5000; // 5 second cooldown
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('timeout')
+      .setDescription('Stop a member from chatting, reacting and joining voice for a while')
+      .addUserOption(option =>
+        option.setName('target')
+          .setDescription('The member to time out')
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('duration')
+          .setDescription('Timeout duration (e.g., 10m, 1h30m, 2 days, max 28d)')
+          .setAutocomplete(true)
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('reason')
+          .setDescription('Reason for the timeout')
+          .setRequired(true)
+          .setMaxLength(500))
+      .addAttachmentOption(option =>
+        option.setName('evidence')
+          .setDescription('Screenshot or file backing up the timeout')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('evidence_link')
+          .setDescription('Link to a message backing up the timeout; its content is saved in case it is deleted')
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Execute timeout command with duration parsing
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const target = interaction.options.getUser('target');
+      const durationStr = interaction.options.getString('duration');
+      const reason = interaction.options.getString('reason');
+      const executor = interaction.member;
+
+      const duration = Duration.parse(durationStr);
+      if (!duration) {
+        await interaction.editReply({
+          content: `❌ Invalid duration format. ${Duration.FORMAT_HINT}`
+        });
+        return;
+      }
+
+      const limitError = Duration.checkLimits(duration, TIMEOUT_LIMITS);
+      if (limitError) {
+        await interaction.editReply({
+          content: `❌ ${limitError} for a timeout.` +
+                  (duration > TIMEOUT_LIMITS.max ? ' Use `/jail` or `/tempban` for longer restrictions.' : '')
+        });
+        return;
+      }
+
+      const targetMember = await interaction.guild.members.fetch(target.id).catch(() => null);
+      if (!targetMember) {
+        await interaction.editReply({
+          content: `❌ User ${target.tag} is not a member of this server.`
+        });
+        return;
+      }
+
+      // Copy evidence before acting, while linked messages still exist
+      const evidence = await this.evidenceService.collectFromInteraction(interaction);
+      if (!evidence.success) {
+        await interaction.editReply({
+          content: `❌ Could not store evidence: ${evidence.error}`
+        });
+        return;
+      }
+
+      const result = await this.moderationService.timeoutUser(interaction, targetMember, duration, reason, {
+        evidence: evidence.items
+      });
+
+      if (!result.success) {
+        await this.evidenceService.discard(interaction.guild.id, evidence.items);
+        await interaction.editReply({
+          content: `❌ ${result.error}`
+        });
+        return;
+      }
+
+      const expiresTimestamp = Math.floor(result.expiresAt.getTime() / 1000);
+
+      await interaction.editReply({
+        content: `✅ Successfully timed out ${target.tag}\n` +
+                `**Reason:** ${reason}\n` +
+                `**Duration:** ${Duration.format(duration)}\n` +
+                `**Expires:** <t:${expiresTimestamp}:F> (<t:${expiresTimestamp}:R>)\n` +
+                `**Case:** ${result.caseNumber ? `#${result.caseNumber}` : result.actionId}\n` +
+                `**Moderator:** ${executor.user.tag}` +
+                (evidence.items.length > 0 ? `\n**Evidence:** ${evidence.items.length} item(s) stored` : '')
+      });
+
+      console.log(`User ${target.tag} (${target.id}) timed out by ${executor.user.tag} (${executor.id}) - Duration: ${Duration.format(duration)}, Reason: ${reason}`);
+
+    } catch (error) {
+      console.error('Error executing timeout command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while timing out the user. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Preview when the duration being typed would expire
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    await interaction.respond(Duration.suggest(interaction.options.getFocused(), TIMEOUT_LIMITS));
+  }
+
+  /**
+   * Custom permission validation for timeout command
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<boolean>} Permission validation result
+   */
+  async validatePermissions(interaction) {
+    const hasBasePermissions = await super.validatePermissions(interaction);
+    if (!hasBasePermissions) {
+      return false;
+    }
+
+    // Additional validation: ensure bot can time members out
+    const botMember = interaction.guild.members.cache.get(interaction.client.user.id);
+    if (!botMember.permissions.has(PermissionFlagsBits.ModerateMembers)) {
+      return false;
+    }
+
+    return true;
+  }
+}
+
+module.exports = TimeoutCommand;
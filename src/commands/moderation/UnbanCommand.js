@@ -0,0 +1,115 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * Unban command for lifting bans, with autocomplete over the guild's ban list
+ * @class UnbanCommand
+ * @extends BaseCommand
+ */
+class UnbanCommand extends BaseCommand {
+  /**
+   * Initialize unban command with moderation service dependency
+   * @param {ModerationService} moderationService - Service for moderation operations
+   */
+  constructor(moderationService) {
+    super();
+    this.moderationService = moderationService;
+    this._category = 'moderation';
+    this._requiredPermissions = ['BanMembers'];
+    this._cooldown = 5000; // 5 second cooldown
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('unban')
+      .setDescription('Lift a ban from a user')
+      .addStringOption(option =>
+        option.setName('user')
+          .setDescription('ID of the banned user')
+          .setRequired(true)
+          .setAutocomplete(true))
+      .addStringOption(option =>
+        option.setName('reason')
+          .setDescription('Reason for the unban')
+          .setRequired(false)
+          .setMaxLength(500))
+      .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers);
+  }
+
+  /**
+   * Execute unban command
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const userId = interaction.options.getString('user').trim();
+      const reason = interaction.options.getString('reason') || 'Unbanned by moderator';
+      const executor = interaction.member;
+
+      if (!/^\d{17,20}$/.test(userId)) {
+        await interaction.editReply({
+          content: '❌ Please provide a valid user ID or pick a user from the suggestions.'
+        });
+        return;
+      }
+
+      const result = await this.moderationService.unbanUser(interaction, userId, reason);
+
+      if (!result.success) {
+        await interaction.editReply({
+          content: `❌ ${result.error}`
+        });
+        return;
+      }
+
+      await interaction.editReply({
+        content: `✅ Successfully unbanned ${result.user.tag}\n` +
+                `**Reason:** ${reason}\n` +
+                `**Case:** ${result.caseNumber ? `#${result.caseNumber}` : result.actionId}\n` +
+                `**Moderator:** ${executor.user.tag}`
+      });
+
+      console.log(`User ${result.user.tag} (${userId}) unbanned by ${executor.user.tag} (${executor.id}) - Reason: ${reason}`);
+
+    } catch (error) {
+      console.error('Error executing unban command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while unbanning the user. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Suggest banned users matching what has been typed so far
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    const query = interaction.options.getFocused().toLowerCase();
+    const bans = await interaction.guild.bans.fetch().catch(() => null);
+
+    if (!bans) {
+      await interaction.respond([]);
+      return;
+    }
+
+    const choices = bans
+      .filter(ban => ban.user.id.includes(query) || ban.user.tag.toLowerCase().includes(query))
+      .first(25)
+      .map(ban => ({
+        name: `${ban.user.tag} (${ban.user.id})${ban.reason ? ` - ${ban.reason}` : ''}`.slice(0, 100),
+        value: ban.user.id
+      }));
+
+    await interaction.respond(choices);
+  }
+}
+
+module.exports = UnbanCommand;
@@ -144,7 +144,7 @@ class UnjailCommand extends BaseCommand {
       await interaction.editReply({
         content: `🔓 Successfully unjailed ${target.tag}\n` +
                 `**Reason:** ${reason}\n` +
-                `**Case ID:** ${unjailResult.caseId}\n` +
+                `**Case:** ${unjailResult.caseNumber ? `#${unjailResult.caseNumber}` : unjailResult.caseId}\n` +
                 `**Moderator:** ${executor.user.tag}${roleRestoreText}${warningText}`
       });
 
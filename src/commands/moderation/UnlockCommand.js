@@ -0,0 +1,101 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * Unlock command restoring the permission overwrites a channel had before /lockdown
+ * @class UnlockCommand
+ * @extends BaseCommand
+ */
+class UnlockCommand extends BaseCommand {
+  /**
+   * Initialize unlock command with lockdown service dependency
+   * @param {LockdownService} lockdownService - Service unlocking channels
+   */
+  constructor(lockdownService) {
+    super();
+    this.lockdownService = lockdownService;
+    this._category = 'moderation';
+    this._requiredPermissions = ['ManageChannels'];
+    this._cooldown = 5000; // 5 second cooldown
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('unlock')
+      .setDescription('Lift a lockdown and restore the original channel permissions')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('channel')
+          .setDescription('Unlock a single channel')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel to unlock (defaults to this channel)')
+              .setRequired(false)
+              .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+          .addStringOption(option =>
+            option.setName('reason')
+              .setDescription('Reason for lifting the lockdown')
+              .setRequired(false)
+              .setMaxLength(500)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('all')
+          .setDescription('Unlock every locked channel')
+          .addStringOption(option =>
+            option.setName('reason')
+              .setDescription('Reason for lifting the lockdown')
+              .setRequired(false)
+              .setMaxLength(500)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels);
+  }
+
+  /**
+   * Execute unlock command
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+      const reason = interaction.options.getString('reason') || 'Lockdown lifted';
+      const channelIds = subcommand === 'all'
+        ? null
+        : [(interaction.options.getChannel('channel') || interaction.channel).id];
+
+      const result = await this.lockdownService.unlockChannels(interaction.guild, channelIds, interaction.user.id, reason);
+
+      if (result.unlocked.length === 0) {
+        await interaction.editReply({
+          content: `❌ ${channelIds ? result.skipped[0].error : 'There are no locked channels.'}`
+        });
+        return;
+      }
+
+      let content = `🔓 **${result.unlocked.length === 1 ? `<#${result.unlocked[0]}> Unlocked` : `${result.unlocked.length} Channels Unlocked`}**\n` +
+                   `**Reason:** ${reason}\n` +
+                   'Original channel permissions have been restored.';
+
+      if (result.skipped.length > 0) {
+        content += `\n**Failed:** ${result.skipped.map(skip => `<#${skip.channelId}>`).join(', ')}`;
+      }
+
+      await interaction.editReply({ content });
+
+      console.log(`Unlock (${subcommand}) by ${interaction.user.tag} (${interaction.user.id}) in ${interaction.guild.name} (${interaction.guild.id}) - ${result.unlocked.length} channel(s)`);
+
+    } catch (error) {
+      console.error('Error executing unlock command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while unlocking channels. Please try again later.'
+      });
+    }
+  }
+}
+
+module.exports = UnlockCommand;
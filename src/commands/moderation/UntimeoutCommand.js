@@ -0,0 +1,90 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * Untimeout command for lifting a member's timeout early
+ * @class UntimeoutCommand
+ * @extends BaseCommand
+ */
+class UntimeoutCommand extends BaseCommand {
+  /**
+   * Initialize untimeout command with moderation service dependency
+   * @param {ModerationService} moderationService - Service for moderation operations
+   */
+  constructor(moderationService) {
+    super();
+    this.moderationService = moderationService;
+    this._category = 'moderation';
+    this._requiredPermissions = ['ModerateMembers'];
+    this._cooldown = 3000;
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('untimeout')
+      .setDescription('Remove an active timeout from a member')
+      .addUserOption(option =>
+        option.setName('target')
+          .setDescription('The member to release from timeout')
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('reason')
+          .setDescription('Reason for removing the timeout')
+          .setRequired(false)
+          .setMaxLength(500))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Execute untimeout command
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const target = interaction.options.getUser('target');
+      const reason = interaction.options.getString('reason') || 'Timeout removed by moderator';
+      const executor = interaction.member;
+
+      const targetMember = await interaction.guild.members.fetch(target.id).catch(() => null);
+      if (!targetMember) {
+        await interaction.editReply({
+          content: `❌ User ${target.tag} is not a member of this server.`
+        });
+        return;
+      }
+
+      const result = await this.moderationService.untimeoutUser(interaction, targetMember, reason);
+
+      if (!result.success) {
+        await interaction.editReply({
+          content: `❌ ${result.error}`
+        });
+        return;
+      }
+
+      await interaction.editReply({
+        content: `✅ Successfully removed the timeout from ${target.tag}\n` +
+                `**Reason:** ${reason}\n` +
+                `**Case:** ${result.caseNumber ? `#${result.caseNumber}` : result.actionId}\n` +
+                `**Moderator:** ${executor.user.tag}`
+      });
+
+      console.log(`Timeout removed from ${target.tag} (${target.id}) by ${executor.user.tag} (${executor.id}) - Reason: ${reason}`);
+
+    } catch (error) {
+      console.error('Error executing untimeout command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while removing the timeout. Please try again later.'
+      });
+    }
+  }
+}
+
+module.exports = UntimeoutCommand;
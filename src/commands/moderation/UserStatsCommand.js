@@ -0,0 +1,405 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+
+/**
+ * Number of history entries or tickets shown per page
+ * @type {number}
+ */
+const PAGE_SIZE = 5;
+
+/**
+ * User statistics command for reviewing a user's standing on the server
+ * Combines moderation history, support tickets and live member details in one embed
+ * @class UserStatsCommand
+ * @extends BaseCommand
+ */
+class UserStatsCommand extends BaseCommand {
+  /**
+   * Initialize user stats command with moderation and ticket dependencies
+   * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {TicketRepository} ticketRepository - Repository for ticket lookups
+   */
+  constructor(moderationService, ticketRepository) {
+    super();
+    this.moderationService = moderationService;
+    this.ticketRepository = ticketRepository;
+    this._category = 'moderation';
+    this._requiredPermissions = ['ModerateMembers'];
+    this._cooldown = 5000; // 5 seconds
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('userstats')
+      .setDescription('Display a user\'s moderation history, tickets and account details')
+      .addUserOption(option =>
+        option.setName('user')
+          .setDescription('The user to look up')
+          .setRequired(true))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Execute user stats command and show the overview page
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const targetUser = interaction.options.getUser('user');
+
+      if (!targetUser) {
+        await interaction.editReply({
+          content: '❌ Target user could not be resolved.'
+        });
+        return;
+      }
+
+      const view = await this._buildView(interaction.guild, targetUser, 'overview', 0);
+      await interaction.editReply(view);
+    } catch (error) {
+      console.error('Error executing userstats command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while gathering user statistics. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Handle navigation buttons attached to a user stats embed
+   * Custom IDs follow the format `userstats_view_<view>_<userId>` for view buttons and
+   * `userstats_page_<view>_<userId>_<page>` for pagination, so the two rows never share an ID
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {Array<string>} params - Custom ID segments after the command name
+   * @returns {Promise<void>}
+   */
+  async handleButton(interaction, params) {
+    const [kind, view, userId, page] = params;
+
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ModerateMembers)) {
+      await interaction.reply({
+        content: '❌ You do not have permission to view user statistics.',
+        flags: [4] // MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const targetUser = await interaction.client.users.fetch(userId).catch(() => null);
+    if (!targetUser) {
+      await interaction.reply({
+        content: '❌ That user could no longer be resolved.',
+        flags: [4] // MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const payload = await this._buildView(interaction.guild, targetUser, view, kind === 'page' ? parseInt(page, 10) || 0 : 0);
+    await interaction.update(payload);
+  }
+
+  /**
+   * Build the embed and navigation components for a given view
+   * @private
+   * @param {Guild} guild - Discord guild the lookup is scoped to
+   * @param {User} targetUser - Discord user being inspected
+   * @param {string} view - View to render (overview, history, tickets)
+   * @param {number} page - Zero-based page index for paged views
+   * @returns {Promise<Object>} Message payload with embeds and components
+   */
+  async _buildView(guild, targetUser, view, page) {
+    const targetMember = await guild.members.fetch(targetUser.id).catch(() => null);
+    const summary = await this.moderationService.getUserModerationHistory(guild.id, targetUser.id);
+    const history = summary.history;
+
+    // Only surface tickets that belong to this server
+    const tickets = (await this.ticketRepository.findTicketsByCreator(targetUser.id)).filter(ticket => {
+      const ticketGuildId = ticket.getMetadata('guildId');
+      return !ticketGuildId || ticketGuildId === guild.id;
+    });
+
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: targetUser.tag, iconURL: targetUser.displayAvatarURL() })
+      .setThumbnail(targetUser.displayAvatarURL())
+      .setColor(summary.currentStatus.jailed ? 0xff6600 : 0x0099ff)
+      .setTimestamp();
+
+    let totalPages = 1;
+    let safePage = 0;
+
+    if (view === 'history') {
+      totalPages = Math.max(1, Math.ceil(history.length / PAGE_SIZE));
+      safePage = Math.min(Math.max(page, 0), totalPages - 1);
+      this._renderHistory(embed, history, safePage);
+    } else if (view === 'tickets') {
+      totalPages = Math.max(1, Math.ceil(tickets.length / PAGE_SIZE));
+      safePage = Math.min(Math.max(page, 0), totalPages - 1);
+      this._renderTickets(embed, tickets, safePage);
+    } else {
+      view = 'overview';
+      this._renderOverview(embed, targetUser, targetMember, summary, history, tickets);
+    }
+
+    embed.setFooter({
+      text: view === 'overview'
+        ? `User ID: ${targetUser.id}`
+        : `User ID: ${targetUser.id} • Page ${safePage + 1}/${totalPages}`
+    });
+
+    const components = [this._buildViewRow(targetUser.id, view)];
+    if (view !== 'overview' && totalPages > 1) {
+      components.push(this._buildPageRow(targetUser.id, view, safePage, totalPages));
+    }
+
+    return { content: '', embeds: [embed], components };
+  }
+
+  /**
+   * Render the overview page with account, membership and summary fields
+   * @private
+   * @param {EmbedBuilder} embed - Embed to populate
+   * @param {User} targetUser - Discord user being inspected
+   * @param {GuildMember|null} targetMember - Live guild member, if still in the server
+   * @param {Object} summary - Result of ModerationService.getUserModerationHistory
+   * @param {Array<ModerationAction>} history - Guild-scoped moderation history
+   * @param {Array<Ticket>} tickets - Guild-scoped tickets created by the user
+   * @returns {void}
+   */
+  _renderOverview(embed, targetUser, targetMember, summary, history, tickets) {
+    const createdAt = Math.floor(targetUser.createdTimestamp / 1000);
+    const stats = summary.statistics;
+
+    embed
+      .setTitle('📊 User Statistics')
+      .addFields([
+        {
+          name: 'Account Created',
+          value: `<t:${createdAt}:f>\n(<t:${createdAt}:R>)`,
+          inline: true
+        },
+        {
+          name: 'Joined Server',
+          value: targetMember && targetMember.joinedTimestamp
+            ? `<t:${Math.floor(targetMember.joinedTimestamp / 1000)}:f>\n(<t:${Math.floor(targetMember.joinedTimestamp / 1000)}:R>)`
+            : 'Not currently a member',
+          inline: true
+        },
+        {
+          name: 'Status',
+          value: summary.currentStatus.jailed ? '🔒 Jailed' : '✅ Not jailed',
+          inline: true
+        }
+      ]);
+
+    if (targetMember) {
+      const roles = targetMember.roles.cache
+        .filter(role => role.id !== targetMember.guild.id)
+        .sort((a, b) => b.position - a.position)
+        .map(role => `<@&${role.id}>`);
+
+      embed.addFields([{
+        name: `Roles (${roles.length})`,
+        value: this._truncateList(roles, 1024) || 'None',
+        inline: false
+      }]);
+    }
+
+    embed.addFields([
+      {
+        name: 'Moderation Summary',
+        value: summary.exists
+          ? `**Warnings:** ${stats.warn || 0}\n` +
+            `**Kicks:** ${stats.kick || 0}\n` +
+            `**Bans:** ${stats.ban || 0}\n` +
+            `**Tempbans:** ${stats.tempban || 0}\n` +
+            `**Jails:** ${stats.jail || 0}\n` +
+            `**Mutes:** ${stats.mute || 0}\n` +
+            `**Timeouts:** ${stats.timeout || 0}\n` +
+            `**Total Actions:** ${stats.total || 0}`
+          : 'No moderation history on record',
+        inline: true
+      },
+      {
+        name: 'Support Tickets',
+        value: `**Total:** ${tickets.length}\n` +
+              `**Open:** ${tickets.filter(ticket => ticket.isOpen()).length}`,
+        inline: true
+      }
+    ]);
+
+    if (history.length > 0) {
+      const lastAction = history[0];
+      embed.addFields([{
+        name: 'Most Recent Action',
+        value: this._formatAction(lastAction),
+        inline: false
+      }]);
+    }
+  }
+
+  /**
+   * Render a page of moderation history
+   * @private
+   * @param {EmbedBuilder} embed - Embed to populate
+   * @param {Array<ModerationAction>} history - Guild-scoped moderation history (newest first)
+   * @param {number} page - Zero-based page index
+   * @returns {void}
+   */
+  _renderHistory(embed, history, page) {
+    embed.setTitle(`📜 Moderation History (${history.length})`);
+
+    if (history.length === 0) {
+      embed.setDescription('No moderation actions on record for this server.');
+      return;
+    }
+
+    const entries = history.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+    embed.setDescription(entries.map(action => this._formatAction(action)).join('\n\n'));
+  }
+
+  /**
+   * Render a page of support tickets
+   * @private
+   * @param {EmbedBuilder} embed - Embed to populate
+   * @param {Array<Ticket>} tickets - Guild-scoped tickets (newest first)
+   * @param {number} page - Zero-based page index
+   * @returns {void}
+   */
+  _renderTickets(embed, tickets, page) {
+    embed.setTitle(`🎫 Support Tickets (${tickets.length})`);
+
+    if (tickets.length === 0) {
+      embed.setDescription('This user has not opened any tickets.');
+      return;
+    }
+
+    const entries = tickets.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+    embed.setDescription(entries.map(ticket => {
+      const createdAt = Math.floor(new Date(ticket.createdAt).getTime() / 1000);
+      const closedAt = ticket.getClosedAt();
+      const lines = [
+        `**#${ticket.id}** • ${ticket.getStatus()} • ${ticket.getCategory() || 'general'}`,
+        `• **Subject:** ${ticket.getSubject() || 'No subject'}`,
+        `• **Opened:** <t:${createdAt}:R>`
+      ];
+
+      if (closedAt) {
+        lines.push(`• **Closed:** <t:${Math.floor(new Date(closedAt).getTime() / 1000)}:R>`);
+      }
+
+      return lines.join('\n');
+    }).join('\n\n'));
+  }
+
+  /**
+   * Format a single moderation action for display
+   * @private
+   * @param {ModerationAction} action - Moderation action to format
+   * @returns {string} Formatted action summary
+   */
+  _formatAction(action) {
+    const timestamp = Math.floor(new Date(action.timestamp).getTime() / 1000);
+    const moderator = action.moderator === 'system' ? 'System' : `<@${action.moderator}>`;
+    const reason = action.reason.length > 200 ? `${action.reason.slice(0, 197)}…` : action.reason;
+
+    const lines = [
+      `**${action.action.toUpperCase()}**${action.metadata?.caseNumber ? ` • Case #${action.metadata.caseNumber}` : ''}${action.metadata?.revoked ? ' • Pardoned' : ''} • <t:${timestamp}:R>`,
+      `• **Moderator:** ${moderator}`,
+      `• **Reason:** ${reason}`
+    ];
+
+    // Copied message content is quoted briefly; full copies and files are in /case view
+    for (const item of action.metadata?.evidence || []) {
+      if (item.type === 'message' && item.message) {
+        const content = item.message.content.length > 100 ? `${item.message.content.slice(0, 97)}…` : item.message.content;
+        lines.push(`• **Evidence:** 💬 <@${item.message.authorId}>: "${content.replace(/\s+/g, ' ')}"`);
+      } else {
+        lines.push(`• **Evidence:** 📎 ${item.files.map(file => file.name).join(', ')}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Join list items without exceeding the embed field limit
+   * @private
+   * @param {Array<string>} items - Items to join
+   * @param {number} maxLength - Maximum resulting string length
+   * @returns {string} Joined list, truncated with a remainder count if needed
+   */
+  _truncateList(items, maxLength) {
+    let result = '';
+
+    for (let i = 0; i < items.length; i++) {
+      const next = result ? `${result} ${items[i]}` : items[i];
+      const remainder = ` …and ${items.length - i} more`;
+
+      if (next.length + remainder.length > maxLength && i < items.length - 1) {
+        return `${result}${remainder}`;
+      }
+
+      result = next;
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the row of view selection buttons
+   * @private
+   * @param {string} userId - Discord user ID being inspected
+   * @param {string} activeView - Currently displayed view
+   * @returns {ActionRowBuilder} Action row with view buttons
+   */
+  _buildViewRow(userId, activeView) {
+    const views = [
+      { id: 'overview', label: 'Overview', emoji: '📊' },
+      { id: 'history', label: 'History', emoji: '📜' },
+      { id: 'tickets', label: 'Tickets', emoji: '🎫' }
+    ];
+
+    return new ActionRowBuilder()
+      .addComponents(views.map(view =>
+        new ButtonBuilder()
+          .setCustomId(`userstats_view_${view.id}_${userId}`)
+          .setLabel(view.label)
+          .setEmoji(view.emoji)
+          .setStyle(view.id === activeView ? ButtonStyle.Primary : ButtonStyle.Secondary)
+          .setDisabled(view.id === activeView)
+      ));
+  }
+
+  /**
+   * Build the row of pagination buttons for paged views
+   * @private
+   * @param {string} userId - Discord user ID being inspected
+   * @param {string} view - Currently displayed view
+   * @param {number} page - Zero-based current page index
+   * @param {number} totalPages - Total number of pages
+   * @returns {ActionRowBuilder} Action row with previous/next buttons
+   */
+  _buildPageRow(userId, view, page, totalPages) {
+    return new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(`userstats_page_${view}_${userId}_${page - 1}`)
+          .setLabel('Previous')
+          .setEmoji('◀️')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(page <= 0),
+        new ButtonBuilder()
+          .setCustomId(`userstats_page_${view}_${userId}_${page + 1}`)
+          .setLabel('Next')
+          .setEmoji('▶️')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(page >= totalPages - 1)
+      );
+  }
+}
+
+module.exports = UserStatsCommand;
@@ -11,10 +11,14 @@ class WarnCommand extends BaseCommand {
   /**
    * Initialize warn command with moderation service dependency
    * @param {ModerationService} moderationService - Service for moderation operations
+   * @param {ReasonPresetService} reasonPresetService - Service expanding reason presets
+   * @param {EvidenceService} evidenceService - Service storing evidence attached to the action
    */
-  constructor(moderationService) {
+  constructor(moderationService, reasonPresetService, evidenceService) {
     super();
     this.moderationService = moderationService;
+    this.reasonPresetService = reasonPresetService;
+    this.evidenceService = evidenceService;
     this._category = 'moderation';
     this._requiredPermissions = ['ModerateMembers'];
     this._cooldown = 5000; // 5 seconds
@@ -35,6 +39,7 @@ class WarnCommand extends BaseCommand {
       .addStringOption(option =>
         option.setName('reason')
           .setDescription('Reason for the warning')
+          .setAutocomplete(true)
           .setRequired(true)
           .setMaxLength(500))
       .addStringOption(option =>
@@ -42,6 +47,14 @@ class WarnCommand extends BaseCommand {
           .setDescription('Optional staff note to attach to the user')
           .setRequired(false)
           .setMaxLength(2000))
+      .addAttachmentOption(option =>
+        option.setName('evidence')
+          .setDescription('Screenshot or file backing up the warning')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('evidence_link')
+          .setDescription('Link to a message backing up the warning; its content is saved in case it is deleted')
+          .setRequired(false))
       .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
   }
 
@@ -56,74 +69,155 @@ class WarnCommand extends BaseCommand {
         await interaction.deferReply({ ephemeral: true });
       }
 
-      const targetUser = interaction.options.getUser('target');
-      const reason = interaction.options.getString('reason');
+      await this._warn(
+        interaction,
+        interaction.options.getUser('target'),
+        interaction.options.getString('reason'),
+        interaction.options.getString('note'),
+        {
+          attachment: interaction.options.getAttachment('evidence'),
+          messageLink: interaction.options.getString('evidence_link')
+        }
+      );
+    } catch (error) {
+      console.error('Error executing warn command:', error);
 
-      if (!targetUser) {
-        await interaction.editReply({
-          content: '❌ Target user could not be resolved.'
-        });
-        return;
-      }
+      await interaction.editReply({
+        content: '❌ An error occurred while issuing the warning. Please try again later.'
+      });
+    }
+  }
 
-      const targetMember = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
-      const warnResult = await this.moderationService.warnUser(
+  /**
+   * Warn a user and reply with the outcome
+   * Shared with the Warn and Delete & Warn context menus and the report queue; the reply must already be deferred
+   * @protected
+   * @param {CommandInteraction|ModalSubmitInteraction} interaction - Interaction the warning was issued from
+   * @param {User} targetUser - User to warn
+   * @param {string} reasonInput - Reason text or reason preset code
+   * @param {string|null} noteContent - Optional staff note to attach
+   * @param {Object} evidenceSources - Evidence to store with the warning (see EvidenceService.collect)
+   * @returns {Promise<Object|null>} Warning result, or null when no warning was issued
+   */
+  async _warn(interaction, targetUser, reasonInput, noteContent, evidenceSources) {
+    const { reason } = await this.reasonPresetService.resolveReason(interaction.guild.id, reasonInput);
+
+    if (!targetUser) {
+      await interaction.editReply({
+        content: '❌ Target user could not be resolved.'
+      });
+      return null;
+    }
+
+    // Copy evidence before acting, while linked messages still exist
+    const evidence = await this.evidenceService.collect(interaction.guild, interaction.member, evidenceSources);
+    if (!evidence.success) {
+      await interaction.editReply({
+        content: `❌ Could not store evidence: ${evidence.error}`
+      });
+      return null;
+    }
+
+    const targetMember = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+    const warnResult = await this.moderationService.warnUser(
+      interaction,
+      targetMember || targetUser,
+      reason,
+      { evidence: evidence.items }
+    );
+
+    if (!warnResult.success) {
+      await this.evidenceService.discard(interaction.guild.id, evidence.items);
+      await interaction.editReply({
+        content: `❌ ${warnResult.error}`
+      });
+      return null;
+    }
+
+    let noteResult = null;
+
+    if (noteContent && noteContent.trim().length > 0) {
+      noteResult = await this.moderationService.addStaffNote(
         interaction,
         targetMember || targetUser,
-        reason
+        noteContent
       );
 
-      if (!warnResult.success) {
-        await interaction.editReply({
-          content: `❌ ${warnResult.error}`
+      if (!noteResult.success) {
+        await interaction.followUp({
+          content: `⚠️ Warning issued, but staff note failed: ${noteResult.error}`,
+          ephemeral: true
         });
-        return;
       }
+    }
 
-      const noteContent = interaction.options.getString('note');
-      let noteResult = null;
-
-      if (noteContent && noteContent.trim().length > 0) {
-        noteResult = await this.moderationService.addStaffNote(
-          interaction,
-          targetMember || targetUser,
-          noteContent
-        );
-
-        if (!noteResult.success) {
-          await interaction.followUp({
-            content: `⚠️ Warning issued, but staff note failed: ${noteResult.error}`,
-            ephemeral: true
-          });
-        }
-      }
+    const warningsAfter = warnResult.warningsAfter ?? 'unknown';
+    const responseLines = [
+      `✅ **Warning Issued**`,
+      `**User:** ${warnResult.user.tag} (<@${warnResult.user.id}>)`,
+      `**Moderator:** ${warnResult.moderator.tag}`,
+      `**Reason:** ${reason}`,
+      `**Total Warnings:** ${warningsAfter}`,
+      `**Case:** ${warnResult.caseNumber ? `#${warnResult.caseNumber}` : warnResult.actionId}`
+    ];
 
-      const warningsAfter = warnResult.warningsAfter ?? 'unknown';
-      const responseLines = [
-        `✅ **Warning Issued**`,
-        `**User:** ${warnResult.user.tag} (<@${warnResult.user.id}>)`,
-        `**Moderator:** ${warnResult.moderator.tag}`,
-        `**Reason:** ${reason}`,
-        `**Total Warnings:** ${warningsAfter}`,
-        `**Case ID:** ${warnResult.actionId}`
-      ];
+    if (evidence.items.length > 0) {
+      responseLines.push(`**Evidence:** ${evidence.items.length} item(s) stored`);
+    }
 
-      if (noteResult && noteResult.success) {
-        responseLines.push(`**Staff Note ID:** ${noteResult.note.id}`);
-      }
+    if (noteResult && noteResult.success) {
+      responseLines.push(`**Staff Note ID:** ${noteResult.note.id}`);
+    }
 
-      await interaction.editReply({
-        content: responseLines.join('\n')
-      });
+    if (warnResult.escalation) {
+      responseLines.push('', ...this._formatEscalation(warnResult.escalation));
+    }
 
-      console.log(`Warned user ${warnResult.user.tag} (${warnResult.user.id}) by ${warnResult.moderator.tag} (${warnResult.moderator.id}) - Reason: ${reason}`);
-    } catch (error) {
-      console.error('Error executing warn command:', error);
+    await interaction.editReply({
+      content: responseLines.join('\n')
+    });
 
-      await interaction.editReply({
-        content: '❌ An error occurred while issuing the warning. Please try again later.'
-      });
+    console.log(`Warned user ${warnResult.user.tag} (${warnResult.user.id}) by ${warnResult.moderator.tag} (${warnResult.moderator.id}) - Reason: ${reason}`);
+
+    return warnResult;
+  }
+
+  /**
+   * Format the automatic escalation triggered by a warning
+   * @private
+   * @param {Object} escalation - Escalation result from the moderation service
+   * @returns {Array<string>} Response lines describing the escalation
+   */
+  _formatEscalation(escalation) {
+    const actionLabels = {
+      jail: 'Jail',
+      tempban: 'Temporary Ban',
+      kick: 'Kick',
+      ban: 'Ban'
+    };
+    const label = actionLabels[escalation.action] || escalation.action;
+
+    if (!escalation.success) {
+      return [
+        `⚠️ **Escalation Failed:** ${label} (${escalation.threshold} warnings in ${escalation.windowDays} day(s))`,
+        `**Error:** ${escalation.error}`
+      ];
+    }
+
+    const lines = [
+      `🔺 **Escalated:** ${label} (${escalation.threshold} warnings in ${escalation.windowDays} day(s))`
+    ];
+
+    if (escalation.expiresAt) {
+      const expiresTimestamp = Math.floor(new Date(escalation.expiresAt).getTime() / 1000);
+      lines.push(`**Expires:** <t:${expiresTimestamp}:F> (<t:${expiresTimestamp}:R>)`);
     }
+
+    if (escalation.caseNumber) {
+      lines.push(`**Escalation Case:** #${escalation.caseNumber}`);
+    }
+
+    return lines;
   }
 
   /**
@@ -150,6 +244,15 @@ class WarnCommand extends BaseCommand {
 
     return requiredPermissions.some(permission => member.permissions.has(permission));
   }
+
+  /**
+   * Suggest reason presets while the reason is typed
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    await this.reasonPresetService.respond(interaction);
+  }
 }
 
 module.exports = WarnCommand;
\ No newline at end of file
@@ -0,0 +1,295 @@
+const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
+const BaseCommand = require('../BaseCommand');
+const Duration = require('../../utils/Duration');
+
+/**
+ * Shortest watch period; there is no upper limit since an entry can always be removed early
+ * @type {{min: number}}
+ */
+const WATCH_LIMITS = { min: Duration.HOUR };
+
+/**
+ * Watch command flagging suspicious users so staff hear when they join or first speak
+ * Users are given by mention or ID, so people who already left can be watched too
+ * @class WatchCommand
+ * @extends BaseCommand
+ */
+class WatchCommand extends BaseCommand {
+  /**
+   * Initialize watch command with watchlist service dependency
+   * @param {WatchlistService} watchlistService - Service keeping the watchlist
+   */
+  constructor(watchlistService) {
+    super();
+    this.watchlistService = watchlistService;
+    this._category = 'moderation';
+    this._requiredPermissions = ['ModerateMembers'];
+    this._cooldown = 3000; // 3 second cooldown
+    this._guildOnly = true;
+  }
+
+  /**
+   * Command metadata for Discord registration
+   * @returns {SlashCommandBuilder} Discord slash command data
+   */
+  get data() {
+    return new SlashCommandBuilder()
+      .setName('watch')
+      .setDescription('Get alerted when suspicious users join or start talking')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('add')
+          .setDescription('Add a user to the watchlist')
+          .addStringOption(option =>
+            option.setName('user')
+              .setDescription('Mention or ID of the user (they do not have to be in the server)')
+              .setRequired(true))
+          .addStringOption(option =>
+            option.setName('reason')
+              .setDescription('Why the user is being watched')
+              .setRequired(true)
+              .setMaxLength(500))
+          .addStringOption(option =>
+            option.setName('duration')
+              .setDescription('Stop watching automatically after this long (e.g., 1d, 2w; default: never)')
+              .setAutocomplete(true)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('remove')
+          .setDescription('Remove a user from the watchlist')
+          .addStringOption(option =>
+            option.setName('user')
+              .setDescription('Watched user to remove')
+              .setRequired(true)
+              .setAutocomplete(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('list')
+          .setDescription('List watched users'))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Execute watch command
+   * @param {CommandInteraction} interaction - Discord slash command interaction
+   * @returns {Promise<void>}
+   */
+  async execute(interaction) {
+    try {
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'add':
+          await this._handleAdd(interaction);
+          break;
+        case 'remove':
+          await this._handleRemove(interaction);
+          break;
+        case 'list':
+          await this._handleList(interaction);
+          break;
+        default:
+          await interaction.editReply({
+            content: '❌ Unknown subcommand.'
+          });
+      }
+    } catch (error) {
+      console.error('Error executing watch command:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while updating the watchlist. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Handle adding a user to the watchlist
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<void>}
+   */
+  async _handleAdd(interaction) {
+    const userId = this._parseUserId(interaction.options.getString('user'));
+    const reason = interaction.options.getString('reason');
+    const durationStr = interaction.options.getString('duration');
+
+    if (!userId) {
+      await interaction.editReply({
+        content: '❌ Please provide a valid user mention or ID.'
+      });
+      return;
+    }
+
+    let durationMs = null;
+    if (durationStr) {
+      durationMs = Duration.parse(durationStr);
+      if (!durationMs) {
+        await interaction.editReply({
+          content: `❌ Invalid duration format. ${Duration.FORMAT_HINT}`
+        });
+        return;
+      }
+
+      const limitError = Duration.checkLimits(durationMs, WATCH_LIMITS);
+      if (limitError) {
+        await interaction.editReply({
+          content: `❌ ${limitError} for a watchlist entry.`
+        });
+        return;
+      }
+    }
+
+    const user = await interaction.client.users.fetch(userId).catch(() => null);
+    if (!user) {
+      await interaction.editReply({
+        content: '❌ No Discord user exists with that ID.'
+      });
+      return;
+    }
+
+    if (user.bot) {
+      await interaction.editReply({
+        content: '❌ Bots cannot be added to the watchlist.'
+      });
+      return;
+    }
+
+    const { entry, replaced } = await this.watchlistService.addEntry(interaction.guild.id, user.id, interaction.user.id, reason, {
+      durationMs,
+      userTag: user.tag
+    });
+
+    const inGuild = interaction.guild.members.cache.has(user.id) ||
+      Boolean(await interaction.guild.members.fetch(user.id).catch(() => null));
+
+    let content = `👁️ **${replaced ? 'Watchlist entry updated' : 'Now watching'}** <@${user.id}> (${user.tag})\n` +
+                 `**Reason:** ${entry.reason}\n`;
+
+    if (entry.expiresAt) {
+      const expiresTimestamp = Math.floor(entry.expiresAt.getTime() / 1000);
+      content += `**Expires:** <t:${expiresTimestamp}:F> (<t:${expiresTimestamp}:R>)\n`;
+    } else {
+      content += '**Expires:** Never, remove with `/watch remove`\n';
+    }
+
+    content += inGuild
+      ? 'Staff will be alerted on their next message.'
+      : 'They are not in the server; staff will be alerted when they join.';
+
+    await interaction.editReply({ content });
+
+    console.log(`User ${user.tag} (${user.id}) watched by ${interaction.user.tag} (${interaction.user.id}) in ${interaction.guild.name} (${interaction.guild.id}) - Reason: ${reason}`);
+  }
+
+  /**
+   * Handle removing a user from the watchlist
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<void>}
+   */
+  async _handleRemove(interaction) {
+    const userId = this._parseUserId(interaction.options.getString('user'));
+    if (!userId) {
+      await interaction.editReply({
+        content: '❌ Please provide a valid user ID or pick a user from the suggestions.'
+      });
+      return;
+    }
+
+    const entry = await this.watchlistService.removeEntry(interaction.guild.id, userId, interaction.user.id);
+    if (!entry) {
+      await interaction.editReply({
+        content: '❌ That user is not on the watchlist.'
+      });
+      return;
+    }
+
+    await interaction.editReply({
+      content: `✅ Stopped watching <@${userId}>${entry.userTag ? ` (${entry.userTag})` : ''}.`
+    });
+  }
+
+  /**
+   * Handle listing watched users
+   * @private
+   * @param {CommandInteraction} interaction - Discord interaction
+   * @returns {Promise<void>}
+   */
+  async _handleList(interaction) {
+    const entries = await this.watchlistService.listEntries(interaction.guild.id);
+
+    const embed = new EmbedBuilder()
+      .setTitle('👁️ Watchlist')
+      .setColor(0xff9900)
+      .setTimestamp();
+
+    if (entries.length === 0) {
+      embed.setDescription('No users are being watched.');
+      await interaction.editReply({ embeds: [embed] });
+      return;
+    }
+
+    const lines = entries.map(entry => {
+      const expires = entry.expiresAt ? `expires <t:${Math.floor(entry.expiresAt.getTime() / 1000)}:R>` : 'no expiry';
+      return `<@${entry.userId}>${entry.userTag ? ` (${entry.userTag})` : ''} • by <@${entry.moderatorId}> • ${expires}\n` +
+        `└ ${entry.reason.slice(0, 100)}`;
+    });
+
+    // Whole entries only, so a long watchlist is cut between users rather than mid-line
+    let description = '';
+    let shown = 0;
+    for (const line of lines) {
+      if (description.length + line.length + 1 > 4000) {
+        break;
+      }
+      description += `${line}\n`;
+      shown++;
+    }
+
+    embed.setDescription(description)
+      .setFooter({ text: shown < entries.length ? `Showing ${shown} of ${entries.length} users` : `${entries.length} user(s)` });
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+
+  /**
+   * Extract a user ID from a mention or raw ID
+   * @private
+   * @param {string} input - Option value
+   * @returns {string|null} User ID, or null when the value is not one
+   */
+  _parseUserId(input) {
+    const userId = input.trim().replace(/^<@!?(\d+)>$/, '$1');
+    return /^\d{17,20}$/.test(userId) ? userId : null;
+  }
+
+  /**
+   * Suggest watch durations when adding, and watched users when removing
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+
+    if (focused.name === 'duration') {
+      await interaction.respond(Duration.suggest(focused.value, WATCH_LIMITS));
+      return;
+    }
+
+    const query = focused.value.toLowerCase();
+    const entries = await this.watchlistService.listEntries(interaction.guild.id);
+
+    const choices = entries
+      .filter(entry => entry.userId.includes(query) || (entry.userTag && entry.userTag.toLowerCase().includes(query)))
+      .slice(0, 25)
+      .map(entry => ({
+        name: `${entry.userTag || 'Unknown User'} (${entry.userId}) - ${entry.reason}`.slice(0, 100),
+        value: entry.userId
+      }));
+
+    await interaction.respond(choices);
+  }
+}
+
+module.exports = WatchCommand;
@@ -4,11 +4,24 @@ const { Collection, REST, Routes } = require('discord.js');
 const KickCommand = require('../commands/moderation/KickCommand');
 const BanCommand = require('../commands/moderation/BanCommand');
 const TempbanCommand = require('../commands/moderation/TempbanCommand');
+const UnbanCommand = require('../commands/moderation/UnbanCommand');
+const MassbanCommand = require('../commands/moderation/MassbanCommand');
 const JailCommand = require('../commands/moderation/JailCommand');
 const UnjailCommand = require('../commands/moderation/UnjailCommand');
+const TimeoutCommand = require('../commands/moderation/TimeoutCommand');
+const UntimeoutCommand = require('../commands/moderation/UntimeoutCommand');
 const ClearCommand = require('../commands/moderation/ClearCommand');
 const WarnCommand = require('../commands/moderation/WarnCommand');
 const NoteCommand = require('../commands/moderation/NoteCommand');
+const UserStatsCommand = require('../commands/moderation/UserStatsCommand');
+const ModStatsCommand = require('../commands/moderation/ModStatsCommand');
+const CaseCommand = require('../commands/moderation/CaseCommand');
+const PardonCommand = require('../commands/moderation/PardonCommand');
+const RaidCommand = require('../commands/moderation/RaidCommand');
+const LockdownCommand = require('../commands/moderation/LockdownCommand');
+const UnlockCommand = require('../commands/moderation/UnlockCommand');
+const WatchCommand = require('../commands/moderation/WatchCommand');
+const ReportCommand = require('../commands/moderation/ReportCommand');
 
 const CreateTicketCommand = require('../commands/tickets/CreateTicketCommand');
 const CloseTicketCommand = require('../commands/tickets/CloseTicketCommand');
@@ -24,9 +37,19 @@ const ImportTemplateFileCommand = require('../commands/templates/ImportTemplateF
 const BatchTemplateCommand = require('../commands/templates/BatchTemplateCommand');
 
 const SetupCommand = require('../commands/admin/SetupCommand');
+const JobsCommand = require('../commands/admin/JobsCommand');
+const AutomodCommand = require('../commands/admin/AutomodCommand');
+const ReasonsCommand = require('../commands/admin/ReasonsCommand');
+
+const UserInfoCommand = require('../commands/context/UserInfoCommand');
+const WarnUserCommand = require('../commands/context/WarnUserCommand');
+const JailUserCommand = require('../commands/context/JailUserCommand');
+const AddNoteCommand = require('../commands/context/AddNoteCommand');
+const DeleteAndWarnCommand = require('../commands/context/DeleteAndWarnCommand');
+const ReportMessageCommand = require('../commands/context/ReportMessageCommand');
 
 /**
- * Central command handler for managing Discord slash commands
+ * Central command handler for managing Discord slash and context-menu commands
  * Implements dependency injection, command registration, and interaction routing
  * @class CommandHandler
  */
@@ -39,6 +62,9 @@ class CommandHandler {
    * @param {TicketService} services.ticketService - Ticket system service
    * @param {RoleService} services.roleService - Role management service
    * @param {ServerTemplateService} services.templateService - Server template service
+   * @param {TicketRepository} services.ticketRepository - Ticket data repository
+   * @param {SchedulerService} services.schedulerService - Scheduled job service
+   * @param {AppealService} services.appealService - Ban appeal service
    */
   constructor(client, services) {
     this.client = client;
@@ -67,16 +93,34 @@ class CommandHandler {
    */
   _initializeCommands() {
     try {
+      // Report queue actions run through these, so they are shared with /report
+      const warnCommand = new WarnCommand(this.services.moderationService, this.services.reasonPresetService, this.services.evidenceService);
+      const jailCommand = new JailCommand(this.services.moderationService, this.services.configRepository, this.services.reasonPresetService, this.services.evidenceService);
+      const banCommand = new BanCommand(this.services.moderationService, this.services.reasonPresetService, this.services.evidenceService);
+
       // Moderation commands
       const moderationCommands = [
-        new KickCommand(this.services.moderationService),
-        new BanCommand(this.services.moderationService),
-        new TempbanCommand(this.services.moderationService),
-        new JailCommand(this.services.moderationService, this.services.configRepository),
+        new KickCommand(this.services.moderationService, this.services.reasonPresetService, this.services.evidenceService),
+        banCommand,
+        new TempbanCommand(this.services.moderationService, this.services.reasonPresetService, this.services.evidenceService),
+        new UnbanCommand(this.services.moderationService),
+        new MassbanCommand(this.services.moderationService, this.services.permissionService),
+        jailCommand,
         new UnjailCommand(this.services.moderationService, this.services.configRepository),
-        new WarnCommand(this.services.moderationService),
+        new TimeoutCommand(this.services.moderationService, this.services.evidenceService),
+        new UntimeoutCommand(this.services.moderationService),
+        warnCommand,
         new NoteCommand(this.services.moderationService),
-        new ClearCommand()
+        new UserStatsCommand(this.services.moderationService, this.services.ticketRepository),
+        new ModStatsCommand(this.services.moderationService, this.services.ticketRepository, this.services.configRepository),
+        new CaseCommand(this.services.moderationService, this.services.evidenceService),
+        new PardonCommand(this.services.moderationService),
+        new RaidCommand(this.services.raidService),
+        new LockdownCommand(this.services.lockdownService),
+        new UnlockCommand(this.services.lockdownService),
+        new WatchCommand(this.services.watchlistService),
+        new ReportCommand(this.services.reportService, warnCommand, jailCommand, banCommand),
+        new ClearCommand(this.services.messageCleanupService, this.services.modLogService)
       ];
 
       // Ticket commands
@@ -103,7 +147,20 @@ class CommandHandler {
 
       // Admin commands
       const adminCommands = [
-        new SetupCommand(this.services.permissionService, this.services.configRepository)
+        new SetupCommand(this.services.permissionService, this.services.configRepository, this.services.memberNotificationService),
+        new JobsCommand(this.services.schedulerService),
+        new AutomodCommand(this.services.configRepository),
+        new ReasonsCommand(this.services.configRepository, this.services.reasonPresetService)
+      ];
+
+      // Right-click commands on users and messages
+      const contextMenuCommands = [
+        new UserInfoCommand(this.services.moderationService, this.services.ticketRepository),
+        new WarnUserCommand(this.services.moderationService, this.services.reasonPresetService, this.services.evidenceService),
+        new JailUserCommand(this.services.moderationService, this.services.configRepository, this.services.reasonPresetService, this.services.evidenceService),
+        new AddNoteCommand(this.services.moderationService),
+        new DeleteAndWarnCommand(this.services.moderationService, this.services.reasonPresetService, this.services.evidenceService),
+        new ReportMessageCommand(this.services.reportService)
       ];
 
       // Combine all commands
@@ -112,7 +169,8 @@ class CommandHandler {
         ...ticketCommands,
         ...roleCommands,
         ...templateCommands,
-        ...adminCommands
+        ...adminCommands,
+        ...contextMenuCommands
       ];
 
       // Register commands in collection
@@ -146,6 +204,20 @@ class CommandHandler {
       await this._handleSlashCommand(interaction);
     });
 
+    // Handle user and message context-menu commands through the same pipeline
+    this.client.on('interactionCreate', async (interaction) => {
+      if (!interaction.isUserContextMenuCommand() && !interaction.isMessageContextMenuCommand()) return;
+
+      await this._handleSlashCommand(interaction);
+    });
+
+    // Handle autocomplete suggestions for command options
+    this.client.on('interactionCreate', async (interaction) => {
+      if (!interaction.isAutocomplete()) return;
+
+      await this._handleAutocomplete(interaction);
+    });
+
     // Handle button interactions (for tickets, etc.)
     this.client.on('interactionCreate', async (interaction) => {
       if (!interaction.isButton()) return;
@@ -153,6 +225,35 @@ class CommandHandler {
       await this._handleButtonInteraction(interaction);
     });
 
+    // Handle modal submissions
+    this.client.on('interactionCreate', async (interaction) => {
+      if (!interaction.isModalSubmit()) return;
+
+      await this._handleModalSubmit(interaction);
+    });
+
+    // Handle guild messages for automod and spam detection, and direct messages for ban appeals
+    this.client.on('messageCreate', async (message) => {
+      if (message.author.bot) return;
+
+      if (message.guild) {
+        // A message automod already removed does not also count towards spam
+        const violation = await this.services.automodService.handleMessage(message);
+        if (!violation) {
+          await this.services.spamService.handleMessage(message);
+        }
+
+        try {
+          await this.services.watchlistService.handleMessage(message);
+        } catch (error) {
+          console.error('Error checking message against watchlist:', error);
+        }
+        return;
+      }
+
+      await this.services.appealService.handleDirectMessage(message);
+    });
+
     // Handle message reactions for autoroles
     this.client.on('messageReactionAdd', async (reaction, user) => {
       await this._handleReactionAdd(reaction, user);
@@ -175,7 +276,7 @@ class CommandHandler {
   }
 
   /**
-   * Handle slash command interactions
+   * Handle slash and context-menu command interactions
    * @private
    * @param {CommandInteraction} interaction - Discord command interaction
    */
@@ -223,6 +324,28 @@ class CommandHandler {
     }
   }
 
+  /**
+   * Handle autocomplete interactions by delegating to the command
+   * @private
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   */
+  async _handleAutocomplete(interaction) {
+    const command = this.commands.get(interaction.commandName);
+    if (!command || typeof command.autocomplete !== 'function') {
+      return;
+    }
+
+    try {
+      await command.autocomplete(interaction);
+    } catch (error) {
+      console.error(`Error handling autocomplete for ${interaction.commandName}:`, error);
+
+      if (!interaction.responded) {
+        await interaction.respond([]).catch(() => null);
+      }
+    }
+  }
+
   /**
    * Handle button interactions (primarily for ticket system)
    * @private
@@ -239,12 +362,23 @@ class CommandHandler {
         case 'close-ticket':
           await this.services.ticketService.handleCloseTicketButton(interaction);
           break;
-        default:
+        case 'appeal':
+          await this.services.appealService.handleButton(interaction, params);
+          break;
+        default: {
+          // Commands that render their own buttons prefix custom IDs with their name
+          const command = this.commands.get(action);
+          if (command && typeof command.handleButton === 'function') {
+            await command.handleButton(interaction, params);
+            break;
+          }
+
           console.warn(`Unknown button interaction: ${interaction.customId}`);
           await interaction.reply({
             content: 'Unknown button interaction.',
             flags: [4] // MessageFlags.Ephemeral
           });
+        }
       }
 
     } catch (error) {
@@ -259,6 +393,56 @@ class CommandHandler {
     }
   }
 
+  /**
+   * Handle modal submit interactions
+   * @private
+   * @param {ModalSubmitInteraction} interaction - Discord modal submit interaction
+   */
+  async _handleModalSubmit(interaction) {
+    try {
+      const [action, ...params] = interaction.customId.split('_');
+
+      switch (action) {
+        case 'appeal':
+          await this.services.appealService.handleModal(interaction, params);
+          break;
+        default: {
+          // Commands that open their own modals prefix custom IDs with their name
+          const command = this.commands.get(action);
+          if (command && typeof command.handleModal === 'function') {
+            // A form can be submitted long after it was opened, so permissions are checked again
+            if (!(await command.validatePermissions(interaction))) {
+              await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                flags: [4] // MessageFlags.Ephemeral
+              });
+              break;
+            }
+
+            await command.handleModal(interaction, params);
+            break;
+          }
+
+          console.warn(`Unknown modal submission: ${interaction.customId}`);
+          await interaction.reply({
+            content: 'Unknown form submission.',
+            flags: [4] // MessageFlags.Ephemeral
+          });
+        }
+      }
+
+    } catch (error) {
+      console.error('Error handling modal submission:', error);
+
+      if (!interaction.replied && !interaction.deferred) {
+        await interaction.reply({
+          content: 'An error occurred while processing your request.',
+          flags: [4] // MessageFlags.Ephemeral
+        });
+      }
+    }
+  }
+
   /**
    * Handle reaction add events for autoroles
    * @private
@@ -306,7 +490,8 @@ class CommandHandler {
   }
 
   /**
-   * Handle member join events for persistent roles
+   * Handle member join events for persistent roles and raid detection
+   * Raid detection runs after roles are restored so a raid jail backs them up
    * @private
    * @param {GuildMember} member - Member who joined
    */
@@ -317,6 +502,22 @@ class CommandHandler {
     } catch (error) {
       console.error('Error handling member join:', error);
     }
+
+    if (this.services.raidService) {
+      await this.services.raidService.handleMemberJoin(member);
+    }
+
+    try {
+      await this.services.evasionService.handleMemberJoin(member);
+    } catch (error) {
+      console.error('Error checking member join for ban evasion:', error);
+    }
+
+    try {
+      await this.services.watchlistService.handleMemberJoin(member);
+    } catch (error) {
+      console.error('Error checking member join against watchlist:', error);
+    }
   }
 
   /**
@@ -331,6 +532,12 @@ class CommandHandler {
     } catch (error) {
       console.error('Error handling member leave:', error);
     }
+
+    try {
+      await this.services.evasionService.handleMemberLeave(member);
+    } catch (error) {
+      console.error('Error recording profile of departing jailed member:', error);
+    }
   }
 
   /**
@@ -0,0 +1,172 @@
+/**
+ * ChannelLockdown entity recording a locked channel and the permission overwrites it had before
+ * The snapshot is restored verbatim when the channel is unlocked
+ * @class ChannelLockdown
+ * @example
+ * const lockdown = new ChannelLockdown('123456789', '555555555', {
+ *   overwrites: [{ id: '123456789', type: 0, allow: '0', deny: '0' }],
+ *   moderatorId: '111111111',
+ *   reason: 'Raid in progress'
+ * });
+ */
+class ChannelLockdown {
+  /**
+   * Create channel lockdown instance
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Locked channel ID
+   * @param {Object} data - Lockdown data
+   * @param {Array<Object>} data.overwrites - Permission overwrites before the lockdown ({ id, type, allow, deny })
+   * @param {string} data.moderatorId - Moderator who locked the channel
+   * @param {string} [data.reason='No reason provided'] - Lockdown reason
+   * @param {Date} [data.expiresAt] - When the channel unlocks automatically
+   * @param {string} [data.jobId] - Scheduled unlock job ID
+   * @param {Date} [data.createdAt] - When the channel was locked
+   */
+  constructor(guildId, channelId, data = {}) {
+    if (!guildId || typeof guildId !== 'string') {
+      throw new Error('Guild ID must be a non-empty string');
+    }
+
+    if (!channelId || typeof channelId !== 'string') {
+      throw new Error('Channel ID must be a non-empty string');
+    }
+
+    if (!Array.isArray(data.overwrites)) {
+      throw new Error('Lockdown overwrites snapshot must be an array');
+    }
+
+    /**
+     * Discord guild ID
+     * @type {string}
+     * @readonly
+     */
+    this.guildId = guildId;
+
+    /**
+     * Locked channel ID
+     * @type {string}
+     * @readonly
+     */
+    this.channelId = channelId;
+
+    /**
+     * Permission overwrites before the lockdown, with bitfields stored as strings
+     * @type {Array<{id: string, type: number, allow: string, deny: string}>}
+     * @readonly
+     */
+    this.overwrites = data.overwrites.map(overwrite => ({
+      id: overwrite.id,
+      type: overwrite.type,
+      allow: String(overwrite.allow),
+      deny: String(overwrite.deny)
+    }));
+
+    /**
+     * Moderator who locked the channel
+     * @type {string}
+     * @readonly
+     */
+    this.moderatorId = data.moderatorId;
+
+    /**
+     * Lockdown reason
+     * @type {string}
+     * @readonly
+     */
+    this.reason = data.reason || 'No reason provided';
+
+    /**
+     * When the channel unlocks automatically
+     * @type {Date|null}
+     * @readonly
+     */
+    this.expiresAt = data.expiresAt || null;
+
+    /**
+     * Scheduled unlock job ID
+     * @type {string|null}
+     */
+    this.jobId = data.jobId || null;
+
+    /**
+     * When the channel was locked
+     * @type {Date}
+     * @readonly
+     */
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Document ID combining guild and channel
+   * @returns {string} Database document ID
+   */
+  get id() {
+    return ChannelLockdown.buildId(this.guildId, this.channelId);
+  }
+
+  /**
+   * Get the snapshot in the shape accepted by PermissionOverwriteManager#set
+   * @returns {Array<{id: string, type: number, allow: bigint, deny: bigint}>} Overwrites to restore
+   */
+  getRestorableOverwrites() {
+    return this.overwrites.map(overwrite => ({
+      id: overwrite.id,
+      type: overwrite.type,
+      allow: BigInt(overwrite.allow),
+      deny: BigInt(overwrite.deny)
+    }));
+  }
+
+  /**
+   * Export lockdown data for database storage
+   * @returns {Object} Lockdown data suitable for database storage
+   */
+  toDatabase() {
+    return {
+      _id: this.id,
+      guildId: this.guildId,
+      channelId: this.channelId,
+      overwrites: this.overwrites,
+      moderatorId: this.moderatorId,
+      reason: this.reason,
+      expiresAt: this.expiresAt,
+      jobId: this.jobId,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Create ChannelLockdown instance from database data
+   * @static
+   * @param {Object} data - Database document
+   * @returns {ChannelLockdown} Lockdown instance
+   * @throws {Error} When data is invalid
+   */
+  static fromDatabase(data) {
+    if (!data || !data._id) {
+      throw new Error('Invalid lockdown data: missing ID');
+    }
+
+    return new ChannelLockdown(data.guildId, data.channelId, {
+      overwrites: data.overwrites,
+      moderatorId: data.moderatorId,
+      reason: data.reason,
+      expiresAt: data.expiresAt,
+      jobId: data.jobId,
+      createdAt: data.createdAt
+    });
+  }
+
+  /**
+   * Build the document ID for a locked channel
+   * @static
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {string} Database document ID
+   */
+  static buildId(guildId, channelId) {
+    return `${guildId}:${channelId}`;
+  }
+}
+
+module.exports = ChannelLockdown;
@@ -0,0 +1,224 @@
+/**
+ * ModerationCase entity indexing a moderation record under a guild-scoped case number
+ * The action itself stays in the user's history; the case points at it by record ID
+ * @class ModerationCase
+ * @example
+ * const moderationCase = new ModerationCase('123456789', 412, {
+ *   userId: '987654321',
+ *   action: 'warn',
+ *   recordId: '987654321-1700000000000-abc123def'
+ * });
+ */
+class ModerationCase {
+  /**
+   * Create moderation case instance
+   * @param {string} guildId - Discord guild ID the case belongs to
+   * @param {number} caseNumber - Sequential case number within the guild
+   * @param {Object} data - Case data
+   * @param {string} data.userId - Discord user ID the record belongs to
+   * @param {string} data.action - Recorded action (warn, kick, ban, jail, note, etc.)
+   * @param {string} data.recordId - ID of the moderation action or staff note
+   * @param {string} [data.kind='action'] - Record kind (action or note)
+   * @param {string} [data.moderatorId] - Moderator who created the record
+   * @param {boolean} [data.deleted=false] - Whether the case has been deleted
+   * @param {string} [data.deletedBy] - Moderator who deleted the case
+   * @param {Date} [data.deletedAt] - When the case was deleted
+   * @param {Date} [data.createdAt] - When the case was created
+   */
+  constructor(guildId, caseNumber, data = {}) {
+    if (!guildId || typeof guildId !== 'string') {
+      throw new Error('Guild ID must be a non-empty string');
+    }
+
+    if (!Number.isInteger(caseNumber) || caseNumber < 1) {
+      throw new Error('Case number must be a positive integer');
+    }
+
+    if (!data.userId || typeof data.userId !== 'string') {
+      throw new Error('Case user ID must be a non-empty string');
+    }
+
+    if (!data.recordId || typeof data.recordId !== 'string') {
+      throw new Error('Case record ID must be a non-empty string');
+    }
+
+    /**
+     * Discord guild ID the case belongs to
+     * @type {string}
+     * @readonly
+     */
+    this.guildId = guildId;
+
+    /**
+     * Sequential case number within the guild
+     * @type {number}
+     * @readonly
+     */
+    this.caseNumber = caseNumber;
+
+    /**
+     * Discord user ID the record belongs to
+     * @type {string}
+     */
+    this.userId = data.userId;
+
+    /**
+     * Recorded action
+     * @type {string}
+     */
+    this.action = data.action || 'unknown';
+
+    /**
+     * ID of the moderation action or staff note
+     * @type {string}
+     */
+    this.recordId = data.recordId;
+
+    /**
+     * Record kind (action or note)
+     * @type {string}
+     */
+    this.kind = data.kind || 'action';
+
+    /**
+     * Moderator who created the record
+     * @type {string|null}
+     */
+    this.moderatorId = data.moderatorId || null;
+
+    /**
+     * Whether the case has been deleted
+     * @type {boolean}
+     * @private
+     */
+    this._deleted = Boolean(data.deleted);
+
+    /**
+     * Moderator who deleted the case
+     * @type {string|null}
+     * @private
+     */
+    this._deletedBy = data.deletedBy || null;
+
+    /**
+     * When the case was deleted
+     * @type {Date|null}
+     * @private
+     */
+    this._deletedAt = data.deletedAt || null;
+
+    /**
+     * When the case was created
+     * @type {Date}
+     * @readonly
+     */
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Document ID combining guild and case number
+   * @returns {string} Database document ID
+   */
+  get id() {
+    return ModerationCase.buildId(this.guildId, this.caseNumber);
+  }
+
+  /**
+   * Check if the case has been deleted
+   * Deleted cases keep their number so it is never reused
+   * @returns {boolean} Whether case is deleted
+   */
+  isDeleted() {
+    return this._deleted;
+  }
+
+  /**
+   * Get moderator who deleted the case
+   * @returns {string|null} Moderator ID
+   */
+  getDeletedBy() {
+    return this._deletedBy;
+  }
+
+  /**
+   * Get when the case was deleted
+   * @returns {Date|null} Deletion timestamp
+   */
+  getDeletedAt() {
+    return this._deletedAt;
+  }
+
+  /**
+   * Mark case as deleted
+   * @param {string} deletedBy - Moderator deleting the case
+   * @throws {Error} When case is already deleted
+   */
+  markDeleted(deletedBy) {
+    if (this._deleted) {
+      throw new Error(`Case #${this.caseNumber} is already deleted`);
+    }
+
+    this._deleted = true;
+    this._deletedBy = deletedBy;
+    this._deletedAt = new Date();
+  }
+
+  /**
+   * Export case data for database storage
+   * @returns {Object} Case data suitable for database storage
+   */
+  toDatabase() {
+    return {
+      _id: this.id,
+      guildId: this.guildId,
+      caseNumber: this.caseNumber,
+      userId: this.userId,
+      action: this.action,
+      recordId: this.recordId,
+      kind: this.kind,
+      moderatorId: this.moderatorId,
+      deleted: this._deleted,
+      deletedBy: this._deletedBy,
+      deletedAt: this._deletedAt,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Create ModerationCase instance from database data
+   * @static
+   * @param {Object} data - Database document
+   * @returns {ModerationCase} Case instance
+   * @throws {Error} When data is invalid
+   */
+  static fromDatabase(data) {
+    if (!data || !data._id) {
+      throw new Error('Invalid case data: missing ID');
+    }
+
+    return new ModerationCase(data.guildId, data.caseNumber, {
+      userId: data.userId,
+      action: data.action,
+      recordId: data.recordId,
+      kind: data.kind,
+      moderatorId: data.moderatorId,
+      deleted: data.deleted,
+      deletedBy: data.deletedBy,
+      deletedAt: data.deletedAt,
+      createdAt: data.createdAt
+    });
+  }
+
+  /**
+   * Build the document ID for a guild case number
+   * @static
+   * @param {string} guildId - Discord guild ID
+   * @param {number} caseNumber - Case number
+   * @returns {string} Database document ID
+   */
+  static buildId(guildId, caseNumber) {
+    return `${guildId}:${caseNumber}`;
+  }
+}
+
+module.exports = ModerationCase;
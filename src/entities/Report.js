@@ -0,0 +1,330 @@
+/**
+ * Report statuses; open and claimed reports are still waiting on staff
+ * @type {Array<string>}
+ */
+const REPORT_STATUSES = ['open', 'claimed', 'dismissed', 'actioned'];
+
+/**
+ * Report entity for a member flagging another member to staff
+ * Reports keep their outcome so false reports can be tracked per reporter
+ * @class Report
+ * @example
+ * const report = new Report('123456789', 7, {
+ *   reporterId: '111111111',
+ *   targetId: '987654321',
+ *   reason: 'Posting scam links in #general'
+ * });
+ * report.claim('222222222');
+ */
+class Report {
+  /**
+   * Create report instance
+   * @param {string} guildId - Discord guild ID the report belongs to
+   * @param {number} reportNumber - Sequential report number within the guild
+   * @param {Object} data - Report data
+   * @param {string} data.reporterId - Member who filed the report
+   * @param {string} data.targetId - Reported user
+   * @param {string} data.reason - What the reporter says is wrong
+   * @param {string} [data.reporterTag] - Tag of the reporter when filed
+   * @param {string} [data.targetTag] - Tag of the reported user when filed
+   * @param {Object} [data.message] - Snapshot of the reported message, for message reports
+   * @param {string} [data.status='open'] - Report status (open, claimed, dismissed or actioned)
+   * @param {string} [data.claimedBy] - Moderator handling the report
+   * @param {Date} [data.claimedAt] - When the report was claimed
+   * @param {string} [data.resolvedBy] - Moderator who dismissed or actioned the report
+   * @param {Date} [data.resolvedAt] - When the report was dismissed or actioned
+   * @param {string} [data.resolution] - Action taken, or why the report was dismissed
+   * @param {number} [data.caseNumber] - Case opened by the action taken
+   * @param {string} [data.queueChannelId] - Channel the report was posted to
+   * @param {string} [data.queueMessageId] - Queue message showing the report
+   * @param {Date} [data.createdAt] - When the report was filed
+   */
+  constructor(guildId, reportNumber, data = {}) {
+    if (!guildId || typeof guildId !== 'string') {
+      throw new Error('Guild ID must be a non-empty string');
+    }
+
+    if (!Number.isInteger(reportNumber) || reportNumber < 1) {
+      throw new Error('Report number must be a positive integer');
+    }
+
+    if (!data.reporterId || typeof data.reporterId !== 'string') {
+      throw new Error('Reporter ID must be a non-empty string');
+    }
+
+    if (!data.targetId || typeof data.targetId !== 'string') {
+      throw new Error('Reported user ID must be a non-empty string');
+    }
+
+    if (!data.reason || typeof data.reason !== 'string' || data.reason.trim().length === 0) {
+      throw new Error('Report reason must be a non-empty string');
+    }
+
+    const status = data.status || 'open';
+    if (!REPORT_STATUSES.includes(status)) {
+      throw new Error(`Report status must be one of: ${REPORT_STATUSES.join(', ')}`);
+    }
+
+    /**
+     * Discord guild ID the report belongs to
+     * @type {string}
+     * @readonly
+     */
+    this.guildId = guildId;
+
+    /**
+     * Sequential report number within the guild
+     * @type {number}
+     * @readonly
+     */
+    this.reportNumber = reportNumber;
+
+    /**
+     * Member who filed the report
+     * @type {string}
+     * @readonly
+     */
+    this.reporterId = data.reporterId;
+
+    /**
+     * Tag of the reporter when filed
+     * @type {string|null}
+     * @readonly
+     */
+    this.reporterTag = data.reporterTag || null;
+
+    /**
+     * Reported user
+     * @type {string}
+     * @readonly
+     */
+    this.targetId = data.targetId;
+
+    /**
+     * Tag of the reported user when filed
+     * @type {string|null}
+     * @readonly
+     */
+    this.targetTag = data.targetTag || null;
+
+    /**
+     * What the reporter says is wrong
+     * @type {string}
+     * @readonly
+     */
+    this.reason = data.reason.trim();
+
+    /**
+     * Snapshot of the reported message, so the report survives the message being deleted
+     * @type {{channelId: string, messageId: string, url: string, content: string, attachments: Array<string>}|null}
+     * @readonly
+     */
+    this.message = data.message || null;
+
+    /**
+     * Report status
+     * @type {string}
+     */
+    this.status = status;
+
+    /**
+     * Moderator handling the report
+     * @type {string|null}
+     */
+    this.claimedBy = data.claimedBy || null;
+
+    /**
+     * When the report was claimed
+     * @type {Date|null}
+     */
+    this.claimedAt = data.claimedAt ? new Date(data.claimedAt) : null;
+
+    /**
+     * Moderator who dismissed or actioned the report
+     * @type {string|null}
+     */
+    this.resolvedBy = data.resolvedBy || null;
+
+    /**
+     * When the report was dismissed or actioned
+     * @type {Date|null}
+     */
+    this.resolvedAt = data.resolvedAt ? new Date(data.resolvedAt) : null;
+
+    /**
+     * Action taken, or why the report was dismissed
+     * @type {string|null}
+     */
+    this.resolution = data.resolution || null;
+
+    /**
+     * Case opened by the action taken
+     * @type {number|null}
+     */
+    this.caseNumber = data.caseNumber || null;
+
+    /**
+     * Channel the report was posted to
+     * @type {string|null}
+     */
+    this.queueChannelId = data.queueChannelId || null;
+
+    /**
+     * Queue message showing the report, edited as its status changes
+     * @type {string|null}
+     */
+    this.queueMessageId = data.queueMessageId || null;
+
+    /**
+     * When the report was filed
+     * @type {Date}
+     * @readonly
+     */
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+  }
+
+  /**
+   * Document ID combining guild and report number
+   * @returns {string} Database document ID
+   */
+  get id() {
+    return Report.buildId(this.guildId, this.reportNumber);
+  }
+
+  /**
+   * Check whether the report still waits on staff
+   * @returns {boolean} Whether the report is open or claimed
+   */
+  isPending() {
+    return this.status === 'open' || this.status === 'claimed';
+  }
+
+  /**
+   * Assign the report to a moderator
+   * @param {string} moderatorId - Moderator claiming the report
+   * @throws {Error} When the report is already resolved
+   */
+  claim(moderatorId) {
+    if (!this.isPending()) {
+      throw new Error(`Report #${this.reportNumber} has already been ${this.status}`);
+    }
+
+    this.status = 'claimed';
+    this.claimedBy = moderatorId;
+    this.claimedAt = new Date();
+  }
+
+  /**
+   * Close the report without action; counts against the reporter
+   * @param {string} moderatorId - Moderator dismissing the report
+   * @param {string} [note] - Why the report was dismissed
+   * @throws {Error} When the report is already resolved
+   */
+  dismiss(moderatorId, note = null) {
+    this._resolve('dismissed', moderatorId, note);
+  }
+
+  /**
+   * Close the report after acting on the reported user
+   * @param {string} moderatorId - Moderator who took action
+   * @param {string} action - Action taken (warn, jail, ban)
+   * @param {number} [caseNumber] - Case opened by the action
+   * @throws {Error} When the report is already resolved
+   */
+  markActioned(moderatorId, action, caseNumber = null) {
+    this._resolve('actioned', moderatorId, action);
+    this.caseNumber = caseNumber;
+  }
+
+  /**
+   * Export report data for database storage
+   * @returns {Object} Report data suitable for database storage
+   */
+  toDatabase() {
+    return {
+      _id: this.id,
+      guildId: this.guildId,
+      reportNumber: this.reportNumber,
+      reporterId: this.reporterId,
+      reporterTag: this.reporterTag,
+      targetId: this.targetId,
+      targetTag: this.targetTag,
+      reason: this.reason,
+      message: this.message,
+      status: this.status,
+      claimedBy: this.claimedBy,
+      claimedAt: this.claimedAt,
+      resolvedBy: this.resolvedBy,
+      resolvedAt: this.resolvedAt,
+      resolution: this.resolution,
+      caseNumber: this.caseNumber,
+      queueChannelId: this.queueChannelId,
+      queueMessageId: this.queueMessageId,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Move the report to a final status
+   * @private
+   * @param {string} status - Final status (dismissed or actioned)
+   * @param {string} moderatorId - Moderator resolving the report
+   * @param {string|null} resolution - Action taken or dismissal note
+   * @throws {Error} When the report is already resolved
+   */
+  _resolve(status, moderatorId, resolution) {
+    if (!this.isPending()) {
+      throw new Error(`Report #${this.reportNumber} has already been ${this.status}`);
+    }
+
+    this.status = status;
+    this.resolvedBy = moderatorId;
+    this.resolvedAt = new Date();
+    this.resolution = resolution || null;
+  }
+
+  /**
+   * Create Report instance from database data
+   * @static
+   * @param {Object} data - Database document
+   * @returns {Report} Report instance
+   * @throws {Error} When data is invalid
+   */
+  static fromDatabase(data) {
+    if (!data || !data._id) {
+      throw new Error('Invalid report data: missing ID');
+    }
+
+    return new Report(data.guildId, data.reportNumber, {
+      reporterId: data.reporterId,
+      reporterTag: data.reporterTag,
+      targetId: data.targetId,
+      targetTag: data.targetTag,
+      reason: data.reason,
+      message: data.message,
+      status: data.status,
+      claimedBy: data.claimedBy,
+      claimedAt: data.claimedAt,
+      resolvedBy: data.resolvedBy,
+      resolvedAt: data.resolvedAt,
+      resolution: data.resolution,
+      caseNumber: data.caseNumber,
+      queueChannelId: data.queueChannelId,
+      queueMessageId: data.queueMessageId,
+      createdAt: data.createdAt
+    });
+  }
+
+  /**
+   * Build the document ID for a report
+   * @static
+   * @param {string} guildId - Discord guild ID
+   * @param {number} reportNumber - Report number
+   * @returns {string} Database document ID
+   */
+  static buildId(guildId, reportNumber) {
+    return `${guildId}:${reportNumber}`;
+  }
+}
+
+module.exports = Report;
@@ -0,0 +1,326 @@
+/**
+ * ScheduledJob entity representing a deferred action persisted in the job queue
+ * Tracks execution state, retry attempts and failure details for the scheduler worker
+ * @class ScheduledJob
+ * @example
+ * const job = new ScheduledJob('job-123', 'unban', new Date(Date.now() + 3600000), {
+ *   guildId: '123456789',
+ *   payload: { userId: '987654321' }
+ * });
+ */
+class ScheduledJob {
+  /**
+   * Create scheduled job instance
+   * @param {string} id - Unique job identifier
+   * @param {string} type - Job type used to resolve the handler (e.g. unban, unjail)
+   * @param {Date} runAt - When the job becomes due
+   * @param {Object} [data={}] - Additional job data
+   * @param {string} [data.guildId] - Discord guild ID the job belongs to
+   * @param {Object} [data.payload={}] - Handler-specific payload
+   * @param {string} [data.key] - Deduplication key; only one pending job per key is kept
+   * @param {string} [data.status='pending'] - Job status (pending, running, completed, failed, cancelled)
+   * @param {number} [data.attempts=0] - Number of execution attempts so far
+   * @param {number} [data.maxAttempts=5] - Attempts allowed before the job is marked failed
+   * @param {string} [data.lastError] - Error message from the most recent failed attempt
+   * @param {string} [data.createdBy] - User ID that caused the job to be scheduled
+   * @param {Date} [data.createdAt] - When the job was created
+   * @param {Date} [data.updatedAt] - When the job was last updated
+   * @param {Date} [data.completedAt] - When the job finished (completed, failed or cancelled)
+   */
+  constructor(id, type, runAt, data = {}) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('Job ID must be a non-empty string');
+    }
+
+    if (!type || typeof type !== 'string') {
+      throw new Error('Job type must be a non-empty string');
+    }
+
+    const runAtDate = runAt instanceof Date ? runAt : new Date(runAt);
+    if (Number.isNaN(runAtDate.getTime())) {
+      throw new Error('Job run time must be a valid date');
+    }
+
+    /**
+     * Unique job identifier
+     * @type {string}
+     * @readonly
+     */
+    this.id = id;
+
+    /**
+     * Job type used to resolve the handler
+     * @type {string}
+     * @readonly
+     */
+    this.type = type;
+
+    /**
+     * When the job becomes due
+     * @type {Date}
+     */
+    this.runAt = runAtDate;
+
+    /**
+     * Discord guild ID the job belongs to
+     * @type {string|null}
+     */
+    this.guildId = data.guildId || null;
+
+    /**
+     * Handler-specific payload
+     * @type {Object}
+     */
+    this.payload = data.payload || {};
+
+    /**
+     * Deduplication key
+     * @type {string|null}
+     */
+    this.key = data.key || null;
+
+    /**
+     * Current job status
+     * @type {string}
+     * @private
+     */
+    this._status = data.status || 'pending';
+
+    /**
+     * Number of execution attempts so far
+     * @type {number}
+     * @private
+     */
+    this._attempts = data.attempts || 0;
+
+    /**
+     * Attempts allowed before the job is marked failed
+     * @type {number}
+     */
+    this.maxAttempts = data.maxAttempts || 5;
+
+    /**
+     * Error message from the most recent failed attempt
+     * @type {string|null}
+     * @private
+     */
+    this._lastError = data.lastError || null;
+
+    /**
+     * User ID that caused the job to be scheduled
+     * @type {string|null}
+     */
+    this.createdBy = data.createdBy || null;
+
+    /**
+     * When the job was created
+     * @type {Date}
+     * @readonly
+     */
+    this.createdAt = data.createdAt || new Date();
+
+    /**
+     * When the job was last updated
+     * @type {Date}
+     */
+    this.updatedAt = data.updatedAt || new Date();
+
+    /**
+     * When the job finished
+     * @type {Date|null}
+     * @private
+     */
+    this._completedAt = data.completedAt || null;
+  }
+
+  /**
+   * Get current job status
+   * @returns {string} Job status
+   */
+  getStatus() {
+    return this._status;
+  }
+
+  /**
+   * Get number of execution attempts so far
+   * @returns {number} Attempt count
+   */
+  getAttempts() {
+    return this._attempts;
+  }
+
+  /**
+   * Get error message from the most recent failed attempt
+   * @returns {string|null} Last error message
+   */
+  getLastError() {
+    return this._lastError;
+  }
+
+  /**
+   * Get when the job finished
+   * @returns {Date|null} Completion timestamp
+   */
+  getCompletedAt() {
+    return this._completedAt;
+  }
+
+  /**
+   * Check if job is waiting to run
+   * @returns {boolean} Whether job is pending
+   */
+  isPending() {
+    return this._status === 'pending';
+  }
+
+  /**
+   * Check if job is pending and due to run
+   * @param {Date} [now=new Date()] - Reference time
+   * @returns {boolean} Whether job should be executed
+   */
+  isDue(now = new Date()) {
+    return this.isPending() && new Date(this.runAt) <= now;
+  }
+
+  /**
+   * Mark job as running and count the attempt
+   * @throws {Error} When job is not pending
+   */
+  markRunning() {
+    if (!this.isPending()) {
+      throw new Error(`Cannot run job in ${this._status} state`);
+    }
+
+    this._status = 'running';
+    this._attempts++;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Mark job as successfully completed
+   */
+  markCompleted() {
+    this._status = 'completed';
+    this._lastError = null;
+    this._completedAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Record a failed attempt and either reschedule or fail permanently
+   * @param {string} errorMessage - Error message from the failed attempt
+   * @param {number} retryDelayMs - Delay before the next attempt
+   * @returns {boolean} Whether the job will be retried
+   */
+  markFailed(errorMessage, retryDelayMs) {
+    this._lastError = errorMessage || 'Unknown error';
+    this.updatedAt = new Date();
+
+    if (this._attempts < this.maxAttempts) {
+      this._status = 'pending';
+      this.runAt = new Date(Date.now() + retryDelayMs);
+      return true;
+    }
+
+    this._status = 'failed';
+    this._completedAt = new Date();
+    return false;
+  }
+
+  /**
+   * Cancel a pending job
+   * @param {string} [cancelledBy] - User ID that cancelled the job
+   * @throws {Error} When job is no longer pending
+   */
+  cancel(cancelledBy = null) {
+    if (!this.isPending()) {
+      throw new Error(`Cannot cancel job in ${this._status} state`);
+    }
+
+    this._status = 'cancelled';
+    this.payload = { ...this.payload, cancelledBy };
+    this._completedAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Return an interrupted running job to the pending queue
+   * Used on startup when the process stopped mid-execution
+   */
+  requeue() {
+    if (this._status === 'running') {
+      this._status = 'pending';
+      this.updatedAt = new Date();
+    }
+  }
+
+  /**
+   * Export job data for database storage
+   * @returns {Object} Job data suitable for database storage
+   */
+  toDatabase() {
+    return {
+      _id: this.id,
+      type: this.type,
+      runAt: this.runAt,
+      guildId: this.guildId,
+      payload: this.payload,
+      key: this.key,
+      status: this._status,
+      attempts: this._attempts,
+      maxAttempts: this.maxAttempts,
+      lastError: this._lastError,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      completedAt: this._completedAt
+    };
+  }
+
+  /**
+   * Create ScheduledJob instance from database data
+   * @static
+   * @param {Object} data - Database document
+   * @returns {ScheduledJob} Job instance
+   * @throws {Error} When data is invalid
+   */
+  static fromDatabase(data) {
+    if (!data || !data._id) {
+      throw new Error('Invalid job data: missing ID');
+    }
+
+    return new ScheduledJob(data._id, data.type, data.runAt, {
+      guildId: data.guildId,
+      payload: data.payload,
+      key: data.key,
+      status: data.status,
+      attempts: data.attempts,
+      maxAttempts: data.maxAttempts,
+      lastError: data.lastError,
+      createdBy: data.createdBy,
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt,
+      completedAt: data.completedAt
+    });
+  }
+
+  /**
+   * Get job summary information
+   * @returns {Object} Job summary
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      type: this.type,
+      guildId: this.guildId,
+      status: this._status,
+      runAt: this.runAt,
+      attempts: this._attempts,
+      maxAttempts: this.maxAttempts,
+      lastError: this._lastError,
+      payload: { ...this.payload }
+    };
+  }
+}
+
+module.exports = ScheduledJob;
@@ -17,8 +17,19 @@ class Server {
    * @param {string} [config.ticketsChannelId] - Channel ID for ticket creation
    * @param {string} [config.moderatorRoleId] - Role ID for moderators
    * @param {string} [config.jailedRoleId] - Role ID for jailed users
+   * @param {string} [config.modLogChannelId] - Channel ID for moderation action logs
+   * @param {string} [config.watchlistChannelId] - Channel ID for watchlist alerts
+   * @param {string} [config.reportChannelId] - Channel ID for the member report queue
    * @param {Object} [config.autoroles={}] - Autorole configuration
    * @param {Object} [config.templates={}] - Server template settings
+   * @param {Array<Object>} [config.escalationRules=[]] - Automatic warning escalation rules
+   * @param {Object} [config.antiRaid] - Join-rate raid detection settings
+   * @param {Object} [config.evasionDetection] - Ban and jail evasion detection settings
+   * @param {Object} [config.raidLockdown] - Active raid lockdown state, if any
+   * @param {Object} [config.automod] - Automod rules keyed by rule type
+   * @param {Object} [config.antiSpam] - Flood and duplicate-message spam detection settings
+   * @param {Array<Object>} [config.reasonPresets=[]] - Moderation reason presets
+   * @param {Object} [config.dmNotifications] - Direct messages sent to punished members
    * @param {Date} [config.createdAt] - When server config was created
    * @param {Date} [config.updatedAt] - When server config was last updated
    */
@@ -54,8 +65,24 @@ class Server {
       ticketsChannelId: config.ticketsChannelId || null,
       moderatorRoleId: config.moderatorRoleId || null,
       jailedRoleId: config.jailedRoleId || null,
+      modLogChannelId: config.modLogChannelId || null,
+      watchlistChannelId: config.watchlistChannelId || null,
+      reportChannelId: config.reportChannelId || null,
       autoroles: config.autoroles || {},
       templates: config.templates || {},
+      escalationRules: config.escalationRules || [],
+      antiRaid: { ...Server.DEFAULT_ANTI_RAID, ...config.antiRaid },
+      evasionDetection: { ...Server.DEFAULT_EVASION_DETECTION, ...config.evasionDetection },
+      raidLockdown: config.raidLockdown || null,
+      automod: Server._mergeAutomodRules(config.automod),
+      antiSpam: { ...Server.DEFAULT_ANTI_SPAM, ...config.antiSpam },
+      reasonPresets: config.reasonPresets || [],
+      dmNotifications: {
+        enabled: false,
+        templates: {},
+        appealInstructions: null,
+        ...config.dmNotifications
+      },
       ticketConfig: config.ticketConfig || {
         staffRoleId: null,
         logChannelId: null,
@@ -175,6 +202,80 @@ class Server {
     return this._config.jailedRoleId;
   }
 
+  /**
+   * Set moderation log channel ID
+   * @param {string} channelId - Discord channel ID
+   * @throws {Error} When channel ID is invalid
+   * @example
+   * server.setModLogChannel('123456789012345678');
+   */
+  setModLogChannel(channelId) {
+    if (!channelId || typeof channelId !== 'string') {
+      throw new Error('Channel ID must be a non-empty string');
+    }
+
+    this._config.modLogChannelId = channelId;
+    this._config.updatedAt = new Date();
+  }
+
+  /**
+   * Get moderation log channel ID
+   * @returns {string|null} Mod log channel ID or null if not set
+   * @example
+   * const modLogChannelId = server.getModLogChannel();
+   */
+  getModLogChannel() {
+    return this._config.modLogChannelId;
+  }
+
+  /**
+   * Set the channel where watched users' activity is reported
+   * @param {string} channelId - Discord channel ID
+   * @throws {Error} When channel ID is invalid
+   * @example
+   * server.setWatchlistChannel('123456789012345678');
+   */
+  setWatchlistChannel(channelId) {
+    if (!channelId || typeof channelId !== 'string') {
+      throw new Error('Channel ID must be a non-empty string');
+    }
+
+    this._config.watchlistChannelId = channelId;
+    this._config.updatedAt = new Date();
+  }
+
+  /**
+   * Get watchlist alert channel ID
+   * @returns {string|null} Watchlist channel ID or null if not set
+   */
+  getWatchlistChannel() {
+    return this._config.watchlistChannelId;
+  }
+
+  /**
+   * Set the channel where member reports are queued for staff
+   * @param {string} channelId - Discord channel ID
+   * @throws {Error} When channel ID is invalid
+   * @example
+   * server.setReportChannel('123456789012345678');
+   */
+  setReportChannel(channelId) {
+    if (!channelId || typeof channelId !== 'string') {
+      throw new Error('Channel ID must be a non-empty string');
+    }
+
+    this._config.reportChannelId = channelId;
+    this._config.updatedAt = new Date();
+  }
+
+  /**
+   * Get member report queue channel ID
+   * @returns {string|null} Report channel ID or null if not set
+   */
+  getReportChannel() {
+    return this._config.reportChannelId;
+  }
+
   /**
    * Add autorole configuration
    * @param {string} messageId - Discord message ID with reactions
@@ -316,6 +417,683 @@ class Server {
     return { ...this._config.templates };
   }
 
+  /**
+   * Add or replace a warning escalation rule
+   * Rules are keyed by threshold, so adding a rule for an existing threshold replaces it
+   * @param {Object} rule - Escalation rule
+   * @param {number} rule.threshold - Warning count that triggers the rule
+   * @param {number} rule.windowDays - Days of warnings counted towards the threshold
+   * @param {string} rule.action - Action to take (jail, tempban, kick, ban)
+   * @param {number} [rule.durationMs] - Duration for jail or tempban actions
+   * @param {string} [rule.createdBy] - User ID of the administrator adding the rule
+   * @returns {Object} Stored escalation rule
+   * @throws {Error} When rule is invalid
+   * @example
+   * server.addEscalationRule({ threshold: 3, windowDays: 7, action: 'jail', durationMs: 3600000 });
+   */
+  addEscalationRule(rule) {
+    const validActions = ['jail', 'tempban', 'kick', 'ban'];
+
+    if (!rule || !Number.isInteger(rule.threshold) || rule.threshold < 1) {
+      throw new Error('Escalation threshold must be a positive integer');
+    }
+
+    if (!Number.isInteger(rule.windowDays) || rule.windowDays < 1) {
+      throw new Error('Escalation window must be a positive number of days');
+    }
+
+    if (!validActions.includes(rule.action)) {
+      throw new Error(`Invalid escalation action: ${rule.action}. Must be one of: ${validActions.join(', ')}`);
+    }
+
+    if (rule.action === 'tempban' && !rule.durationMs) {
+      throw new Error('Tempban escalation rules require a duration');
+    }
+
+    const storedRule = {
+      threshold: rule.threshold,
+      windowDays: rule.windowDays,
+      action: rule.action,
+      durationMs: ['jail', 'tempban'].includes(rule.action) ? rule.durationMs || null : null,
+      createdBy: rule.createdBy || null,
+      createdAt: new Date()
+    };
+
+    this._config.escalationRules = this._config.escalationRules
+      .filter(existing => existing.threshold !== rule.threshold)
+      .concat(storedRule);
+    this._config.updatedAt = new Date();
+
+    return storedRule;
+  }
+
+  /**
+   * Remove the escalation rule for a warning threshold
+   * @param {number} threshold - Warning count of the rule to remove
+   * @returns {boolean} Whether a rule was removed
+   * @example
+   * server.removeEscalationRule(3);
+   */
+  removeEscalationRule(threshold) {
+    const before = this._config.escalationRules.length;
+    this._config.escalationRules = this._config.escalationRules
+      .filter(rule => rule.threshold !== threshold);
+
+    if (this._config.escalationRules.length === before) {
+      return false;
+    }
+
+    this._config.updatedAt = new Date();
+    return true;
+  }
+
+  /**
+   * Get warning escalation rules ordered by threshold
+   * @returns {Array<Object>} Escalation rules
+   * @example
+   * const rules = server.getEscalationRules();
+   * rules.forEach(rule => console.log(`${rule.threshold} warnings -> ${rule.action}`));
+   */
+  getEscalationRules() {
+    return [...this._config.escalationRules]
+      .sort((a, b) => a.threshold - b.threshold);
+  }
+
+  /**
+   * Update join-rate raid detection settings
+   * Only the provided fields are changed
+   * @param {Object} settings - Anti-raid settings
+   * @param {boolean} [settings.enabled] - Whether raid detection is active
+   * @param {number} [settings.joinThreshold] - Joins that trigger a lockdown when exceeded
+   * @param {number} [settings.windowSeconds] - Window the joins are counted over
+   * @param {string} [settings.response] - Lockdown response (alert, verification, jail, kick)
+   * @param {number} [settings.accountAgeDays] - Accounts younger than this are kicked by the kick response
+   * @returns {Object} Updated anti-raid settings
+   * @throws {Error} When a setting is invalid
+   * @example
+   * server.setAntiRaidSettings({ enabled: true, joinThreshold: 8, windowSeconds: 10, response: 'jail' });
+   */
+  setAntiRaidSettings(settings) {
+    const validResponses = ['alert', 'verification', 'jail', 'kick'];
+    const next = { ...this._config.antiRaid };
+
+    if (settings.enabled !== undefined) {
+      next.enabled = Boolean(settings.enabled);
+    }
+
+    if (settings.joinThreshold !== undefined) {
+      if (!Number.isInteger(settings.joinThreshold) || settings.joinThreshold < 2) {
+        throw new Error('Join threshold must be an integer of at least 2');
+      }
+      next.joinThreshold = settings.joinThreshold;
+    }
+
+    if (settings.windowSeconds !== undefined) {
+      if (!Number.isInteger(settings.windowSeconds) || settings.windowSeconds < 1) {
+        throw new Error('Join window must be a positive number of seconds');
+      }
+      next.windowSeconds = settings.windowSeconds;
+    }
+
+    if (settings.response !== undefined) {
+      if (!validResponses.includes(settings.response)) {
+        throw new Error(`Invalid raid response: ${settings.response}. Must be one of: ${validResponses.join(', ')}`);
+      }
+      next.response = settings.response;
+    }
+
+    if (settings.accountAgeDays !== undefined) {
+      if (!Number.isInteger(settings.accountAgeDays) || settings.accountAgeDays < 1) {
+        throw new Error('Account age must be a positive number of days');
+      }
+      next.accountAgeDays = settings.accountAgeDays;
+    }
+
+    this._config.antiRaid = next;
+    this._config.updatedAt = new Date();
+
+    return { ...next };
+  }
+
+  /**
+   * Get join-rate raid detection settings
+   * @returns {Object} Anti-raid settings
+   * @example
+   * const { enabled, joinThreshold, windowSeconds } = server.getAntiRaidSettings();
+   */
+  getAntiRaidSettings() {
+    return { ...this._config.antiRaid };
+  }
+
+  /**
+   * Update ban and jail evasion detection settings
+   * Only the provided fields are changed
+   * @param {Object} settings - Evasion detection settings
+   * @param {boolean} [settings.enabled] - Whether joins are checked against banned and jailed users
+   * @param {number} [settings.threshold] - Score at which a join is reported
+   * @param {boolean} [settings.autoJail] - Whether reported joins are also jailed
+   * @returns {Object} Updated evasion detection settings
+   * @throws {Error} When a setting is invalid
+   * @example
+   * server.setEvasionSettings({ enabled: true, threshold: 70, autoJail: true });
+   */
+  setEvasionSettings(settings) {
+    const next = { ...this._config.evasionDetection };
+
+    if (settings.enabled !== undefined) {
+      next.enabled = Boolean(settings.enabled);
+    }
+
+    if (settings.threshold !== undefined) {
+      if (!Number.isInteger(settings.threshold) || settings.threshold < 20 || settings.threshold > 150) {
+        throw new Error('Evasion score threshold must be an integer between 20 and 150');
+      }
+      next.threshold = settings.threshold;
+    }
+
+    if (settings.autoJail !== undefined) {
+      next.autoJail = Boolean(settings.autoJail);
+    }
+
+    this._config.evasionDetection = next;
+    this._config.updatedAt = new Date();
+
+    return { ...next };
+  }
+
+  /**
+   * Get ban and jail evasion detection settings
+   * @returns {Object} Evasion detection settings
+   * @example
+   * const { enabled, threshold, autoJail } = server.getEvasionSettings();
+   */
+  getEvasionSettings() {
+    return { ...this._config.evasionDetection };
+  }
+
+  /**
+   * Update flood and duplicate-message spam detection settings
+   * Only the provided fields are changed
+   * @param {Object} settings - Anti-spam settings
+   * @param {boolean} [settings.enabled] - Whether spam detection is active
+   * @param {number} [settings.messageLimit] - Messages allowed within the message window
+   * @param {number} [settings.messageWindowSeconds] - Window for the flood check
+   * @param {number} [settings.duplicateLimit] - Copies of one message allowed within the duplicate window
+   * @param {number} [settings.duplicateWindowSeconds] - Window for the duplicate check, across all channels
+   * @param {boolean} [settings.deleteMessages] - Whether to delete the spammer's recent messages
+   * @param {string} [settings.action] - Action against the spammer (none, timeout, jail)
+   * @param {number|null} [settings.durationMs] - Timeout or jail duration
+   * @returns {Object} Updated anti-spam settings
+   * @throws {Error} When a setting is invalid
+   * @example
+   * server.setAntiSpamSettings({ enabled: true, duplicateLimit: 3, action: 'jail' });
+   */
+  setAntiSpamSettings(settings) {
+    const validActions = ['none', 'timeout', 'jail'];
+    const next = { ...this._config.antiSpam, ...settings };
+
+    for (const key of ['messageLimit', 'messageWindowSeconds', 'duplicateLimit', 'duplicateWindowSeconds']) {
+      if (!Number.isInteger(next[key]) || next[key] < 1) {
+        throw new Error(`${key} must be a positive integer`);
+      }
+    }
+
+    if (!validActions.includes(next.action)) {
+      throw new Error(`Invalid spam action: ${next.action}. Must be one of: ${validActions.join(', ')}`);
+    }
+
+    if (next.action === 'timeout') {
+      const maxTimeoutMs = 28 * 24 * 60 * 60 * 1000;
+      if (!next.durationMs || next.durationMs < 60 * 1000 || next.durationMs > maxTimeoutMs) {
+        throw new Error('Spam timeouts need a duration between 1 minute and 28 days');
+      }
+    }
+
+    this._config.antiSpam = {
+      enabled: Boolean(next.enabled),
+      messageLimit: next.messageLimit,
+      messageWindowSeconds: next.messageWindowSeconds,
+      duplicateLimit: next.duplicateLimit,
+      duplicateWindowSeconds: next.duplicateWindowSeconds,
+      deleteMessages: Boolean(next.deleteMessages),
+      action: next.action,
+      durationMs: next.durationMs || null
+    };
+    this._config.updatedAt = new Date();
+
+    return { ...this._config.antiSpam };
+  }
+
+  /**
+   * Get flood and duplicate-message spam detection settings
+   * @returns {Object} Anti-spam settings
+   */
+  getAntiSpamSettings() {
+    return { ...this._config.antiSpam };
+  }
+
+  /**
+   * Add or replace a moderation reason preset
+   * Presets are keyed by code, so adding an existing code replaces its preset
+   * @param {Object} preset - Reason preset
+   * @param {string} preset.code - Short code moderators type, such as "spam"
+   * @param {string} preset.text - Full reason stored in history
+   * @param {number} [preset.durationMs] - Default duration for tempbans and jails
+   * @param {string} [preset.createdBy] - User ID of the moderator adding the preset
+   * @returns {Object} Stored reason preset
+   * @throws {Error} When preset is invalid or the preset limit is reached
+   * @example
+   * server.addReasonPreset({ code: 'spam', text: 'Spamming in public channels', durationMs: 86400000 });
+   */
+  addReasonPreset(preset) {
+    const code = typeof preset.code === 'string' ? preset.code.trim().toLowerCase() : '';
+    if (!/^[a-z0-9_-]{1,20}$/.test(code)) {
+      throw new Error('Preset code must be 1-20 letters, numbers, dashes or underscores');
+    }
+
+    const text = typeof preset.text === 'string' ? preset.text.trim() : '';
+    if (text.length === 0 || text.length > 500) {
+      throw new Error('Preset reason must be between 1 and 500 characters');
+    }
+
+    const replacing = this._config.reasonPresets.some(existing => existing.code === code);
+    if (!replacing && this._config.reasonPresets.length >= Server.MAX_REASON_PRESETS) {
+      throw new Error(`A server can have at most ${Server.MAX_REASON_PRESETS} reason presets`);
+    }
+
+    const storedPreset = {
+      code,
+      text,
+      durationMs: preset.durationMs || null,
+      createdBy: preset.createdBy || null,
+      createdAt: new Date()
+    };
+
+    this._config.reasonPresets = this._config.reasonPresets
+      .filter(existing => existing.code !== code)
+      .concat(storedPreset);
+    this._config.updatedAt = new Date();
+
+    return { ...storedPreset };
+  }
+
+  /**
+   * Remove a moderation reason preset
+   * @param {string} code - Code of the preset to remove
+   * @returns {boolean} Whether a preset was removed
+   * @example
+   * server.removeReasonPreset('spam');
+   */
+  removeReasonPreset(code) {
+    const before = this._config.reasonPresets.length;
+    this._config.reasonPresets = this._config.reasonPresets
+      .filter(preset => preset.code !== code.toLowerCase());
+
+    if (this._config.reasonPresets.length === before) {
+      return false;
+    }
+
+    this._config.updatedAt = new Date();
+    return true;
+  }
+
+  /**
+   * Get a moderation reason preset by code
+   * @param {string} code - Preset code (case-insensitive)
+   * @returns {Object|null} Reason preset or null if not found
+   */
+  getReasonPreset(code) {
+    const preset = this._config.reasonPresets.find(entry => entry.code === code.toLowerCase());
+    return preset ? { ...preset } : null;
+  }
+
+  /**
+   * Get moderation reason presets ordered by code
+   * @returns {Array<Object>} Reason presets
+   */
+  getReasonPresets() {
+    return this._config.reasonPresets
+      .map(preset => ({ ...preset }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  /**
+   * Turn direct messages to punished members on or off
+   * @param {boolean} enabled - Whether members are messaged when warned, kicked, banned, tempbanned or jailed
+   * @returns {boolean} New state
+   */
+  setDmNotificationsEnabled(enabled) {
+    this._config.dmNotifications.enabled = Boolean(enabled);
+    this._config.updatedAt = new Date();
+    return this._config.dmNotifications.enabled;
+  }
+
+  /**
+   * Replace the direct message template of an action, or restore its default
+   * @param {string} action - Action type (warn, kick, ban, tempban, jail)
+   * @param {string|null} template - Message template, or null for the default
+   * @returns {string} Template now in use for the action
+   * @throws {Error} When the action or template is invalid
+   * @example
+   * server.setDmTemplate('kick', 'You were kicked from {server}: {reason}');
+   */
+  setDmTemplate(action, template) {
+    if (!Server.DM_ACTIONS.includes(action)) {
+      throw new Error(`Invalid action: ${action}. Must be one of: ${Server.DM_ACTIONS.join(', ')}`);
+    }
+
+    const text = typeof template === 'string' ? template.trim() : '';
+    if (text.length > Server.MAX_DM_TEMPLATE_LENGTH) {
+      throw new Error(`Templates can be at most ${Server.MAX_DM_TEMPLATE_LENGTH} characters`);
+    }
+
+    const templates = { ...this._config.dmNotifications.templates };
+    if (text.length > 0) {
+      templates[action] = text;
+    } else {
+      delete templates[action];
+    }
+
+    this._config.dmNotifications.templates = templates;
+    this._config.updatedAt = new Date();
+
+    return this.getDmTemplate(action);
+  }
+
+  /**
+   * Get the direct message template used for an action
+   * @param {string} action - Action type (warn, kick, ban, tempban, jail)
+   * @returns {string|null} Custom template, the default one, or null for unknown actions
+   */
+  getDmTemplate(action) {
+    return this._config.dmNotifications.templates[action] || Server.DEFAULT_DM_TEMPLATES[action] || null;
+  }
+
+  /**
+   * Set the appeal instructions inserted into direct messages, or restore the defaults
+   * @param {string|null} instructions - Instructions, or null to use the built-in ones
+   * @returns {string|null} Stored instructions
+   * @throws {Error} When instructions are too long
+   */
+  setAppealInstructions(instructions) {
+    const text = typeof instructions === 'string' ? instructions.trim() : '';
+    if (text.length > 500) {
+      throw new Error('Appeal instructions can be at most 500 characters');
+    }
+
+    this._config.dmNotifications.appealInstructions = text || null;
+    this._config.updatedAt = new Date();
+
+    return this._config.dmNotifications.appealInstructions;
+  }
+
+  /**
+   * Get direct message notification settings
+   * @returns {Object} Enabled state, template per action, customized actions and appeal instructions
+   */
+  getDmNotificationSettings() {
+    const { enabled, templates, appealInstructions } = this._config.dmNotifications;
+
+    return {
+      enabled,
+      templates: Object.fromEntries(Server.DM_ACTIONS.map(action => [action, this.getDmTemplate(action)])),
+      customized: Server.DM_ACTIONS.filter(action => Boolean(templates[action])),
+      appealInstructions
+    };
+  }
+
+  /**
+   * Record that a raid lockdown has started
+   * @param {Object} lockdown - Lockdown details
+   * @param {string} lockdown.response - Response applied during the lockdown
+   * @param {number} lockdown.joinCount - Joins counted when the raid was detected
+   * @param {number|null} [lockdown.previousVerificationLevel] - Verification level to restore afterwards
+   * @returns {Object} Stored lockdown state
+   * @throws {Error} When a lockdown is already active
+   */
+  startRaidLockdown(lockdown) {
+    if (this._config.raidLockdown) {
+      throw new Error('A raid lockdown is already active');
+    }
+
+    this._config.raidLockdown = {
+      response: lockdown.response,
+      joinCount: lockdown.joinCount,
+      previousVerificationLevel: lockdown.previousVerificationLevel ?? null,
+      startedAt: new Date()
+    };
+    this._config.updatedAt = new Date();
+
+    return { ...this._config.raidLockdown };
+  }
+
+  /**
+   * Clear the active raid lockdown
+   * @returns {Object|null} The lockdown that ended, or null if none was active
+   */
+  endRaidLockdown() {
+    const lockdown = this._config.raidLockdown;
+    if (!lockdown) {
+      return null;
+    }
+
+    this._config.raidLockdown = null;
+    this._config.updatedAt = new Date();
+
+    return { ...lockdown };
+  }
+
+  /**
+   * Get the active raid lockdown
+   * @returns {Object|null} Lockdown state or null when the server is not locked down
+   */
+  getRaidLockdown() {
+    return this._config.raidLockdown ? { ...this._config.raidLockdown } : null;
+  }
+
+  /**
+   * Update an automod rule
+   * Only the provided fields are changed
+   * @param {string} type - Rule type (words, invites, mentions, caps, zalgo)
+   * @param {Object} settings - Rule settings
+   * @param {boolean} [settings.enabled] - Whether the rule is active
+   * @param {string} [settings.action] - Action on a match (delete, warn, timeout, jail)
+   * @param {number|null} [settings.durationMs] - Timeout or jail duration
+   * @param {number} [settings.limit] - Mentions rule: most mentions allowed in one message
+   * @param {number} [settings.percent] - Caps rule: uppercase percentage that triggers it
+   * @param {number} [settings.minLength] - Caps rule: letters needed before caps are checked
+   * @returns {Object} Updated rule
+   * @throws {Error} When the rule type or a setting is invalid
+   * @example
+   * server.setAutomodRule('invites', { enabled: true, action: 'timeout', durationMs: 600000 });
+   */
+  setAutomodRule(type, settings) {
+    const rule = this._getAutomodRuleRef(type);
+    const next = { ...rule, ...settings };
+
+    if (!Server.AUTOMOD_ACTIONS.includes(next.action)) {
+      throw new Error(`Invalid automod action: ${next.action}. Must be one of: ${Server.AUTOMOD_ACTIONS.join(', ')}`);
+    }
+
+    if (next.action === 'timeout') {
+      const maxTimeoutMs = 28 * 24 * 60 * 60 * 1000;
+      if (!next.durationMs || next.durationMs < 60 * 1000 || next.durationMs > maxTimeoutMs) {
+        throw new Error('Timeout rules need a duration between 1 minute and 28 days');
+      }
+    }
+
+    if (next.durationMs !== null && next.durationMs !== undefined && (!Number.isInteger(next.durationMs) || next.durationMs <= 0)) {
+      throw new Error('Rule duration must be a positive number of milliseconds');
+    }
+
+    if (type === 'mentions' && (!Number.isInteger(next.limit) || next.limit < 1)) {
+      throw new Error('Mention limit must be a positive integer');
+    }
+
+    if (type === 'caps') {
+      if (!Number.isInteger(next.percent) || next.percent < 1 || next.percent > 100) {
+        throw new Error('Caps percentage must be between 1 and 100');
+      }
+      if (!Number.isInteger(next.minLength) || next.minLength < 1) {
+        throw new Error('Caps minimum length must be a positive integer');
+      }
+    }
+
+    Object.assign(rule, {
+      enabled: Boolean(next.enabled),
+      action: next.action,
+      durationMs: next.durationMs || null
+    });
+
+    if (type === 'mentions') {
+      rule.limit = next.limit;
+    } else if (type === 'caps') {
+      rule.percent = next.percent;
+      rule.minLength = next.minLength;
+    }
+
+    this._config.updatedAt = new Date();
+
+    return this.getAutomodRule(type);
+  }
+
+  /**
+   * Get an automod rule
+   * @param {string} type - Rule type
+   * @returns {Object} Copy of the rule
+   * @throws {Error} When the rule type is invalid
+   */
+  getAutomodRule(type) {
+    return Server._copyAutomodRule(this._getAutomodRuleRef(type));
+  }
+
+  /**
+   * Get every automod rule
+   * @returns {Object<string, Object>} Copies of the rules keyed by type
+   */
+  getAutomodRules() {
+    const rules = {};
+    for (const type of Server.AUTOMOD_RULE_TYPES) {
+      rules[type] = Server._copyAutomodRule(this._config.automod[type]);
+    }
+    return rules;
+  }
+
+  /**
+   * Add a banned word or regular expression to the words rule
+   * Words match whole words case-insensitively; patterns are case-insensitive regular expressions
+   * @param {string} kind - Term kind (words or patterns)
+   * @param {string} value - Word or pattern source
+   * @returns {boolean} True if the term was added, false if it was already listed
+   * @throws {Error} When the term is invalid or the list is full
+   * @example
+   * server.addAutomodTerm('patterns', 'fr[e3]{2}\\s*nitro');
+   */
+  addAutomodTerm(kind, value) {
+    const list = this._getAutomodTermList(kind);
+    const term = kind === 'words' ? String(value).trim().toLowerCase() : String(value);
+
+    if (term.length === 0 || term.length > 200) {
+      throw new Error('Filter terms must be between 1 and 200 characters');
+    }
+
+    if (kind === 'patterns') {
+      // Throws a SyntaxError describing the problem when the pattern does not compile
+      new RegExp(term, 'iu');
+    }
+
+    if (list.includes(term)) {
+      return false;
+    }
+
+    if (list.length >= 100) {
+      throw new Error(`The ${kind} list is full (100 entries)`);
+    }
+
+    list.push(term);
+    this._config.updatedAt = new Date();
+
+    return true;
+  }
+
+  /**
+   * Remove a banned word or regular expression from the words rule
+   * @param {string} kind - Term kind (words or patterns)
+   * @param {string} value - Word or pattern source
+   * @returns {boolean} True if the term was removed
+   */
+  removeAutomodTerm(kind, value) {
+    const list = this._getAutomodTermList(kind);
+    const term = kind === 'words' ? String(value).trim().toLowerCase() : String(value);
+    const index = list.indexOf(term);
+
+    if (index === -1) {
+      return false;
+    }
+
+    list.splice(index, 1);
+    this._config.updatedAt = new Date();
+
+    return true;
+  }
+
+  /**
+   * Exempt a role or channel from an automod rule, or lift the exemption
+   * @param {string} type - Rule type
+   * @param {string} kind - Exemption kind (role or channel)
+   * @param {string} id - Role or channel ID
+   * @param {boolean} exempt - Whether the role or channel should be exempt
+   * @returns {boolean} True if the exemption list changed
+   * @throws {Error} When the rule type or kind is invalid
+   */
+  setAutomodExemption(type, kind, id, exempt) {
+    const rule = this._getAutomodRuleRef(type);
+    const key = { role: 'exemptRoleIds', channel: 'exemptChannelIds' }[kind];
+    if (!key) {
+      throw new Error(`Invalid exemption kind: ${kind}. Must be role or channel`);
+    }
+
+    const listed = rule[key].includes(id);
+    if (listed === exempt) {
+      return false;
+    }
+
+    rule[key] = exempt ? [...rule[key], id] : rule[key].filter(existing => existing !== id);
+    this._config.updatedAt = new Date();
+
+    return true;
+  }
+
+  /**
+   * Get the stored automod rule for a type
+   * @private
+   * @param {string} type - Rule type
+   * @returns {Object} Stored rule
+   * @throws {Error} When the rule type is invalid
+   */
+  _getAutomodRuleRef(type) {
+    if (!Server.AUTOMOD_RULE_TYPES.includes(type)) {
+      throw new Error(`Invalid automod rule: ${type}. Must be one of: ${Server.AUTOMOD_RULE_TYPES.join(', ')}`);
+    }
+
+    return this._config.automod[type];
+  }
+
+  /**
+   * Get the stored term list of the words rule
+   * @private
+   * @param {string} kind - Term kind (words or patterns)
+   * @returns {Array<string>} Stored term list
+   * @throws {Error} When the kind is invalid
+   */
+  _getAutomodTermList(kind) {
+    if (kind !== 'words' && kind !== 'patterns') {
+      throw new Error(`Invalid filter term kind: ${kind}. Must be words or patterns`);
+    }
+
+    return this._config.automod.words[kind];
+  }
+
   /**
    * Check if server configuration is complete
    * @returns {Object} Validation result with missing configurations
@@ -369,10 +1147,21 @@ class Server {
       jailConfigured: Boolean(this._config.jailChannelId && this._config.jailedRoleId),
       ticketsConfigured: Boolean(this._config.ticketsChannelId),
       moderationConfigured: Boolean(this._config.moderatorRoleId),
+      modLogConfigured: Boolean(this._config.modLogChannelId),
+      watchlistAlertsConfigured: Boolean(this._config.watchlistChannelId),
+      reportQueueConfigured: Boolean(this._config.reportChannelId),
       autorolesCount: Object.keys(this._config.autoroles).length,
       totalEmojis: Object.values(this._config.autoroles)
         .reduce((sum, emojis) => sum + Object.keys(emojis).length, 0),
       templatesConfigured: Object.keys(this._config.templates).length > 0,
+      escalationRulesCount: this._config.escalationRules.length,
+      antiRaidEnabled: this._config.antiRaid.enabled,
+      evasionDetectionEnabled: this._config.evasionDetection.enabled,
+      raidLockdownActive: Boolean(this._config.raidLockdown),
+      automodRulesEnabled: Object.values(this._config.automod).filter(rule => rule.enabled).length,
+      antiSpamEnabled: this._config.antiSpam.enabled,
+      reasonPresetsCount: this._config.reasonPresets.length,
+      dmNotificationsEnabled: this._config.dmNotifications.enabled,
       lastUpdated: this._config.updatedAt
     };
   }
@@ -392,6 +1181,37 @@ class Server {
     };
   }
 
+  /**
+   * Fill in missing automod rules and rule fields with their defaults
+   * @private
+   * @static
+   * @param {Object} [stored={}] - Stored automod rules keyed by type
+   * @returns {Object} Complete automod rules
+   */
+  static _mergeAutomodRules(stored = {}) {
+    const rules = {};
+    for (const type of Server.AUTOMOD_RULE_TYPES) {
+      rules[type] = Server._copyAutomodRule({ ...Server.DEFAULT_AUTOMOD_RULES[type], ...stored[type] });
+    }
+    return rules;
+  }
+
+  /**
+   * Copy an automod rule, including its arrays
+   * @private
+   * @static
+   * @param {Object} rule - Automod rule
+   * @returns {Object} Rule copy
+   */
+  static _copyAutomodRule(rule) {
+    const copy = { ...rule, exemptRoleIds: [...rule.exemptRoleIds], exemptChannelIds: [...rule.exemptChannelIds] };
+    if (rule.words) {
+      copy.words = [...rule.words];
+      copy.patterns = [...rule.patterns];
+    }
+    return copy;
+  }
+
   /**
    * Create Server instance from database data
    * @static
@@ -429,8 +1249,19 @@ class Server {
       ticketsChannelId: null,
       moderatorRoleId: null,
       jailedRoleId: null,
+      modLogChannelId: null,
+      watchlistChannelId: null,
+      reportChannelId: null,
       autoroles: {},
       templates: {},
+      escalationRules: [],
+      antiRaid: { ...Server.DEFAULT_ANTI_RAID },
+      evasionDetection: { ...Server.DEFAULT_EVASION_DETECTION },
+      raidLockdown: null,
+      automod: Server._mergeAutomodRules(),
+      antiSpam: { ...Server.DEFAULT_ANTI_SPAM },
+      reasonPresets: [],
+      dmNotifications: { enabled: false, templates: {}, appealInstructions: null },
       createdAt: currentCreatedAt,
       updatedAt: new Date()
     };
@@ -464,4 +1295,108 @@ class Server {
   }
 }
 
+/**
+ * Default join-rate raid detection settings
+ * @type {Object}
+ * @static
+ */
+Server.DEFAULT_ANTI_RAID = Object.freeze({
+  enabled: false,
+  joinThreshold: 10,
+  windowSeconds: 10,
+  response: 'alert',
+  accountAgeDays: 7
+});
+
+/**
+ * Default ban and jail evasion detection settings
+ * @type {Object}
+ * @static
+ */
+Server.DEFAULT_EVASION_DETECTION = Object.freeze({
+  enabled: false,
+  threshold: 60,
+  autoJail: false
+});
+
+/**
+ * Default flood and duplicate-message spam detection settings
+ * @type {Object}
+ * @static
+ */
+Server.DEFAULT_ANTI_SPAM = Object.freeze({
+  enabled: false,
+  messageLimit: 7,
+  messageWindowSeconds: 5,
+  duplicateLimit: 3,
+  duplicateWindowSeconds: 60,
+  deleteMessages: true,
+  action: 'timeout',
+  durationMs: 10 * 60 * 1000
+});
+
+/**
+ * Automod rule types, in the order they are evaluated
+ * @type {Array<string>}
+ * @static
+ */
+Server.AUTOMOD_RULE_TYPES = Object.freeze(['words', 'invites', 'mentions', 'caps', 'zalgo']);
+
+/**
+ * Actions an automod rule can take
+ * @type {Array<string>}
+ * @static
+ */
+Server.AUTOMOD_ACTIONS = Object.freeze(['delete', 'warn', 'timeout', 'jail']);
+
+/**
+ * Default settings per automod rule type
+ * @type {Object<string, Object>}
+ * @static
+ */
+Server.DEFAULT_AUTOMOD_RULES = (() => {
+  const base = { enabled: false, action: 'delete', durationMs: null, exemptRoleIds: [], exemptChannelIds: [] };
+  return Object.freeze({
+    words: { ...base, words: [], patterns: [] },
+    invites: { ...base },
+    mentions: { ...base, limit: 5 },
+    caps: { ...base, percent: 70, minLength: 10 },
+    zalgo: { ...base }
+  });
+})();
+
+/**
+ * Most reason presets a server can keep, matching the autocomplete suggestion limit
+ * @type {number}
+ */
+Server.MAX_REASON_PRESETS = 25;
+
+/**
+ * Actions that can message the punished member
+ * @type {Array<string>}
+ * @static
+ */
+Server.DM_ACTIONS = Object.freeze(['warn', 'kick', 'ban', 'tempban', 'jail']);
+
+/**
+ * Longest direct message template, leaving room for placeholders within Discord's 2000 characters
+ * @type {number}
+ */
+Server.MAX_DM_TEMPLATE_LENGTH = 1500;
+
+/**
+ * Default direct message templates per action
+ * Placeholders: {user}, {server}, {reason}, {duration}, {expires}, {case}, {appeal}
+ * @type {Object<string, string>}
+ * @static
+ */
+Server.DEFAULT_DM_TEMPLATES = Object.freeze({
+  warn: '⚠️ You have been warned in **{server}**.\n**Reason:** {reason}\n**Case:** {case}\n\n{appeal}',
+  kick: '👢 You have been kicked from **{server}**.\n**Reason:** {reason}\n**Case:** {case}\n\n{appeal}',
+  ban: '🔨 You have been banned from **{server}**.\n**Reason:** {reason}\n**Case:** {case}\n\n{appeal}',
+  tempban: '⏳ You have been temporarily banned from **{server}** for {duration} (until {expires}).\n' +
+    '**Reason:** {reason}\n**Case:** {case}\n\n{appeal}',
+  jail: '🔒 You have been jailed in **{server}** ({duration}).\n**Reason:** {reason}\n**Case:** {case}\n\n{appeal}'
+});
+
 module.exports = Server;
\ No newline at end of file
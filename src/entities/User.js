@@ -1,25 +1,32 @@
 /**
- * User entity representing Discord user with moderation history and role management
- * Encapsulates user data and provides methods for moderation tracking and role operations
+ * User entity representing a Discord user's moderation record in one guild
+ * Encapsulates user data and provides methods for moderation tracking and role operations;
+ * a user in several guilds has a separate record in each, so history never crosses servers
  * @class User
  * @example
- * const user = new User('123456789', 'username#1234');
+ * const user = new User(guild.id, '123456789', 'username#1234');
  * await user.addModerationAction('kick', moderatorId, 'Spam');
  * const history = user.getModerationHistory();
  */
 class User {
   /**
    * Create user instance with Discord data
+   * @param {string} guildId - Discord guild ID the record belongs to
    * @param {string} id - Discord user ID
    * @param {string} tag - Discord user tag (username#discriminator)
    * @param {Object} [data={}] - Additional user data
    * @param {Array<string>} [data.originalRoles=[]] - Roles stored during jail
    * @param {Array<string>} [data.persistentRoles=[]] - Roles stored on server leave
    * @param {Array<Object>} [data.moderationHistory=[]] - User's moderation history
+   * @param {UserProfile} [data.profile] - Discord profile captured when the user was banned or left while jailed
    * @param {Date} [data.createdAt] - When user record was created
    * @param {Date} [data.updatedAt] - When user record was last updated
    */
-  constructor(id, tag, data = {}) {
+  constructor(guildId, id, tag, data = {}) {
+    if (!guildId || typeof guildId !== 'string') {
+      throw new Error('Guild ID must be a non-empty string');
+    }
+
     if (!id || typeof id !== 'string') {
       throw new Error('User ID must be a non-empty string');
     }
@@ -29,7 +36,14 @@ class User {
     }
 
     /**
-     * Discord user ID (primary key)
+     * Discord guild ID the record belongs to
+     * @type {string}
+     * @readonly
+     */
+    this.guildId = guildId;
+
+    /**
+     * Discord user ID
      * @type {string}
      * @readonly
      */
@@ -73,6 +87,14 @@ class User {
         .filter(note => note !== null)
       : [];
     
+    /**
+     * Discord profile captured when the user was banned or left while jailed
+     * Kept so new accounts can be compared against users who are no longer around
+     * @type {UserProfile|null}
+     * @private
+     */
+    this._profile = data.profile || null;
+    
     /**
      * When user record was created
      * @type {Date}
@@ -87,6 +109,14 @@ class User {
     this.updatedAt = data.updatedAt || new Date();
   }
 
+  /**
+   * Database key of this record, unique per guild and user
+   * @returns {string} Record ID
+   */
+  get recordId() {
+    return User.buildId(this.guildId, this.id);
+  }
+
   /**
    * Add moderation action to user history
    * @param {string} action - Type of moderation action (kick, ban, warn, jail, etc.)
@@ -94,6 +124,7 @@ class User {
    * @param {string} reason - Reason for moderation action
    * @param {Date} [timestamp=new Date()] - When action occurred
    * @param {Object} [metadata={}] - Additional action metadata
+   * @param {Array<Object>} [metadata.evidence] - Evidence stored for the action (see EvidenceService); omitted when empty
    * @returns {ModerationAction} Created moderation action
    * @throws {Error} When action type is invalid or required parameters missing
    * @example
@@ -113,11 +144,22 @@ class User {
       throw new Error('Reason must be a non-empty string');
     }
 
-    const validActions = ['warn', 'kick', 'ban', 'tempban', 'jail', 'unjail', 'mute', 'unmute'];
+    const validActions = ['warn', 'kick', 'ban', 'tempban', 'unban', 'jail', 'unjail', 'mute', 'unmute', 'timeout', 'untimeout', 'appeal'];
     if (!validActions.includes(action.toLowerCase())) {
       throw new Error(`Invalid action type: ${action}. Valid types: ${validActions.join(', ')}`);
     }
 
+    if (metadata && metadata.evidence !== undefined) {
+      if (!Array.isArray(metadata.evidence) || metadata.evidence.some(item => !item || !item.id || !item.type)) {
+        throw new Error('Evidence must be an array of stored evidence items');
+      }
+
+      if (metadata.evidence.length === 0) {
+        metadata = { ...metadata };
+        delete metadata.evidence;
+      }
+    }
+
     const moderationAction = {
       id: this._generateActionId(),
       action: action.toLowerCase(),
@@ -206,12 +248,13 @@ class User {
   /**
    * Get staff notes for this user
    * @param {number|null} [limit=null] - Limit number of notes returned
-   * @returns {Array<StaffNote>} Staff notes sorted by newest first
+   * @returns {Array<StaffNote>} Staff notes with pinned notes first, then newest first
    */
   getStaffNotes(limit = null) {
     let notes = [...this._staffNotes];
 
-    notes.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    notes.sort((a, b) => (Boolean(b.metadata.pinned) - Boolean(a.metadata.pinned)) ||
+      (new Date(b.timestamp) - new Date(a.timestamp)));
 
     if (Number.isInteger(limit) && limit > 0) {
       notes = notes.slice(0, limit);
@@ -255,6 +298,191 @@ class User {
     return true;
   }
 
+  /**
+   * Find staff notes containing some text, ignoring case
+   * @param {string} query - Text to look for
+   * @param {number|null} [limit=null] - Limit number of notes returned
+   * @returns {Array<StaffNote>} Matching notes in getStaffNotes order
+   */
+  searchStaffNotes(query, limit = null) {
+    const search = typeof query === 'string' ? query.trim().toLowerCase() : '';
+    if (search.length === 0) {
+      return [];
+    }
+
+    const notes = this.getStaffNotes().filter(note => note.content.toLowerCase().includes(search));
+    return Number.isInteger(limit) && limit > 0 ? notes.slice(0, limit) : notes;
+  }
+
+  /**
+   * Replace the content of a staff note
+   * The previous content is kept in the note's revision history
+   * @param {string} noteId - Staff note identifier
+   * @param {string} content - New note content
+   * @param {string} editedBy - Moderator ID making the change
+   * @returns {StaffNote|null} Updated staff note, or null if not found
+   * @throws {Error} When the new content is invalid
+   */
+  editStaffNote(noteId, content, editedBy) {
+    const note = this._staffNotes.find(entry => entry.id === noteId);
+    if (!note) {
+      return null;
+    }
+
+    const revisions = Array.isArray(note.metadata.revisions) ? note.metadata.revisions : [];
+
+    return this.updateStaffNote(noteId, {
+      content,
+      metadata: {
+        revisions: revisions.concat({
+          content: note.content,
+          editedBy,
+          editedAt: new Date()
+        })
+      }
+    });
+  }
+
+  /**
+   * Pin or unpin a staff note so it is listed before the others
+   * @param {string} noteId - Staff note identifier
+   * @param {boolean} pinned - Whether the note should be pinned
+   * @param {string} moderatorId - Moderator ID making the change
+   * @returns {StaffNote|null} Updated staff note, or null if not found
+   */
+  setStaffNotePinned(noteId, pinned, moderatorId) {
+    return this.updateStaffNote(noteId, {
+      metadata: pinned
+        ? { pinned: true, pinnedBy: moderatorId, pinnedAt: new Date() }
+        : { pinned: false, pinnedBy: null, pinnedAt: null }
+    });
+  }
+
+  /**
+   * Update a staff note's content or metadata
+   * @param {string} noteId - Staff note identifier
+   * @param {Object} updates - Fields to update
+   * @param {string} [updates.content] - Replacement note content
+   * @param {Object} [updates.metadata] - Metadata merged into the existing metadata
+   * @returns {StaffNote|null} Updated staff note, or null if not found
+   * @throws {Error} When the new content is invalid
+   */
+  updateStaffNote(noteId, updates = {}) {
+    const note = this._staffNotes.find(entry => entry.id === noteId);
+    if (!note) {
+      return null;
+    }
+
+    if (updates.content !== undefined) {
+      const trimmedContent = typeof updates.content === 'string' ? updates.content.trim() : '';
+      if (trimmedContent.length === 0) {
+        throw new Error('Note content must be a non-empty string');
+      }
+
+      if (trimmedContent.length > 2000) {
+        throw new Error('Note content cannot exceed 2000 characters');
+      }
+
+      note.content = trimmedContent;
+    }
+
+    if (updates.metadata && typeof updates.metadata === 'object') {
+      note.metadata = { ...note.metadata, ...updates.metadata };
+    }
+
+    this.updatedAt = new Date();
+
+    return this._cloneStaffNote(note);
+  }
+
+  /**
+   * Find a moderation action by ID
+   * @param {string} actionId - Moderation action identifier
+   * @returns {ModerationAction|null} Moderation action if found, otherwise null
+   */
+  getModerationAction(actionId) {
+    return this._moderationHistory.find(action => action.id === actionId) || null;
+  }
+
+  /**
+   * Replace the reason of a recorded moderation action
+   * The previous reason is kept in the action's reason history
+   * @param {string} actionId - Moderation action identifier
+   * @param {string} reason - New reason
+   * @param {string} editedBy - Moderator ID making the change
+   * @returns {ModerationAction|null} Updated action, or null if not found
+   * @throws {Error} When the new reason is invalid
+   */
+  updateModerationReason(actionId, reason, editedBy) {
+    const action = this.getModerationAction(actionId);
+    if (!action) {
+      return null;
+    }
+
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      throw new Error('Reason must be a non-empty string');
+    }
+
+    const reasonHistory = Array.isArray(action.metadata.reasonHistory) ? action.metadata.reasonHistory : [];
+    action.metadata.reasonHistory = reasonHistory.concat({
+      reason: action.reason,
+      editedBy,
+      editedAt: new Date()
+    });
+    action.reason = reason.trim();
+    this.updatedAt = new Date();
+
+    return action;
+  }
+
+  /**
+   * Revoke a moderation action without removing it from history
+   * Revoked actions no longer count toward statistics or escalation
+   * @param {string} actionId - Moderation action identifier
+   * @param {string} revokedBy - Moderator ID revoking the action
+   * @param {string} reason - Why the action is being revoked
+   * @returns {ModerationAction|null} Revoked action, or null if not found
+   * @throws {Error} When the action has already been revoked
+   */
+  revokeModerationAction(actionId, revokedBy, reason) {
+    const action = this.getModerationAction(actionId);
+    if (!action) {
+      return null;
+    }
+
+    if (User.isRevoked(action)) {
+      throw new Error('Moderation action has already been revoked');
+    }
+
+    action.metadata = {
+      ...action.metadata,
+      revoked: true,
+      revokedBy,
+      revokedAt: new Date(),
+      revokeReason: reason
+    };
+    this.updatedAt = new Date();
+
+    return action;
+  }
+
+  /**
+   * Remove a moderation action from history
+   * @param {string} actionId - Moderation action identifier
+   * @returns {boolean} Whether an action was removed
+   */
+  removeModerationAction(actionId) {
+    const index = this._moderationHistory.findIndex(action => action.id === actionId);
+    if (index === -1) {
+      return false;
+    }
+
+    this._moderationHistory.splice(index, 1);
+    this.updatedAt = new Date();
+
+    return true;
+  }
+
   /**
    * Get complete moderation history
    * @param {string} [actionType] - Filter by specific action type
@@ -286,6 +514,7 @@ class User {
 
   /**
    * Get moderation statistics summary
+   * Revoked actions are left out of every count
    * @returns {Object} Statistics object with counts per action type
    * @example
    * const stats = user.getModerationStats();
@@ -299,10 +528,16 @@ class User {
       tempban: 0,
       jail: 0,
       mute: 0,
+      timeout: 0,
       total: this._moderationHistory.length
     };
 
     for (const action of this._moderationHistory) {
+      if (User.isRevoked(action)) {
+        stats.total--;
+        continue;
+      }
+
       if (stats.hasOwnProperty(action.action)) {
         stats[action.action]++;
       }
@@ -411,6 +646,54 @@ class User {
     return this._persistentRoles.length > 0;
   }
 
+  /**
+   * Get the ban currently in force, if any
+   * A ban is in force when it is the latest ban or unban in the history and has not been pardoned
+   * @returns {ModerationAction|null} Active ban action or null
+   * @example
+   * const ban = user.getActiveBan();
+   * if (ban) {
+   *   console.log(`Banned since ${ban.timestamp}`);
+   * }
+   */
+  getActiveBan() {
+    const latest = this.getModerationHistory()
+      .find(action => (action.action === 'ban' || action.action === 'unban') && !User.isRevoked(action));
+
+    return latest && latest.action === 'ban' ? latest : null;
+  }
+
+  /**
+   * Store a snapshot of the user's Discord profile
+   * @param {UserProfile} profile - Profile snapshot
+   * @throws {Error} When the profile has no username
+   * @example
+   * user.setProfile({ username: 'someone', globalName: 'Someone', avatarHash: 'a1b2c3', capturedAt: new Date() });
+   */
+  setProfile(profile) {
+    if (!profile || !profile.username || typeof profile.username !== 'string') {
+      throw new Error('Profile must include a username');
+    }
+
+    this._profile = {
+      username: profile.username,
+      globalName: profile.globalName || null,
+      displayName: profile.displayName || null,
+      avatarHash: profile.avatarHash || null,
+      accountCreatedAt: profile.accountCreatedAt ? new Date(profile.accountCreatedAt) : null,
+      capturedAt: profile.capturedAt ? new Date(profile.capturedAt) : new Date()
+    };
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Get the stored Discord profile snapshot
+   * @returns {UserProfile|null} Profile snapshot or null if none was captured
+   */
+  getProfile() {
+    return this._profile ? { ...this._profile } : null;
+  }
+
   /**
    * Get recent moderation actions count within time period
    * @param {number} hours - Time period in hours to check
@@ -434,7 +717,7 @@ class User {
       const isRecent = actionTime >= cutoffTime;
       const matchesType = !actionType || action.action === actionType.toLowerCase();
       
-      return isRecent && matchesType;
+      return isRecent && matchesType && !User.isRevoked(action);
     }).length;
   }
 
@@ -447,11 +730,14 @@ class User {
    */
   toDatabase() {
     return {
-      _id: this.id,
+      _id: this.recordId,
+      guildId: this.guildId,
+      userId: this.id,
       tag: this.tag,
       originalRoles: this._originalRoles,
       persistentRoles: this._persistentRoles,
       moderationHistory: this._moderationHistory,
+      profile: this._profile,
       staffNotes: this._staffNotes.map(note => ({
         id: note.id,
         moderator: note.moderator,
@@ -473,7 +759,7 @@ class User {
    * @returns {User} User instance
    * @throws {Error} When data is invalid
    * @example
-   * const userData = await userRepository.findById('123456789');
+   * const userData = await userRepository.findById(User.buildId(guild.id, '123456789'));
    * const user = User.fromDatabase(userData);
    */
   static fromDatabase(data) {
@@ -481,16 +767,42 @@ class User {
       throw new Error('Invalid user data: missing ID');
     }
 
-    return new User(data._id, data.tag || 'Unknown#0000', {
+    if (!data.guildId || !data.userId) {
+      throw new Error(`Invalid user data: record ${data._id} has not been migrated to a guild`);
+    }
+
+    return new User(data.guildId, data.userId, data.tag || 'Unknown#0000', {
       originalRoles: data.originalRoles,
       persistentRoles: data.persistentRoles,
       moderationHistory: data.moderationHistory,
       staffNotes: data.staffNotes,
+      profile: data.profile,
       createdAt: data.createdAt,
       updatedAt: data.updatedAt
     });
   }
 
+  /**
+   * Build the database key of a user's record in a guild
+   * @static
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {string} Record ID
+   */
+  static buildId(guildId, userId) {
+    return `${guildId}:${userId}`;
+  }
+
+  /**
+   * Check whether a moderation action has been revoked
+   * @static
+   * @param {ModerationAction} action - Moderation action
+   * @returns {boolean} Whether the action is revoked
+   */
+  static isRevoked(action) {
+    return Boolean(action && action.metadata && action.metadata.revoked);
+  }
+
   /**
    * Generate unique ID for moderation action
    * @private
@@ -577,6 +889,7 @@ class User {
   getDisplayInfo() {
     return {
       id: this.id,
+      guildId: this.guildId,
       tag: this.tag,
       isJailed: this.isJailed(),
       hasPersistentRoles: this.hasPersistentRoles(),
@@ -605,7 +918,18 @@ class User {
  * @property {string} moderator - ID of moderator who created the note
  * @property {string} content - Staff note content
  * @property {Date} timestamp - When the note was created
- * @property {Object} metadata - Additional staff note metadata
+ * @property {Object} metadata - Additional staff note metadata, including `pinned` and the
+ *   `revisions` ({ content, editedBy, editedAt }) kept by editStaffNote
+ */
+
+/**
+ * @typedef {Object} UserProfile
+ * @property {string} username - Discord username
+ * @property {string|null} globalName - Discord display name shown across servers
+ * @property {string|null} displayName - Nickname or display name in the guild
+ * @property {string|null} avatarHash - Avatar hash, null for default avatars
+ * @property {Date|null} accountCreatedAt - When the Discord account was created
+ * @property {Date} capturedAt - When the snapshot was taken
  */
 
 module.exports = User;
\ No newline at end of file
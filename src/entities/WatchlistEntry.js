@@ -0,0 +1,171 @@
+/**
+ * WatchlistEntry entity flagging a user whose joins and messages staff want to hear about
+ * The user does not have to be a member of the guild when flagged
+ * @class WatchlistEntry
+ * @example
+ * const entry = new WatchlistEntry('123456789', '987654321', {
+ *   reason: 'Suspected alt of a banned user',
+ *   moderatorId: '111111111',
+ *   expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+ * });
+ */
+class WatchlistEntry {
+  /**
+   * Create watchlist entry instance
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Watched user ID
+   * @param {Object} data - Entry data
+   * @param {string} data.reason - Why the user is watched
+   * @param {string} data.moderatorId - Moderator who flagged the user
+   * @param {string} [data.userTag] - Tag of the user when flagged
+   * @param {Date} [data.expiresAt] - When the entry lapses; never when omitted
+   * @param {Date} [data.lastJoinAlertAt] - When the last rejoin alert was sent
+   * @param {Date} [data.lastMessageAlertAt] - When the user's first message was reported
+   * @param {Date} [data.createdAt] - When the user was flagged
+   */
+  constructor(guildId, userId, data = {}) {
+    if (!guildId || typeof guildId !== 'string') {
+      throw new Error('Guild ID must be a non-empty string');
+    }
+
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('User ID must be a non-empty string');
+    }
+
+    if (!data.reason || typeof data.reason !== 'string' || data.reason.trim().length === 0) {
+      throw new Error('Watchlist reason must be a non-empty string');
+    }
+
+    /**
+     * Discord guild ID
+     * @type {string}
+     * @readonly
+     */
+    this.guildId = guildId;
+
+    /**
+     * Watched user ID
+     * @type {string}
+     * @readonly
+     */
+    this.userId = userId;
+
+    /**
+     * Tag of the user when flagged
+     * @type {string|null}
+     */
+    this.userTag = data.userTag || null;
+
+    /**
+     * Why the user is watched
+     * @type {string}
+     * @readonly
+     */
+    this.reason = data.reason.trim();
+
+    /**
+     * Moderator who flagged the user
+     * @type {string}
+     * @readonly
+     */
+    this.moderatorId = data.moderatorId;
+
+    /**
+     * When the entry lapses
+     * @type {Date|null}
+     * @readonly
+     */
+    this.expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+
+    /**
+     * When the last rejoin alert was sent
+     * @type {Date|null}
+     */
+    this.lastJoinAlertAt = data.lastJoinAlertAt ? new Date(data.lastJoinAlertAt) : null;
+
+    /**
+     * When the user's first message was reported; cleared on rejoin so the next first message is reported too
+     * @type {Date|null}
+     */
+    this.lastMessageAlertAt = data.lastMessageAlertAt ? new Date(data.lastMessageAlertAt) : null;
+
+    /**
+     * When the user was flagged
+     * @type {Date}
+     * @readonly
+     */
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+  }
+
+  /**
+   * Document ID combining guild and user
+   * @returns {string} Database document ID
+   */
+  get id() {
+    return WatchlistEntry.buildId(this.guildId, this.userId);
+  }
+
+  /**
+   * Check whether the entry has lapsed
+   * @param {Date} [now=new Date()] - Time to check against
+   * @returns {boolean} Whether the entry has expired
+   */
+  isExpired(now = new Date()) {
+    return Boolean(this.expiresAt) && this.expiresAt <= now;
+  }
+
+  /**
+   * Export entry data for database storage
+   * @returns {Object} Entry data suitable for database storage
+   */
+  toDatabase() {
+    return {
+      _id: this.id,
+      guildId: this.guildId,
+      userId: this.userId,
+      userTag: this.userTag,
+      reason: this.reason,
+      moderatorId: this.moderatorId,
+      expiresAt: this.expiresAt,
+      lastJoinAlertAt: this.lastJoinAlertAt,
+      lastMessageAlertAt: this.lastMessageAlertAt,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Create WatchlistEntry instance from database data
+   * @static
+   * @param {Object} data - Database document
+   * @returns {WatchlistEntry} Entry instance
+   * @throws {Error} When data is invalid
+   */
+  static fromDatabase(data) {
+    if (!data || !data._id) {
+      throw new Error('Invalid watchlist data: missing ID');
+    }
+
+    return new WatchlistEntry(data.guildId, data.userId, {
+      userTag: data.userTag,
+      reason: data.reason,
+      moderatorId: data.moderatorId,
+      expiresAt: data.expiresAt,
+      lastJoinAlertAt: data.lastJoinAlertAt,
+      lastMessageAlertAt: data.lastMessageAlertAt,
+      createdAt: data.createdAt
+    });
+  }
+
+  /**
+   * Build the document ID for a watched user
+   * @static
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Watched user ID
+   * @returns {string} Database document ID
+   */
+  static buildId(guildId, userId) {
+    return `${guildId}:${userId}`;
+  }
+}
+
+module.exports = WatchlistEntry;
@@ -14,6 +14,20 @@ const TicketService = require('./services/TicketService');
 const RoleService = require('./services/RoleService');
 const PermissionService = require('./services/PermissionService');
 const ServerTemplateService = require('./services/ServerTemplateService');
+const SchedulerService = require('./services/SchedulerService');
+const ModLogService = require('./services/ModLogService');
+const AppealService = require('./services/AppealService');
+const RaidService = require('./services/RaidService');
+const LockdownService = require('./services/LockdownService');
+const AutomodService = require('./services/AutomodService');
+const MessageCleanupService = require('./services/MessageCleanupService');
+const SpamService = require('./services/SpamService');
+const ReasonPresetService = require('./services/ReasonPresetService');
+const MemberNotificationService = require('./services/MemberNotificationService');
+const WatchlistService = require('./services/WatchlistService');
+const EvasionService = require('./services/EvasionService');
+const EvidenceService = require('./services/EvidenceService');
+const ReportService = require('./services/ReportService');
 
 /**
  * Main Discord bot application
@@ -164,18 +178,61 @@ class SunnyvaleBot {
     const UserRepository = require('./repositories/UserRepository');
     const ConfigRepository = require('./repositories/ConfigRepository');
     const TicketRepository = require('./repositories/TicketRepository');
+    const JobRepository = require('./repositories/JobRepository');
+    const CaseRepository = require('./repositories/CaseRepository');
+    const LockdownRepository = require('./repositories/LockdownRepository');
+    const WatchlistRepository = require('./repositories/WatchlistRepository');
+    const ReportRepository = require('./repositories/ReportRepository');
     
     const userRepository = new UserRepository(this.database);
     const configRepository = new ConfigRepository(this.database);
     const ticketRepository = new TicketRepository(this.database);
+    const jobRepository = new JobRepository(this.database);
+    const caseRepository = new CaseRepository(this.database);
+    const lockdownRepository = new LockdownRepository(this.database);
+    const watchlistRepository = new WatchlistRepository(this.database);
+    const reportRepository = new ReportRepository(this.database);
     
     // Store repositories in services for command access
     this.services.configRepository = configRepository;
+    this.services.ticketRepository = ticketRepository;
+    this.services.userRepository = userRepository;
     
     // Initialize services with proper dependencies
     this.services.permissionService = new PermissionService(configRepository);
-    this.services.moderationService = new ModerationService(userRepository, configRepository, this.services.permissionService);
+    this.services.schedulerService = new SchedulerService(jobRepository);
+    this.services.modLogService = new ModLogService(configRepository, this.client);
+    this.services.memberNotificationService = new MemberNotificationService(configRepository, this.client);
+    this.services.evidenceService = new EvidenceService();
+    this.services.moderationService = new ModerationService(userRepository, configRepository, this.services.permissionService, {
+      schedulerService: this.services.schedulerService,
+      caseRepository,
+      modLogService: this.services.modLogService,
+      notificationService: this.services.memberNotificationService
+    });
     this.services.ticketService = new TicketService(ticketRepository, configRepository, this.services.permissionService);
+    this.services.appealService = new AppealService(this.services.ticketService, this.services.moderationService, configRepository, this.client);
+    this.services.memberNotificationService.setAppealService(this.services.appealService);
+    this.services.lockdownService = new LockdownService(lockdownRepository, {
+      schedulerService: this.services.schedulerService,
+      modLogService: this.services.modLogService
+    });
+    this.services.watchlistService = new WatchlistService(watchlistRepository, configRepository, this.services.moderationService, {
+      schedulerService: this.services.schedulerService,
+      modLogService: this.services.modLogService
+    });
+    this.services.reportService = new ReportService(reportRepository, configRepository);
+    this.services.raidService = new RaidService(configRepository, this.services.moderationService, this.services.modLogService);
+    this.services.evasionService = new EvasionService(userRepository, configRepository, this.services.moderationService, this.services.modLogService);
+    this.services.automodService = new AutomodService(configRepository, this.services.moderationService, this.services.modLogService);
+    this.services.messageCleanupService = new MessageCleanupService();
+    this.services.spamService = new SpamService(
+      configRepository,
+      this.services.moderationService,
+      this.services.messageCleanupService,
+      this.services.modLogService
+    );
+    this.services.reasonPresetService = new ReasonPresetService(configRepository);
     this.services.roleService = new RoleService(userRepository, configRepository, this.services.permissionService);
     this.services.templateService = new ServerTemplateService(configRepository, this.services.permissionService);
 
@@ -225,6 +282,39 @@ class SunnyvaleBot {
       } catch (error) {
         console.error('❌ Error registering commands:', error);
       }
+
+      // Split user records from before history was kept per guild
+      try {
+        const guilds = [...this.client.guilds.cache.values()];
+        const migration = await this.services.userRepository.migrateLegacyRecords({
+          fallbackGuildId: guilds.length === 1 ? guilds[0].id : null,
+          resolveRoleGuild: roleIds => {
+            const owner = guilds.find(guild => roleIds.some(roleId => guild.roles.cache.has(roleId)));
+            return owner ? owner.id : null;
+          }
+        });
+
+        if (migration.migrated + migration.unresolved > 0) {
+          console.log(`🗃️ Migrated ${migration.migrated} user record(s) to per-guild history` +
+            (migration.unresolved > 0 ? `, ${migration.unresolved} left with data from unknown guilds` : ''));
+        }
+      } catch (error) {
+        console.error('❌ Error migrating user records:', error);
+      }
+
+      // Start the scheduled job worker
+      try {
+        for (const guild of this.client.guilds.cache.values()) {
+          const queued = await this.services.moderationService.restoreTempbanJobs(guild);
+          if (queued > 0) {
+            console.log(`⏰ Queued ${queued} legacy tempban expiries for guild ${guild.id}`);
+          }
+        }
+
+        await this.services.schedulerService.start(this.client);
+      } catch (error) {
+        console.error('❌ Error starting scheduler:', error);
+      }
     });
 
     // Error handling
@@ -291,6 +381,11 @@ class SunnyvaleBot {
     console.log('🔄 Shutting down Sunnyvale Discord Bot...');
 
     try {
+      // Stop scheduled job worker
+      if (this.services.schedulerService) {
+        this.services.schedulerService.stop();
+      }
+
       // Shutdown command handler
       if (this.commandHandler) {
         await this.commandHandler.shutdown();
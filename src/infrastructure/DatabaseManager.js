@@ -62,6 +62,11 @@ class DatabaseManager {
       await this._createDatabase('users', this._getUserSchema());
       await this._createDatabase('tickets', this._getTicketSchema());
       await this._createDatabase('templates', this._getTemplateSchema());
+      await this._createDatabase('jobs', this._getJobSchema());
+      await this._createDatabase('cases', this._getCaseSchema());
+      await this._createDatabase('lockdowns', this._getLockdownSchema());
+      await this._createDatabase('watchlist', this._getWatchlistSchema());
+      await this._createDatabase('reports', this._getReportSchema());
       
       this._initialized = true;
       console.log(`DatabaseManager initialized with ${this._databases.size} databases`);
@@ -260,9 +265,11 @@ class DatabaseManager {
    */
   _getUserSchema() {
     return {
-      required: ['_id'],
+      required: ['_id', 'guildId', 'userId'],
       indexes: [
-        { fieldName: '_id', unique: true }
+        { fieldName: '_id', unique: true },
+        { fieldName: 'guildId' },
+        { fieldName: 'userId' }
       ]
     };
   }
@@ -298,6 +305,87 @@ class DatabaseManager {
     };
   }
 
+  /**
+   * Get scheduled jobs database schema
+   * @private
+   * @returns {Object} Schema definition
+   */
+  _getJobSchema() {
+    return {
+      required: ['_id', 'type', 'runAt', 'status'],
+      indexes: [
+        { fieldName: '_id', unique: true },
+        { fieldName: 'status' },
+        { fieldName: 'runAt' },
+        { fieldName: 'key' }
+      ]
+    };
+  }
+
+  /**
+   * Get moderation cases database schema
+   * @private
+   * @returns {Object} Schema definition
+   */
+  _getCaseSchema() {
+    return {
+      required: ['_id', 'guildId', 'caseNumber', 'recordId'],
+      indexes: [
+        { fieldName: '_id', unique: true },
+        { fieldName: 'guildId' },
+        { fieldName: 'userId' },
+        { fieldName: 'recordId' }
+      ]
+    };
+  }
+
+  /**
+   * Get channel lockdowns database schema
+   * @private
+   * @returns {Object} Schema definition
+   */
+  _getLockdownSchema() {
+    return {
+      required: ['_id', 'guildId', 'channelId', 'overwrites'],
+      indexes: [
+        { fieldName: '_id', unique: true },
+        { fieldName: 'guildId' }
+      ]
+    };
+  }
+
+  /**
+   * Get watchlist database schema
+   * @private
+   * @returns {Object} Schema definition
+   */
+  _getWatchlistSchema() {
+    return {
+      required: ['_id', 'guildId', 'userId', 'reason'],
+      indexes: [
+        { fieldName: '_id', unique: true },
+        { fieldName: 'guildId' }
+      ]
+    };
+  }
+
+  /**
+   * Get member reports database schema
+   * @private
+   * @returns {Object} Schema definition
+   */
+  _getReportSchema() {
+    return {
+      required: ['_id', 'guildId', 'reportNumber', 'reporterId', 'targetId', 'reason'],
+      indexes: [
+        { fieldName: '_id', unique: true },
+        { fieldName: 'guildId' },
+        { fieldName: 'reporterId' },
+        { fieldName: 'targetId' }
+      ]
+    };
+  }
+
   /**
    * Close all database connections
    * @returns {Promise<void>}
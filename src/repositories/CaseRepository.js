@@ -0,0 +1,146 @@
+const BaseRepository = require('./BaseRepository');
+const ModerationCase = require('../entities/ModerationCase');
+
+/**
+ * Repository for ModerationCase entity data persistence
+ * Hands out sequential case numbers per guild
+ * @class CaseRepository
+ * @extends {BaseRepository}
+ * @example
+ * const caseRepo = new CaseRepository(dbManager);
+ * const moderationCase = await caseRepo.findCase('123456789', 412);
+ */
+class CaseRepository extends BaseRepository {
+  /**
+   * Initialize case repository
+   * @param {DatabaseManager} dbManager - Database connection manager
+   */
+  constructor(dbManager) {
+    super(dbManager, 'cases');
+  }
+
+  /**
+   * Find case by guild and case number
+   * @param {string} guildId - Discord guild ID
+   * @param {number} caseNumber - Case number
+   * @returns {Promise<ModerationCase|null>} Case entity or null if not found
+   * @throws {Error} When database operation fails
+   */
+  async findCase(guildId, caseNumber) {
+    try {
+      const caseData = await this.findById(ModerationCase.buildId(guildId, caseNumber));
+      return caseData ? ModerationCase.fromDatabase(caseData) : null;
+    } catch (error) {
+      throw new Error(`Failed to find case: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the case indexing a moderation record
+   * @param {string} guildId - Discord guild ID
+   * @param {string} recordId - Moderation action or staff note ID
+   * @returns {Promise<ModerationCase|null>} Case entity or null if not found
+   * @throws {Error} When database operation fails
+   */
+  async findCaseByRecordId(guildId, recordId) {
+    try {
+      const caseData = await this.findOne({ guildId, recordId });
+      return caseData ? ModerationCase.fromDatabase(caseData) : null;
+    } catch (error) {
+      throw new Error(`Failed to find case by record: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find cases for a user in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {boolean} [includeDeleted=false] - Whether to include deleted cases
+   * @returns {Promise<Array<ModerationCase>>} Cases, newest first
+   * @throws {Error} When database operation fails
+   */
+  async findCasesByUser(guildId, userId, includeDeleted = false) {
+    try {
+      const query = { guildId, userId };
+      if (!includeDeleted) {
+        query.deleted = false;
+      }
+
+      const caseData = await this.findMany(query, { sort: { caseNumber: -1 } });
+      return caseData.map(data => ModerationCase.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find cases by user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a case with the next free number for the guild
+   * Retries when a concurrent insert claims the same number first
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} data - Case data (userId, action, recordId, kind, moderatorId)
+   * @returns {Promise<ModerationCase>} Created case entity
+   * @throws {Error} When case creation fails
+   * @example
+   * const moderationCase = await caseRepo.createCase(guild.id, {
+   *   userId: target.id,
+   *   action: 'kick',
+   *   recordId: action.id,
+   *   moderatorId: moderator.id
+   * });
+   */
+  async createCase(guildId, data) {
+    const maxAttempts = 5;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const caseNumber = await this.getNextCaseNumber(guildId);
+      const moderationCase = new ModerationCase(guildId, caseNumber, data);
+
+      try {
+        await this.create(moderationCase.toDatabase());
+        return moderationCase;
+      } catch (error) {
+        const taken = await this.exists(moderationCase.id);
+        if (!taken || attempt === maxAttempts) {
+          throw new Error(`Failed to create case: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Save changes to an existing case
+   * @param {ModerationCase} moderationCase - Case entity to save
+   * @returns {Promise<ModerationCase>} Saved case entity
+   * @throws {Error} When save operation fails
+   */
+  async saveCase(moderationCase) {
+    try {
+      if (!(moderationCase instanceof ModerationCase)) {
+        throw new Error('Parameter must be a ModerationCase entity');
+      }
+
+      await this.updateById(moderationCase.id, moderationCase.toDatabase());
+      return moderationCase;
+    } catch (error) {
+      throw new Error(`Failed to save case: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the next case number for a guild
+   * Deleted cases still count, so numbers are never reused
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>} Next case number
+   * @throws {Error} When database operation fails
+   */
+  async getNextCaseNumber(guildId) {
+    try {
+      const latest = await this.findMany({ guildId }, { sort: { caseNumber: -1 }, limit: 1 });
+      return latest.length > 0 ? latest[0].caseNumber + 1 : 1;
+    } catch (error) {
+      throw new Error(`Failed to get next case number: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CaseRepository;
@@ -0,0 +1,180 @@
+const BaseRepository = require('./BaseRepository');
+const ScheduledJob = require('../entities/ScheduledJob');
+
+/**
+ * Repository for ScheduledJob entity data persistence
+ * Backs the scheduler's durable job queue
+ * @class JobRepository
+ * @extends {BaseRepository}
+ * @example
+ * const jobRepo = new JobRepository(dbManager);
+ * const dueJobs = await jobRepo.findDueJobs(new Date(), 25);
+ */
+class JobRepository extends BaseRepository {
+  /**
+   * Initialize job repository
+   * @param {DatabaseManager} dbManager - Database connection manager
+   */
+  constructor(dbManager) {
+    super(dbManager, 'jobs');
+  }
+
+  /**
+   * Find job by ID and return ScheduledJob entity
+   * @param {string} jobId - Unique job identifier
+   * @returns {Promise<ScheduledJob|null>} Job entity or null if not found
+   * @throws {Error} When database operation fails
+   */
+  async findJobById(jobId) {
+    try {
+      const jobData = await this.findById(jobId);
+      return jobData ? ScheduledJob.fromDatabase(jobData) : null;
+    } catch (error) {
+      throw new Error(`Failed to find job by ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or update job record
+   * @param {ScheduledJob} job - Job entity to save
+   * @returns {Promise<ScheduledJob>} Saved job entity
+   * @throws {Error} When save operation fails
+   */
+  async saveJob(job) {
+    try {
+      if (!(job instanceof ScheduledJob)) {
+        throw new Error('Parameter must be a ScheduledJob entity');
+      }
+
+      const jobData = job.toDatabase();
+      const exists = await this.exists(job.id);
+
+      if (exists) {
+        await this.updateById(job.id, jobData);
+      } else {
+        await this.create(jobData);
+      }
+
+      return job;
+    } catch (error) {
+      throw new Error(`Failed to save job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find pending jobs that are due to run
+   * @param {Date} [now=new Date()] - Reference time
+   * @param {number} [limit=25] - Maximum number of jobs to return
+   * @returns {Promise<Array<ScheduledJob>>} Due jobs ordered by run time
+   * @throws {Error} When database operation fails
+   */
+  async findDueJobs(now = new Date(), limit = 25) {
+    try {
+      const jobData = await this.findMany(
+        { status: 'pending', runAt: { $lte: now } },
+        { sort: { runAt: 1 }, limit }
+      );
+      return jobData.map(data => ScheduledJob.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find due jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find pending jobs, optionally filtered by guild and type
+   * @param {string|null} [guildId=null] - Discord guild ID
+   * @param {string|null} [type=null] - Job type
+   * @param {number|null} [limit=null] - Maximum number of jobs to return
+   * @returns {Promise<Array<ScheduledJob>>} Pending jobs ordered by run time
+   * @throws {Error} When database operation fails
+   */
+  async findPendingJobs(guildId = null, type = null, limit = null) {
+    try {
+      const query = { status: 'pending' };
+      if (guildId) {
+        query.guildId = guildId;
+      }
+      if (type) {
+        query.type = type;
+      }
+
+      const options = { sort: { runAt: 1 } };
+      if (limit && typeof limit === 'number' && limit > 0) {
+        options.limit = limit;
+      }
+
+      const jobData = await this.findMany(query, options);
+      return jobData.map(data => ScheduledJob.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find pending jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find pending jobs sharing a deduplication key
+   * @param {string} key - Deduplication key
+   * @returns {Promise<Array<ScheduledJob>>} Pending jobs with the key
+   * @throws {Error} When database operation fails
+   */
+  async findPendingJobsByKey(key) {
+    try {
+      const jobData = await this.findMany({ status: 'pending', key });
+      return jobData.map(data => ScheduledJob.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find jobs by key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find jobs left in running state by an interrupted process
+   * @returns {Promise<Array<ScheduledJob>>} Running jobs
+   * @throws {Error} When database operation fails
+   */
+  async findRunningJobs() {
+    try {
+      const jobData = await this.findMany({ status: 'running' });
+      return jobData.map(data => ScheduledJob.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find running jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find recently failed jobs for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {number} [limit=10] - Maximum number of jobs to return
+   * @returns {Promise<Array<ScheduledJob>>} Failed jobs, most recent first
+   * @throws {Error} When database operation fails
+   */
+  async findFailedJobs(guildId, limit = 10) {
+    try {
+      const jobData = await this.findMany(
+        { status: 'failed', guildId },
+        { sort: { completedAt: -1 }, limit }
+      );
+      return jobData.map(data => ScheduledJob.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find failed jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove finished jobs older than the given number of days
+   * @param {number} [days=30] - Retention period for finished jobs
+   * @returns {Promise<number>} Number of jobs removed
+   * @throws {Error} When cleanup fails
+   */
+  async cleanupFinishedJobs(days = 30) {
+    try {
+      const cutoffTime = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
+      return await this.deleteMany({
+        status: { $in: ['completed', 'cancelled', 'failed'] },
+        completedAt: { $lt: cutoffTime }
+      });
+    } catch (error) {
+      throw new Error(`Failed to clean up finished jobs: ${error.message}`);
+    }
+  }
+}
+
+module.exports = JobRepository;
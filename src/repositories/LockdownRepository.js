@@ -0,0 +1,93 @@
+const BaseRepository = require('./BaseRepository');
+const ChannelLockdown = require('../entities/ChannelLockdown');
+
+/**
+ * Repository for ChannelLockdown entity data persistence
+ * One document per locked channel; the document is removed when the channel is unlocked
+ * @class LockdownRepository
+ * @extends {BaseRepository}
+ * @example
+ * const lockdownRepo = new LockdownRepository(dbManager);
+ * const lockdown = await lockdownRepo.findLockdown('123456789', '555555555');
+ */
+class LockdownRepository extends BaseRepository {
+  /**
+   * Initialize lockdown repository
+   * @param {DatabaseManager} dbManager - Database connection manager
+   */
+  constructor(dbManager) {
+    super(dbManager, 'lockdowns');
+  }
+
+  /**
+   * Find the lockdown of a channel
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<ChannelLockdown|null>} Lockdown entity or null if the channel is not locked
+   * @throws {Error} When database operation fails
+   */
+  async findLockdown(guildId, channelId) {
+    try {
+      const lockdownData = await this.findById(ChannelLockdown.buildId(guildId, channelId));
+      return lockdownData ? ChannelLockdown.fromDatabase(lockdownData) : null;
+    } catch (error) {
+      throw new Error(`Failed to find lockdown: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find all locked channels in a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array<ChannelLockdown>>} Lockdowns, oldest first
+   * @throws {Error} When database operation fails
+   */
+  async findLockdownsByGuild(guildId) {
+    try {
+      const lockdownData = await this.findMany({ guildId }, { sort: { createdAt: 1 } });
+      return lockdownData.map(data => ChannelLockdown.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find lockdowns by guild: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or update a channel lockdown
+   * @param {ChannelLockdown} lockdown - Lockdown entity to save
+   * @returns {Promise<ChannelLockdown>} Saved lockdown entity
+   * @throws {Error} When save operation fails
+   */
+  async saveLockdown(lockdown) {
+    try {
+      if (!(lockdown instanceof ChannelLockdown)) {
+        throw new Error('Parameter must be a ChannelLockdown entity');
+      }
+
+      if (await this.exists(lockdown.id)) {
+        await this.updateById(lockdown.id, lockdown.toDatabase());
+      } else {
+        await this.create(lockdown.toDatabase());
+      }
+
+      return lockdown;
+    } catch (error) {
+      throw new Error(`Failed to save lockdown: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the lockdown record of a channel
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<boolean>} True if a record was removed
+   * @throws {Error} When delete operation fails
+   */
+  async deleteLockdown(guildId, channelId) {
+    try {
+      return await this.deleteById(ChannelLockdown.buildId(guildId, channelId));
+    } catch (error) {
+      throw new Error(`Failed to delete lockdown: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LockdownRepository;
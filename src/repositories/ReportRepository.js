@@ -0,0 +1,149 @@
+const BaseRepository = require('./BaseRepository');
+const Report = require('../entities/Report');
+
+/**
+ * Repository for Report entity data persistence
+ * Hands out sequential report numbers per guild
+ * @class ReportRepository
+ * @extends {BaseRepository}
+ * @example
+ * const reportRepo = new ReportRepository(dbManager);
+ * const report = await reportRepo.findReport('123456789', 7);
+ */
+class ReportRepository extends BaseRepository {
+  /**
+   * Initialize report repository
+   * @param {DatabaseManager} dbManager - Database connection manager
+   */
+  constructor(dbManager) {
+    super(dbManager, 'reports');
+  }
+
+  /**
+   * Find report by guild and report number
+   * @param {string} guildId - Discord guild ID
+   * @param {number} reportNumber - Report number
+   * @returns {Promise<Report|null>} Report entity or null if not found
+   * @throws {Error} When database operation fails
+   */
+  async findReport(guildId, reportNumber) {
+    try {
+      const reportData = await this.findById(Report.buildId(guildId, reportNumber));
+      return reportData ? Report.fromDatabase(reportData) : null;
+    } catch (error) {
+      throw new Error(`Failed to find report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find reports filed by a member
+   * @param {string} guildId - Discord guild ID
+   * @param {string} reporterId - Discord user ID of the reporter
+   * @returns {Promise<Array<Report>>} Reports, newest first
+   * @throws {Error} When database operation fails
+   */
+  async findReportsByReporter(guildId, reporterId) {
+    try {
+      const reportData = await this.findMany({ guildId, reporterId }, { sort: { reportNumber: -1 } });
+      return reportData.map(data => Report.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find reports by reporter: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find reports against a user that still wait on staff
+   * @param {string} guildId - Discord guild ID
+   * @param {string} targetId - Discord user ID of the reported user
+   * @returns {Promise<Array<Report>>} Open and claimed reports, newest first
+   * @throws {Error} When database operation fails
+   */
+  async findPendingReportsByTarget(guildId, targetId) {
+    try {
+      const reportData = await this.findMany(
+        { guildId, targetId, status: { $in: ['open', 'claimed'] } },
+        { sort: { reportNumber: -1 } }
+      );
+      return reportData.map(data => Report.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find pending reports by target: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a report with the next free number for the guild
+   * Retries when a concurrent insert claims the same number first
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} data - Report data (reporterId, targetId, reason, message, tags)
+   * @returns {Promise<Report>} Created report entity
+   * @throws {Error} When report creation fails
+   */
+  async createReport(guildId, data) {
+    const maxAttempts = 5;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const reportNumber = await this.getNextReportNumber(guildId);
+      const report = new Report(guildId, reportNumber, data);
+
+      try {
+        await this.create(report.toDatabase());
+        return report;
+      } catch (error) {
+        const taken = await this.exists(report.id);
+        if (!taken || attempt === maxAttempts) {
+          throw new Error(`Failed to create report: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Save changes to an existing report
+   * @param {Report} report - Report entity to save
+   * @returns {Promise<Report>} Saved report entity
+   * @throws {Error} When save operation fails
+   */
+  async saveReport(report) {
+    try {
+      if (!(report instanceof Report)) {
+        throw new Error('Parameter must be a Report entity');
+      }
+
+      await this.updateById(report.id, report.toDatabase());
+      return report;
+    } catch (error) {
+      throw new Error(`Failed to save report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a report, for reports that could not be delivered to staff
+   * @param {Report} report - Report entity to remove
+   * @returns {Promise<boolean>} True if the report was removed
+   * @throws {Error} When delete operation fails
+   */
+  async deleteReport(report) {
+    try {
+      return await this.deleteById(report.id);
+    } catch (error) {
+      throw new Error(`Failed to delete report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the next report number for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>} Next report number
+   * @throws {Error} When database operation fails
+   */
+  async getNextReportNumber(guildId) {
+    try {
+      const latest = await this.findMany({ guildId }, { sort: { reportNumber: -1 }, limit: 1 });
+      return latest.length > 0 ? latest[0].reportNumber + 1 : 1;
+    } catch (error) {
+      throw new Error(`Failed to get next report number: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ReportRepository;
@@ -70,6 +70,31 @@ class TicketRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Update an appeal ticket's decision fields only while it has the expected appeal status
+   * The status check and the write happen in one update, so concurrent decisions cannot both apply
+   * @param {string} ticketId - Appeal ticket ID
+   * @param {string} fromStatus - Appeal status the ticket must currently have
+   * @param {Object} fields - Appeal metadata fields to set, including appealStatus
+   * @returns {Promise<boolean>} Whether the ticket had the expected status and was updated
+   * @throws {Error} When database operation fails
+   * @example
+   * const claimed = await ticketRepo.updateAppealStatus('0042', 'pending', { appealStatus: 'denied' });
+   */
+  async updateAppealStatus(ticketId, fromStatus, fields) {
+    try {
+      const updates = {};
+      for (const [key, value] of Object.entries(fields)) {
+        updates[`metadata.${key}`] = value;
+      }
+
+      const numUpdated = await this.updateMany({ _id: ticketId, 'metadata.appealStatus': fromStatus }, updates);
+      return numUpdated === 1;
+    } catch (error) {
+      throw new Error(`Failed to update appeal status: ${error.message}`);
+    }
+  }
+
   /**
    * Find ticket by Discord channel ID
    * @param {string} channelId - Discord channel ID
@@ -4,12 +4,13 @@ const User = require('../entities/User');
 /**
  * Repository for User entity data persistence
  * Handles user-specific database operations with User entity integration
+ * Records are keyed by guild and user, and every query is scoped to one guild
  * @class UserRepository
  * @extends {BaseRepository}
  * @example
  * const userRepo = new UserRepository(dbManager);
- * const user = await userRepo.findById('123456789');
- * await userRepo.updateUser(user);
+ * const user = await userRepo.findUserById(guild.id, '123456789');
+ * await userRepo.saveUser(user);
  */
 class UserRepository extends BaseRepository {
   /**
@@ -21,19 +22,20 @@ class UserRepository extends BaseRepository {
   }
 
   /**
-   * Find user by Discord ID and return User entity
+   * Find a user's record in a guild and return User entity
+   * @param {string} guildId - Discord guild ID
    * @param {string} userId - Discord user ID
    * @returns {Promise<User|null>} User entity or null if not found
    * @throws {Error} When database operation fails
    * @example
-   * const user = await userRepo.findUserById('123456789');
+   * const user = await userRepo.findUserById(guild.id, '123456789');
    * if (user) {
    *   console.log(`Found user: ${user.tag}`);
    * }
    */
-  async findUserById(userId) {
+  async findUserById(guildId, userId) {
     try {
-      const userData = await this.findById(userId);
+      const userData = await this.findById(User.buildId(guildId, userId));
       return userData ? User.fromDatabase(userData) : null;
     } catch (error) {
       throw new Error(`Failed to find user by ID: ${error.message}`);
@@ -46,7 +48,7 @@ class UserRepository extends BaseRepository {
    * @returns {Promise<User>} Saved user entity
    * @throws {Error} When save operation fails
    * @example
-   * const user = new User('123456789', 'username#1234');
+   * const user = new User(guild.id, '123456789', 'username#1234');
    * const savedUser = await userRepo.saveUser(user);
    */
   async saveUser(user) {
@@ -56,10 +58,10 @@ class UserRepository extends BaseRepository {
       }
 
       const userData = user.toDatabase();
-      const exists = await this.exists(user.id);
+      const exists = await this.exists(user.recordId);
 
       if (exists) {
-        await this.updateById(user.id, userData);
+        await this.updateById(user.recordId, userData);
       } else {
         await this.create(userData);
       }
@@ -71,22 +73,21 @@ class UserRepository extends BaseRepository {
   }
 
   /**
-   * Find users with recent moderation actions
+   * Find users with recent moderation actions in a guild
+   * @param {string} guildId - Discord guild ID
    * @param {number} hours - Hours to look back
    * @param {string} [actionType] - Specific action type to filter
    * @param {number} [minCount=1] - Minimum action count
    * @returns {Promise<Array<User>>} Users with recent actions
    * @throws {Error} When query fails
    * @example
-   * const recentWarnings = await userRepo.findUsersWithRecentActions(24, 'warn', 2);
+   * const recentWarnings = await userRepo.findUsersWithRecentActions(guild.id, 24, 'warn', 2);
    * console.log(`${recentWarnings.length} users with multiple recent warnings`);
    */
-  async findUsersWithRecentActions(hours, actionType = null, minCount = 1) {
+  async findUsersWithRecentActions(guildId, hours, actionType = null, minCount = 1) {
     try {
-      const cutoffTime = new Date(Date.now() - (hours * 60 * 60 * 1000));
-      
-      // Get all users (we'll filter in memory due to NeDB limitations)
-      const allUsers = await this.findMany({});
+      // Get the guild's users (we'll filter in memory due to NeDB limitations)
+      const allUsers = await this.findMany({ guildId });
       const matchingUsers = [];
 
       for (const userData of allUsers) {
@@ -105,17 +106,19 @@ class UserRepository extends BaseRepository {
   }
 
   /**
-   * Find users currently in jail (have stored original roles)
+   * Find users currently in jail in a guild (have stored original roles)
+   * @param {string} guildId - Discord guild ID
    * @returns {Promise<Array<User>>} Jailed users
    * @throws {Error} When query fails
    * @example
-   * const jailedUsers = await userRepo.findJailedUsers();
+   * const jailedUsers = await userRepo.findJailedUsers(guild.id);
    * console.log(`${jailedUsers.length} users currently in jail`);
    */
-  async findJailedUsers() {
+  async findJailedUsers(guildId) {
     try {
       // Find users with non-empty originalRoles array
       const userData = await this.findMany({
+        guildId,
         'originalRoles.0': { '$exists': true }
       });
 
@@ -126,19 +129,138 @@ class UserRepository extends BaseRepository {
   }
 
   /**
-   * Find users with persistent roles to restore
+   * Find users a new account could be evading: those currently banned or jailed in a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array<User>>} Banned and jailed users
+   * @throws {Error} When query fails
+   * @example
+   * const candidates = await userRepo.findEvasionCandidates(guild.id);
+   */
+  async findEvasionCandidates(guildId) {
+    try {
+      const userData = await this.findMany({
+        guildId,
+        $or: [
+          { 'moderationHistory.action': 'ban' },
+          { 'originalRoles.0': { '$exists': true } }
+        ]
+      });
+
+      return userData
+        .map(data => User.fromDatabase(data))
+        .filter(user => user.isJailed() || user.getActiveBan());
+    } catch (error) {
+      throw new Error(`Failed to find evasion candidates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count the moderation actions each moderator took in a guild
+   * Automatic actions by the bot are left out; pardoned actions are counted separately
+   * @param {string} guildId - Discord guild ID
+   * @param {number} [days=30] - Days to look back
+   * @returns {Promise<Object>} Statistics keyed by moderator ID
+   * @throws {Error} When query fails
+   * @example
+   * const byModerator = await userRepo.getModeratorStatistics(guild.id, 7);
+   * console.log(`${Object.keys(byModerator).length} moderators took action this week`);
+   */
+  async getModeratorStatistics(guildId, days = 30) {
+    try {
+      const cutoffTime = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
+      const allUsers = await this.findMany({ guildId, 'moderationHistory.0': { '$exists': true } });
+      const stats = {};
+      const targetsByModerator = new Map();
+
+      for (const userData of allUsers) {
+        const user = User.fromDatabase(userData);
+
+        for (const action of user.getModerationHistory()) {
+          if (action.moderator === 'system' || new Date(action.timestamp) < cutoffTime) {
+            continue;
+          }
+
+          if (!stats[action.moderator]) {
+            stats[action.moderator] = {
+              moderatorId: action.moderator,
+              total: 0,
+              actionsByType: {},
+              pardoned: 0,
+              targets: 0,
+              lastActionAt: null
+            };
+            targetsByModerator.set(action.moderator, new Set());
+          }
+
+          const entry = stats[action.moderator];
+          if (User.isRevoked(action)) {
+            entry.pardoned++;
+            continue;
+          }
+
+          // Expiring bans are reported as tempbans, as in the mod log
+          const type = action.action === 'ban' && action.metadata && action.metadata.permanent === false
+            ? 'tempban'
+            : action.action;
+
+          entry.total++;
+          entry.actionsByType[type] = (entry.actionsByType[type] || 0) + 1;
+          targetsByModerator.get(action.moderator).add(user.id);
+
+          const timestamp = new Date(action.timestamp);
+          if (!entry.lastActionAt || timestamp > entry.lastActionAt) {
+            entry.lastActionAt = timestamp;
+          }
+        }
+      }
+
+      for (const entry of Object.values(stats)) {
+        entry.targets = targetsByModerator.get(entry.moderatorId).size;
+      }
+
+      return stats;
+    } catch (error) {
+      throw new Error(`Failed to calculate moderator statistics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find users with at least one staff note in a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array<User>>} Users with staff notes
+   * @throws {Error} When query fails
+   * @example
+   * const annotatedUsers = await userRepo.findUsersWithStaffNotes(guild.id);
+   */
+  async findUsersWithStaffNotes(guildId) {
+    try {
+      const userData = await this.findMany({
+        guildId,
+        'staffNotes.0': { '$exists': true }
+      });
+
+      return userData.map(data => User.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find users with staff notes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find users with persistent roles to restore in a guild
+   * @param {string} guildId - Discord guild ID
    * @returns {Promise<Array<User>>} Users with persistent roles
    * @throws {Error} When query fails
    * @example
-   * const usersToRestore = await userRepo.findUsersWithPersistentRoles();
+   * const usersToRestore = await userRepo.findUsersWithPersistentRoles(guild.id);
    * for (const user of usersToRestore) {
    *   console.log(`User ${user.tag} has roles to restore`);
    * }
    */
-  async findUsersWithPersistentRoles() {
+  async findUsersWithPersistentRoles(guildId) {
     try {
       // Find users with non-empty persistentRoles array
       const userData = await this.findMany({
+        guildId,
         'persistentRoles.0': { '$exists': true }
       });
 
@@ -149,18 +271,19 @@ class UserRepository extends BaseRepository {
   }
 
   /**
-   * Get moderation statistics for all users
+   * Get moderation statistics for the users of a guild
+   * @param {string} guildId - Discord guild ID
    * @param {number} [days=30] - Days to include in statistics
    * @returns {Promise<Object>} Moderation statistics summary
    * @throws {Error} When statistics calculation fails
    * @example
-   * const stats = await userRepo.getModerationStatistics(7);
+   * const stats = await userRepo.getModerationStatistics(guild.id, 7);
    * console.log(`${stats.totalActions} actions in the last week`);
    */
-  async getModerationStatistics(days = 30) {
+  async getModerationStatistics(guildId, days = 30) {
     try {
       const cutoffTime = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
-      const allUsers = await this.findMany({});
+      const allUsers = await this.findMany({ guildId });
       
       const stats = {
         totalUsers: allUsers.length,
@@ -172,7 +295,8 @@ class UserRepository extends BaseRepository {
           ban: 0,
           tempban: 0,
           jail: 0,
-          mute: 0
+          mute: 0,
+          timeout: 0
         },
         recentActions: 0,
         jailedUsers: 0,
@@ -197,7 +321,7 @@ class UserRepository extends BaseRepository {
 
         // Count recent actions
         const recentActions = user.getModerationHistory().filter(action => 
-          new Date(action.timestamp) >= cutoffTime
+          new Date(action.timestamp) >= cutoffTime && !User.isRevoked(action)
         );
         stats.recentActions += recentActions.length;
 
@@ -218,21 +342,22 @@ class UserRepository extends BaseRepository {
   }
 
   /**
-   * Find users by moderation action count
+   * Find users of a guild by moderation action count
+   * @param {string} guildId - Discord guild ID
    * @param {string} actionType - Action type to count
    * @param {number} minCount - Minimum action count
    * @param {number} [days] - Days to look back (all time if not specified)
    * @returns {Promise<Array<{user: User, count: number}>>} Users with action counts
    * @throws {Error} When query fails
    * @example
-   * const frequentOffenders = await userRepo.findUsersByActionCount('warn', 5, 30);
+   * const frequentOffenders = await userRepo.findUsersByActionCount(guild.id, 'warn', 5, 30);
    * for (const {user, count} of frequentOffenders) {
    *   console.log(`${user.tag}: ${count} warnings in 30 days`);
    * }
    */
-  async findUsersByActionCount(actionType, minCount, days = null) {
+  async findUsersByActionCount(guildId, actionType, minCount, days = null) {
     try {
-      const allUsers = await this.findMany({});
+      const allUsers = await this.findMany({ guildId });
       const results = [];
 
       for (const userData of allUsers) {
@@ -256,7 +381,7 @@ class UserRepository extends BaseRepository {
   }
 
   /**
-   * Clean up old user records with no recent activity
+   * Clean up old user records with no recent activity, across every guild
    * @param {number} days - Days of inactivity before cleanup
    * @param {boolean} [dryRun=true] - Whether to actually delete or just return count
    * @returns {Promise<number>} Number of records that would be/were cleaned up
@@ -268,7 +393,7 @@ class UserRepository extends BaseRepository {
   async cleanupInactiveUsers(days, dryRun = true) {
     try {
       const cutoffTime = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
-      const allUsers = await this.findMany({});
+      const allUsers = await this.findMany({ guildId: { $exists: true } });
       let cleanupCount = 0;
 
       for (const userData of allUsers) {
@@ -286,7 +411,7 @@ class UserRepository extends BaseRepository {
 
         if (!hasRecentActivity) {
           if (!dryRun) {
-            await this.deleteById(user.id);
+            await this.deleteById(user.recordId);
           }
           cleanupCount++;
         }
@@ -300,24 +425,28 @@ class UserRepository extends BaseRepository {
 
   /**
    * Backup user data to JSON format
-   * @param {Array<string>} [userIds] - Specific user IDs to backup (all if not specified)
+   * @param {Array<string>} [userIds] - Specific user IDs to backup, in every guild (all if not specified)
+   * @param {string} [guildId] - Only back up records of this guild
    * @returns {Promise<Object>} Backup data object
    * @throws {Error} When backup fails
    * @example
-   * const backup = await userRepo.backupUserData(['123456789']);
+   * const backup = await userRepo.backupUserData(['123456789'], guild.id);
    * await fs.writeFile('user-backup.json', JSON.stringify(backup, null, 2));
    */
-  async backupUserData(userIds = null) {
+  async backupUserData(userIds = null, guildId = null) {
     try {
-      let query = {};
+      const query = {};
       if (userIds && Array.isArray(userIds)) {
-        query = { _id: { $in: userIds } };
+        query.userId = { $in: userIds };
+      }
+      if (guildId) {
+        query.guildId = guildId;
       }
 
       const userData = await this.findMany(query);
       
       return {
-        version: '1.0.0',
+        version: '2.0.0',
         timestamp: new Date().toISOString(),
         userCount: userData.length,
         users: userData
@@ -382,6 +511,129 @@ class UserRepository extends BaseRepository {
       throw new Error(`Failed to restore user data: ${error.message}`);
     }
   }
+
+  /**
+   * Split records from before history was scoped per guild into one record per guild
+   * Actions and notes move to the guild stored in their metadata, jail roles to the guild
+   * of the latest jail, and persistent roles to the guild that owns them. Anything that
+   * cannot be placed stays in the legacy record so a later run can finish the job
+   * @param {Object} [options={}] - Migration options
+   * @param {string} [options.fallbackGuildId] - Guild for data with no guild of its own
+   * @param {Function} [options.resolveRoleGuild] - Returns the guild ID owning a list of role IDs, or null
+   * @returns {Promise<{migrated: number, created: number, unresolved: number}>} Migration results
+   * @throws {Error} When migration fails
+   * @example
+   * const result = await userRepo.migrateLegacyRecords({
+   *   resolveRoleGuild: roleIds => client.guilds.cache.find(guild => guild.roles.cache.has(roleIds[0]))?.id
+   * });
+   */
+  async migrateLegacyRecords(options = {}) {
+    try {
+      const legacyRecords = await this.findMany({ guildId: { $exists: false } });
+      const results = { migrated: 0, created: 0, unresolved: 0 };
+
+      for (const legacy of legacyRecords) {
+        const history = legacy.moderationHistory || [];
+        const notes = legacy.staffNotes || [];
+        // Data that cannot be placed collects under the null guild
+        const buckets = new Map();
+
+        for (const action of history) {
+          this._addToGuildBucket(buckets, this._getLegacyGuildId(action, options), 'moderationHistory', [action]);
+        }
+
+        for (const note of notes) {
+          this._addToGuildBucket(buckets, this._getLegacyGuildId(note, options), 'staffNotes', [note]);
+        }
+
+        if (legacy.originalRoles && legacy.originalRoles.length > 0) {
+          // Jail roles belong to wherever the user was most recently jailed
+          const lastJail = history
+            .filter(action => action.action === 'jail')
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+          const jailGuildId = lastJail ? this._getLegacyGuildId(lastJail, options) : options.fallbackGuildId;
+          this._addToGuildBucket(buckets, jailGuildId, 'originalRoles', legacy.originalRoles);
+        }
+
+        if (legacy.persistentRoles && legacy.persistentRoles.length > 0) {
+          const roleGuildId = (options.resolveRoleGuild && options.resolveRoleGuild(legacy.persistentRoles)) ||
+            options.fallbackGuildId;
+          this._addToGuildBucket(buckets, roleGuildId, 'persistentRoles', legacy.persistentRoles);
+        }
+
+        const leftover = buckets.get(null);
+        buckets.delete(null);
+
+        for (const [guildId, data] of buckets) {
+          const existing = await this.findUserById(guildId, legacy._id);
+          const record = existing ? existing.toDatabase() : {
+            _id: User.buildId(guildId, legacy._id),
+            guildId,
+            userId: legacy._id,
+            tag: legacy.tag || 'Unknown#0000',
+            originalRoles: [],
+            persistentRoles: [],
+            moderationHistory: [],
+            staffNotes: [],
+            createdAt: legacy.createdAt || new Date(),
+            updatedAt: legacy.updatedAt || new Date()
+          };
+
+          // Merge by ID so a record written since an interrupted run is not duplicated
+          const knownActionIds = new Set(record.moderationHistory.map(action => action.id));
+          const knownNoteIds = new Set(record.staffNotes.map(note => note.id));
+          record.moderationHistory.push(...data.moderationHistory.filter(action => !knownActionIds.has(action.id)));
+          record.staffNotes.push(...data.staffNotes.filter(note => !knownNoteIds.has(note.id)));
+          if (record.originalRoles.length === 0) record.originalRoles = data.originalRoles;
+          if (record.persistentRoles.length === 0) record.persistentRoles = data.persistentRoles;
+
+          await this.saveUser(User.fromDatabase(record));
+          if (!existing) {
+            results.created++;
+          }
+        }
+
+        if (leftover) {
+          await this.updateById(legacy._id, leftover);
+          results.unresolved++;
+        } else {
+          await this.deleteById(legacy._id);
+          results.migrated++;
+        }
+      }
+
+      return results;
+    } catch (error) {
+      throw new Error(`Failed to migrate legacy user records: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out which guild a legacy action or note belongs to
+   * @private
+   * @param {Object} entry - Moderation action or staff note
+   * @param {Object} options - Migration options
+   * @returns {string|null} Guild ID, or null when unknown
+   */
+  _getLegacyGuildId(entry, options) {
+    return (entry.metadata && entry.metadata.guildId) || options.fallbackGuildId || null;
+  }
+
+  /**
+   * Add legacy data to the bucket of the guild it is being moved to
+   * @private
+   * @param {Map<string|null, Object>} buckets - Migrated data per guild ID
+   * @param {string|null} guildId - Target guild, or null when unknown
+   * @param {string} field - Record field the items belong to
+   * @param {Array} items - Items to add
+   */
+  _addToGuildBucket(buckets, guildId, field, items) {
+    const key = guildId || null;
+    if (!buckets.has(key)) {
+      buckets.set(key, { moderationHistory: [], staffNotes: [], originalRoles: [], persistentRoles: [] });
+    }
+    buckets.get(key)[field].push(...items);
+  }
 }
 
 module.exports = UserRepository;
\ No newline at end of file
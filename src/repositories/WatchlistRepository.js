@@ -0,0 +1,93 @@
+const BaseRepository = require('./BaseRepository');
+const WatchlistEntry = require('../entities/WatchlistEntry');
+
+/**
+ * Repository for WatchlistEntry entity data persistence
+ * One document per watched user in a guild; the document is removed when the user is unwatched
+ * @class WatchlistRepository
+ * @extends {BaseRepository}
+ * @example
+ * const watchlistRepo = new WatchlistRepository(dbManager);
+ * const entry = await watchlistRepo.findEntry('123456789', '987654321');
+ */
+class WatchlistRepository extends BaseRepository {
+  /**
+   * Initialize watchlist repository
+   * @param {DatabaseManager} dbManager - Database connection manager
+   */
+  constructor(dbManager) {
+    super(dbManager, 'watchlist');
+  }
+
+  /**
+   * Find the watchlist entry of a user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<WatchlistEntry|null>} Entry or null if the user is not watched
+   * @throws {Error} When database operation fails
+   */
+  async findEntry(guildId, userId) {
+    try {
+      const entryData = await this.findById(WatchlistEntry.buildId(guildId, userId));
+      return entryData ? WatchlistEntry.fromDatabase(entryData) : null;
+    } catch (error) {
+      throw new Error(`Failed to find watchlist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find all watched users in a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array<WatchlistEntry>>} Entries, newest first
+   * @throws {Error} When database operation fails
+   */
+  async findEntriesByGuild(guildId) {
+    try {
+      const entryData = await this.findMany({ guildId }, { sort: { createdAt: -1 } });
+      return entryData.map(data => WatchlistEntry.fromDatabase(data));
+    } catch (error) {
+      throw new Error(`Failed to find watchlist entries by guild: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create or update a watchlist entry
+   * @param {WatchlistEntry} entry - Entry to save
+   * @returns {Promise<WatchlistEntry>} Saved entry
+   * @throws {Error} When save operation fails
+   */
+  async saveEntry(entry) {
+    try {
+      if (!(entry instanceof WatchlistEntry)) {
+        throw new Error('Parameter must be a WatchlistEntry entity');
+      }
+
+      if (await this.exists(entry.id)) {
+        await this.updateById(entry.id, entry.toDatabase());
+      } else {
+        await this.create(entry.toDatabase());
+      }
+
+      return entry;
+    } catch (error) {
+      throw new Error(`Failed to save watchlist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the watchlist entry of a user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<boolean>} True if an entry was removed
+   * @throws {Error} When delete operation fails
+   */
+  async deleteEntry(guildId, userId) {
+    try {
+      return await this.deleteById(WatchlistEntry.buildId(guildId, userId));
+    } catch (error) {
+      throw new Error(`Failed to delete watchlist entry: ${error.message}`);
+    }
+  }
+}
+
+module.exports = WatchlistRepository;
@@ -0,0 +1,502 @@
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+
+/**
+ * How long a user must wait after a denied appeal before appealing again
+ * @type {number}
+ */
+const APPEAL_RETRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Minimum time between automatic replies to the same user's direct messages
+ * @type {number}
+ */
+const DM_REPLY_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Service handling ban appeals filed through direct messages
+ * Banned users pick a server from a DM prompt (or an appeal button sent to them),
+ * write their appeal in a modal, and staff decide it from a staff-only appeal ticket
+ * @class AppealService
+ * @example
+ * const appealService = new AppealService(ticketService, moderationService, configRepo, client);
+ * client.on('messageCreate', message => appealService.handleDirectMessage(message));
+ */
+class AppealService {
+  /**
+   * Initialize appeal service
+   * @param {TicketService} ticketService - Ticket service storing appeal tickets
+   * @param {ModerationService} moderationService - Service performing unbans and recording decisions
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   * @param {Client} client - Discord client used to resolve guilds and users
+   */
+  constructor(ticketService, moderationService, configRepository, client) {
+    if (!ticketService) {
+      throw new Error('TicketService is required');
+    }
+    if (!moderationService) {
+      throw new Error('ModerationService is required');
+    }
+    if (!configRepository) {
+      throw new Error('ConfigRepository is required');
+    }
+    if (!client) {
+      throw new Error('Discord client is required');
+    }
+
+    /**
+     * Ticket service for appeal tickets
+     * @type {TicketService}
+     * @private
+     */
+    this._ticketService = ticketService;
+
+    /**
+     * Moderation service for unbans and history
+     * @type {ModerationService}
+     * @private
+     */
+    this._moderationService = moderationService;
+
+    /**
+     * Configuration repository for server settings
+     * @type {ConfigRepository}
+     * @private
+     */
+    this._configRepo = configRepository;
+
+    /**
+     * Discord client
+     * @type {Client}
+     * @private
+     */
+    this._client = client;
+
+    /**
+     * Last automatic DM reply per user
+     * @type {Map<string, number>}
+     * @private
+     */
+    this._dmReplies = new Map();
+  }
+
+  /**
+   * Reply to a direct message with the servers the author can appeal a ban in
+   * @param {Message} message - Direct message received by the bot
+   * @returns {Promise<void>}
+   */
+  async handleDirectMessage(message) {
+    if (message.author.bot || message.guild) {
+      return;
+    }
+
+    const now = Date.now();
+    const lastReply = this._dmReplies.get(message.author.id) || 0;
+    if (now - lastReply < DM_REPLY_COOLDOWN_MS) {
+      return;
+    }
+    this._dmReplies.set(message.author.id, now);
+
+    try {
+      const guilds = await this.getAppealableGuilds(message.author.id);
+
+      if (guilds.length === 0) {
+        await message.reply('You are not banned from any server I moderate, so there is nothing to appeal.');
+        return;
+      }
+
+      const buttons = guilds.slice(0, 25).map(guild => this.buildAppealButton(guild));
+      const rows = [];
+      for (let i = 0; i < buttons.length; i += 5) {
+        rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+      }
+
+      await message.reply({
+        content: '📨 **Ban Appeals**\n' +
+                'You are banned from the server(s) below. Choose one to write an appeal; ' +
+                'it will be reviewed by that server\'s staff and you will be messaged with the outcome.',
+        components: rows
+      });
+    } catch (error) {
+      console.error(`Error handling direct message from ${message.author.id}:`, error);
+    }
+  }
+
+  /**
+   * Find the guilds a user is banned from and can appeal in
+   * Only configured guilds where the bot can see bans are considered
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Array<Guild>>} Guilds the user is banned from
+   */
+  async getAppealableGuilds(userId) {
+    const guilds = [];
+
+    for (const guild of this._client.guilds.cache.values()) {
+      if (!guild.members.me || !guild.members.me.permissions.has('BanMembers')) {
+        continue;
+      }
+
+      const server = await this._configRepo.findServerById(guild.id);
+      if (!server) {
+        continue;
+      }
+
+      const ban = await guild.bans.fetch(userId).catch(() => null);
+      if (ban) {
+        guilds.push(guild);
+      }
+    }
+
+    return guilds;
+  }
+
+  /**
+   * Build the button that starts an appeal for a guild
+   * Can be attached to any message sent to a banned user
+   * @param {Guild} guild - Guild the appeal is filed against
+   * @returns {ButtonBuilder} Appeal button
+   */
+  buildAppealButton(guild) {
+    return new ButtonBuilder()
+      .setCustomId(`appeal_start_${guild.id}`)
+      .setLabel(`Appeal ban in ${guild.name}`.slice(0, 80))
+      .setEmoji('📨')
+      .setStyle(ButtonStyle.Primary);
+  }
+
+  /**
+   * Handle appeal buttons
+   * @param {ButtonInteraction} interaction - Discord button interaction
+   * @param {Array<string>} params - Custom ID segments after the "appeal" prefix
+   * @returns {Promise<void>}
+   */
+  async handleButton(interaction, params) {
+    const [step, id] = params;
+
+    switch (step) {
+      case 'start':
+        await this._startAppeal(interaction, id);
+        break;
+      case 'accept':
+      case 'deny':
+        await interaction.showModal(this._buildDecisionModal(step, id));
+        break;
+      default:
+        await interaction.reply({
+          content: '❌ Unknown appeal action.',
+          flags: [4] // MessageFlags.Ephemeral
+        });
+    }
+  }
+
+  /**
+   * Handle appeal modal submissions
+   * @param {ModalSubmitInteraction} interaction - Discord modal submit interaction
+   * @param {Array<string>} params - Custom ID segments after the "appeal" prefix
+   * @returns {Promise<void>}
+   */
+  async handleModal(interaction, params) {
+    const [step, id] = params;
+
+    switch (step) {
+      case 'submit':
+        await this._submitAppeal(interaction, id);
+        break;
+      case 'accept':
+        await this._decideAppeal(interaction, id, 'accepted');
+        break;
+      case 'deny':
+        await this._decideAppeal(interaction, id, 'denied');
+        break;
+      default:
+        await interaction.reply({
+          content: '❌ Unknown appeal action.',
+          flags: [4] // MessageFlags.Ephemeral
+        });
+    }
+  }
+
+  /**
+   * Show the appeal form after checking the user may appeal
+   * @private
+   * @param {ButtonInteraction} interaction - Appeal button interaction
+   * @param {string} guildId - Guild the appeal is filed against
+   * @returns {Promise<void>}
+   */
+  async _startAppeal(interaction, guildId) {
+    const guild = this._client.guilds.cache.get(guildId);
+    const eligibility = guild
+      ? await this._checkEligibility(guild, interaction.user.id)
+      : { allowed: false, reason: 'I am no longer in that server.' };
+
+    if (!eligibility.allowed) {
+      await interaction.reply({
+        content: `❌ ${eligibility.reason}`,
+        flags: [4] // MessageFlags.Ephemeral
+      });
+      return;
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`appeal_submit_${guildId}`)
+      .setTitle(`Ban appeal for ${guild.name}`.slice(0, 45))
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('text')
+          .setLabel('Why should your ban be lifted?')
+          .setStyle(TextInputStyle.Paragraph)
+          .setMinLength(20)
+          .setMaxLength(1500)
+          .setRequired(true)
+      ));
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Open the appeal ticket from a submitted appeal form
+   * @private
+   * @param {ModalSubmitInteraction} interaction - Appeal form submission
+   * @param {string} guildId - Guild the appeal is filed against
+   * @returns {Promise<void>}
+   */
+  async _submitAppeal(interaction, guildId) {
+    await interaction.deferReply();
+
+    try {
+      const guild = this._client.guilds.cache.get(guildId);
+      const eligibility = guild
+        ? await this._checkEligibility(guild, interaction.user.id)
+        : { allowed: false, reason: 'I am no longer in that server.' };
+
+      if (!eligibility.allowed) {
+        await interaction.editReply({
+          content: `❌ ${eligibility.reason}`
+        });
+        return;
+      }
+
+      const result = await this._ticketService.createAppealTicket(guild, {
+        id: interaction.user.id,
+        tag: interaction.user.tag
+      }, {
+        text: interaction.fields.getTextInputValue('text'),
+        banReason: eligibility.ban.reason
+      });
+
+      if (!result.success) {
+        await interaction.editReply({
+          content: `❌ ${result.error}`
+        });
+        return;
+      }
+
+      await interaction.editReply({
+        content: '✅ **Appeal Submitted**\n' +
+                `**Server:** ${guild.name}\n` +
+                `**Appeal ID:** ${result.ticket.id}\n\n` +
+                'The server staff will review your appeal. You will receive a message here once it has been decided.'
+      });
+
+      console.log(`Ban appeal ${result.ticket.id} filed by ${interaction.user.tag} (${interaction.user.id}) for ${guild.name} (${guild.id})`);
+    } catch (error) {
+      console.error('Error submitting ban appeal:', error);
+
+      await interaction.editReply({
+        content: '❌ An error occurred while submitting your appeal. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Apply a staff decision to an appeal
+   * The decision is claimed first so two staff members cannot both decide the same appeal;
+   * accepting then unbans the user, and both outcomes are recorded in the moderation history
+   * @private
+   * @param {ModalSubmitInteraction} interaction - Decision form submission
+   * @param {string} ticketId - Appeal ticket ID
+   * @param {string} outcome - Decision (accepted or denied)
+   * @returns {Promise<void>}
+   */
+  async _decideAppeal(interaction, ticketId, outcome) {
+    await interaction.deferReply();
+    let claimed = false;
+
+    try {
+      const ticket = await this._ticketService.getAppealTicket(ticketId);
+      if (!ticket || ticket.getMetadata('guildId') !== interaction.guild.id) {
+        await interaction.editReply({
+          content: `❌ Appeal ${ticketId} not found.`
+        });
+        return;
+      }
+
+      if (ticket.getMetadata('appealStatus') !== 'pending') {
+        await interaction.editReply({
+          content: `❌ Appeal ${ticketId} has already been ${ticket.getMetadata('appealStatus')}.`
+        });
+        return;
+      }
+
+      const appellant = await this._client.users.fetch(ticket.creatorId).catch(() => null);
+      const target = { id: ticket.creatorId, tag: appellant ? appellant.tag : 'Unknown User' };
+      const reason = interaction.fields.getTextInputValue('reason').trim() ||
+        (outcome === 'accepted' ? 'Ban appeal accepted' : 'Ban appeal denied');
+
+      const claim = await this._ticketService.claimAppealDecision(ticketId, interaction.user.id, outcome, reason);
+      if (!claim.success) {
+        await interaction.editReply({
+          content: `❌ ${claim.error}`
+        });
+        return;
+      }
+      claimed = true;
+
+      if (outcome === 'accepted') {
+        const unban = await this._moderationService.unbanUser(interaction, target.id, `${reason} (appeal ${ticketId})`, {
+          appealTicketId: ticketId
+        });
+
+        // A user unbanned by hand while the appeal was pending can still have it accepted
+        if (!unban.success && unban.type !== 'not_banned') {
+          await this._ticketService.releaseAppealDecision(ticketId, outcome);
+          await interaction.editReply({
+            content: `❌ ${unban.error}`
+          });
+          return;
+        }
+      }
+
+      const decision = await this._moderationService.recordAppealDecision(interaction, target, outcome, reason, {
+        ticketId: ticketId
+      });
+
+      if (!decision.success) {
+        await this._ticketService.releaseAppealDecision(ticketId, outcome);
+        await interaction.editReply({
+          content: `❌ ${decision.error}`
+        });
+        return;
+      }
+
+      await this._ticketService.resolveAppealTicket(ticketId, interaction.user.id, outcome, reason);
+      const notified = await this._notifyAppellant(appellant, interaction.guild, outcome, reason);
+
+      if (interaction.message) {
+        await interaction.message.edit({ components: [] }).catch(() => null);
+      }
+
+      await interaction.editReply({
+        content: `${outcome === 'accepted' ? '✅ **Appeal Accepted**' : '⛔ **Appeal Denied**'}\n` +
+                `**User:** ${target.tag} (<@${target.id}>)\n` +
+                `**Moderator:** ${interaction.user.tag}\n` +
+                `**Reason:** ${reason}\n` +
+                `**Case:** ${decision.caseNumber ? `#${decision.caseNumber}` : decision.actionId}\n` +
+                `**User Notified:** ${notified ? 'Yes' : 'No (DMs closed or user unavailable)'}`
+      });
+
+      console.log(`Ban appeal ${ticketId} ${outcome} in ${interaction.guild.name} (${interaction.guild.id}) by ${interaction.user.tag} (${interaction.user.id})`);
+    } catch (error) {
+      console.error('Error deciding ban appeal:', error);
+
+      // Leave the appeal open to another decision, as when the unban or record fails above
+      if (claimed) {
+        await this._ticketService.releaseAppealDecision(ticketId, outcome).catch(() => null);
+      }
+
+      await interaction.editReply({
+        content: '❌ An error occurred while processing the appeal. Please try again later.'
+      });
+    }
+  }
+
+  /**
+   * Check whether a user may file an appeal in a guild
+   * @private
+   * @param {Guild} guild - Guild the appeal is filed against
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Object>} `{ allowed, reason, ban }`
+   */
+  async _checkEligibility(guild, userId) {
+    const ban = await guild.bans.fetch(userId).catch(() => null);
+    if (!ban) {
+      return { allowed: false, reason: `You are not banned from ${guild.name}.` };
+    }
+
+    const appeals = await this._ticketService.getAppealTickets(guild.id, userId);
+
+    if (appeals.some(appeal => appeal.getMetadata('appealStatus') === 'pending')) {
+      return { allowed: false, reason: `You already have a pending appeal for ${guild.name}.` };
+    }
+
+    const lastDenied = appeals.find(appeal => appeal.getMetadata('appealStatus') === 'denied');
+    if (lastDenied) {
+      const retryAt = new Date(lastDenied.getMetadata('decidedAt')).getTime() + APPEAL_RETRY_MS;
+      if (retryAt > Date.now()) {
+        return {
+          allowed: false,
+          reason: `Your last appeal for ${guild.name} was denied. You can appeal again <t:${Math.floor(retryAt / 1000)}:R>.`
+        };
+      }
+    }
+
+    return { allowed: true, ban };
+  }
+
+  /**
+   * Build the form staff fill in when deciding an appeal
+   * @private
+   * @param {string} step - Decision button pressed (accept or deny)
+   * @param {string} ticketId - Appeal ticket ID
+   * @returns {ModalBuilder} Decision modal
+   */
+  _buildDecisionModal(step, ticketId) {
+    return new ModalBuilder()
+      .setCustomId(`appeal_${step}_${ticketId}`)
+      .setTitle(`${step === 'accept' ? 'Accept' : 'Deny'} appeal ${ticketId}`)
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('reason')
+          .setLabel('Reason (sent to the user)')
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(500)
+          .setRequired(false)
+      ));
+  }
+
+  /**
+   * Message the appellant with the decision
+   * @private
+   * @param {User|null} appellant - Discord user who filed the appeal
+   * @param {Guild} guild - Guild the appeal was filed against
+   * @param {string} outcome - Decision (accepted or denied)
+   * @param {string} reason - Reason given by staff
+   * @returns {Promise<boolean>} Whether the message was delivered
+   */
+  async _notifyAppellant(appellant, guild, outcome, reason) {
+    if (!appellant) {
+      return false;
+    }
+
+    const content = outcome === 'accepted'
+      ? `✅ Your ban appeal for **${guild.name}** was accepted and you have been unbanned.\n**Reason:** ${reason}`
+      : `⛔ Your ban appeal for **${guild.name}** was denied.\n**Reason:** ${reason}\n\n` +
+        `You can appeal again after ${APPEAL_RETRY_MS / (24 * 60 * 60 * 1000)} days.`;
+
+    try {
+      await appellant.send(content);
+      return true;
+    } catch (error) {
+      console.warn(`Could not notify ${appellant.id} of appeal outcome: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+module.exports = AppealService;
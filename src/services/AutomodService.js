@@ -0,0 +1,301 @@
+/**
+ * Discord invite links, including vanity and legacy domains
+ * @type {RegExp}
+ */
+const INVITE_PATTERN = /(?:discord(?:app)?\.com\/invite|discord\.gg|discord\.me)\/([\w-]+)/gi;
+
+/**
+ * Three or more stacked generic combining marks, the signature of zalgo text
+ * Script=Inherited covers the shared diacritic blocks zalgo generators draw from,
+ * while marks belonging to a script (Hebrew points, Thai tones, ...) are left alone
+ * @type {RegExp}
+ */
+const ZALGO_PATTERN = /\p{Script=Inherited}{3,}/u;
+
+/**
+ * How long the notice telling a member why their message was removed stays up
+ * @type {number}
+ */
+const NOTICE_LIFETIME_MS = 8000;
+
+/**
+ * Service filtering guild messages against each guild's automod rules
+ * Rules are checked in order (banned words, invites, mass mentions, caps, zalgo) and the
+ * first match deletes the message and runs the rule's action; moderators are never filtered
+ * @class AutomodService
+ * @example
+ * const automodService = new AutomodService(configRepo, moderationService, modLogService);
+ * client.on('messageCreate', message => automodService.handleMessage(message));
+ */
+class AutomodService {
+  /**
+   * Initialize automod service
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   * @param {ModerationService} moderationService - Service recording automatic actions
+   * @param {ModLogService} modLogService - Service posting deletions to the mod log
+   */
+  constructor(configRepository, moderationService, modLogService) {
+    if (!configRepository) {
+      throw new Error('ConfigRepository is required');
+    }
+    if (!moderationService) {
+      throw new Error('ModerationService is required');
+    }
+    if (!modLogService) {
+      throw new Error('ModLogService is required');
+    }
+
+    /**
+     * Configuration repository for server settings
+     * @type {ConfigRepository}
+     * @private
+     */
+    this._configRepo = configRepository;
+
+    /**
+     * Moderation service for automatic actions
+     * @type {ModerationService}
+     * @private
+     */
+    this._moderationService = moderationService;
+
+    /**
+     * Mod log service for deletion alerts
+     * @type {ModLogService}
+     * @private
+     */
+    this._modLogService = modLogService;
+
+    /**
+     * Compiled banned word and pattern expressions by source
+     * @type {Map<string, RegExp>}
+     * @private
+     */
+    this._regexCache = new Map();
+  }
+
+  /**
+   * Check a guild message against the automod rules and act on the first match
+   * @param {Message} message - Message that was sent
+   * @returns {Promise<Object|null>} Violation and action result, or null when the message is allowed
+   */
+  async handleMessage(message) {
+    if (!message.guild || message.author.bot || !message.member) {
+      return null;
+    }
+
+    try {
+      const server = await this._configRepo.findServerById(message.guild.id);
+      if (!server || this._isModerator(message.member, server)) {
+        return null;
+      }
+
+      const rules = server.getAutomodRules();
+      for (const [type, rule] of Object.entries(rules)) {
+        if (!rule.enabled || this._isExempt(message, rule)) {
+          continue;
+        }
+
+        const violation = await this.checkRule(type, rule, message);
+        if (violation) {
+          return await this._enforce(message, type, rule, violation);
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error(`Failed to run automod on message ${message.id} in guild ${message.guild.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Check a message against one rule
+   * @param {string} type - Rule type (words, invites, mentions, caps, zalgo)
+   * @param {Object} rule - Rule settings
+   * @param {Message} message - Message to check
+   * @returns {Promise<string|null>} Description of the violation, or null when the rule is not broken
+   */
+  async checkRule(type, rule, message) {
+    const content = message.content || '';
+
+    switch (type) {
+      case 'words':
+        return this._checkWords(content, rule);
+      case 'invites':
+        return this._checkInvites(content, message);
+      case 'mentions': {
+        const mentions = message.mentions.users.size + message.mentions.roles.size +
+          (message.mentions.everyone ? 1 : 0);
+        return mentions > rule.limit ? `Mass mention (${mentions} mentions, limit ${rule.limit})` : null;
+      }
+      case 'caps': {
+        const letters = content.replace(/[^\p{L}]/gu, '');
+        if (letters.length < rule.minLength) {
+          return null;
+        }
+        const upper = letters.replace(/[^\p{Lu}]/gu, '').length;
+        const percent = Math.round((upper / letters.length) * 100);
+        return percent >= rule.percent ? `Excessive caps (${percent}% uppercase)` : null;
+      }
+      case 'zalgo':
+        return ZALGO_PATTERN.test(content) ? 'Zalgo text' : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check content against banned words and patterns
+   * @private
+   * @param {string} content - Message content
+   * @param {Object} rule - Words rule
+   * @returns {string|null} Violation description
+   */
+  _checkWords(content, rule) {
+    for (const word of rule.words) {
+      // Match whole words only, so banning "ass" leaves "class" alone
+      const source = `(?<![\\p{L}\\p{N}])${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`;
+      if (this._getRegex(source).test(content)) {
+        return 'Banned word';
+      }
+    }
+
+    for (const pattern of rule.patterns) {
+      if (this._getRegex(pattern).test(content)) {
+        return 'Banned pattern';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check content for invites to other servers
+   * Invites to the message's own server are allowed
+   * @private
+   * @param {string} content - Message content
+   * @param {Message} message - Message being checked
+   * @returns {Promise<string|null>} Violation description
+   */
+  async _checkInvites(content, message) {
+    for (const match of content.matchAll(INVITE_PATTERN)) {
+      const invite = await message.client.fetchInvite(match[1]).catch(() => null);
+      if (!invite || !invite.guild || invite.guild.id !== message.guild.id) {
+        return 'Discord invite link';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Delete the message, run the rule's action and tell the member why
+   * @private
+   * @param {Message} message - Offending message
+   * @param {string} type - Rule type that matched
+   * @param {Object} rule - Rule settings
+   * @param {string} violation - Violation description
+   * @returns {Promise<Object>} Violation and action result
+   */
+  async _enforce(message, type, rule, violation) {
+    const { guild, author } = message;
+    const reason = `Automod: ${violation}`;
+
+    await message.delete().catch(error =>
+      console.warn(`Automod could not delete message ${message.id} in guild ${guild.id}: ${error.message}`));
+
+    let result = null;
+    if (rule.action === 'delete') {
+      await this._modLogService.sendAlert(guild.id, {
+        title: '🧹 Automod Deletion',
+        description: `Message by <@${author.id}> (${author.tag}) removed in <#${message.channel.id}>.`,
+        color: 0x95a5a6,
+        fields: [
+          { name: 'Rule', value: violation, inline: true },
+          { name: 'Content', value: (message.content || '*No text*').slice(0, 1024), inline: false }
+        ]
+      });
+    } else {
+      result = await this._moderationService.applyAutomaticAction(guild, author, rule.action, reason, {
+        durationMs: rule.durationMs,
+        metadata: {
+          automod: { rule: type, channelId: message.channel.id, content: (message.content || '').slice(0, 500) }
+        }
+      });
+    }
+
+    await this._sendNotice(message, violation);
+
+    console.log(`Automod ${type} rule removed message ${message.id} by ${author.id} in guild ${guild.id} (${rule.action})`);
+
+    return { rule: type, violation, action: rule.action, result };
+  }
+
+  /**
+   * Post a short-lived notice in the channel explaining the removal
+   * @private
+   * @param {Message} message - Removed message
+   * @param {string} violation - Violation description
+   * @returns {Promise<void>}
+   */
+  async _sendNotice(message, violation) {
+    try {
+      const notice = await message.channel.send({
+        content: `⚠️ <@${message.author.id}>, your message was removed by automod: ${violation}.`,
+        allowedMentions: { users: [message.author.id] }
+      });
+      setTimeout(() => notice.delete().catch(() => {}), NOTICE_LIFETIME_MS);
+    } catch (error) {
+      console.warn(`Automod could not post a notice in channel ${message.channel.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a member is staff and therefore never filtered
+   * @private
+   * @param {GuildMember} member - Message author
+   * @param {Server} server - Server configuration
+   * @returns {boolean} Whether the member is a moderator
+   */
+  _isModerator(member, server) {
+    const moderatorRoleId = server.getModeratorRole();
+
+    return member.permissions.has('ManageMessages') ||
+      Boolean(moderatorRoleId && member.roles.cache.has(moderatorRoleId));
+  }
+
+  /**
+   * Check whether a message's channel or author is exempt from a rule
+   * Threads follow the exemption of their parent channel
+   * @private
+   * @param {Message} message - Message being checked
+   * @param {Object} rule - Rule settings
+   * @returns {boolean} Whether the rule should be skipped
+   */
+  _isExempt(message, rule) {
+    const channelIds = [message.channel.id, message.channel.parentId].filter(Boolean);
+    if (channelIds.some(channelId => rule.exemptChannelIds.includes(channelId))) {
+      return true;
+    }
+
+    return rule.exemptRoleIds.some(roleId => message.member.roles.cache.has(roleId));
+  }
+
+  /**
+   * Compile a case-insensitive expression once and reuse it
+   * @private
+   * @param {string} source - Expression source
+   * @returns {RegExp} Compiled expression
+   */
+  _getRegex(source) {
+    let regex = this._regexCache.get(source);
+    if (!regex) {
+      regex = new RegExp(source, 'iu');
+      this._regexCache.set(source, regex);
+    }
+    return regex;
+  }
+}
+
+module.exports = AutomodService;
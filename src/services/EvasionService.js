@@ -0,0 +1,365 @@
+const Duration = require('../utils/Duration');
+
+/**
+ * Points each evasion signal adds to a join's score
+ * Account age and join timing only count once a name or avatar matches, since on their
+ * own they describe every fresh account that joins after a ban
+ * @type {Object}
+ */
+const SIGNAL_WEIGHTS = Object.freeze({
+  avatar: 50,
+  name: 40,
+  accountAge: [
+    { under: Duration.DAY, points: 20 },
+    { under: Duration.WEEK, points: 10 }
+  ],
+  joinTiming: [
+    { under: Duration.HOUR, points: 25 },
+    { under: Duration.DAY, points: 15 },
+    { under: Duration.WEEK, points: 5 }
+  ]
+});
+
+/**
+ * Lowest name similarity (0-1) that counts as a match
+ * @type {number}
+ */
+const NAME_SIMILARITY_THRESHOLD = 0.75;
+
+/**
+ * Shortest normalised name compared; shorter names match too easily
+ * @type {number}
+ */
+const MIN_NAME_LENGTH = 3;
+
+/**
+ * Service scoring new members against banned and jailed users to catch alt accounts
+ * Each join is compared with every user currently banned or jailed in the guild using the
+ * profile captured when they were banned or left jail; the closest match above the guild's
+ * threshold is reported to moderators and can be jailed automatically
+ * @class EvasionService
+ * @example
+ * const evasionService = new EvasionService(userRepo, configRepo, moderationService, modLogService);
+ * client.on('guildMemberAdd', member => evasionService.handleMemberJoin(member));
+ */
+class EvasionService {
+  /**
+   * Initialize evasion service
+   * @param {UserRepository} userRepository - Repository holding banned and jailed users
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   * @param {ModerationService} moderationService - Service running automatic jails and capturing profiles
+   * @param {ModLogService} modLogService - Service posting evasion alerts
+   */
+  constructor(userRepository, configRepository, moderationService, modLogService) {
+    if (!userRepository) {
+      throw new Error('UserRepository is required');
+    }
+    if (!configRepository) {
+      throw new Error('ConfigRepository is required');
+    }
+    if (!moderationService) {
+      throw new Error('ModerationService is required');
+    }
+    if (!modLogService) {
+      throw new Error('ModLogService is required');
+    }
+
+    /**
+     * User repository for banned and jailed records
+     * @type {UserRepository}
+     * @private
+     */
+    this._userRepo = userRepository;
+
+    /**
+     * Configuration repository for server settings
+     * @type {ConfigRepository}
+     * @private
+     */
+    this._configRepo = configRepository;
+
+    /**
+     * Moderation service for automatic jails
+     * @type {ModerationService}
+     * @private
+     */
+    this._moderationService = moderationService;
+
+    /**
+     * Mod log service for evasion alerts
+     * @type {ModLogService}
+     * @private
+     */
+    this._modLogService = modLogService;
+  }
+
+  /**
+   * Check a new member against banned and jailed users
+   * @param {GuildMember} member - Member who joined
+   * @returns {Promise<Object|null>} Best match with its score and signals, or null when nothing was reported
+   */
+  async handleMemberJoin(member) {
+    if (member.user.bot) {
+      return null;
+    }
+
+    const server = await this._configRepo.findServerById(member.guild.id);
+    if (!server) {
+      return null;
+    }
+
+    const settings = server.getEvasionSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+
+    const candidates = await this._userRepo.findEvasionCandidates(member.guild.id);
+    let best = null;
+
+    for (const candidate of candidates) {
+      // Jailed users still in the server are serving their sentence, not evading it
+      if (candidate.id === member.id || (!candidate.getActiveBan() && member.guild.members.cache.has(candidate.id))) {
+        continue;
+      }
+
+      const match = this.scoreMatch(member, candidate);
+      if (match && (!best || match.score > best.score)) {
+        best = match;
+      }
+    }
+
+    if (!best || best.score < settings.threshold) {
+      return null;
+    }
+
+    let jailResult = null;
+    if (settings.autoJail) {
+      jailResult = await this._moderationService.applyAutomaticAction(member.guild, member.user, 'jail',
+        `Suspected ${best.kind} evasion: matches ${best.candidate.tag} (${best.candidate.id})`,
+        { metadata: { evasion: { matchedUserId: best.candidate.id, score: best.score } } });
+    }
+
+    await this._sendAlert(member, server, settings, best, jailResult);
+
+    console.log(`Join of ${member.user.tag} (${member.id}) in guild ${member.guild.id} matches ${best.kind === 'ban' ? 'banned' : 'jailed'} user ${best.candidate.id} with score ${best.score}`);
+
+    return { ...best, jailResult };
+  }
+
+  /**
+   * Remember what a jailed member looked like when they leave, so their next account can be recognised
+   * @param {GuildMember} member - Member who left
+   * @returns {Promise<void>}
+   */
+  async handleMemberLeave(member) {
+    const user = await this._userRepo.findUserById(member.guild.id, member.id);
+    if (!user || !user.isJailed()) {
+      return;
+    }
+
+    this._moderationService.captureProfile(user, member.user, member);
+    await this._userRepo.saveUser(user);
+  }
+
+  /**
+   * Score how likely a member is to be another account of a banned or jailed user
+   * @param {GuildMember} member - Member who joined
+   * @param {User} candidate - Banned or jailed user record
+   * @param {number} [now=Date.now()] - Time of the join
+   * @returns {Object|null} Score, signal descriptions and the candidate, or null when neither name nor avatar match
+   */
+  scoreMatch(member, candidate, now = Date.now()) {
+    const profile = candidate.getProfile();
+    const ban = candidate.getActiveBan();
+    const signals = [];
+    let score = 0;
+
+    if (profile && profile.avatarHash && member.user.avatar === profile.avatarHash) {
+      score += SIGNAL_WEIGHTS.avatar;
+      signals.push('Identical avatar');
+    }
+
+    const memberNames = [member.user.username, member.user.globalName, member.displayName];
+    const candidateNames = profile
+      ? [profile.username, profile.globalName, profile.displayName]
+      : [candidate.tag.split('#')[0]];
+    const nameMatch = this._bestNameMatch(memberNames, candidateNames);
+
+    if (nameMatch) {
+      score += Math.round(SIGNAL_WEIGHTS.name * nameMatch.similarity);
+      signals.push(nameMatch.memberName.toLowerCase() === nameMatch.candidateName.toLowerCase()
+        ? `Same name: "${nameMatch.memberName}"`
+        : `Similar name: "${nameMatch.memberName}" ~ "${nameMatch.candidateName}" (${Math.round(nameMatch.similarity * 100)}%)`);
+    }
+
+    if (signals.length === 0) {
+      return null;
+    }
+
+    const accountAgeMs = now - member.user.createdTimestamp;
+    const agePoints = this._pointsFor(SIGNAL_WEIGHTS.accountAge, accountAgeMs);
+    if (agePoints > 0) {
+      score += agePoints;
+      signals.push(`Account created ${this._formatElapsed(accountAgeMs)} ago`);
+    }
+
+    // Banned users are timed from the ban, jail evaders from when they left
+    const since = ban ? new Date(ban.timestamp).getTime() : (profile ? new Date(profile.capturedAt).getTime() : null);
+    const timingPoints = since ? this._pointsFor(SIGNAL_WEIGHTS.joinTiming, now - since) : 0;
+    if (timingPoints > 0) {
+      score += timingPoints;
+      signals.push(`Joined ${this._formatElapsed(now - since)} after the ${ban ? 'ban' : 'jailed account left'}`);
+    }
+
+    return {
+      score,
+      signals,
+      kind: ban ? 'ban' : 'jail',
+      candidate
+    };
+  }
+
+  /**
+   * Post an evasion alert to the mod log
+   * @private
+   * @param {GuildMember} member - Member who joined
+   * @param {Server} server - Server configuration
+   * @param {Object} settings - Evasion detection settings
+   * @param {Object} match - Best match (see scoreMatch)
+   * @param {Object|null} jailResult - Automatic jail result, when auto-jail is on
+   * @returns {Promise<void>}
+   */
+  async _sendAlert(member, server, settings, match, jailResult) {
+    const { candidate } = match;
+    const ban = candidate.getActiveBan();
+    const status = ban
+      ? `banned <t:${Math.floor(new Date(ban.timestamp).getTime() / 1000)}:R> - ${(ban.reason || 'No reason provided').slice(0, 200)}`
+      : 'jailed, left the server while serving their sentence';
+
+    const fields = [
+      { name: 'Matched Account', value: `<@${candidate.id}> (${candidate.tag})\n${status}`, inline: false },
+      { name: 'Signals', value: match.signals.map(signal => `• ${signal}`).join('\n').slice(0, 1024), inline: false },
+      { name: 'Score', value: `${match.score} (threshold ${settings.threshold})`, inline: true }
+    ];
+
+    if (jailResult) {
+      fields.push({
+        name: 'Auto-Jail',
+        value: jailResult.success
+          ? `Jailed${jailResult.caseNumber ? ` (case #${jailResult.caseNumber})` : ''}`
+          : `Failed: ${jailResult.error}`,
+        inline: true
+      });
+    }
+
+    await this._modLogService.sendAlert(member.guild.id, {
+      title: `🕵️ Possible ${match.kind === 'ban' ? 'Ban' : 'Jail'} Evasion`,
+      description: `<@${member.id}> (${member.user.tag}) may be another account of a ${match.kind === 'ban' ? 'banned' : 'jailed'} user.`,
+      color: 0xff6600,
+      fields,
+      mentionRoleId: server.getModeratorRole()
+    });
+  }
+
+  /**
+   * Find the most similar pair of names
+   * @private
+   * @param {Array<string|null>} memberNames - Names of the joining member
+   * @param {Array<string|null>} candidateNames - Names of the banned or jailed user
+   * @returns {Object|null} Best pair with its similarity, or null when no pair is similar enough
+   */
+  _bestNameMatch(memberNames, candidateNames) {
+    let best = null;
+
+    for (const memberName of memberNames) {
+      const normalizedMember = this._normalizeName(memberName);
+      if (normalizedMember.length < MIN_NAME_LENGTH) {
+        continue;
+      }
+
+      for (const candidateName of candidateNames) {
+        const normalizedCandidate = this._normalizeName(candidateName);
+        if (normalizedCandidate.length < MIN_NAME_LENGTH) {
+          continue;
+        }
+
+        const longest = Math.max(normalizedMember.length, normalizedCandidate.length);
+        const similarity = 1 - this._editDistance(normalizedMember, normalizedCandidate) / longest;
+
+        if (similarity >= NAME_SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+          best = { memberName, candidateName, similarity };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Reduce a name to lowercase letters and digits, folding accents and common look-alike characters
+   * @private
+   * @param {string|null} name - Username or display name
+   * @returns {string} Normalised name
+   */
+  _normalizeName(name) {
+    if (!name) {
+      return '';
+    }
+
+    return name
+      .normalize('NFKD')
+      .toLowerCase()
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[0134578@$]/g, char => ({ 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's' })[char])
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Count the single-character edits turning one string into another (Levenshtein distance)
+   * @private
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Edit distance
+   */
+  _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Describe a time span to the minute
+   * @private
+   * @param {number} elapsedMs - Time span in milliseconds
+   * @returns {string} Time span such as "3 hours, 20 minutes"
+   */
+  _formatElapsed(elapsedMs) {
+    return Duration.format(Math.max(Math.round(elapsedMs / Duration.MINUTE), 1) * Duration.MINUTE);
+  }
+
+  /**
+   * Look up the points for a time span in a tiered signal
+   * @private
+   * @param {Array<{under: number, points: number}>} tiers - Tiers from shortest to longest span
+   * @param {number} elapsedMs - Time span in milliseconds
+   * @returns {number} Points of the first tier the span falls under, or 0
+   */
+  _pointsFor(tiers, elapsedMs) {
+    const tier = tiers.find(entry => elapsedMs < entry.under);
+    return tier ? tier.points : 0;
+  }
+}
+
+module.exports = EvasionService;
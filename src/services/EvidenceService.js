@@ -0,0 +1,315 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { AttachmentBuilder } = require('discord.js');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Matches a Discord message link, capturing guild, channel and message IDs
+ * @type {RegExp}
+ */
+const MESSAGE_LINK_PATTERN = /^https?:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(\d{17,20})\/(\d{17,20})\/(\d{17,20})\/?$/;
+
+/**
+ * Largest file copied into the store, and the most re-attached to one message.
+ * This is Discord's upload limit in servers without boosts, so stored files can be re-posted anywhere
+ * @type {number}
+ */
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Most images copied from a single linked message
+ * @type {number}
+ */
+const MAX_MESSAGE_IMAGES = 5;
+
+/**
+ * Service copying evidence for moderation actions into a local store
+ * Attachments and the content and images of linked messages are saved under
+ * `<storagePath>/<guildId>/<evidenceId>/`, so evidence outlives the original message.
+ * The returned items are recorded in the action's metadata
+ * @class EvidenceService
+ * @example
+ * const evidenceService = new EvidenceService();
+ * const evidence = await evidenceService.collect(guild, interaction.member, { messageLink: 'https://discord.com/channels/1/2/3' });
+ * await moderationService.warnUser(interaction, target, reason, { evidence: evidence.items });
+ */
+class EvidenceService {
+  /**
+   * Initialize evidence service
+   * @param {Object} [options={}] - Store options
+   * @param {string} [options.storagePath='./data/evidence'] - Directory evidence files are written to
+   */
+  constructor(options = {}) {
+    /**
+     * Directory evidence files are written to
+     * @type {string}
+     * @private
+     */
+    this._storagePath = options.storagePath || './data/evidence';
+  }
+
+  /**
+   * Copy an attachment and/or a linked message into the store
+   * Nothing is kept when any piece of evidence cannot be collected, so the moderator can fix it and retry
+   * @param {Guild} guild - Guild the action is taken in; linked messages must belong to it
+   * @param {GuildMember} moderator - Moderator submitting the evidence; they must be able to read linked messages
+   * @param {Object} [sources={}] - Evidence sources
+   * @param {Attachment} [sources.attachment] - File uploaded with the command
+   * @param {string} [sources.messageLink] - Link to a message in this guild
+   * @returns {Promise<Object>} Result with the stored evidence items, or an error message
+   */
+  async collect(guild, moderator, sources = {}) {
+    const items = [];
+
+    try {
+      if (sources.messageLink) {
+        items.push(await this._collectMessage(guild, moderator, sources.messageLink.trim()));
+      }
+
+      if (sources.attachment) {
+        items.push(await this._collectAttachment(guild.id, moderator.id, sources.attachment));
+      }
+
+      return { success: true, items };
+    } catch (error) {
+      await this.discard(guild.id, items);
+
+      return {
+        success: false,
+        error: error.message,
+        type: 'evidence_failed'
+      };
+    }
+  }
+
+  /**
+   * Collect the evidence given through a moderation command's `evidence` and `evidence_link` options
+   * @param {CommandInteraction} interaction - Moderation command interaction
+   * @returns {Promise<Object>} Result of collect
+   */
+  async collectFromInteraction(interaction) {
+    return this.collect(interaction.guild, interaction.member, {
+      attachment: interaction.options.getAttachment('evidence'),
+      messageLink: interaction.options.getString('evidence_link')
+    });
+  }
+
+  /**
+   * Delete stored evidence, for actions that ended up not being recorded
+   * @param {string} guildId - Discord guild ID
+   * @param {Array<Evidence>} items - Evidence items to delete
+   * @returns {Promise<void>}
+   */
+  async discard(guildId, items) {
+    for (const item of items || []) {
+      await fs.rm(path.join(this._storagePath, guildId, item.id), { recursive: true, force: true })
+        .catch(error => console.warn(`Failed to discard evidence ${item.id} in guild ${guildId}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Build attachments for the stored files of evidence items
+   * Files missing from the store are skipped; files that would push the message past the
+   * upload limit or the file count are left out and counted, so callers can say so
+   * @param {string} guildId - Discord guild ID
+   * @param {Array<Evidence>} items - Evidence items
+   * @param {number} [limit=10] - Most files returned, Discord's per-message limit
+   * @returns {Promise<{files: Array<AttachmentBuilder>, omitted: number}>} Attachments ready to send
+   * and the number of stored files left out
+   */
+  async getAttachments(guildId, items, limit = 10) {
+    const files = [];
+    let omitted = 0;
+    let totalBytes = 0;
+
+    for (const item of items || []) {
+      for (const file of item.files || []) {
+        const filePath = path.join(this._storagePath, guildId, item.id, file.storedName);
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (!stats) {
+          continue;
+        }
+
+        if (files.length >= limit || totalBytes + stats.size > MAX_FILE_BYTES) {
+          omitted++;
+          continue;
+        }
+
+        totalBytes += stats.size;
+        files.push(new AttachmentBuilder(filePath, { name: file.name }));
+      }
+    }
+
+    return { files, omitted };
+  }
+
+  /**
+   * Describe an evidence item for history views, quoting copied message content
+   * @param {Evidence} item - Evidence item
+   * @param {number} [maxContentLength=300] - Longest quoted message content
+   * @returns {string} Markdown description
+   */
+  describe(item, maxContentLength = 300) {
+    const collected = `<t:${Math.floor(new Date(item.collectedAt).getTime() / 1000)}:d> by <@${item.collectedBy}>`;
+
+    if (item.type === 'message' && item.message) {
+      const { message } = item;
+      const content = message.content.length > maxContentLength
+        ? `${message.content.slice(0, maxContentLength)}…`
+        : message.content;
+      const images = item.files.length > 0 ? `\n  ${item.files.length} image(s) saved` : '';
+
+      return `💬 Message by <@${message.authorId}> (${message.authorTag}) in <#${message.channelId}>, ` +
+        `sent <t:${Math.floor(new Date(message.sentAt).getTime() / 1000)}:f> (collected ${collected})\n` +
+        (content ? `> ${content.replace(/\n/g, '\n> ')}` : '> *No text content*') + images;
+    }
+
+    return `📎 ${item.files.map(file => file.name).join(', ')} (collected ${collected})`;
+  }
+
+  /**
+   * Copy the content and images of a linked message
+   * The bot can read channels the moderator cannot, so the moderator's own access is checked
+   * before anything from a staff-only channel ends up in case history
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {GuildMember} moderator - Moderator submitting the evidence
+   * @param {string} link - Message link
+   * @returns {Promise<Evidence>} Stored evidence item
+   * @throws {Error} When the link is invalid or the message cannot be read
+   */
+  async _collectMessage(guild, moderator, link) {
+    const match = link.match(MESSAGE_LINK_PATTERN);
+    if (!match) {
+      throw new Error('Evidence link must be a Discord message link (right-click a message, Copy Message Link).');
+    }
+
+    const [, guildId, channelId, messageId] = match;
+    if (guildId !== guild.id) {
+      throw new Error('Evidence link must point to a message in this server.');
+    }
+
+    const channel = guild.channels.cache.get(channelId) || await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+      throw new Error('The channel of the linked message could not be found.');
+    }
+
+    const permissions = moderator ? channel.permissionsFor(moderator) : null;
+    if (!permissions || !permissions.has(['ViewChannel', 'ReadMessageHistory'])) {
+      throw new Error('You can only link messages from channels you can read.');
+    }
+
+    const message = await channel.messages.fetch(messageId).catch(() => null);
+    if (!message) {
+      throw new Error('The linked message could not be found; it may already be deleted.');
+    }
+
+    const item = this._createItem('message', moderator.id, link);
+    item.message = {
+      channelId,
+      messageId,
+      authorId: message.author.id,
+      authorTag: message.author.tag,
+      content: message.content || '',
+      sentAt: message.createdAt
+    };
+
+    const images = [...message.attachments.values()]
+      .filter(attachment => attachment.contentType && attachment.contentType.startsWith('image/'))
+      .slice(0, MAX_MESSAGE_IMAGES);
+
+    try {
+      for (const image of images) {
+        item.files.push(await this._storeFile(guild.id, item.id, image, item.files.length));
+      }
+    } catch (error) {
+      await this.discard(guild.id, [item]);
+      throw error;
+    }
+
+    return item;
+  }
+
+  /**
+   * Copy an uploaded attachment
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {string} collectedBy - Moderator submitting the evidence
+   * @param {Attachment} attachment - Uploaded file
+   * @returns {Promise<Evidence>} Stored evidence item
+   * @throws {Error} When the file is too large or cannot be downloaded
+   */
+  async _collectAttachment(guildId, collectedBy, attachment) {
+    const item = this._createItem('attachment', collectedBy, attachment.url);
+    item.files.push(await this._storeFile(guildId, item.id, attachment, 0));
+    return item;
+  }
+
+  /**
+   * Create an empty evidence item
+   * @private
+   * @param {string} type - Evidence type (attachment, message)
+   * @param {string} collectedBy - Moderator submitting the evidence
+   * @param {string} sourceUrl - Where the evidence came from
+   * @returns {Evidence} Evidence item
+   */
+  _createItem(type, collectedBy, sourceUrl) {
+    return {
+      id: uuidv4(),
+      type,
+      sourceUrl,
+      collectedBy,
+      collectedAt: new Date(),
+      message: null,
+      files: []
+    };
+  }
+
+  /**
+   * Download a Discord attachment into an item's directory
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {string} itemId - Evidence item ID
+   * @param {Attachment} attachment - Discord attachment
+   * @param {number} index - Position of the file in the item, keeping stored names unique
+   * @returns {Promise<Object>} Stored file details
+   * @throws {Error} When the file is too large or the download fails
+   */
+  async _storeFile(guildId, itemId, attachment, index) {
+    if (attachment.size > MAX_FILE_BYTES) {
+      throw new Error(`${attachment.name} is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB and cannot be stored as evidence.`);
+    }
+
+    const response = await fetch(attachment.url);
+    if (!response.ok) {
+      throw new Error(`Could not download ${attachment.name} (HTTP ${response.status}).`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const storedName = `${index}-${attachment.name.replace(/[^\w.-]/g, '_')}`;
+    const directory = path.join(this._storagePath, guildId, itemId);
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, storedName), buffer);
+
+    return {
+      name: attachment.name,
+      storedName,
+      contentType: attachment.contentType || null,
+      size: buffer.length
+    };
+  }
+}
+
+/**
+ * @typedef {Object} Evidence
+ * @property {string} id - Evidence item ID, also its directory in the store
+ * @property {string} type - Evidence type (attachment, message)
+ * @property {string} sourceUrl - Original attachment URL or message link
+ * @property {string} collectedBy - Moderator who submitted the evidence
+ * @property {Date} collectedAt - When the evidence was stored
+ * @property {Object|null} message - Copied message ({ channelId, messageId, authorId, authorTag, content, sentAt }) for message evidence
+ * @property {Array<Object>} files - Stored files ({ name, storedName, contentType, size })
+ */
+
+module.exports = EvidenceService;
@@ -0,0 +1,307 @@
+const { ChannelType, OverwriteType } = require('discord.js');
+
+/**
+ * Channel types that can be locked
+ * @type {Array<number>}
+ */
+const LOCKABLE_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum];
+
+/**
+ * Service locking channels by denying SendMessages to @everyone
+ * Each channel's original permission overwrites are stored before it is locked, so
+ * unlocking restores them exactly, including after a restart
+ * @class LockdownService
+ * @example
+ * const lockdownService = new LockdownService(lockdownRepo, { schedulerService, modLogService });
+ * const result = await lockdownService.lockChannels(guild, [channel], moderator.id, { durationMs: 3600000 });
+ */
+class LockdownService {
+  /**
+   * Initialize lockdown service
+   * @param {LockdownRepository} lockdownRepository - Repository storing permission snapshots
+   * @param {Object} [dependencies={}] - Optional collaborators
+   * @param {SchedulerService} [dependencies.schedulerService] - Scheduler for timed lockdowns
+   * @param {ModLogService} [dependencies.modLogService] - Mod log service for lockdown alerts
+   */
+  constructor(lockdownRepository, dependencies = {}) {
+    if (!lockdownRepository) {
+      throw new Error('LockdownRepository is required');
+    }
+
+    /**
+     * Lockdown repository for permission snapshots
+     * @type {LockdownRepository}
+     * @private
+     */
+    this._lockdownRepo = lockdownRepository;
+
+    /**
+     * Scheduler for automatic unlocks
+     * @type {SchedulerService|null}
+     * @private
+     */
+    this._scheduler = dependencies.schedulerService || null;
+
+    /**
+     * Mod log service for lockdown alerts
+     * @type {ModLogService|null}
+     * @private
+     */
+    this._modLog = dependencies.modLogService || null;
+
+    if (this._scheduler) {
+      this._scheduler.registerHandler('unlock', async (job, client) => {
+        await this._automaticUnlock(client, job.guildId, job.payload.channelId, job.payload.reason || 'Lockdown expired');
+      });
+    }
+  }
+
+  /**
+   * Get the channels locked by a server-wide lockdown
+   * Only channels @everyone can currently view are included, so staff and ticket channels are left alone
+   * @param {Guild} guild - Discord guild
+   * @returns {Array<GuildChannel>} Lockable channels
+   */
+  getLockableChannels(guild) {
+    const everyone = guild.roles.everyone;
+
+    return [...guild.channels.cache.values()].filter(channel =>
+      LOCKABLE_CHANNEL_TYPES.includes(channel.type) &&
+      channel.permissionsFor(everyone).has('ViewChannel'));
+  }
+
+  /**
+   * Get locked channels in a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array<ChannelLockdown>>} Active lockdowns
+   */
+  async getLockdowns(guildId) {
+    return this._lockdownRepo.findLockdownsByGuild(guildId);
+  }
+
+  /**
+   * Lock channels and report the outcome of each
+   * @param {Guild} guild - Discord guild
+   * @param {Array<GuildChannel>} channels - Channels to lock
+   * @param {string} moderatorId - Moderator locking the channels
+   * @param {Object} [options={}] - Lockdown options
+   * @param {number} [options.durationMs] - Unlock automatically after this long
+   * @param {string} [options.reason='No reason provided'] - Lockdown reason
+   * @returns {Promise<Object>} Locked channel IDs, skipped channels with their errors, and expiry
+   */
+  async lockChannels(guild, channels, moderatorId, options = {}) {
+    const reason = options.reason || 'No reason provided';
+    const expiresAt = options.durationMs ? new Date(Date.now() + options.durationMs) : null;
+    const locked = [];
+    const skipped = [];
+
+    for (const channel of channels) {
+      const result = await this._lockChannel(channel, moderatorId, reason, expiresAt);
+      if (result.success) {
+        locked.push(channel.id);
+      } else {
+        skipped.push({ channelId: channel.id, error: result.error });
+      }
+    }
+
+    if (locked.length > 0 && this._modLog) {
+      await this._modLog.sendAlert(guild.id, {
+        title: '🔒 Channels Locked',
+        description: this._formatChannelList(locked),
+        color: 0xff9900,
+        fields: [
+          { name: 'Moderator', value: `<@${moderatorId}>`, inline: true },
+          { name: 'Unlocks', value: expiresAt ? `<t:${Math.floor(expiresAt.getTime() / 1000)}:R>` : 'Manually', inline: true },
+          { name: 'Reason', value: reason.slice(0, 1024), inline: false }
+        ]
+      });
+    }
+
+    console.log(`Locked ${locked.length} channel(s) in guild ${guild.id} by ${moderatorId}${skipped.length > 0 ? `, ${skipped.length} skipped` : ''}`);
+
+    return { locked, skipped, expiresAt };
+  }
+
+  /**
+   * Unlock channels and restore their original permission overwrites
+   * @param {Guild} guild - Discord guild
+   * @param {Array<string>|null} channelIds - Channels to unlock, or null for every locked channel
+   * @param {string} moderatorId - Moderator unlocking the channels
+   * @param {string} [reason='Lockdown lifted'] - Unlock reason
+   * @returns {Promise<Object>} Unlocked channel IDs and skipped channels with their errors
+   */
+  async unlockChannels(guild, channelIds, moderatorId, reason = 'Lockdown lifted') {
+    const lockdowns = channelIds
+      ? await Promise.all(channelIds.map(channelId => this._lockdownRepo.findLockdown(guild.id, channelId)))
+      : await this._lockdownRepo.findLockdownsByGuild(guild.id);
+
+    const unlocked = [];
+    const skipped = [];
+
+    for (const [index, lockdown] of lockdowns.entries()) {
+      if (!lockdown) {
+        skipped.push({ channelId: channelIds[index], error: 'Channel is not locked.' });
+        continue;
+      }
+
+      try {
+        await this._unlockChannel(guild, lockdown, moderatorId, reason);
+        unlocked.push(lockdown.channelId);
+      } catch (error) {
+        console.error(`Failed to unlock channel ${lockdown.channelId} in guild ${guild.id}:`, error);
+        skipped.push({ channelId: lockdown.channelId, error: error.message });
+      }
+    }
+
+    if (unlocked.length > 0 && this._modLog) {
+      await this._modLog.sendAlert(guild.id, {
+        title: '🔓 Channels Unlocked',
+        description: this._formatChannelList(unlocked),
+        color: 0x00ff00,
+        fields: [
+          { name: 'Moderator', value: `<@${moderatorId}>`, inline: true },
+          { name: 'Reason', value: reason.slice(0, 1024), inline: false }
+        ]
+      });
+    }
+
+    console.log(`Unlocked ${unlocked.length} channel(s) in guild ${guild.id} by ${moderatorId}`);
+
+    return { unlocked, skipped };
+  }
+
+  /**
+   * Snapshot a channel's overwrites, then deny SendMessages to @everyone
+   * The snapshot is saved before the edit so a lock can always be undone
+   * @private
+   * @param {GuildChannel} channel - Channel to lock
+   * @param {string} moderatorId - Moderator locking the channel
+   * @param {string} reason - Lockdown reason
+   * @param {Date|null} expiresAt - When the channel unlocks automatically
+   * @returns {Promise<Object>} Operation result
+   */
+  async _lockChannel(channel, moderatorId, reason, expiresAt) {
+    const ChannelLockdown = require('../entities/ChannelLockdown');
+    const guildId = channel.guild.id;
+
+    if (!LOCKABLE_CHANNEL_TYPES.includes(channel.type)) {
+      return { success: false, error: 'Only text, announcement and forum channels can be locked.', type: 'invalid_channel' };
+    }
+
+    if (await this._lockdownRepo.findLockdown(guildId, channel.id)) {
+      return { success: false, error: 'Channel is already locked.', type: 'already_locked' };
+    }
+
+    const lockdown = new ChannelLockdown(guildId, channel.id, {
+      overwrites: channel.permissionOverwrites.cache.map(overwrite => ({
+        id: overwrite.id,
+        type: overwrite.type,
+        allow: overwrite.allow.bitfield,
+        deny: overwrite.deny.bitfield
+      })),
+      moderatorId,
+      reason,
+      expiresAt
+    });
+    await this._lockdownRepo.saveLockdown(lockdown);
+
+    try {
+      await channel.permissionOverwrites.edit(channel.guild.roles.everyone, { SendMessages: false }, {
+        reason: `Lockdown by ${moderatorId}: ${reason}`
+      });
+    } catch (error) {
+      await this._lockdownRepo.deleteLockdown(guildId, channel.id);
+      return { success: false, error: error.message, type: 'lock_failed' };
+    }
+
+    if (expiresAt) {
+      if (this._scheduler) {
+        const job = await this._scheduler.scheduleJob('unlock', expiresAt, {
+          guildId,
+          key: `unlock:${guildId}:${channel.id}`,
+          createdBy: moderatorId,
+          payload: { channelId: channel.id, reason: 'Lockdown expired' }
+        });
+        lockdown.jobId = job.id;
+        await this._lockdownRepo.saveLockdown(lockdown);
+      } else {
+        console.warn(`No scheduler configured; lockdown of channel ${channel.id} will not lift automatically`);
+      }
+    }
+
+    return { success: true, lockdown };
+  }
+
+  /**
+   * Restore a channel's snapshot and drop its lockdown record
+   * Overwrites for roles deleted since the lockdown are left out, since Discord rejects them
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {ChannelLockdown} lockdown - Lockdown to lift
+   * @param {string} unlockedBy - Moderator ID, or 'system' for expired lockdowns
+   * @param {string} reason - Unlock reason
+   * @returns {Promise<void>}
+   * @throws {Error} When the overwrites cannot be restored
+   */
+  async _unlockChannel(guild, lockdown, unlockedBy, reason) {
+    const channel = guild.channels.cache.get(lockdown.channelId) ||
+      await guild.channels.fetch(lockdown.channelId).catch(() => null);
+
+    if (channel) {
+      const overwrites = lockdown.getRestorableOverwrites()
+        .filter(overwrite => overwrite.type !== OverwriteType.Role || guild.roles.cache.has(overwrite.id));
+
+      await channel.permissionOverwrites.set(overwrites, reason);
+    }
+
+    await this._lockdownRepo.deleteLockdown(guild.id, lockdown.channelId);
+
+    if (this._scheduler && unlockedBy !== 'system') {
+      await this._scheduler.cancelJobsByKey(`unlock:${guild.id}:${lockdown.channelId}`, unlockedBy);
+    }
+  }
+
+  /**
+   * Unlock a channel whose timed lockdown expired
+   * Errors are rethrown so the scheduler can retry the job
+   * @private
+   * @param {Client} client - Discord client
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Channel to unlock
+   * @param {string} reason - Unlock reason
+   * @returns {Promise<void>}
+   */
+  async _automaticUnlock(client, guildId, channelId, reason) {
+    const lockdown = await this._lockdownRepo.findLockdown(guildId, channelId);
+    if (!lockdown) {
+      console.log(`Channel ${channelId} in guild ${guildId} is no longer locked; skipping automatic unlock`);
+      return;
+    }
+
+    const guild = await client.guilds.fetch(guildId);
+    await this._unlockChannel(guild, lockdown, 'system', reason);
+
+    if (this._modLog) {
+      await this._modLog.sendAlert(guildId, {
+        title: '🔓 Lockdown Expired',
+        description: `<#${channelId}> was unlocked automatically.`,
+        color: 0x00ff00
+      });
+    }
+
+    console.log(`Automatically unlocked channel ${channelId} in guild ${guildId}`);
+  }
+
+  /**
+   * Format channel mentions for an alert, truncated to fit an embed description
+   * @private
+   * @param {Array<string>} channelIds - Channel IDs
+   * @returns {string} Channel mention list
+   */
+  _formatChannelList(channelIds) {
+    const shown = channelIds.slice(0, 40).map(channelId => `<#${channelId}>`).join(', ');
+    return channelIds.length > 40 ? `${shown} and ${channelIds.length - 40} more` : shown;
+  }
+}
+
+module.exports = LockdownService;
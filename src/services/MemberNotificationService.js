@@ -0,0 +1,144 @@
+const { ActionRowBuilder } = require('discord.js');
+const Server = require('../entities/Server');
+const Duration = require('../utils/Duration');
+
+/**
+ * Appeal instructions used when a guild has not written its own
+ * Banned members can appeal through the bot; everyone else is pointed at the staff
+ * @type {{ban: string, other: string}}
+ */
+const DEFAULT_APPEAL_INSTRUCTIONS = Object.freeze({
+  ban: 'To appeal, press the button below or send me a direct message at any time.',
+  other: 'If you believe this was a mistake, please contact the server staff.'
+});
+
+/**
+ * Service messaging members about moderation actions taken against them
+ * Each guild chooses whether members are messaged and can rewrite the message per action;
+ * a closed DM inbox is reported back rather than treated as an error
+ * @class MemberNotificationService
+ * @example
+ * const notificationService = new MemberNotificationService(configRepo, client);
+ * const result = await notificationService.notifyMember(guild.id, user.id, 'kick', { reason: 'Spamming', caseNumber: 12 });
+ * // { delivered: false, error: 'Cannot send messages to this user' }
+ */
+class MemberNotificationService {
+  /**
+   * Initialize member notification service
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   * @param {Client} client - Discord client used to resolve guilds and users
+   */
+  constructor(configRepository, client) {
+    if (!configRepository) {
+      throw new Error('ConfigRepository is required');
+    }
+    if (!client) {
+      throw new Error('Discord client is required');
+    }
+
+    /**
+     * Configuration repository for server settings
+     * @type {ConfigRepository}
+     * @private
+     */
+    this._configRepo = configRepository;
+
+    /**
+     * Discord client
+     * @type {Client}
+     * @private
+     */
+    this._client = client;
+
+    /**
+     * Appeal service providing the appeal button attached to ban notices
+     * @type {AppealService|null}
+     * @private
+     */
+    this._appealService = null;
+  }
+
+  /**
+   * Attach the appeal service once it exists
+   * The appeal service depends on moderation, which in turn sends notifications,
+   * so it cannot be passed to the constructor
+   * @param {AppealService} appealService - Appeal service
+   */
+  setAppealService(appealService) {
+    this._appealService = appealService;
+  }
+
+  /**
+   * Message a member about an action, if the guild has notifications turned on
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Member being punished
+   * @param {string} action - Action type (warn, kick, ban, tempban, jail)
+   * @param {Object} [details={}] - Action details used in the template
+   * @param {string} [details.reason] - Action reason
+   * @param {number} [details.durationMs] - Duration of a tempban or timed jail
+   * @param {Date} [details.expiresAt] - When a timed action expires
+   * @param {number} [details.caseNumber] - Case number of the action
+   * @returns {Promise<Object|null>} Delivery result (`{ delivered, error }`), or null when no message was due
+   */
+  async notifyMember(guildId, userId, action, details = {}) {
+    if (!Server.DM_ACTIONS.includes(action)) {
+      return null;
+    }
+
+    try {
+      const server = await this._configRepo.findServerById(guildId);
+      if (!server || !server.getDmNotificationSettings().enabled) {
+        return null;
+      }
+
+      const guild = this._client.guilds.cache.get(guildId) || await this._client.guilds.fetch(guildId);
+      const user = await this._client.users.fetch(userId);
+
+      await user.send(this.buildMessage(guild, server, action, { ...details, user }));
+      return { delivered: true };
+    } catch (error) {
+      console.warn(`Could not send ${action} notice to user ${userId} from guild ${guildId}: ${error.message}`);
+      return { delivered: false, error: error.message };
+    }
+  }
+
+  /**
+   * Build the direct message for an action from the guild's template
+   * Placeholders: {user}, {server}, {reason}, {duration}, {expires}, {case}, {appeal}
+   * @param {Guild} guild - Guild the action was taken in
+   * @param {Server} server - Server configuration
+   * @param {string} action - Action type (warn, kick, ban, tempban, jail)
+   * @param {Object} [details={}] - Action details (see notifyMember)
+   * @param {User} [details.user] - Member being messaged
+   * @returns {{content: string, components: Array<ActionRowBuilder>}} Message payload
+   */
+  buildMessage(guild, server, action, details = {}) {
+    const isBan = action === 'ban' || action === 'tempban';
+    const canAppeal = isBan && Boolean(this._appealService);
+    const { appealInstructions } = server.getDmNotificationSettings();
+    const expiresAt = details.expiresAt || (details.durationMs ? new Date(Date.now() + details.durationMs) : null);
+
+    const values = {
+      user: details.user ? details.user.username : 'there',
+      server: guild.name,
+      reason: details.reason || 'No reason provided',
+      duration: details.durationMs ? Duration.format(details.durationMs) : (action === 'jail' ? 'until released by staff' : 'permanently'),
+      expires: expiresAt ? `<t:${Math.floor(new Date(expiresAt).getTime() / 1000)}:F>` : 'never',
+      case: details.caseNumber ? `#${details.caseNumber}` : 'not recorded',
+      appeal: appealInstructions || (canAppeal ? DEFAULT_APPEAL_INSTRUCTIONS.ban : DEFAULT_APPEAL_INSTRUCTIONS.other)
+    };
+
+    // Unknown placeholders are left as typed so template mistakes are easy to spot
+    const content = server.getDmTemplate(action)
+      .replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder))
+      .slice(0, 2000);
+
+    const components = canAppeal
+      ? [new ActionRowBuilder().addComponents(this._appealService.buildAppealButton(guild))]
+      : [];
+
+    return { content, components };
+  }
+}
+
+module.exports = MemberNotificationService;
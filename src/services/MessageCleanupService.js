@@ -0,0 +1,275 @@
+/**
+ * Oldest message age Discord accepts for bulk deletion
+ * @type {number}
+ */
+const BULK_DELETE_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Most 100-message pages scanned for a single cleanup
+ * Keeps sparse filters from walking the whole two weeks of a busy channel
+ * @type {number}
+ */
+const MAX_FETCH_PAGES = 20;
+
+/**
+ * Links of the kind people paste, with or without a scheme
+ * @type {RegExp}
+ */
+const LINK_PATTERN = /(?:https?:\/\/|www\.)\S+/i;
+
+/**
+ * Service selecting and deleting messages in bulk
+ * Shared by /clear and the spam detector so both apply the same filtering and limits
+ * @class MessageCleanupService
+ * @example
+ * const cleanupService = new MessageCleanupService();
+ * const messages = await cleanupService.fetchMessages(channel, { amount: 20, userId: target.id });
+ * const result = await cleanupService.deleteMessages(channel, messages);
+ */
+class MessageCleanupService {
+  /**
+   * Pick the messages matching the cleanup criteria, newest first
+   * Messages too old to bulk delete are always skipped
+   * @param {Iterable<Message>} messages - Candidate messages, newest first
+   * @param {Object} [criteria={}] - Selection criteria
+   * @param {number} [criteria.limit=100] - Most messages to select
+   * @param {string} [criteria.userId] - Only select messages by this user
+   * @param {boolean} [criteria.botsOnly] - Only select messages sent by bots
+   * @param {string} [criteria.contains] - Only select messages containing this text (case-insensitive)
+   * @param {boolean} [criteria.hasAttachments] - Only select messages with attachments
+   * @param {boolean} [criteria.hasLinks] - Only select messages containing links
+   * @param {boolean} [criteria.embedsOnly] - Only select messages with embeds
+   * @param {string} [criteria.before] - Only select messages older than this message ID
+   * @param {string} [criteria.after] - Only select messages newer than this message ID
+   * @param {number} [criteria.since] - Only select messages sent at or after this timestamp
+   * @param {Array<string>} [criteria.excludeIds=[]] - Message IDs never to select
+   * @returns {Array<Message>} Selected messages
+   */
+  selectMessages(messages, criteria = {}) {
+    const limit = criteria.limit || 100;
+    const excludeIds = criteria.excludeIds || [];
+    const oldestAllowed = Math.max(Date.now() - BULK_DELETE_MAX_AGE_MS, criteria.since || 0);
+    const contains = criteria.contains ? criteria.contains.toLowerCase() : null;
+    const selected = [];
+
+    for (const message of messages) {
+      if (selected.length >= limit) {
+        break;
+      }
+
+      if (excludeIds.includes(message.id) || message.createdTimestamp < oldestAllowed) {
+        continue;
+      }
+
+      if (criteria.before && BigInt(message.id) >= BigInt(criteria.before)) {
+        continue;
+      }
+
+      if (criteria.after && BigInt(message.id) <= BigInt(criteria.after)) {
+        continue;
+      }
+
+      if (criteria.userId && message.author.id !== criteria.userId) {
+        continue;
+      }
+
+      if (criteria.botsOnly && !message.author.bot) {
+        continue;
+      }
+
+      if (contains && !(message.content || '').toLowerCase().includes(contains)) {
+        continue;
+      }
+
+      if (criteria.hasAttachments && message.attachments.size === 0) {
+        continue;
+      }
+
+      if (criteria.hasLinks && !LINK_PATTERN.test(message.content || '')) {
+        continue;
+      }
+
+      if (criteria.embedsOnly && message.embeds.length === 0) {
+        continue;
+      }
+
+      selected.push(message);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Fetch channel messages page by page, newest first, and select the ones matching the criteria
+   * Paging stops once enough messages are selected, the channel history runs out, messages
+   * become too old to bulk delete or the `after` message or `since` time is reached
+   * @param {TextChannel} channel - Channel to fetch from
+   * @param {Object} [criteria={}] - Selection criteria (see selectMessages)
+   * @param {number} [criteria.amount=100] - Most messages to select
+   * @returns {Promise<Array<Message>>} Selected messages
+   * @throws {Error} When messages cannot be fetched
+   */
+  async fetchMessages(channel, criteria = {}) {
+    const amount = criteria.amount || 100;
+    const oldestAllowed = Date.now() - BULK_DELETE_MAX_AGE_MS;
+    const selected = [];
+    let before = criteria.before || undefined;
+
+    for (let page = 0; page < MAX_FETCH_PAGES && selected.length < amount; page++) {
+      const fetched = await channel.messages.fetch({ limit: 100, before });
+      if (fetched.size === 0) {
+        break;
+      }
+
+      selected.push(...this.selectMessages(fetched.values(), { ...criteria, limit: amount - selected.length }));
+
+      const oldest = fetched.last();
+      if (fetched.size < 100 || oldest.createdTimestamp < oldestAllowed ||
+          (criteria.since && oldest.createdTimestamp < criteria.since) ||
+          (criteria.after && BigInt(oldest.id) <= BigInt(criteria.after))) {
+        break;
+      }
+      before = oldest.id;
+    }
+
+    return selected;
+  }
+
+  /**
+   * Delete messages from a channel, in bulk batches of up to 100 when there is more than one
+   * @param {TextChannel} channel - Channel the messages belong to
+   * @param {Array<Message>} messages - Messages to delete
+   * @returns {Promise<{deletedCount: number, errors: Array<string>}>} Deletion result
+   */
+  async deleteMessages(channel, messages) {
+    const errors = [];
+    let deletedCount = 0;
+
+    for (let start = 0; start < messages.length; start += 100) {
+      const batch = messages.slice(start, start + 100);
+
+      try {
+        if (batch.length === 1) {
+          await batch[0].delete();
+          deletedCount += 1;
+        } else {
+          // Bulk deletion (Discord allows up to 100 messages at once)
+          const deleted = await channel.bulkDelete(batch, true);
+          deletedCount += deleted.size;
+        }
+      } catch (error) {
+        console.error('Error during message deletion:', error);
+
+        let message;
+        if (error.code === 50034) {
+          message = 'Some messages were too old to delete (older than 2 weeks)';
+        } else if (error.code === 50013) {
+          message = 'Missing permissions to delete messages';
+        } else {
+          message = `Deletion failed: ${error.message}`;
+        }
+
+        if (!errors.includes(message)) {
+          errors.push(message);
+        }
+      }
+    }
+
+    return { deletedCount, errors };
+  }
+
+  /**
+   * Build a transcript and a JSON export of messages about to be deleted
+   * @param {TextChannel} channel - Channel the messages belong to
+   * @param {Array<Message>} messages - Messages to archive, newest first
+   * @param {Object} [details={}] - Who ran the cleanup and why
+   * @param {User} [details.moderator] - Moderator running the cleanup
+   * @param {string} [details.reason] - Cleanup reason
+   * @param {string} [details.filters] - Human readable description of the filters used
+   * @returns {{text: string, json: string}} Archive contents, oldest message first
+   */
+  buildArchive(channel, messages, details = {}) {
+    const archivedAt = new Date().toISOString();
+    const records = [...messages].reverse().map(message => ({
+      id: message.id,
+      authorId: message.author.id,
+      authorTag: message.author.tag,
+      bot: Boolean(message.author.bot),
+      createdAt: new Date(message.createdTimestamp).toISOString(),
+      content: message.content || '',
+      attachments: [...message.attachments.values()].map(attachment => ({ name: attachment.name, url: attachment.url })),
+      embeds: message.embeds.map(embed => ({ title: embed.title || null, description: embed.description || null, url: embed.url || null }))
+    }));
+
+    const header = [
+      `#${channel.name} (${channel.id}) archived ${archivedAt}` +
+        (details.moderator ? ` by ${details.moderator.tag} (${details.moderator.id})` : ''),
+      `Reason: ${details.reason || 'No reason provided'}`,
+      `Filters: ${details.filters || 'None'}`,
+      `Messages: ${records.length}`,
+      ''
+    ];
+
+    const lines = records.flatMap(record => [
+      `[${record.createdAt}] ${record.authorTag} (${record.authorId}): ${record.content}`,
+      ...record.attachments.map(attachment => `    [attachment] ${attachment.name} ${attachment.url}`),
+      ...record.embeds.map(embed => `    [embed] ${embed.title || embed.description || embed.url || 'untitled'}`)
+    ]);
+
+    const json = {
+      channelId: channel.id,
+      channelName: channel.name,
+      archivedAt,
+      moderatorId: details.moderator ? details.moderator.id : null,
+      reason: details.reason || null,
+      filters: details.filters || null,
+      messages: records
+    };
+
+    return { text: [...header, ...lines].join('\n'), json: JSON.stringify(json, null, 2) };
+  }
+
+  /**
+   * Delete a user's recent messages across several channels
+   * @param {Guild} guild - Discord guild
+   * @param {string} userId - Author whose messages are deleted
+   * @param {Array<string>} channelIds - Channels to clean up
+   * @param {Object} [options={}] - Cleanup options
+   * @param {number} [options.since] - Only delete messages sent at or after this timestamp
+   * @param {number} [options.perChannelLimit=50] - Most messages deleted per channel
+   * @returns {Promise<Object>} Deleted count, channels cleaned and errors
+   */
+  async purgeUserMessages(guild, userId, channelIds, options = {}) {
+    let deletedCount = 0;
+    const cleanedChannelIds = [];
+    const errors = [];
+
+    for (const channelId of new Set(channelIds)) {
+      const channel = guild.channels.cache.get(channelId);
+      if (!channel || !channel.isTextBased()) {
+        continue;
+      }
+
+      try {
+        const messages = await this.fetchMessages(channel, {
+          amount: options.perChannelLimit || 50,
+          userId,
+          since: options.since
+        });
+        const result = await this.deleteMessages(channel, messages);
+
+        deletedCount += result.deletedCount;
+        if (result.deletedCount > 0) {
+          cleanedChannelIds.push(channelId);
+        }
+        errors.push(...result.errors);
+      } catch (error) {
+        errors.push(`Failed to clean <#${channelId}>: ${error.message}`);
+      }
+    }
+
+    return { deletedCount, channelIds: cleanedChannelIds, errors };
+  }
+}
+
+module.exports = MessageCleanupService;
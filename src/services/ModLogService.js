@@ -0,0 +1,259 @@
+const { EmbedBuilder } = require('discord.js');
+const Duration = require('../utils/Duration');
+
+/**
+ * Embed colour per moderation action
+ * @type {Object<string, number>}
+ */
+const ACTION_COLORS = {
+  warn: 0xffcc00,
+  kick: 0xff9900,
+  ban: 0xff0000,
+  tempban: 0xe74c3c,
+  unban: 0x00ff00,
+  jail: 0x9b59b6,
+  unjail: 0x2ecc71,
+  timeout: 0xe67e22,
+  untimeout: 0x1abc9c,
+  pardon: 0x7f8c8d,
+  'appeal-accepted': 0x3498db,
+  'appeal-denied': 0x95a5a6
+};
+
+/**
+ * Display label per moderation action
+ * @type {Object<string, string>}
+ */
+const ACTION_LABELS = {
+  warn: 'Warning',
+  kick: 'Kick',
+  ban: 'Ban',
+  tempban: 'Temporary Ban',
+  unban: 'Unban',
+  jail: 'Jail',
+  unjail: 'Unjail',
+  timeout: 'Timeout',
+  untimeout: 'Timeout Removed',
+  pardon: 'Pardon',
+  'appeal-accepted': 'Appeal Accepted',
+  'appeal-denied': 'Appeal Denied'
+};
+
+/**
+ * Service posting moderation actions to each guild's mod log channel
+ * Posting is best effort: failures are logged and never interrupt the action itself
+ * @class ModLogService
+ * @example
+ * const modLogService = new ModLogService(configRepo, client);
+ * await modLogService.logAction(guild.id, {
+ *   action: 'kick',
+ *   target: { id: '987654321', tag: 'user#0001' },
+ *   moderatorId: '123456789',
+ *   reason: 'Spamming',
+ *   caseNumber: 42
+ * });
+ */
+class ModLogService {
+  /**
+   * Initialize mod log service
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   * @param {Client} client - Discord client used to resolve guilds and channels
+   */
+  constructor(configRepository, client) {
+    if (!configRepository) {
+      throw new Error('ConfigRepository is required');
+    }
+    if (!client) {
+      throw new Error('Discord client is required');
+    }
+
+    /**
+     * Configuration repository for server settings
+     * @type {ConfigRepository}
+     * @private
+     */
+    this._configRepo = configRepository;
+
+    /**
+     * Discord client
+     * @type {Client}
+     * @private
+     */
+    this._client = client;
+  }
+
+  /**
+   * Post a moderation action to the guild's mod log channel
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} entry - Action details
+   * @param {string} entry.action - Action type (warn, kick, ban, tempban, unban, jail, unjail, timeout, untimeout, pardon, appeal-accepted, appeal-denied)
+   * @param {Object} entry.target - Target user ({ id, tag })
+   * @param {string} entry.moderatorId - Moderator user ID, or 'system' for automatic actions
+   * @param {string} [entry.moderatorTag] - Moderator tag
+   * @param {string} [entry.reason] - Action reason
+   * @param {number} [entry.durationMs] - Action duration for timed actions
+   * @param {Date} [entry.expiresAt] - When a timed action expires
+   * @param {number} [entry.caseNumber] - Case number of the action
+   * @param {boolean} [entry.automatic=false] - Whether the action was taken by the bot
+   * @param {Object} [entry.cleanup] - Messages deleted alongside the action ({ deletedCount, channelIds })
+   * @param {boolean} [entry.dmDelivered] - Whether the member was messaged about the action, when a message was attempted
+   * @param {Array<Object>} [entry.evidence] - Evidence stored with the action (see EvidenceService)
+   * @returns {Promise<Message|null>} Posted message, or null when nothing was posted
+   */
+  async logAction(guildId, entry) {
+    try {
+      const channel = await this._getLogChannel(guildId);
+      if (!channel) {
+        return null;
+      }
+
+      return await channel.send({ embeds: [this.buildActionEmbed(entry)] });
+    } catch (error) {
+      console.warn(`Failed to post ${entry.action} to mod log for guild ${guildId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Post an alert that is not tied to a single moderation action
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} alert - Alert details
+   * @param {string} alert.title - Embed title
+   * @param {string} alert.description - Embed description
+   * @param {number} [alert.color=0xff0000] - Embed colour
+   * @param {Array<Object>} [alert.fields=[]] - Additional embed fields
+   * @param {string} [alert.mentionRoleId] - Role to ping alongside the alert
+   * @param {Array<AttachmentBuilder>} [alert.files=[]] - Files attached to the alert, such as archives
+   * @returns {Promise<Message|null>} Posted message, or null when nothing was posted
+   * @example
+   * await modLogService.sendAlert(guild.id, {
+   *   title: '🚨 Raid Detected',
+   *   description: '12 accounts joined within 10 seconds.',
+   *   mentionRoleId: server.getModeratorRole()
+   * });
+   */
+  async sendAlert(guildId, alert) {
+    try {
+      const channel = await this._getLogChannel(guildId);
+      if (!channel) {
+        return null;
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(alert.title)
+        .setDescription(alert.description)
+        .setColor(alert.color ?? 0xff0000)
+        .setTimestamp();
+
+      if (alert.fields && alert.fields.length > 0) {
+        embed.addFields(alert.fields);
+      }
+
+      return await channel.send({
+        content: alert.mentionRoleId ? `<@&${alert.mentionRoleId}>` : undefined,
+        embeds: [embed],
+        files: alert.files || [],
+        allowedMentions: { roles: alert.mentionRoleId ? [alert.mentionRoleId] : [] }
+      });
+    } catch (error) {
+      console.warn(`Failed to post alert "${alert.title}" to mod log for guild ${guildId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a guild has a mod log channel configured
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<boolean>} Whether a log channel is set, regardless of whether it is reachable
+   */
+  async hasLogChannel(guildId) {
+    const server = await this._configRepo.findServerById(guildId);
+    return Boolean(server && server.getModLogChannel());
+  }
+
+  /**
+   * Build the embed describing a moderation action
+   * @param {Object} entry - Action details (see logAction)
+   * @returns {EmbedBuilder} Mod log embed
+   */
+  buildActionEmbed(entry) {
+    const label = ACTION_LABELS[entry.action] || entry.action;
+    const isSystem = entry.moderatorId === 'system';
+    const moderator = isSystem
+      ? 'System (automatic)'
+      : `<@${entry.moderatorId}>${entry.moderatorTag ? ` (${entry.moderatorTag})` : ''}`;
+
+    const embed = new EmbedBuilder()
+      .setTitle(entry.caseNumber ? `${label} | Case #${entry.caseNumber}` : label)
+      .setColor(ACTION_COLORS[entry.action] || 0x0099ff)
+      .addFields(
+        { name: 'Target', value: `<@${entry.target.id}> (${entry.target.tag || 'Unknown User'})`, inline: true },
+        { name: 'Moderator', value: moderator, inline: true },
+        { name: 'Reason', value: (entry.reason || 'No reason provided').slice(0, 1024), inline: false }
+      )
+      .setFooter({ text: `User ID: ${entry.target.id}` })
+      .setTimestamp();
+
+    if (entry.durationMs) {
+      embed.addFields({ name: 'Duration', value: Duration.format(entry.durationMs), inline: true });
+    }
+
+    if (entry.expiresAt) {
+      const expiresTimestamp = Math.floor(new Date(entry.expiresAt).getTime() / 1000);
+      embed.addFields({ name: 'Expires', value: `<t:${expiresTimestamp}:F> (<t:${expiresTimestamp}:R>)`, inline: true });
+    }
+
+    if (entry.cleanup) {
+      const channels = entry.cleanup.channelIds || [];
+      embed.addFields({
+        name: 'Messages Deleted',
+        value: `${entry.cleanup.deletedCount} across ${channels.length} channel(s)` +
+          (channels.length > 0 ? `\n${channels.slice(0, 10).map(channelId => `<#${channelId}>`).join(' ')}` : ''),
+        inline: false
+      });
+    }
+
+    if (entry.evidence && entry.evidence.length > 0) {
+      const lines = entry.evidence.map(item => (item.type === 'message' && item.message
+        ? `💬 [Message](${item.sourceUrl}) by <@${item.message.authorId}>`
+        : `📎 ${item.files.map(file => file.name).join(', ')}`));
+      embed.addFields({ name: 'Evidence', value: `${lines.join('\n')}\nStored copies: \`/case view\``.slice(0, 1024), inline: false });
+    }
+
+    if (typeof entry.dmDelivered === 'boolean') {
+      embed.addFields({ name: 'Member Notified', value: entry.dmDelivered ? 'Yes' : 'No, DM failed', inline: true });
+    }
+
+    if (entry.automatic && !isSystem) {
+      embed.addFields({ name: 'Automatic', value: 'Yes', inline: true });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Resolve the configured mod log channel for a guild
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<TextChannel|null>} Log channel or null if not configured
+   */
+  async _getLogChannel(guildId) {
+    const server = await this._configRepo.findServerById(guildId);
+    const channelId = server ? server.getModLogChannel() : null;
+    if (!channelId) {
+      return null;
+    }
+
+    const guild = this._client.guilds.cache.get(guildId) || await this._client.guilds.fetch(guildId);
+    const channel = guild.channels.cache.get(channelId) || await guild.channels.fetch(channelId).catch(() => null);
+
+    if (!channel || !channel.isTextBased()) {
+      console.warn(`Mod log channel ${channelId} for guild ${guildId} is missing or not text based`);
+      return null;
+    }
+
+    return channel;
+  }
+}
+
+module.exports = ModLogService;
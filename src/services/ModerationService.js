@@ -3,7 +3,7 @@
  * Provides comprehensive moderation capabilities with validation and audit logging
  * @class ModerationService
  * @example
- * const moderationService = new ModerationService(userRepo, configRepo, permissionService);
+ * const moderationService = new ModerationService(userRepo, configRepo, permissionService, { schedulerService });
  * await moderationService.kickUser(interaction, targetUser, 'Violation of rules');
  */
 class ModerationService {
@@ -12,8 +12,13 @@ class ModerationService {
    * @param {UserRepository} userRepository - User data repository
    * @param {ConfigRepository} configRepository - Server configuration repository
    * @param {PermissionService} permissionService - Permission validation service
+   * @param {Object} [dependencies={}] - Optional collaborating services
+   * @param {SchedulerService} [dependencies.schedulerService] - Durable job scheduler for timed actions
+   * @param {CaseRepository} [dependencies.caseRepository] - Guild-scoped case number index
+   * @param {ModLogService} [dependencies.modLogService] - Posts actions to the guild mod log channel
+   * @param {MemberNotificationService} [dependencies.notificationService] - Messages members about actions against them
    */
-  constructor(userRepository, configRepository, permissionService) {
+  constructor(userRepository, configRepository, permissionService, dependencies = {}) {
     if (!userRepository) {
       throw new Error('UserRepository is required');
     }
@@ -46,11 +51,32 @@ class ModerationService {
     this._permissionService = permissionService;
 
     /**
-     * Active temporary bans with expiration timers
-     * @type {Map<string, NodeJS.Timeout>}
+     * Scheduler for expiring tempbans and timed jails
+     * @type {SchedulerService|null}
      * @private
      */
-    this._tempbanTimers = new Map();
+    this._scheduler = dependencies.schedulerService || null;
+
+    /**
+     * Case repository assigning guild case numbers to recorded actions
+     * @type {CaseRepository|null}
+     * @private
+     */
+    this._caseRepo = dependencies.caseRepository || null;
+
+    /**
+     * Mod log service for posting action embeds
+     * @type {ModLogService|null}
+     * @private
+     */
+    this._modLog = dependencies.modLogService || null;
+
+    /**
+     * Notification service for direct messages to punished members
+     * @type {MemberNotificationService|null}
+     * @private
+     */
+    this._notifications = dependencies.notificationService || null;
 
     /**
      * Moderation action metadata cache
@@ -58,6 +84,24 @@ class ModerationService {
      * @private
      */
     this._actionCache = new Map();
+
+    if (this._scheduler) {
+      this._registerJobHandlers();
+    }
+  }
+
+  /**
+   * Register scheduled job handlers owned by the moderation service
+   * @private
+   */
+  _registerJobHandlers() {
+    this._scheduler.registerHandler('unban', async (job, client) => {
+      await this._automaticUnban(client, job.guildId, job.payload.userId, job.payload.reason || 'Temporary ban expired');
+    });
+
+    this._scheduler.registerHandler('unjail', async (job, client) => {
+      await this._automaticUnjail(client, job.guildId, job.payload.userId, job.payload.reason || 'Jail sentence expired');
+    });
   }
 
   /**
@@ -65,6 +109,7 @@ class ModerationService {
    * @param {CommandInteraction} interaction - Discord command interaction
    * @param {GuildMember} targetMember - Member to kick
    * @param {string} [reason='No reason provided'] - Kick reason
+   * @param {Object} [metadata={}] - Additional metadata recorded with the action, such as evidence
    * @returns {Promise<Object>} Operation result with success status and details
    * @throws {Error} When kick operation fails
    * @example
@@ -73,7 +118,7 @@ class ModerationService {
    *   console.log(`User kicked: ${result.user.tag}`);
    * }
    */
-  async kickUser(interaction, targetMember, reason = 'No reason provided') {
+  async kickUser(interaction, targetMember, reason = 'No reason provided', metadata = {}) {
     try {
       // Validate permissions
       const validation = await this._permissionService.validateCommandPermissions(interaction, {
@@ -101,23 +146,34 @@ class ModerationService {
       }
 
       // Get or create user record
-      let user = await this._userRepo.findUserById(targetMember.id);
+      let user = await this._userRepo.findUserById(interaction.guild.id, targetMember.id);
       if (!user) {
         const User = require('../entities/User');
-        user = new User(targetMember.id, targetMember.user.tag);
+        user = new User(interaction.guild.id, targetMember.id, targetMember.user.tag);
       }
 
-      // Perform the kick
-      await targetMember.kick(reason);
-
-      // Log the moderation action
-      user.addModerationAction('kick', interaction.user.id, reason, new Date(), {
+      // Record the kick first so the member's message can quote its case number
+      const kickAction = user.addModerationAction('kick', interaction.user.id, reason, new Date(), {
+        ...metadata,
         guildId: interaction.guild.id,
         moderatorTag: interaction.user.tag
       });
+      const caseNumber = await this._openCase(interaction.guild.id, user, kickAction);
+
+      // Message the member while the bot still shares a server with them
+      await this._notifyMember(interaction.guild.id, targetMember.id, kickAction);
+
+      // Perform the kick
+      try {
+        await targetMember.kick(reason);
+      } catch (error) {
+        await this._discardCase(interaction.guild.id, caseNumber);
+        throw error;
+      }
 
       // Save user record
       await this._userRepo.saveUser(user);
+      await this._logAction(interaction.guild.id, user, kickAction);
 
       // Cache action details for audit log
       const actionId = `kick_${Date.now()}_${targetMember.id}`;
@@ -143,7 +199,8 @@ class ModerationService {
         },
         reason: reason,
         timestamp: new Date(),
-        actionId: actionId
+        actionId: actionId,
+        caseNumber: caseNumber
       };
     } catch (error) {
       throw new Error(`Failed to kick user: ${error.message}`);
@@ -155,13 +212,15 @@ class ModerationService {
    * @param {CommandInteraction} interaction - Discord command interaction
    * @param {GuildMember|User} target - Member or user to warn
    * @param {string} reason - Warning reason supplied by staff
+   * @param {Object} [metadata={}] - Additional metadata recorded with the warning, such as evidence
    * @returns {Promise<Object>} Operation result with success status and warning details
    */
-  async warnUser(interaction, target, reason) {
+  async warnUser(interaction, target, reason, metadata = {}) {
     try {
       const validation = await this._permissionService.validateCommandPermissions(interaction, {
         moderatorRole: true,
-        checkHierarchy: true
+        checkHierarchy: true,
+        target: target && target.user ? target.user : target
       });
 
       if (!validation.allowed) {
@@ -206,10 +265,10 @@ class ModerationService {
         };
       }
 
-      let user = await this._userRepo.findUserById(targetUser.id);
+      let user = await this._userRepo.findUserById(interaction.guild.id, targetUser.id);
       if (!user) {
         const User = require('../entities/User');
-        user = new User(targetUser.id, targetUser.tag || targetUser.username || 'Unknown User');
+        user = new User(interaction.guild.id, targetUser.id, targetUser.tag || targetUser.username || 'Unknown User');
       } else if (targetUser.tag && user.tag !== targetUser.tag) {
         user.tag = targetUser.tag;
       }
@@ -217,6 +276,7 @@ class ModerationService {
       const warningsBefore = user.getWarnings().length;
 
       const warningMetadata = {
+        ...metadata,
         guildId: interaction.guild.id,
         moderatorTag: interaction.user.tag,
         warningsBefore
@@ -228,8 +288,11 @@ class ModerationService {
         new Date(),
         warningMetadata
       );
+      const caseNumber = await this._openCase(interaction.guild.id, user, warnAction);
+      await this._notifyMember(interaction.guild.id, targetUser.id, warnAction);
 
       await this._userRepo.saveUser(user);
+      await this._logAction(interaction.guild.id, user, warnAction);
 
       const warningsAfter = user.getWarnings().length;
       warnAction.metadata.warningsAfter = warningsAfter;
@@ -245,6 +308,8 @@ class ModerationService {
         warningsAfter
       });
 
+      const escalation = await this._applyEscalation(interaction.guild, targetUser, user, warnAction);
+
       return {
         success: true,
         action: 'warn',
@@ -259,13 +324,262 @@ class ModerationService {
         reason: trimmedReason,
         timestamp: warnAction.timestamp,
         actionId,
-        warningsAfter
+        caseNumber,
+        warningsAfter,
+        escalation
       };
     } catch (error) {
       throw new Error(`Failed to warn user: ${error.message}`);
     }
   }
 
+  /**
+   * Evaluate the guild's escalation rules after a warning and run the matching action
+   * A rule matches when the warnings inside its window reach exactly its threshold,
+   * so each rule fires once per crossing; the highest matching threshold wins
+   * Failures are reported in the result rather than failing the warning itself
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {User} targetUser - Discord user who was warned
+   * @param {User} user - User entity holding the new warning
+   * @param {Object} warnAction - Recorded warning that triggered the evaluation
+   * @returns {Promise<Object|null>} Escalation result, or null when no rule matched
+   */
+  async _applyEscalation(guild, targetUser, user, warnAction) {
+    const server = await this._configRepo.findServerById(guild.id);
+    if (!server) {
+      return null;
+    }
+
+    const rule = server.getEscalationRules()
+      .filter(candidate => user.getRecentActionsCount(candidate.windowDays * 24, 'warn') === candidate.threshold)
+      .pop();
+
+    if (!rule) {
+      return null;
+    }
+
+    const reason = `Automatic escalation: ${rule.threshold} warning(s) within ${rule.windowDays} day(s)`;
+    const escalation = {
+      action: rule.action,
+      threshold: rule.threshold,
+      windowDays: rule.windowDays,
+      durationMs: rule.durationMs,
+      reason
+    };
+
+    try {
+      const outcome = await this._executeAutomaticAction(guild, server, targetUser, user, rule, reason, {
+        guildId: guild.id,
+        moderatorTag: 'System',
+        automatic: true,
+        escalation: { threshold: rule.threshold, windowDays: rule.windowDays },
+        triggeredBy: warnAction.id
+      });
+
+      console.log(`Escalated user ${targetUser.id} in guild ${guild.id} to ${rule.action} after ${rule.threshold} warning(s)`);
+
+      return { ...escalation, ...outcome, success: true };
+    } catch (error) {
+      console.error(`Failed to escalate user ${targetUser.id} in guild ${guild.id} to ${rule.action}:`, error);
+
+      return { ...escalation, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Run a warn, timeout, jail, kick, ban or tempban on behalf of the system
+   * Used by subsystems that act without a moderator, such as raid protection and automod
+   * Failures are reported in the result rather than thrown
+   * @param {Guild} guild - Discord guild
+   * @param {User} targetUser - Discord user to act on
+   * @param {string} action - Action to run (warn, timeout, jail, kick, ban, tempban)
+   * @param {string} reason - Reason recorded for the action
+   * @param {Object} [options={}] - Action options
+   * @param {number} [options.durationMs] - Duration for timeouts, timed jails and tempbans
+   * @param {Object} [options.metadata={}] - Extra metadata recorded with the action
+   * @returns {Promise<Object>} Operation result with case number and expiry
+   * @example
+   * const result = await moderationService.applyAutomaticAction(guild, member.user, 'kick', 'Raid protection');
+   */
+  async applyAutomaticAction(guild, targetUser, action, reason, options = {}) {
+    try {
+      const server = await this._configRepo.findServerById(guild.id);
+      if (!server) {
+        return {
+          success: false,
+          error: 'Server configuration not found. Please run setup first.',
+          type: 'not_configured'
+        };
+      }
+
+      let user = await this._userRepo.findUserById(guild.id, targetUser.id);
+      if (!user) {
+        const User = require('../entities/User');
+        user = new User(guild.id, targetUser.id, targetUser.tag || targetUser.username || 'Unknown User');
+      }
+
+      const outcome = await this._executeAutomaticAction(guild, server, targetUser, user,
+        { action, durationMs: options.durationMs || null }, reason, {
+          ...options.metadata,
+          guildId: guild.id,
+          moderatorTag: 'System',
+          automatic: true
+        });
+
+      return { success: true, action, ...outcome };
+    } catch (error) {
+      console.error(`Automatic ${action} failed for user ${targetUser.id} in guild ${guild.id}:`, error);
+
+      return {
+        success: false,
+        error: error.message,
+        type: 'action_failed'
+      };
+    }
+  }
+
+  /**
+   * Run an action on behalf of the system
+   * Bypasses moderator permissions; the bot's hierarchy still applies
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {Server} server - Server configuration
+   * @param {User} targetUser - Discord user to act on
+   * @param {User} user - User entity to record the action on
+   * @param {Object} rule - Action to run ({ action, durationMs })
+   * @param {string} reason - Reason recorded for the action
+   * @param {Object} metadata - Metadata recorded with the action
+   * @returns {Promise<Object>} Action details such as expiry time
+   * @throws {Error} When the action cannot be performed
+   */
+  async _executeAutomaticAction(guild, server, targetUser, user, rule, reason, metadata) {
+    const targetMember = await guild.members.fetch(targetUser.id).catch(() => null);
+
+    if (targetMember && !this._permissionService.botCanModerateUser(guild, targetMember)) {
+      throw new Error('I cannot moderate this user due to role hierarchy restrictions.');
+    }
+
+    switch (rule.action) {
+      case 'warn': {
+        const warnAction = user.addModerationAction('warn', 'system', reason, new Date(), metadata);
+        const caseNumber = await this._openCase(guild.id, user, warnAction);
+        await this._notifyMember(guild.id, targetUser.id, warnAction);
+        await this._userRepo.saveUser(user);
+        await this._logAction(guild.id, user, warnAction);
+
+        // Automatic warnings count toward escalation like any other warning
+        const escalation = await this._applyEscalation(guild, targetUser, user, warnAction);
+
+        return { caseNumber, escalation };
+      }
+      case 'timeout': {
+        if (!targetMember) {
+          throw new Error('User is not a member of this server.');
+        }
+
+        await targetMember.timeout(rule.durationMs, reason);
+
+        const expiresAt = new Date(Date.now() + rule.durationMs);
+        const timeoutAction = user.addModerationAction('timeout', 'system', reason, new Date(), {
+          ...metadata,
+          durationMs: rule.durationMs,
+          expiresAt
+        });
+        const caseNumber = await this._openCase(guild.id, user, timeoutAction);
+        await this._userRepo.saveUser(user);
+        await this._logAction(guild.id, user, timeoutAction);
+
+        return { expiresAt, caseNumber };
+      }
+      case 'jail': {
+        if (!targetMember) {
+          throw new Error('User is not a member of this server.');
+        }
+
+        const jailRole = server.getJailedRole() ? guild.roles.cache.get(server.getJailedRole()) : null;
+        if (!jailRole) {
+          throw new Error('Jail role not configured. Use /setup jail-role to configure.');
+        }
+
+        if (user.isJailed()) {
+          throw new Error('User is already jailed.');
+        }
+
+        const rolesToBackup = targetMember.roles.cache
+          .filter(role => role.id !== guild.id && !role.managed)
+          .map(role => role.id);
+
+        await targetMember.roles.set([jailRole.id], reason);
+
+        // jailUser stores the role backup; without it the member's roles would be lost for good
+        let jailResult;
+        try {
+          jailResult = await this.jailUser(guild.id, 'system', targetUser.id, reason, rule.durationMs, rolesToBackup, metadata);
+        } catch (error) {
+          await targetMember.roles.set(rolesToBackup, 'Automatic jail could not be recorded').catch(restoreError => {
+            console.error(`Failed to restore roles of ${targetUser.id} after a failed automatic jail:`, restoreError);
+          });
+          throw error;
+        }
+
+        return { expiresAt: jailResult.expiresAt, caseNumber: jailResult.caseNumber };
+      }
+      case 'kick': {
+        if (!targetMember) {
+          throw new Error('User is not a member of this server.');
+        }
+
+        const kickAction = user.addModerationAction('kick', 'system', reason, new Date(), metadata);
+        const caseNumber = await this._openCase(guild.id, user, kickAction);
+        await this._notifyMember(guild.id, targetUser.id, kickAction);
+
+        try {
+          await targetMember.kick(reason);
+        } catch (error) {
+          await this._discardCase(guild.id, caseNumber);
+          throw error;
+        }
+        await this._userRepo.saveUser(user);
+        await this._logAction(guild.id, user, kickAction);
+
+        return { caseNumber };
+      }
+      case 'ban':
+      case 'tempban': {
+        const expiresAt = rule.action === 'tempban' ? new Date(Date.now() + rule.durationMs) : null;
+        const banAction = user.addModerationAction('ban', 'system', reason, new Date(), {
+          ...metadata,
+          permanent: !expiresAt,
+          expiresAt,
+          durationMs: expiresAt ? rule.durationMs : null,
+          jobId: null
+        });
+        const caseNumber = await this._openCase(guild.id, user, banAction);
+        await this._notifyMember(guild.id, targetUser.id, banAction);
+        this.captureProfile(user, targetUser, guild.members.cache.get(targetUser.id));
+
+        try {
+          await guild.members.ban(targetUser.id, { reason });
+        } catch (error) {
+          await this._discardCase(guild.id, caseNumber);
+          throw error;
+        }
+
+        const unbanJob = expiresAt
+          ? await this._scheduleExpiry('unban', guild.id, targetUser.id, expiresAt, 'system', 'Temporary ban expired')
+          : null;
+        banAction.metadata.jobId = unbanJob ? unbanJob.id : null;
+        await this._userRepo.saveUser(user);
+        await this._logAction(guild.id, user, banAction);
+
+        return { expiresAt, caseNumber };
+      }
+      default:
+        throw new Error(`Unsupported automatic action: ${rule.action}`);
+    }
+  }
+
   /**
    * Add a staff-only note to a user's record
    * @param {CommandInteraction} interaction - Discord command interaction
@@ -313,10 +627,10 @@ class ModerationService {
         };
       }
 
-      let user = await this._userRepo.findUserById(targetUser.id);
+      let user = await this._userRepo.findUserById(interaction.guild.id, targetUser.id);
       if (!user) {
         const User = require('../entities/User');
-        user = new User(targetUser.id, targetUser.tag || targetUser.username || 'Unknown User');
+        user = new User(interaction.guild.id, targetUser.id, targetUser.tag || targetUser.username || 'Unknown User');
       } else if (targetUser.tag && user.tag !== targetUser.tag) {
         user.tag = targetUser.tag;
       }
@@ -332,6 +646,7 @@ class ModerationService {
         new Date(),
         noteMetadata
       );
+      const caseNumber = await this._openCase(interaction.guild.id, user, noteEntry, 'note');
 
       await this._userRepo.saveUser(user);
 
@@ -354,6 +669,7 @@ class ModerationService {
           timestamp: noteEntry.timestamp,
           metadata: noteEntry.metadata
         },
+        caseNumber,
         user: {
           id: targetUser.id,
           tag: targetUser.tag || targetUser.username || 'Unknown User'
@@ -374,9 +690,10 @@ class ModerationService {
    * @param {CommandInteraction} interaction - Discord command interaction
    * @param {GuildMember|User} target - Member or user whose notes should be retrieved
    * @param {number} [limit=5] - Maximum number of notes to return
+   * @param {string} [search=''] - Only return notes whose ID starts with or content contains this text
    * @returns {Promise<Object>} Retrieval result containing notes and metadata
    */
-  async getStaffNotes(interaction, target, limit = 5) {
+  async getStaffNotes(interaction, target, limit = 5, search = '') {
     try {
       const validation = await this._permissionService.validateCommandPermissions(interaction, {
         moderatorRole: true
@@ -401,7 +718,7 @@ class ModerationService {
 
       const safeLimit = Math.max(1, Math.min(25, Number.isInteger(limit) ? limit : parseInt(limit, 10) || 5));
 
-      const user = await this._userRepo.findUserById(targetUser.id);
+      const user = await this._userRepo.findUserById(interaction.guild.id, targetUser.id);
       if (!user) {
         return {
           success: true,
@@ -420,7 +737,11 @@ class ModerationService {
       }
 
       const allNotes = user.getStaffNotes();
-      const notes = allNotes.slice(0, safeLimit);
+      const query = typeof search === 'string' ? search.trim().toLowerCase() : '';
+      const matchingNotes = query
+        ? allNotes.filter(note => note.id.toLowerCase().startsWith(query) || note.content.toLowerCase().includes(query))
+        : allNotes;
+      const notes = matchingNotes.slice(0, safeLimit);
 
       return {
         success: true,
@@ -438,173 +759,511 @@ class ModerationService {
   }
 
   /**
-   * Ban user from server with optional cleanup and logging
+   * Retrieve a single staff note of a user, including its revisions
    * @param {CommandInteraction} interaction - Discord command interaction
-   * @param {GuildMember|User} target - Member or user to ban
-   * @param {string} [reason='No reason provided'] - Ban reason
-   * @param {number} [deleteMessageDays=0] - Days of messages to delete (0-7)
-   * @returns {Promise<Object>} Operation result with success status and details
-   * @throws {Error} When ban operation fails
-   * @example
-   * const result = await moderationService.banUser(interaction, targetMember, 'Harassment', 1);
-   * if (result.success) {
-   *   console.log(`User banned: ${result.user.tag}`);
-   * }
+   * @param {GuildMember|User} target - Member or user the note belongs to
+   * @param {string} noteId - Staff note identifier
+   * @returns {Promise<Object>} Retrieval result with the note
    */
-  async banUser(interaction, target, reason = 'No reason provided', deleteMessageDays = 0) {
+  async getStaffNote(interaction, target, noteId) {
     try {
-      // Validate permissions
-      const validation = await this._permissionService.validateCommandPermissions(interaction, {
-        discordPermissions: ['BAN_MEMBERS'],
-        moderatorRole: true,
-        checkHierarchy: true
-      });
-
-      if (!validation.allowed) {
-        return {
-          success: false,
-          error: validation.reason,
-          type: 'permission_denied'
-        };
+      const lookup = await this._loadStaffNote(interaction, target, noteId);
+      if (!lookup.success) {
+        return lookup;
       }
 
-      // Determine if target is a member or user
-      const targetUser = target.user || target;
-      const targetMember = target.user ? target : null;
-
-      // Check bot hierarchy if target is a member
-      if (targetMember) {
-        const botCanBan = this._permissionService.botCanModerateUser(interaction.guild, targetMember);
-        if (!botCanBan) {
-          return {
-            success: false,
-            error: 'I cannot ban this user due to role hierarchy restrictions.',
-            type: 'hierarchy_error'
-          };
+      return {
+        success: true,
+        note: lookup.note,
+        user: {
+          id: lookup.user.id,
+          tag: lookup.user.tag
         }
-      }
-
-      // Validate message deletion days
-      const messageDays = Math.max(0, Math.min(7, Math.floor(deleteMessageDays)));
+      };
+    } catch (error) {
+      throw new Error(`Failed to retrieve staff note: ${error.message}`);
+    }
+  }
 
-      // Get or create user record
-      let user = await this._userRepo.findUserById(targetUser.id);
-      if (!user) {
-        const User = require('../entities/User');
-        user = new User(targetUser.id, targetUser.tag);
+  /**
+   * Replace the content of a staff note, keeping the old content as a revision
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {GuildMember|User} target - Member or user the note belongs to
+   * @param {string} noteId - Staff note identifier
+   * @param {string} content - New note content
+   * @returns {Promise<Object>} Operation result with the previous content and updated note
+   */
+  async editStaffNote(interaction, target, noteId, content) {
+    try {
+      const lookup = await this._loadStaffNote(interaction, target, noteId);
+      if (!lookup.success) {
+        return lookup;
       }
 
-      // Perform the ban
-      await interaction.guild.members.ban(targetUser, {
-        reason: reason,
-        deleteMessageDays: messageDays
-      });
-
-      // Log the moderation action
-      user.addModerationAction('ban', interaction.user.id, reason, new Date(), {
-        guildId: interaction.guild.id,
-        moderatorTag: interaction.user.tag,
-        deleteMessageDays: messageDays,
-        permanent: true
-      });
+      const trimmedContent = (content || '').trim();
+      if (trimmedContent.length === 0 || trimmedContent.length > 2000) {
+        return {
+          success: false,
+          error: 'Note content must be between 1 and 2000 characters.',
+          type: 'invalid_content'
+        };
+      }
 
-      // Save user record
-      await this._userRepo.saveUser(user);
+      if (trimmedContent === lookup.note.content) {
+        return {
+          success: false,
+          error: 'The new content is the same as the current content.',
+          type: 'invalid_content'
+        };
+      }
 
-      // Cache action details
-      const actionId = `ban_${Date.now()}_${targetUser.id}`;
-      this._actionCache.set(actionId, {
-        action: 'ban',
-        target: targetUser.tag,
-        moderator: interaction.user.tag,
-        reason: reason,
-        timestamp: new Date(),
-        guildId: interaction.guild.id,
-        deleteMessageDays: messageDays,
-        permanent: true
-      });
+      const note = lookup.user.editStaffNote(noteId, trimmedContent, interaction.user.id);
+      await this._userRepo.saveUser(lookup.user);
 
       return {
         success: true,
-        action: 'ban',
+        note,
+        previousContent: lookup.note.content,
         user: {
-          id: targetUser.id,
-          tag: targetUser.tag
-        },
-        moderator: {
-          id: interaction.user.id,
-          tag: interaction.user.tag
-        },
-        reason: reason,
-        timestamp: new Date(),
-        deleteMessageDays: messageDays,
-        permanent: true,
-        actionId: actionId
+          id: lookup.user.id,
+          tag: lookup.user.tag
+        }
       };
     } catch (error) {
-      throw new Error(`Failed to ban user: ${error.message}`);
+      throw new Error(`Failed to edit staff note: ${error.message}`);
     }
   }
 
   /**
-   * Temporarily ban user with automatic expiration
+   * Delete a staff note and the case opened for it
+   * Only the moderator who wrote the note or an administrator may delete it
    * @param {CommandInteraction} interaction - Discord command interaction
-   * @param {GuildMember|User} target - Member or user to temporarily ban
-   * @param {number} durationMs - Ban duration in milliseconds
-   * @param {string} [reason='No reason provided'] - Ban reason
-   * @param {number} [deleteMessageDays=0] - Days of messages to delete (0-7)
-   * @returns {Promise<Object>} Operation result with success status and expiration details
-   * @throws {Error} When tempban operation fails
-   * @example
-   * const result = await moderationService.tempbanUser(interaction, targetMember, 86400000, 'Toxicity', 1);
-   * if (result.success) {
-   *   console.log(`User tempbanned until: ${result.expiresAt}`);
-   * }
+   * @param {GuildMember|User} target - Member or user the note belongs to
+   * @param {string} noteId - Staff note identifier
+   * @returns {Promise<Object>} Operation result with the deleted note
    */
-  async tempbanUser(interaction, target, durationMs, reason = 'No reason provided', deleteMessageDays = 0) {
+  async deleteStaffNote(interaction, target, noteId) {
     try {
-      // Validate duration (max 30 days)
-      const maxDuration = 30 * 24 * 60 * 60 * 1000;
-      if (durationMs > maxDuration) {
+      const lookup = await this._loadStaffNote(interaction, target, noteId);
+      if (!lookup.success) {
+        return lookup;
+      }
+
+      const isAdministrator = interaction.memberPermissions && interaction.memberPermissions.has('Administrator');
+      if (!isAdministrator && lookup.note.moderator !== interaction.user.id) {
         return {
           success: false,
-          error: 'Temporary ban duration cannot exceed 30 days.',
-          type: 'invalid_duration'
+          error: 'Only the moderator who wrote this note or an administrator can delete it.',
+          type: 'permission_denied'
         };
       }
 
-      // First perform regular ban
-      const banResult = await this.banUser(interaction, target, reason, deleteMessageDays);
-      if (!banResult.success) {
-        return banResult;
-      }
-
-      const targetUser = target.user || target;
-      const expiresAt = new Date(Date.now() + durationMs);
+      lookup.user.removeStaffNote(noteId);
+      await this._userRepo.saveUser(lookup.user);
+      await this._discardCase(interaction.guild.id, lookup.note.metadata.caseNumber, interaction.user.id);
 
-      // Update user record with tempban metadata
-      let user = await this._userRepo.findUserById(targetUser.id);
-      const history = user.getModerationHistory();
-      const lastAction = history[history.length - 1];
-
-      if (lastAction && lastAction.action === 'ban') {
-        lastAction.metadata.permanent = false;
-        lastAction.metadata.expiresAt = expiresAt;
-        lastAction.metadata.durationMs = durationMs;
-        await this._userRepo.saveUser(user);
+      return {
+        success: true,
+        note: lookup.note,
+        notesCount: lookup.user.getStaffNotes().length,
+        user: {
+          id: lookup.user.id,
+          tag: lookup.user.tag
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete staff note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pin or unpin a staff note; pinned notes are always listed first
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {GuildMember|User} target - Member or user the note belongs to
+   * @param {string} noteId - Staff note identifier
+   * @param {boolean} pinned - Whether the note should be pinned
+   * @returns {Promise<Object>} Operation result with the updated note
+   */
+  async setStaffNotePinned(interaction, target, noteId, pinned) {
+    try {
+      const lookup = await this._loadStaffNote(interaction, target, noteId);
+      if (!lookup.success) {
+        return lookup;
+      }
+
+      if (Boolean(lookup.note.metadata.pinned) === pinned) {
+        return {
+          success: false,
+          error: `This note is already ${pinned ? 'pinned' : 'unpinned'}.`,
+          type: 'unchanged'
+        };
+      }
+
+      const note = lookup.user.setStaffNotePinned(noteId, pinned, interaction.user.id);
+      await this._userRepo.saveUser(lookup.user);
+
+      return {
+        success: true,
+        note,
+        user: {
+          id: lookup.user.id,
+          tag: lookup.user.tag
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to pin staff note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Search staff notes for some text, across one user or the whole guild
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {string} query - Text to look for (case-insensitive)
+   * @param {GuildMember|User|null} [target=null] - Only search this user's notes
+   * @param {number} [limit=10] - Maximum number of matches to return
+   * @returns {Promise<Object>} Search result with matches ({ user, note }) and the total match count
+   */
+  async searchStaffNotes(interaction, query, target = null, limit = 10) {
+    try {
+      const validation = await this._permissionService.validateCommandPermissions(interaction, {
+        moderatorRole: true
+      });
+
+      if (!validation.allowed) {
+        return {
+          success: false,
+          error: validation.reason,
+          type: 'permission_denied'
+        };
+      }
+
+      const search = (query || '').trim();
+      if (search.length < 2) {
+        return {
+          success: false,
+          error: 'Search text must be at least 2 characters.',
+          type: 'invalid_query'
+        };
+      }
+
+      const targetUser = target && target.user ? target.user : target;
+      let users;
+      if (targetUser) {
+        const user = await this._userRepo.findUserById(interaction.guild.id, targetUser.id);
+        users = user ? [user] : [];
+      } else {
+        users = await this._userRepo.findUsersWithStaffNotes(interaction.guild.id);
+      }
+
+      const matches = users.flatMap(user => user.searchStaffNotes(search).map(note => ({
+        user: { id: user.id, tag: user.tag },
+        note
+      })));
+
+      // Pinned notes first, then newest first, across every user searched
+      matches.sort((a, b) => (Boolean(b.note.metadata.pinned) - Boolean(a.note.metadata.pinned)) ||
+        (b.note.timestamp - a.note.timestamp));
+
+      return {
+        success: true,
+        query: search,
+        matches: matches.slice(0, Math.max(1, Math.min(25, limit))),
+        matchCount: matches.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to search staff notes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check permissions and resolve a staff note of a user
+   * @private
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {GuildMember|User} target - Member or user the note belongs to
+   * @param {string} noteId - Staff note identifier
+   * @returns {Promise<Object>} Lookup with user and note, or a failure result
+   */
+  async _loadStaffNote(interaction, target, noteId) {
+    const validation = await this._permissionService.validateCommandPermissions(interaction, {
+      moderatorRole: true
+    });
+
+    if (!validation.allowed) {
+      return {
+        success: false,
+        error: validation.reason,
+        type: 'permission_denied'
+      };
+    }
+
+    const targetUser = target && target.user ? target.user : target;
+    const user = targetUser ? await this._userRepo.findUserById(interaction.guild.id, targetUser.id) : null;
+    const note = user ? user.getStaffNote(noteId) : null;
+
+    if (!note) {
+      return {
+        success: false,
+        error: `No staff note with ID \`${noteId}\` exists for this user.`,
+        type: 'note_not_found'
+      };
+    }
+
+    return {
+      success: true,
+      user,
+      note
+    };
+  }
+
+  /**
+   * Ban user from server with optional cleanup and logging
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {GuildMember|User} target - Member or user to ban
+   * @param {string} [reason='No reason provided'] - Ban reason
+   * @param {number} [deleteMessageDays=0] - Days of messages to delete (0-7)
+   * @param {Object} [metadata={}] - Additional metadata recorded with the action
+   * @returns {Promise<Object>} Operation result with success status and details
+   * @throws {Error} When ban operation fails
+   * @example
+   * const result = await moderationService.banUser(interaction, targetMember, 'Harassment', 1);
+   * if (result.success) {
+   *   console.log(`User banned: ${result.user.tag}`);
+   * }
+   */
+  async banUser(interaction, target, reason = 'No reason provided', deleteMessageDays = 0, metadata = {}) {
+    try {
+      // Validate permissions
+      const validation = await this._permissionService.validateCommandPermissions(interaction, {
+        discordPermissions: ['BAN_MEMBERS'],
+        moderatorRole: true,
+        checkHierarchy: true,
+        target: target.user || target
+      });
+
+      if (!validation.allowed) {
+        return {
+          success: false,
+          error: validation.reason,
+          type: validation.hierarchy ? 'hierarchy_error' : 'permission_denied'
+        };
+      }
+
+      // Determine if target is a member or user
+      const targetUser = target.user || target;
+      const targetMember = target.user ? target : null;
+
+      // Check bot hierarchy if target is a member
+      if (targetMember) {
+        const botCanBan = this._permissionService.botCanModerateUser(interaction.guild, targetMember);
+        if (!botCanBan) {
+          return {
+            success: false,
+            error: 'I cannot ban this user due to role hierarchy restrictions.',
+            type: 'hierarchy_error'
+          };
+        }
+      }
+
+      // Validate message deletion days
+      const messageDays = Math.max(0, Math.min(7, Math.floor(deleteMessageDays)));
+
+      // Get or create user record
+      let user = await this._userRepo.findUserById(interaction.guild.id, targetUser.id);
+      if (!user) {
+        const User = require('../entities/User');
+        user = new User(interaction.guild.id, targetUser.id, targetUser.tag);
+      }
+
+      // Record the ban first so the member's message can quote its case number
+      const banAction = user.addModerationAction('ban', interaction.user.id, reason, new Date(), {
+        guildId: interaction.guild.id,
+        moderatorTag: interaction.user.tag,
+        deleteMessageDays: messageDays,
+        permanent: true,
+        ...metadata
+      });
+      const caseNumber = await this._openCase(interaction.guild.id, user, banAction);
+
+      // Message the member while the bot still shares a server with them
+      await this._notifyMember(interaction.guild.id, targetUser.id, banAction);
+      this.captureProfile(user, targetUser, interaction.guild.members.cache.get(targetUser.id));
+
+      // Perform the ban
+      try {
+        await interaction.guild.members.ban(targetUser, {
+          reason: reason,
+          deleteMessageDays: messageDays
+        });
+      } catch (error) {
+        await this._discardCase(interaction.guild.id, caseNumber);
+        throw error;
       }
 
-      // Set up automatic unban timer
-      const timerId = setTimeout(async () => {
+      // Save user record
+      await this._userRepo.saveUser(user);
+      await this._logAction(interaction.guild.id, user, banAction);
+
+      // Cache action details
+      const actionId = `ban_${Date.now()}_${targetUser.id}`;
+      this._actionCache.set(actionId, {
+        action: 'ban',
+        target: targetUser.tag,
+        moderator: interaction.user.tag,
+        reason: reason,
+        timestamp: new Date(),
+        guildId: interaction.guild.id,
+        deleteMessageDays: messageDays,
+        permanent: true
+      });
+
+      return {
+        success: true,
+        action: 'ban',
+        user: {
+          id: targetUser.id,
+          tag: targetUser.tag
+        },
+        moderator: {
+          id: interaction.user.id,
+          tag: interaction.user.tag
+        },
+        reason: reason,
+        timestamp: new Date(),
+        deleteMessageDays: messageDays,
+        permanent: true,
+        actionId: actionId,
+        caseNumber: caseNumber
+      };
+    } catch (error) {
+      throw new Error(`Failed to ban user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ban a list of users one after another through banUser
+   * Bans are spaced out to stay clear of Discord's rate limits, and the batch
+   * stops early if the moderator turns out to lack ban permissions
+   * @param {CommandInteraction} interaction - Discord command interaction that started the batch
+   * @param {Array<GuildMember|User>} targets - Members or users to ban
+   * @param {string} reason - Ban reason recorded on every action
+   * @param {Object} [options={}] - Batch options
+   * @param {number} [options.deleteMessageDays=0] - Days of messages to delete (0-7)
+   * @param {number} [options.pacingMs=1000] - Delay between consecutive bans
+   * @param {Function} [options.onProgress] - Called after each ban with `{ processed, total, banned, failed }`
+   * @returns {Promise<Object>} Batch summary with banned and failed targets
+   * @throws {Error} When the batch cannot be processed
+   * @example
+   * const summary = await moderationService.massBanUsers(interaction, members, 'Raid', {
+   *   onProgress: ({ processed, total }) => console.log(`${processed}/${total}`)
+   * });
+   */
+  async massBanUsers(interaction, targets, reason, options = {}) {
+    const { deleteMessageDays = 0, pacingMs = 1000, onProgress = null } = options;
+    const batchId = `massban_${Date.now()}_${interaction.user.id}`;
+    const banned = [];
+    const failed = [];
+
+    try {
+      for (let i = 0; i < targets.length; i++) {
+        const target = targets[i];
+        const targetUser = target.user || target;
+
         try {
-          await this._automaticUnban(interaction.guild.id, targetUser.id, 'Temporary ban expired');
-          this._tempbanTimers.delete(targetUser.id);
+          const result = await this.banUser(interaction, target, reason, deleteMessageDays, {
+            massban: true,
+            batchId: batchId
+          });
+
+          if (result.success) {
+            banned.push({ id: targetUser.id, tag: targetUser.tag, caseNumber: result.caseNumber });
+          } else {
+            failed.push({ id: targetUser.id, tag: targetUser.tag, error: result.error });
+
+            // The moderator lacks permission, so every remaining ban would fail the same way;
+            // hierarchy errors only concern this target
+            if (result.type === 'permission_denied') {
+              break;
+            }
+          }
         } catch (error) {
-          console.error(`Failed to automatically unban user ${targetUser.id}:`, error);
+          failed.push({ id: targetUser.id, tag: targetUser.tag, error: error.message });
+        }
+
+        if (onProgress) {
+          await onProgress({ processed: i + 1, total: targets.length, banned, failed });
         }
-      }, durationMs);
 
-      this._tempbanTimers.set(targetUser.id, timerId);
+        if (i < targets.length - 1) {
+          await new Promise(resolve => setTimeout(resolve, pacingMs));
+        }
+      }
+
+      return {
+        batchId,
+        total: targets.length,
+        processed: banned.length + failed.length,
+        banned,
+        failed
+      };
+    } catch (error) {
+      throw new Error(`Failed to process mass ban: ${error.message}`);
+    }
+  }
+
+  /**
+   * Temporarily ban user with automatic expiration
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {GuildMember|User} target - Member or user to temporarily ban
+   * @param {number} durationMs - Ban duration in milliseconds
+   * @param {string} [reason='No reason provided'] - Ban reason
+   * @param {number} [deleteMessageDays=0] - Days of messages to delete (0-7)
+   * @param {Object} [metadata={}] - Additional metadata recorded with the ban, such as evidence
+   * @returns {Promise<Object>} Operation result with success status and expiration details
+   * @throws {Error} When tempban operation fails
+   * @example
+   * const result = await moderationService.tempbanUser(interaction, targetMember, 86400000, 'Toxicity', 1);
+   * if (result.success) {
+   *   console.log(`User tempbanned until: ${result.expiresAt}`);
+   * }
+   */
+  async tempbanUser(interaction, target, durationMs, reason = 'No reason provided', deleteMessageDays = 0, metadata = {}) {
+    try {
+      // Validate duration (max 30 days)
+      const maxDuration = 30 * 24 * 60 * 60 * 1000;
+      if (durationMs > maxDuration) {
+        return {
+          success: false,
+          error: 'Temporary ban duration cannot exceed 30 days.',
+          type: 'invalid_duration'
+        };
+      }
+
+      const expiresAt = new Date(Date.now() + durationMs);
+
+      // First perform regular ban, recorded as expiring
+      const banResult = await this.banUser(interaction, target, reason, deleteMessageDays, {
+        ...metadata,
+        permanent: false,
+        expiresAt: expiresAt,
+        durationMs: durationMs
+      });
+      if (!banResult.success) {
+        return banResult;
+      }
+
+      const targetUser = target.user || target;
+
+      // Queue the automatic unban so it survives restarts
+      const unbanJob = await this._scheduleExpiry('unban', interaction.guild.id, targetUser.id, expiresAt, interaction.user.id, 'Temporary ban expired');
+
+      // Link the job to the recorded ban so it can be traced later
+      const user = await this._userRepo.findUserById(interaction.guild.id, targetUser.id);
+      const lastAction = user.getModerationHistory('ban', 1)[0];
+
+      if (lastAction && unbanJob) {
+        lastAction.metadata.jobId = unbanJob.id;
+        await this._userRepo.saveUser(user);
+      }
 
       // Update cache with tempban details
       if (this._actionCache.has(banResult.actionId)) {
@@ -621,7 +1280,7 @@ class ModerationService {
         permanent: false,
         expiresAt: expiresAt,
         durationMs: durationMs,
-        autoUnban: true
+        autoUnban: Boolean(unbanJob)
       };
     } catch (error) {
       throw new Error(`Failed to tempban user: ${error.message}`);
@@ -642,7 +1301,7 @@ class ModerationService {
    */
   async isUserJailed(guildId, userId) {
     try {
-      const user = await this._userRepo.findUserById(userId);
+      const user = await this._userRepo.findUserById(guildId, userId);
       return user ? user.isJailed() : false;
     } catch (error) {
       throw new Error(`Failed to check jail status: ${error.message}`);
@@ -730,6 +1389,8 @@ class ModerationService {
    * @param {string} targetId - Target user ID
    * @param {string} [reason='No reason provided'] - Jail reason
    * @param {number} [durationMs] - Optional jail duration in milliseconds
+   * @param {Array<string>} [rolesToBackup=[]] - Role IDs removed from the member
+   * @param {Object} [metadata={}] - Additional metadata recorded with the action
    * @returns {Promise<Object>} Operation result with success status and role backup details
    * @throws {Error} When jail operation fails
    * @example
@@ -738,7 +1399,7 @@ class ModerationService {
    *   console.log(`User jailed with ${result.rolesBackedUp} roles backed up`);
    * }
    */
-  async jailUser(guildId, executorId, targetId, reason = 'No reason provided', durationMs = null, rolesToBackup = []) {
+  async jailUser(guildId, executorId, targetId, reason = 'No reason provided', durationMs = null, rolesToBackup = [], metadata = {}) {
     try {
       // This method signature is called by JailCommand
       // For now, let's return a simple success response that matches what JailCommand expects
@@ -757,10 +1418,10 @@ class ModerationService {
       }
 
       // Get or create user record
-      let user = await this._userRepo.findUserById(targetId);
+      let user = await this._userRepo.findUserById(guildId, targetId);
       if (!user) {
         const User = require('../entities/User');
-        user = new User(targetId, 'Unknown User'); // Tag will be updated by command
+        user = new User(guildId, targetId, 'Unknown User'); // Tag will be updated by command
       }
 
       // Check if user is already jailed
@@ -771,16 +1432,28 @@ class ModerationService {
       // Store the backed up roles in the user entity
       user.storeOriginalRoles(rolesToBackup);
 
+      // Queue automatic release for timed jails
+      const expiresAt = durationMs ? new Date(Date.now() + durationMs) : null;
+      const unjailJob = expiresAt
+        ? await this._scheduleExpiry('unjail', guildId, targetId, expiresAt, executorId, 'Jail sentence expired')
+        : null;
+
       // Log the moderation action
-      user.addModerationAction('jail', executorId, reason, new Date(), {
+      const jailAction = user.addModerationAction('jail', executorId, reason, new Date(), {
+        ...metadata,
         guildId: guildId,
         rolesBackedUp: rolesToBackup.length,
         jailRoleId: jailedRoleId,
-        durationMs: durationMs
+        durationMs: durationMs,
+        expiresAt: expiresAt,
+        jobId: unjailJob ? unjailJob.id : null
       });
+      const caseNumber = await this._openCase(guildId, user, jailAction);
+      await this._notifyMember(guildId, targetId, jailAction);
 
       // Save user record
       await this._userRepo.saveUser(user);
+      await this._logAction(guildId, user, jailAction);
 
       // Generate case ID
       const caseId = `jail_${Date.now()}_${targetId}`;
@@ -788,7 +1461,10 @@ class ModerationService {
       return {
         success: true,
         caseId: caseId,
-        rolesBackedUp: rolesToBackup.length
+        caseNumber: caseNumber,
+        rolesBackedUp: rolesToBackup.length,
+        expiresAt: expiresAt,
+        autoUnjail: Boolean(unjailJob)
       };
     } catch (error) {
       throw new Error(`Failed to jail user: ${error.message}`);
@@ -825,7 +1501,7 @@ class ModerationService {
       }
 
       // Get user record
-      const user = await this._userRepo.findUserById(targetMember.id);
+      const user = await this._userRepo.findUserById(interaction.guild.id, targetMember.id);
       if (!user) {
         return {
           success: false,
@@ -868,17 +1544,20 @@ class ModerationService {
 
       // Clear jail status
       user.clearOriginalRoles();
+      await this._cancelExpiry('unjail', interaction.guild.id, targetMember.id, interaction.user.id);
 
       // Log the moderation action
-      user.addModerationAction('unjail', interaction.user.id, reason, new Date(), {
+      const unjailAction = user.addModerationAction('unjail', interaction.user.id, reason, new Date(), {
         guildId: interaction.guild.id,
         moderatorTag: interaction.user.tag,
         rolesRestored: validRoles.length,
         originalRoleCount: originalRoleIds.length
       });
+      const caseNumber = await this._openCase(interaction.guild.id, user, unjailAction);
 
       // Save user record
       await this._userRepo.saveUser(user);
+      await this._logAction(interaction.guild.id, user, unjailAction);
 
       // Cache action details
       const actionId = `unjail_${Date.now()}_${targetMember.id}`;
@@ -907,7 +1586,8 @@ class ModerationService {
         timestamp: new Date(),
         rolesRestored: validRoles.length,
         rolesNotRestored: originalRoleIds.length - validRoles.length,
-        actionId: actionId
+        actionId: actionId,
+        caseNumber: caseNumber
       };
     } catch (error) {
       throw new Error(`Failed to unjail user: ${error.message}`);
@@ -931,7 +1611,7 @@ class ModerationService {
   async unjailUser(guildId, executorId, targetId, reason = 'Released from jail') {
     try {
       // Get user record
-      const user = await this._userRepo.findUserById(targetId);
+      const user = await this._userRepo.findUserById(guildId, targetId);
       if (!user) {
         throw new Error('User not found in database.');
       }
@@ -946,15 +1626,18 @@ class ModerationService {
 
       // Clear jail status
       user.clearOriginalRoles();
+      await this._cancelExpiry('unjail', guildId, targetId, executorId);
 
       // Log the moderation action
-      user.addModerationAction('unjail', executorId, reason, new Date(), {
+      const unjailAction = user.addModerationAction('unjail', executorId, reason, new Date(), {
         guildId: guildId,
         rolesRestored: originalRoleIds.length
       });
+      const caseNumber = await this._openCase(guildId, user, unjailAction);
 
       // Save user record
       await this._userRepo.saveUser(user);
+      await this._logAction(guildId, user, unjailAction);
 
       // Generate case ID
       const caseId = `unjail_${Date.now()}_${targetId}`;
@@ -962,6 +1645,7 @@ class ModerationService {
       return {
         success: true,
         caseId: caseId,
+        caseNumber: caseNumber,
         rolesRestored: originalRoleIds.length,
         originalRoles: originalRoleIds
       };
@@ -975,6 +1659,7 @@ class ModerationService {
    * @param {CommandInteraction} interaction - Discord command interaction
    * @param {string} userId - Discord user ID to unban
    * @param {string} [reason='Unbanned by moderator'] - Unban reason
+   * @param {Object} [metadata={}] - Extra metadata recorded with the unban action
    * @returns {Promise<Object>} Operation result with success status and details
    * @throws {Error} When unban operation fails
    * @example
@@ -983,7 +1668,7 @@ class ModerationService {
    *   console.log(`User unbanned: ${result.user.tag}`);
    * }
    */
-  async unbanUser(interaction, userId, reason = 'Unbanned by moderator') {
+  async unbanUser(interaction, userId, reason = 'Unbanned by moderator', metadata = {}) {
     try {
       // Validate permissions
       const validation = await this._permissionService.validateCommandPermissions(interaction, {
@@ -1012,23 +1697,31 @@ class ModerationService {
         };
       }
 
-      // Clear any active tempban timer
-      if (this._tempbanTimers.has(userId)) {
-        clearTimeout(this._tempbanTimers.get(userId));
-        this._tempbanTimers.delete(userId);
-      }
+      // Cancel any pending tempban expiry
+      await this._cancelExpiry('unban', interaction.guild.id, userId, interaction.user.id);
 
       // Perform the unban
       await interaction.guild.members.unban(userId, reason);
 
       // Update user record if exists
-      const user = await this._userRepo.findUserById(userId);
+      const user = await this._userRepo.findUserById(interaction.guild.id, userId);
+      let caseNumber = null;
       if (user) {
-        user.addModerationAction('unban', interaction.user.id, reason, new Date(), {
+        const unbanAction = user.addModerationAction('unban', interaction.user.id, reason, new Date(), {
           guildId: interaction.guild.id,
-          moderatorTag: interaction.user.tag
+          moderatorTag: interaction.user.tag,
+          ...metadata
         });
+        caseNumber = await this._openCase(interaction.guild.id, user, unbanAction);
         await this._userRepo.saveUser(user);
+        await this._logAction(interaction.guild.id, user, unbanAction);
+      } else {
+        await this._logAction(interaction.guild.id, { id: bannedUser.id, tag: bannedUser.tag }, {
+          action: 'unban',
+          moderator: interaction.user.id,
+          reason: reason,
+          metadata: { moderatorTag: interaction.user.tag }
+        });
       }
 
       // Cache action details
@@ -1055,7 +1748,8 @@ class ModerationService {
         },
         reason: reason,
         timestamp: new Date(),
-        actionId: actionId
+        actionId: actionId,
+        caseNumber: caseNumber
       };
     } catch (error) {
       throw new Error(`Failed to unban user: ${error.message}`);
@@ -1063,18 +1757,295 @@ class ModerationService {
   }
 
   /**
-   * Get user's moderation history and statistics
-   * @param {string} userId - Discord user ID
-   * @param {number} [days] - Days to look back (all time if not specified)
-   * @returns {Promise<Object>} User moderation summary with history and statistics
-   * @throws {Error} When retrieval fails
+   * Time out a member using Discord's communication-disabled state
+   * Discord lifts the timeout itself, so no expiry job is scheduled
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {GuildMember} targetMember - Member to time out
+   * @param {number} durationMs - Timeout duration in milliseconds (max 28 days)
+   * @param {string} [reason='No reason provided'] - Timeout reason
+   * @param {Object} [metadata={}] - Additional metadata recorded with the action, such as evidence
+   * @returns {Promise<Object>} Operation result with success status and details
+   * @throws {Error} When timeout operation fails
    * @example
-   * const history = await moderationService.getUserModerationHistory('123456789', 30);
-   * console.log(`User has ${history.totalActions} actions in the last 30 days`);
+   * const result = await moderationService.timeoutUser(interaction, targetMember, 3600000, 'Spamming');
+   * if (result.success) {
+   *   console.log(`User timed out until ${result.expiresAt}`);
+   * }
    */
-  async getUserModerationHistory(userId, days = null) {
+  async timeoutUser(interaction, targetMember, durationMs, reason = 'No reason provided', metadata = {}) {
     try {
-      const user = await this._userRepo.findUserById(userId);
+      const validation = await this._permissionService.validateCommandPermissions(interaction, {
+        discordPermissions: ['ModerateMembers'],
+        moderatorRole: true,
+        checkHierarchy: true
+      });
+
+      if (!validation.allowed) {
+        return {
+          success: false,
+          error: validation.reason,
+          type: 'permission_denied'
+        };
+      }
+
+      const maxDuration = 28 * 24 * 60 * 60 * 1000; // Discord's timeout limit
+      if (!Number.isInteger(durationMs) || durationMs < 60 * 1000 || durationMs > maxDuration) {
+        return {
+          success: false,
+          error: 'Timeout duration must be between 1 minute and 28 days.',
+          type: 'invalid_duration'
+        };
+      }
+
+      const botCanTimeout = this._permissionService.botCanModerateUser(interaction.guild, targetMember);
+      if (!botCanTimeout || !targetMember.moderatable) {
+        return {
+          success: false,
+          error: 'I cannot time out this user due to role hierarchy restrictions.',
+          type: 'hierarchy_error'
+        };
+      }
+
+      // Get or create user record
+      let user = await this._userRepo.findUserById(interaction.guild.id, targetMember.id);
+      if (!user) {
+        const User = require('../entities/User');
+        user = new User(interaction.guild.id, targetMember.id, targetMember.user.tag);
+      }
+
+      const expiresAt = new Date(Date.now() + durationMs);
+
+      // Perform the timeout
+      await targetMember.timeout(durationMs, reason);
+
+      // Log the moderation action
+      const timeoutAction = user.addModerationAction('timeout', interaction.user.id, reason, new Date(), {
+        ...metadata,
+        guildId: interaction.guild.id,
+        moderatorTag: interaction.user.tag,
+        durationMs: durationMs,
+        expiresAt: expiresAt
+      });
+      const caseNumber = await this._openCase(interaction.guild.id, user, timeoutAction);
+
+      // Save user record
+      await this._userRepo.saveUser(user);
+      await this._logAction(interaction.guild.id, user, timeoutAction);
+
+      // Cache action details for audit log
+      const actionId = `timeout_${Date.now()}_${targetMember.id}`;
+      this._actionCache.set(actionId, {
+        action: 'timeout',
+        target: targetMember.user.tag,
+        moderator: interaction.user.tag,
+        reason: reason,
+        duration: durationMs,
+        timestamp: new Date(),
+        guildId: interaction.guild.id
+      });
+
+      return {
+        success: true,
+        action: 'timeout',
+        user: {
+          id: targetMember.id,
+          tag: targetMember.user.tag
+        },
+        moderator: {
+          id: interaction.user.id,
+          tag: interaction.user.tag
+        },
+        reason: reason,
+        durationMs: durationMs,
+        expiresAt: expiresAt,
+        timestamp: new Date(),
+        actionId: actionId,
+        caseNumber: caseNumber
+      };
+    } catch (error) {
+      throw new Error(`Failed to time out user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove an active timeout from a member
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {GuildMember} targetMember - Member to release from timeout
+   * @param {string} [reason='Timeout removed by moderator'] - Reason for removing the timeout
+   * @returns {Promise<Object>} Operation result with success status and details
+   * @throws {Error} When the timeout cannot be removed
+   * @example
+   * const result = await moderationService.untimeoutUser(interaction, targetMember, 'Apologised');
+   */
+  async untimeoutUser(interaction, targetMember, reason = 'Timeout removed by moderator') {
+    try {
+      const validation = await this._permissionService.validateCommandPermissions(interaction, {
+        discordPermissions: ['ModerateMembers'],
+        moderatorRole: true,
+        checkHierarchy: true
+      });
+
+      if (!validation.allowed) {
+        return {
+          success: false,
+          error: validation.reason,
+          type: 'permission_denied'
+        };
+      }
+
+      if (!targetMember.isCommunicationDisabled()) {
+        return {
+          success: false,
+          error: `User ${targetMember.user.tag} is not currently timed out.`,
+          type: 'not_timed_out'
+        };
+      }
+
+      if (!targetMember.moderatable) {
+        return {
+          success: false,
+          error: 'I cannot remove this user\'s timeout due to role hierarchy restrictions.',
+          type: 'hierarchy_error'
+        };
+      }
+
+      let user = await this._userRepo.findUserById(interaction.guild.id, targetMember.id);
+      if (!user) {
+        const User = require('../entities/User');
+        user = new User(interaction.guild.id, targetMember.id, targetMember.user.tag);
+      }
+
+      await targetMember.timeout(null, reason);
+
+      const untimeoutAction = user.addModerationAction('untimeout', interaction.user.id, reason, new Date(), {
+        guildId: interaction.guild.id,
+        moderatorTag: interaction.user.tag
+      });
+      const caseNumber = await this._openCase(interaction.guild.id, user, untimeoutAction);
+
+      await this._userRepo.saveUser(user);
+      await this._logAction(interaction.guild.id, user, untimeoutAction);
+
+      const actionId = `untimeout_${Date.now()}_${targetMember.id}`;
+      this._actionCache.set(actionId, {
+        action: 'untimeout',
+        target: targetMember.user.tag,
+        moderator: interaction.user.tag,
+        reason: reason,
+        timestamp: new Date(),
+        guildId: interaction.guild.id
+      });
+
+      return {
+        success: true,
+        action: 'untimeout',
+        user: {
+          id: targetMember.id,
+          tag: targetMember.user.tag
+        },
+        moderator: {
+          id: interaction.user.id,
+          tag: interaction.user.tag
+        },
+        reason: reason,
+        timestamp: new Date(),
+        actionId: actionId,
+        caseNumber: caseNumber
+      };
+    } catch (error) {
+      throw new Error(`Failed to remove timeout: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the decision on a ban appeal in the user's moderation history
+   * Accepting an appeal does not unban by itself; call unbanUser first
+   * @param {ButtonInteraction|ModalSubmitInteraction} interaction - Staff interaction deciding the appeal
+   * @param {Object} target - Appealing user ({ id, tag })
+   * @param {string} outcome - Decision (accepted or denied)
+   * @param {string} reason - Reason given by staff
+   * @param {Object} [metadata={}] - Extra metadata such as the appeal ticket ID
+   * @returns {Promise<Object>} Operation result with success status and details
+   * @throws {Error} When the decision cannot be recorded
+   * @example
+   * const result = await moderationService.recordAppealDecision(interaction, { id: '123456789', tag: 'user#0001' },
+   *   'denied', 'Ban evasion on an alt account', { ticketId: '0042' });
+   */
+  async recordAppealDecision(interaction, target, outcome, reason, metadata = {}) {
+    try {
+      if (!['accepted', 'denied'].includes(outcome)) {
+        return {
+          success: false,
+          error: `Invalid appeal outcome: ${outcome}`,
+          type: 'invalid_outcome'
+        };
+      }
+
+      const validation = await this._permissionService.validateCommandPermissions(interaction, {
+        discordPermissions: ['BAN_MEMBERS'],
+        moderatorRole: true
+      });
+
+      if (!validation.allowed) {
+        return {
+          success: false,
+          error: validation.reason,
+          type: 'permission_denied'
+        };
+      }
+
+      let user = await this._userRepo.findUserById(interaction.guild.id, target.id);
+      if (!user) {
+        const User = require('../entities/User');
+        user = new User(interaction.guild.id, target.id, target.tag);
+      }
+
+      const appealAction = user.addModerationAction('appeal', interaction.user.id, reason, new Date(), {
+        guildId: interaction.guild.id,
+        moderatorTag: interaction.user.tag,
+        outcome: outcome,
+        ...metadata
+      });
+      const caseNumber = await this._openCase(interaction.guild.id, user, appealAction);
+
+      await this._userRepo.saveUser(user);
+      await this._logAction(interaction.guild.id, user, appealAction);
+
+      return {
+        success: true,
+        action: 'appeal',
+        outcome: outcome,
+        user: {
+          id: target.id,
+          tag: target.tag
+        },
+        moderator: {
+          id: interaction.user.id,
+          tag: interaction.user.tag
+        },
+        reason: reason,
+        actionId: appealAction.id,
+        caseNumber: caseNumber
+      };
+    } catch (error) {
+      throw new Error(`Failed to record appeal decision: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get user's moderation history and statistics in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {number} [days] - Days to look back (all time if not specified)
+   * @returns {Promise<Object>} User moderation summary with history and statistics
+   * @throws {Error} When retrieval fails
+   * @example
+   * const history = await moderationService.getUserModerationHistory(guild.id, '123456789', 30);
+   * console.log(`User has ${history.totalActions} actions in the last 30 days`);
+   */
+  async getUserModerationHistory(guildId, userId, days = null) {
+    try {
+      const user = await this._userRepo.findUserById(guildId, userId);
       if (!user) {
         return {
           userId: userId,
@@ -1099,7 +2070,7 @@ class ModerationService {
       if (days) {
         const cutoffTime = new Date(Date.now() - (days * 24 * 60 * 60 * 1000));
         relevantHistory = fullHistory.filter(action => new Date(action.timestamp) >= cutoffTime);
-        recentActions = relevantHistory.length;
+        recentActions = relevantHistory.filter(action => !action.metadata || !action.metadata.revoked).length;
       }
 
       return {
@@ -1138,7 +2109,10 @@ class ModerationService {
    */
   async getServerModerationStats(guildId, days = 30) {
     try {
-      const stats = await this._userRepo.getModerationStatistics(days);
+      const stats = await this._userRepo.getModerationStatistics(guildId, days);
+      const activeTempbans = this._scheduler
+        ? await this._scheduler.countPendingJobs(guildId, 'unban')
+        : 0;
       
       // Add cached action information for recent activity
       const recentCachedActions = Array.from(this._actionCache.entries())
@@ -1152,7 +2126,7 @@ class ModerationService {
         ...stats,
         guildId: guildId,
         period: `${days} days`,
-        activeTempbans: this._tempbanTimers.size,
+        activeTempbans: activeTempbans,
         recentCachedActions: recentCachedActions.length,
         cacheSize: this._actionCache.size,
         lastUpdated: new Date()
@@ -1199,87 +2173,698 @@ class ModerationService {
   }
 
   /**
-   * Initialize tempban timers on service startup
+   * Get per-moderator action counts for a guild, busiest moderator first
    * @param {string} guildId - Discord guild ID
-   * @returns {Promise<number>} Number of timers restored
-   * @throws {Error} When timer restoration fails
+   * @param {number} [days=30] - Days to look back
+   * @param {Array<string>} [staffIds=[]] - Staff members listed even when they took no action
+   * @returns {Promise<Object>} Period details and moderator statistics
+   * @throws {Error} When statistics cannot be calculated
    * @example
-   * const restored = await moderationService.restoreTempbanTimers('123456789');
-   * console.log(`Restored ${restored} tempban timers`);
+   * const { moderators } = await moderationService.getModeratorStats(guild.id, 30, moderatorRole.members.map(m => m.id));
+   * const inactive = moderators.filter(moderator => moderator.total === 0);
+   */
+  async getModeratorStats(guildId, days = 30, staffIds = []) {
+    try {
+      const stats = await this._userRepo.getModeratorStatistics(guildId, days);
+
+      for (const staffId of staffIds) {
+        if (!stats[staffId]) {
+          stats[staffId] = {
+            moderatorId: staffId,
+            total: 0,
+            actionsByType: {},
+            pardoned: 0,
+            targets: 0,
+            lastActionAt: null
+          };
+        }
+      }
+
+      const moderators = Object.values(stats)
+        .sort((a, b) => (b.total - a.total) || (b.pardoned - a.pardoned));
+
+      return {
+        guildId,
+        days,
+        period: `${days} days`,
+        moderators,
+        lastUpdated: new Date()
+      };
+    } catch (error) {
+      throw new Error(`Failed to get moderator statistics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up a case and the moderation record it points at
+   * @param {string} guildId - Discord guild ID
+   * @param {number} caseNumber - Case number
+   * @returns {Promise<Object>} Lookup result with case, record and user details
+   * @throws {Error} When lookup fails
+   * @example
+   * const result = await moderationService.getCase(guild.id, 412);
+   * if (result.success) {
+   *   console.log(`Case #412: ${result.case.action} - ${result.record.reason}`);
+   * }
+   */
+  async getCase(guildId, caseNumber) {
+    try {
+      const lookup = await this._loadCase(guildId, caseNumber);
+      if (!lookup.success) {
+        return lookup;
+      }
+
+      return {
+        success: true,
+        case: lookup.moderationCase,
+        record: lookup.record,
+        user: {
+          id: lookup.user.id,
+          tag: lookup.user.tag
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get case: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the reason recorded for a case
+   * For staff note cases the note content is replaced
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {number} caseNumber - Case number
+   * @param {string} reason - New reason
+   * @returns {Promise<Object>} Operation result with previous and new reason
+   * @throws {Error} When update fails
    */
-  async restoreTempbanTimers(guildId) {
+  async updateCaseReason(interaction, caseNumber, reason) {
     try {
-      // Find all users with active tempbans
-      const allUsers = await this._userRepo.findMany({});
-      let timersRestored = 0;
+      const validation = await this._permissionService.validateCommandPermissions(interaction, {
+        moderatorRole: true
+      });
+
+      if (!validation.allowed) {
+        return {
+          success: false,
+          error: validation.reason,
+          type: 'permission_denied'
+        };
+      }
+
+      const lookup = await this._loadCase(interaction.guild.id, caseNumber);
+      if (!lookup.success) {
+        return lookup;
+      }
+
+      const { moderationCase, user, record } = lookup;
+      const isNote = moderationCase.kind === 'note';
+      const trimmedReason = (reason || '').trim();
+      const maxLength = isNote ? 2000 : 500;
+
+      if (trimmedReason.length === 0) {
+        return {
+          success: false,
+          error: 'Reason is required.',
+          type: 'invalid_reason'
+        };
+      }
+
+      if (trimmedReason.length > maxLength) {
+        return {
+          success: false,
+          error: `Reason cannot exceed ${maxLength} characters.`,
+          type: 'invalid_reason'
+        };
+      }
+
+      const previousReason = isNote ? record.content : record.reason;
+
+      if (isNote) {
+        user.editStaffNote(record.id, trimmedReason, interaction.user.id);
+      } else {
+        user.updateModerationReason(record.id, trimmedReason, interaction.user.id);
+      }
+
+      await this._userRepo.saveUser(user);
+
+      return {
+        success: true,
+        case: moderationCase,
+        user: {
+          id: user.id,
+          tag: user.tag
+        },
+        previousReason,
+        reason: trimmedReason
+      };
+    } catch (error) {
+      throw new Error(`Failed to update case reason: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a case and remove its record from the user's history
+   * Only the moderator who created the case or an administrator may delete it;
+   * the case number stays reserved so it is never handed out again
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {number} caseNumber - Case number
+   * @returns {Promise<Object>} Operation result with the deleted case
+   * @throws {Error} When deletion fails
+   */
+  async deleteCase(interaction, caseNumber) {
+    try {
+      const validation = await this._permissionService.validateCommandPermissions(interaction, {
+        moderatorRole: true
+      });
+
+      if (!validation.allowed) {
+        return {
+          success: false,
+          error: validation.reason,
+          type: 'permission_denied'
+        };
+      }
+
+      const lookup = await this._loadCase(interaction.guild.id, caseNumber);
+      if (!lookup.success) {
+        return lookup;
+      }
+
+      const { moderationCase, user, record } = lookup;
+      const isAdministrator = interaction.memberPermissions && interaction.memberPermissions.has('Administrator');
+
+      if (!isAdministrator && moderationCase.moderatorId !== interaction.user.id) {
+        return {
+          success: false,
+          error: 'Only the moderator who created this case or an administrator can delete it.',
+          type: 'permission_denied'
+        };
+      }
+
+      if (moderationCase.kind === 'note') {
+        user.removeStaffNote(record.id);
+      } else {
+        user.removeModerationAction(record.id);
+      }
+
+      await this._userRepo.saveUser(user);
+
+      moderationCase.markDeleted(interaction.user.id);
+      await this._caseRepo.saveCase(moderationCase);
+
+      return {
+        success: true,
+        case: moderationCase,
+        record,
+        user: {
+          id: user.id,
+          tag: user.tag
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to delete case: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pardon a case, revoking its action while keeping it in the audit trail
+   * The action itself is not reversed; it simply stops counting toward
+   * statistics and warning escalation
+   * @param {CommandInteraction} interaction - Discord command interaction
+   * @param {number} caseNumber - Case number
+   * @param {string} [reason='Pardoned by moderator'] - Why the case is pardoned
+   * @returns {Promise<Object>} Operation result with the pardoned case and record
+   * @throws {Error} When the pardon cannot be recorded
+   * @example
+   * const result = await moderationService.pardonCase(interaction, 412, 'Warned the wrong user');
+   */
+  async pardonCase(interaction, caseNumber, reason = 'Pardoned by moderator') {
+    try {
+      const validation = await this._permissionService.validateCommandPermissions(interaction, {
+        moderatorRole: true
+      });
+
+      if (!validation.allowed) {
+        return {
+          success: false,
+          error: validation.reason,
+          type: 'permission_denied'
+        };
+      }
+
+      const lookup = await this._loadCase(interaction.guild.id, caseNumber);
+      if (!lookup.success) {
+        return lookup;
+      }
+
+      const { moderationCase, user, record } = lookup;
+
+      if (moderationCase.kind === 'note') {
+        return {
+          success: false,
+          error: `Case #${caseNumber} is a staff note and cannot be pardoned.`,
+          type: 'invalid_case'
+        };
+      }
+
+      if (record.metadata && record.metadata.revoked) {
+        return {
+          success: false,
+          error: `Case #${caseNumber} has already been pardoned.`,
+          type: 'already_pardoned'
+        };
+      }
+
+      user.revokeModerationAction(record.id, interaction.user.id, reason);
+      await this._userRepo.saveUser(user);
+
+      await this._logAction(interaction.guild.id, user, {
+        action: 'pardon',
+        moderator: interaction.user.id,
+        reason: `Case #${caseNumber} (${moderationCase.action}): ${reason}`,
+        metadata: { moderatorTag: interaction.user.tag, caseNumber: caseNumber }
+      });
+
+      return {
+        success: true,
+        case: moderationCase,
+        record,
+        user: {
+          id: user.id,
+          tag: user.tag
+        },
+        reason
+      };
+    } catch (error) {
+      throw new Error(`Failed to pardon case: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a case number to its case, user and record
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {number} caseNumber - Case number
+   * @returns {Promise<Object>} Lookup with moderationCase, user and record, or a failure result
+   */
+  async _loadCase(guildId, caseNumber) {
+    if (!this._caseRepo) {
+      return {
+        success: false,
+        error: 'Case tracking is not available.',
+        type: 'cases_unavailable'
+      };
+    }
+
+    const moderationCase = await this._caseRepo.findCase(guildId, caseNumber);
+    if (!moderationCase || moderationCase.isDeleted()) {
+      return {
+        success: false,
+        error: `Case #${caseNumber} was not found.`,
+        type: 'case_not_found'
+      };
+    }
+
+    const user = await this._userRepo.findUserById(guildId, moderationCase.userId);
+    let record = null;
+    if (user) {
+      record = moderationCase.kind === 'note'
+        ? user.getStaffNote(moderationCase.recordId)
+        : user.getModerationAction(moderationCase.recordId);
+    }
+
+    if (!record) {
+      return {
+        success: false,
+        error: `The record for case #${caseNumber} no longer exists.`,
+        type: 'record_not_found'
+      };
+    }
+
+    return {
+      success: true,
+      moderationCase,
+      user,
+      record
+    };
+  }
+
+  /**
+   * Queue unban jobs for tempbans recorded before the scheduler existed
+   * Tempbans that already have a pending job, or that were lifted outside the bot, are left untouched
+   * @param {Guild} guild - Discord guild
+   * @returns {Promise<number>} Number of unban jobs queued
+   * @throws {Error} When restoration fails
+   * @example
+   * const queued = await moderationService.restoreTempbanJobs(guild);
+   * console.log(`Queued ${queued} legacy tempban expiries`);
+   */
+  async restoreTempbanJobs(guild) {
+    try {
+      if (!this._scheduler) {
+        return 0;
+      }
+
+      const guildId = guild.id;
+
+      // Without access to the ban list every recorded tempban is queued; the unban job skips lifted bans
+      const bans = await guild.bans.fetch().catch(() => null);
+
+      const pendingJobs = await this._scheduler.getPendingJobs(guildId, 'unban');
+      const scheduledUserIds = new Set(pendingJobs.map(job => job.payload.userId));
+
+      // Find the guild's users with active tempbans
+      const allUsers = await this._userRepo.findMany({ guildId });
+      let jobsQueued = 0;
 
       for (const userData of allUsers) {
         const User = require('../entities/User');
         const user = User.fromDatabase(userData);
+
+        if (scheduledUserIds.has(user.id) || (bans && !bans.has(user.id))) {
+          continue;
+        }
+
         const history = user.getModerationHistory();
-        
-        // Find the most recent tempban that hasn't expired
-        const activeTempban = history
-          .filter(action => 
-            action.action === 'ban' && 
-            action.metadata.guildId === guildId &&
-            !action.metadata.permanent &&
-            action.metadata.expiresAt &&
-            new Date(action.metadata.expiresAt) > new Date()
-          )
-          .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
-
-        if (activeTempban) {
-          const remainingTime = new Date(activeTempban.metadata.expiresAt) - new Date();
-          
-          if (remainingTime > 0) {
-            const timerId = setTimeout(async () => {
-              try {
-                await this._automaticUnban(guildId, user.id, 'Temporary ban expired');
-                this._tempbanTimers.delete(user.id);
-              } catch (error) {
-                console.error(`Failed to automatically unban user ${user.id}:`, error);
-              }
-            }, remainingTime);
-
-            this._tempbanTimers.set(user.id, timerId);
-            timersRestored++;
-          }
+
+        // Find the most recent tempban
+        const latestBanEvent = history.find(action => action.action === 'ban' || action.action === 'unban');
+
+        if (
+          latestBanEvent &&
+          latestBanEvent.action === 'ban' &&
+          !latestBanEvent.metadata.permanent &&
+          latestBanEvent.metadata.expiresAt
+        ) {
+          // Expired-while-offline tempbans are queued as immediately due
+          await this._scheduleExpiry('unban', guildId, user.id, new Date(latestBanEvent.metadata.expiresAt), 'system', 'Temporary ban expired');
+          jobsQueued++;
         }
       }
 
-      return timersRestored;
+      return jobsQueued;
     } catch (error) {
-      throw new Error(`Failed to restore tempban timers: ${error.message}`);
+      throw new Error(`Failed to restore tempban jobs: ${error.message}`);
     }
   }
 
   /**
-   * Perform automatic unban for expired tempbans
+   * Give a freshly recorded action or staff note the next case number of its guild
+   * Must run before the user is saved so the number is persisted with the record;
+   * a failure is logged rather than undoing an action that already happened
    * @private
    * @param {string} guildId - Discord guild ID
-   * @param {string} userId - User ID to unban
-   * @param {string} reason - Unban reason
+   * @param {User} user - User entity holding the record
+   * @param {Object} record - Moderation action or staff note just added
+   * @param {string} [action] - Case action label; derived from the record unless 'note'
+   * @returns {Promise<number|null>} Case number, or null when cases are unavailable
+   */
+  async _openCase(guildId, user, record, action = this._getActionLabel(record)) {
+    if (!this._caseRepo) {
+      return null;
+    }
+
+    try {
+      const isNote = action === 'note';
+      const moderationCase = await this._caseRepo.createCase(guildId, {
+        userId: user.id,
+        action,
+        recordId: record.id,
+        kind: isNote ? 'note' : 'action',
+        moderatorId: record.moderator
+      });
+
+      if (isNote) {
+        user.updateStaffNote(record.id, { metadata: { caseNumber: moderationCase.caseNumber } });
+      } else {
+        record.metadata.caseNumber = moderationCase.caseNumber;
+      }
+
+      return moderationCase.caseNumber;
+    } catch (error) {
+      console.error(`Failed to open case for ${action} on user ${user.id} in guild ${guildId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Retire the case of an action that ended up not happening or of a deleted note
+   * Its number stays reserved, like any deleted case
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {number|null} caseNumber - Case opened for the action
+   * @param {string} [deletedBy='system'] - Who retired the case
    * @returns {Promise<void>}
    */
-  async _automaticUnban(guildId, userId, reason) {
+  async _discardCase(guildId, caseNumber, deletedBy = 'system') {
+    if (!this._caseRepo || !caseNumber) {
+      return;
+    }
+
     try {
-      // This would need access to the Discord client/guild
-      // Implementation depends on how the service is integrated with the main bot
-      console.log(`Automatic unban triggered for user ${userId} in guild ${guildId}: ${reason}`);
-      
-      // Update user record
-      const user = await this._userRepo.findUserById(userId);
-      if (user) {
-        user.addModerationAction('unban', 'system', reason, new Date(), {
-          guildId: guildId,
-          automatic: true
-        });
-        await this._userRepo.saveUser(user);
+      const moderationCase = await this._caseRepo.findCase(guildId, caseNumber);
+      if (moderationCase) {
+        moderationCase.markDeleted(deletedBy);
+        await this._caseRepo.saveCase(moderationCase);
       }
     } catch (error) {
-      console.error('Automatic unban failed:', error);
+      console.error(`Failed to discard case #${caseNumber} in guild ${guildId}:`, error);
+    }
+  }
+
+  /**
+   * Snapshot a user's Discord profile onto their record, for later ban evasion checks
+   * The record still has to be saved by the caller
+   * @param {User} user - User record to update
+   * @param {User} discordUser - Discord user the record belongs to
+   * @param {GuildMember} [member] - Guild member, for their nickname
+   */
+  captureProfile(user, discordUser, member = null) {
+    if (!discordUser || !discordUser.username) {
+      return;
+    }
+
+    user.setProfile({
+      username: discordUser.username,
+      globalName: discordUser.globalName,
+      displayName: member ? member.displayName : null,
+      avatarHash: discordUser.avatar,
+      accountCreatedAt: discordUser.createdTimestamp ? new Date(discordUser.createdTimestamp) : null
+    });
+  }
+
+  /**
+   * Message the target of a recorded action and note on the record whether it arrived
+   * Must run before the user is saved so the delivery status is persisted;
+   * bulk raid and mass ban actions never message their targets
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Target user ID
+   * @param {Object} record - Moderation action just added
+   * @returns {Promise<Object|null>} Delivery result, or null when no message was due
+   */
+  async _notifyMember(guildId, userId, record) {
+    const metadata = record.metadata || {};
+    if (!this._notifications || metadata.raid || metadata.massban) {
+      return null;
+    }
+
+    const result = await this._notifications.notifyMember(guildId, userId, this._getActionLabel(record), {
+      reason: record.reason,
+      durationMs: metadata.durationMs,
+      expiresAt: metadata.expiresAt,
+      caseNumber: metadata.caseNumber
+    });
+
+    if (result) {
+      record.metadata.dmDelivered = result.delivered;
+      if (result.error) {
+        record.metadata.dmError = result.error;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Post a recorded action to the guild's mod log channel
+   * Target, moderator, reason, duration and case number are read from the record
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {User|Object} user - User entity or `{ id, tag }` of the target
+   * @param {Object} record - Recorded moderation action
+   * @returns {Promise<void>}
+   */
+  async _logAction(guildId, user, record) {
+    if (!this._modLog) {
+      return;
+    }
+
+    const metadata = record.metadata || {};
+
+    await this._modLog.logAction(guildId, {
+      action: this._getActionLabel(record),
+      target: { id: user.id, tag: user.tag },
+      moderatorId: record.moderator,
+      moderatorTag: metadata.moderatorTag,
+      reason: record.reason,
+      durationMs: metadata.durationMs,
+      expiresAt: metadata.expiresAt,
+      caseNumber: metadata.caseNumber,
+      automatic: Boolean(metadata.automatic),
+      cleanup: metadata.cleanup,
+      dmDelivered: metadata.dmDelivered,
+      evidence: metadata.evidence
+    });
+  }
+
+  /**
+   * Get the display action for a record; expiring bans are reported as tempbans
+   * and appeal decisions by their outcome
+   * @private
+   * @param {Object} record - Recorded moderation action
+   * @returns {string} Action label
+   */
+  _getActionLabel(record) {
+    if (record.action === 'ban' && record.metadata && record.metadata.permanent === false) {
+      return 'tempban';
+    }
+
+    if (record.action === 'appeal' && record.metadata && record.metadata.outcome) {
+      return `appeal-${record.metadata.outcome}`;
+    }
+
+    return record.action;
+  }
+
+  /**
+   * Schedule the automatic reversal of a timed action
+   * @private
+   * @param {string} type - Job type (unban, unjail)
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Target user ID
+   * @param {Date} runAt - When the action expires
+   * @param {string} createdBy - Moderator who issued the timed action
+   * @param {string} reason - Reason recorded when the action is reversed
+   * @returns {Promise<ScheduledJob|null>} Scheduled job, or null without a scheduler
+   */
+  async _scheduleExpiry(type, guildId, userId, runAt, createdBy, reason) {
+    if (!this._scheduler) {
+      console.warn(`No scheduler configured; ${type} for user ${userId} will not run automatically`);
+      return null;
+    }
+
+    return this._scheduler.scheduleJob(type, runAt, {
+      guildId,
+      key: `${type}:${guildId}:${userId}`,
+      createdBy,
+      payload: { userId, reason }
+    });
+  }
+
+  /**
+   * Cancel the pending automatic reversal of a timed action
+   * @private
+   * @param {string} type - Job type (unban, unjail)
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Target user ID
+   * @param {string} cancelledBy - Moderator lifting the action early
+   * @returns {Promise<number>} Number of jobs cancelled
+   */
+  async _cancelExpiry(type, guildId, userId, cancelledBy) {
+    if (!this._scheduler) {
+      return 0;
+    }
+
+    return this._scheduler.cancelJobsByKey(`${type}:${guildId}:${userId}`, cancelledBy);
+  }
+
+  /**
+   * Perform automatic unban for expired tempbans
+   * Errors are rethrown so the scheduler can retry the job
+   * @private
+   * @param {Client} client - Discord client
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - User ID to unban
+   * @param {string} reason - Unban reason
+   * @returns {Promise<void>}
+   */
+  async _automaticUnban(client, guildId, userId, reason) {
+    const guild = await client.guilds.fetch(guildId);
+
+    const ban = await guild.bans.fetch(userId).catch(() => null);
+    if (!ban) {
+      // Already lifted manually outside the bot
+      console.log(`Skipping automatic unban for user ${userId} in guild ${guildId}: user is not banned`);
+      return;
     }
+
+    await guild.members.unban(userId, reason);
+    console.log(`Automatic unban completed for user ${userId} in guild ${guildId}: ${reason}`);
+
+    // Update user record
+    const user = await this._userRepo.findUserById(guildId, userId);
+    if (user) {
+      const unbanAction = user.addModerationAction('unban', 'system', reason, new Date(), {
+        guildId: guildId,
+        automatic: true
+      });
+      await this._openCase(guildId, user, unbanAction);
+      await this._userRepo.saveUser(user);
+      await this._logAction(guildId, user, unbanAction);
+    } else {
+      await this._logAction(guildId, { id: userId, tag: ban.user.tag }, {
+        action: 'unban',
+        moderator: 'system',
+        reason: reason,
+        metadata: { automatic: true }
+      });
+    }
+  }
+
+  /**
+   * Release a user whose timed jail has expired
+   * Errors are rethrown so the scheduler can retry the job
+   * @private
+   * @param {Client} client - Discord client
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - User ID to release
+   * @param {string} reason - Unjail reason
+   * @returns {Promise<void>}
+   */
+  async _automaticUnjail(client, guildId, userId, reason) {
+    const user = await this._userRepo.findUserById(guildId, userId);
+    if (!user || !user.isJailed()) {
+      // Already released manually
+      return;
+    }
+
+    const guild = await client.guilds.fetch(guildId);
+    const member = await guild.members.fetch(userId).catch(() => null);
+
+    if (member) {
+      const botHighestPosition = guild.members.me.roles.highest.position;
+      const validRoles = user.getOriginalRoles()
+        .map(roleId => guild.roles.cache.get(roleId))
+        .filter(role => role && !role.managed && role.position < botHighestPosition);
+
+      await member.roles.set(validRoles, `Automatic unjail: ${reason}`);
+    } else if (user.hasPersistentRoles()) {
+      // Member left while jailed; restore their pre-jail roles on rejoin instead of the jail role
+      user.storePersistentRoles(user.getOriginalRoles());
+    }
+
+    user.clearOriginalRoles();
+    const unjailAction = user.addModerationAction('unjail', 'system', reason, new Date(), {
+      guildId: guildId,
+      automatic: true,
+      memberPresent: Boolean(member)
+    });
+    await this._openCase(guildId, user, unjailAction);
+    await this._userRepo.saveUser(user);
+    await this._logAction(guildId, user, unjailAction);
+
+    console.log(`Automatic unjail completed for user ${userId} in guild ${guildId}: ${reason}`);
   }
 }
 
@@ -197,6 +197,8 @@ class PermissionService {
    * @param {Array<string>} [requirements.discordPermissions] - Required Discord permissions
    * @param {boolean} [requirements.moderatorRole=false] - Whether moderator role is required
    * @param {boolean} [requirements.checkHierarchy=false] - Whether to check role hierarchy for target
+   * @param {User} [requirements.target] - Target of the hierarchy check; defaults to the `user` or `target` option,
+   * and must be given for interactions without options such as modal submissions
    * @returns {Promise<{allowed: boolean, reason: string|null}>} Validation result
    * @throws {Error} When validation fails
    * @example
@@ -215,7 +217,8 @@ class PermissionService {
       const {
         discordPermissions = [],
         moderatorRole = false,
-        checkHierarchy = false
+        checkHierarchy = false,
+        target = null
       } = requirements;
 
       const member = interaction.guild?.members.cache.get(interaction.user.id);
@@ -251,7 +254,8 @@ class PermissionService {
 
       // Check hierarchy if target user is specified
       if (checkHierarchy) {
-        const targetOption = interaction.options.getUser('user') || interaction.options.getUser('target');
+        const targetOption = target ||
+          (interaction.options ? interaction.options.getUser('user') || interaction.options.getUser('target') : null);
         if (targetOption) {
           const targetMember = interaction.guild.members.cache.get(targetOption.id);
           if (targetMember) {
@@ -259,7 +263,8 @@ class PermissionService {
             if (!canModerate) {
               return {
                 allowed: false,
-                reason: 'You cannot moderate this user due to role hierarchy.'
+                reason: 'You cannot moderate this user due to role hierarchy.',
+                hierarchy: true
               };
             }
 
@@ -267,7 +272,8 @@ class PermissionService {
             if (!botCanModerate) {
               return {
                 allowed: false,
-                reason: 'I cannot moderate this user due to role hierarchy.'
+                reason: 'I cannot moderate this user due to role hierarchy.',
+                hierarchy: true
               };
             }
           }
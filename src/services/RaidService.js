@@ -0,0 +1,333 @@
+const { GuildVerificationLevel } = require('discord.js');
+
+/**
+ * Verification level applied by the verification raid response
+ * @type {number}
+ */
+const RAID_VERIFICATION_LEVEL = GuildVerificationLevel.High;
+
+/**
+ * Service detecting join raids and running the guild's configured lockdown response
+ * Joins are counted per guild in memory; once more than the configured number of
+ * accounts join within the window, a lockdown starts and stays active until a
+ * moderator ends it with /raid end
+ * @class RaidService
+ * @example
+ * const raidService = new RaidService(configRepo, moderationService, modLogService);
+ * client.on('guildMemberAdd', member => raidService.handleMemberJoin(member));
+ */
+class RaidService {
+  /**
+   * Initialize raid service
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   * @param {ModerationService} moderationService - Service running automatic jails and kicks
+   * @param {ModLogService} modLogService - Service posting raid alerts
+   */
+  constructor(configRepository, moderationService, modLogService) {
+    if (!configRepository) {
+      throw new Error('ConfigRepository is required');
+    }
+    if (!moderationService) {
+      throw new Error('ModerationService is required');
+    }
+    if (!modLogService) {
+      throw new Error('ModLogService is required');
+    }
+
+    /**
+     * Configuration repository for server settings
+     * @type {ConfigRepository}
+     * @private
+     */
+    this._configRepo = configRepository;
+
+    /**
+     * Moderation service for automatic actions
+     * @type {ModerationService}
+     * @private
+     */
+    this._moderationService = moderationService;
+
+    /**
+     * Mod log service for raid alerts
+     * @type {ModLogService}
+     * @private
+     */
+    this._modLogService = modLogService;
+
+    /**
+     * Recent joins per guild ID
+     * @type {Map<string, Array<{memberId: string, joinedAt: number}>>}
+     * @private
+     */
+    this._recentJoins = new Map();
+
+    /**
+     * Join counters per guild ID for lockdowns started since the bot came online
+     * Also marks lockdowns that are still being saved, so concurrent joins see them
+     * @type {Map<string, {joined: number, actioned: number, failed: number}>}
+     * @private
+     */
+    this._lockdownStats = new Map();
+
+    /**
+     * Member IDs already handled by the active lockdown, per guild ID
+     * Joins racing the lockdown start are otherwise seen by both code paths
+     * @type {Map<string, Set<string>>}
+     * @private
+     */
+    this._handledJoins = new Map();
+  }
+
+  /**
+   * Count a new member and run the raid response when needed
+   * @param {GuildMember} member - Member who joined
+   * @returns {Promise<Object|null>} Response result, or null when nothing was done
+   */
+  async handleMemberJoin(member) {
+    if (member.user.bot) {
+      return null;
+    }
+
+    const guildId = member.guild.id;
+    const now = Date.now();
+    const joins = this._recentJoins.get(guildId) || [];
+    joins.push({ memberId: member.id, joinedAt: now });
+    this._recentJoins.set(guildId, joins);
+
+    try {
+      const server = await this._configRepo.findServerById(guildId);
+      const settings = server ? server.getAntiRaidSettings() : null;
+      if (!settings || !settings.enabled) {
+        this._recentJoins.delete(guildId);
+        return null;
+      }
+
+      // Trim before any early return so joins during a lockdown cannot pile up
+      const windowStart = now - settings.windowSeconds * 1000;
+      const inWindow = joins.filter(join => join.joinedAt >= windowStart);
+      this._recentJoins.set(guildId, inWindow);
+
+      if (this._lockdownStats.has(guildId) || server.getRaidLockdown()) {
+        const lockdown = server.getRaidLockdown();
+        return await this._respondToJoin(member, settings, lockdown ? lockdown.response : settings.response);
+      }
+
+      if (inWindow.length <= settings.joinThreshold) {
+        return null;
+      }
+
+      return await this._startLockdown(member.guild, server, settings, inWindow);
+    } catch (error) {
+      console.error(`Failed to run raid detection for guild ${guildId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get anti-raid settings and lockdown state for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object>} Status result
+   */
+  async getStatus(guildId) {
+    try {
+      const server = await this._configRepo.findServerById(guildId);
+      if (!server) {
+        return {
+          success: false,
+          error: 'Server configuration not found. Please run setup first.',
+          type: 'not_configured'
+        };
+      }
+
+      const settings = server.getAntiRaidSettings();
+      const windowStart = Date.now() - settings.windowSeconds * 1000;
+      const recentJoins = (this._recentJoins.get(guildId) || [])
+        .filter(join => join.joinedAt >= windowStart).length;
+
+      return {
+        success: true,
+        settings,
+        lockdown: server.getRaidLockdown(),
+        stats: this._lockdownStats.get(guildId) || null,
+        recentJoins
+      };
+    } catch (error) {
+      throw new Error(`Failed to get raid status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lift the active lockdown and restore the verification level it raised
+   * @param {Guild} guild - Discord guild
+   * @param {string} moderatorId - ID of the moderator ending the lockdown
+   * @returns {Promise<Object>} Operation result with the lockdown that ended
+   */
+  async endLockdown(guild, moderatorId) {
+    try {
+      const server = await this._configRepo.findServerById(guild.id);
+      const lockdown = server ? server.endRaidLockdown() : null;
+
+      if (!lockdown) {
+        return {
+          success: false,
+          error: 'There is no active raid lockdown.',
+          type: 'not_active'
+        };
+      }
+
+      await this._configRepo.saveServer(server);
+
+      const stats = this._lockdownStats.get(guild.id) || null;
+      this._lockdownStats.delete(guild.id);
+      this._handledJoins.delete(guild.id);
+      this._recentJoins.delete(guild.id);
+
+      let verificationRestored = false;
+      if (lockdown.previousVerificationLevel !== null) {
+        try {
+          await guild.setVerificationLevel(lockdown.previousVerificationLevel, 'Raid lockdown ended');
+          verificationRestored = true;
+        } catch (error) {
+          console.warn(`Failed to restore verification level in guild ${guild.id}: ${error.message}`);
+        }
+      }
+
+      await this._modLogService.sendAlert(guild.id, {
+        title: '✅ Raid Lockdown Ended',
+        description: `Lockdown lifted by <@${moderatorId}>.` +
+          (stats ? ` ${stats.joined} account(s) joined during the lockdown.` : ''),
+        color: 0x00ff00
+      });
+
+      console.log(`Raid lockdown ended in guild ${guild.id} by ${moderatorId}`);
+
+      return {
+        success: true,
+        lockdown,
+        stats,
+        verificationRestored
+      };
+    } catch (error) {
+      throw new Error(`Failed to end raid lockdown: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start a lockdown, alert moderators and apply the response to the joins that triggered it
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {Server} server - Server configuration
+   * @param {Object} settings - Anti-raid settings
+   * @param {Array<Object>} joins - Joins inside the detection window
+   * @returns {Promise<Object>} Lockdown result
+   */
+  async _startLockdown(guild, server, settings, joins) {
+    this._lockdownStats.set(guild.id, { joined: 0, actioned: 0, failed: 0 });
+
+    let previousVerificationLevel = null;
+    if (settings.response === 'verification' && guild.verificationLevel < RAID_VERIFICATION_LEVEL) {
+      try {
+        previousVerificationLevel = guild.verificationLevel;
+        await guild.setVerificationLevel(RAID_VERIFICATION_LEVEL, 'Raid detected');
+      } catch (error) {
+        previousVerificationLevel = null;
+        console.warn(`Failed to raise verification level in guild ${guild.id}: ${error.message}`);
+      }
+    }
+
+    const lockdown = server.startRaidLockdown({
+      response: settings.response,
+      joinCount: joins.length,
+      previousVerificationLevel
+    });
+    await this._configRepo.saveServer(server);
+
+    console.log(`Raid detected in guild ${guild.id}: ${joins.length} joins within ${settings.windowSeconds}s, response ${settings.response}`);
+
+    await this._modLogService.sendAlert(guild.id, {
+      title: '🚨 Raid Detected',
+      description: `${joins.length} accounts joined within ${settings.windowSeconds} seconds. ` +
+        'The server is now in lockdown until a moderator runs `/raid end`.',
+      fields: [
+        { name: 'Response', value: this.describeResponse(settings), inline: false }
+      ],
+      mentionRoleId: server.getModeratorRole()
+    });
+
+    for (const join of joins) {
+      const member = guild.members.cache.get(join.memberId);
+      if (member) {
+        await this._respondToJoin(member, settings, settings.response);
+      }
+    }
+
+    return { lockdownStarted: true, lockdown };
+  }
+
+  /**
+   * Apply the lockdown response to a member who joined
+   * @private
+   * @param {GuildMember} member - Member who joined
+   * @param {Object} settings - Anti-raid settings
+   * @param {string} response - Response of the active lockdown
+   * @returns {Promise<Object|null>} Action result, or null when the member was left alone
+   */
+  async _respondToJoin(member, settings, response) {
+    const handled = this._handledJoins.get(member.guild.id) || new Set();
+    this._handledJoins.set(member.guild.id, handled);
+    if (handled.has(member.id)) {
+      return null;
+    }
+    handled.add(member.id);
+
+    const stats = this._lockdownStats.get(member.guild.id) || { joined: 0, actioned: 0, failed: 0 };
+    this._lockdownStats.set(member.guild.id, stats);
+    stats.joined++;
+
+    let action = null;
+    if (response === 'jail') {
+      action = 'jail';
+    } else if (response === 'kick') {
+      const accountAgeMs = Date.now() - member.user.createdTimestamp;
+      if (accountAgeMs < settings.accountAgeDays * 24 * 60 * 60 * 1000) {
+        action = 'kick';
+      }
+    }
+
+    if (!action) {
+      return null;
+    }
+
+    const result = await this._moderationService.applyAutomaticAction(member.guild, member.user, action,
+      'Raid protection: joined during a raid lockdown', { metadata: { raid: true } });
+
+    if (result.success) {
+      stats.actioned++;
+    } else {
+      stats.failed++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Describe a raid response for display
+   * @param {Object} settings - Anti-raid settings
+   * @returns {string} Human readable description of the response
+   */
+  describeResponse(settings) {
+    switch (settings.response) {
+      case 'verification':
+        return 'Raise the verification level to High';
+      case 'jail':
+        return 'Jail every new join';
+      case 'kick':
+        return `Kick new joins with accounts younger than ${settings.accountAgeDays} day(s)`;
+      default:
+        return 'Alert moderators only';
+    }
+  }
+}
+
+module.exports = RaidService;
@@ -0,0 +1,95 @@
+const Duration = require('../utils/Duration');
+
+/**
+ * Service expanding moderation reason presets and suggesting them while moderators type
+ * A reason that starts with a preset code is replaced by the preset's full text; anything
+ * typed after the code is kept as extra detail
+ * @class ReasonPresetService
+ * @example
+ * const reasonPresetService = new ReasonPresetService(configRepo);
+ * const { reason } = await reasonPresetService.resolveReason(guild.id, 'spam in #general');
+ * // "Spamming in public channels (in #general)"
+ */
+class ReasonPresetService {
+  /**
+   * Initialize reason preset service
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   */
+  constructor(configRepository) {
+    if (!configRepository) {
+      throw new Error('ConfigRepository is required');
+    }
+
+    /**
+     * Configuration repository for server settings
+     * @type {ConfigRepository}
+     * @private
+     */
+    this._configRepo = configRepository;
+  }
+
+  /**
+   * Expand a reason that starts with a preset code
+   * Input that names no preset comes back unchanged, with no duration or preset
+   * @param {string} guildId - Discord guild ID
+   * @param {string} input - Reason as typed by the moderator
+   * @returns {Promise<Object>} Expanded reason, the preset's default duration and the preset itself
+   */
+  async resolveReason(guildId, input) {
+    const trimmed = (input || '').trim();
+    const [code, ...rest] = trimmed.split(/\s+/);
+    const server = code ? await this._configRepo.findServerById(guildId) : null;
+    const preset = server ? server.getReasonPreset(code) : null;
+
+    if (!preset) {
+      return { reason: trimmed, durationMs: null, preset: null };
+    }
+
+    const detail = rest.join(' ');
+    const reason = detail ? `${preset.text} (${detail})` : preset.text;
+
+    return { reason: reason.slice(0, 500), durationMs: preset.durationMs, preset };
+  }
+
+  /**
+   * Suggest presets whose code or text matches what has been typed
+   * @param {string} guildId - Discord guild ID
+   * @param {string} query - Text typed so far
+   * @returns {Promise<Array<{name: string, value: string}>>} Autocomplete choices (at most 25)
+   */
+  async suggestPresets(guildId, query) {
+    const server = await this._configRepo.findServerById(guildId);
+    if (!server) {
+      return [];
+    }
+
+    const search = (query || '').trim().toLowerCase();
+
+    return server.getReasonPresets()
+      .filter(preset => !search || preset.code.startsWith(search) || preset.text.toLowerCase().includes(search))
+      .slice(0, 25)
+      .map(preset => ({ name: this.describePreset(preset).slice(0, 100), value: preset.code }));
+  }
+
+  /**
+   * Answer an autocomplete interaction for a reason option with matching presets
+   * @param {AutocompleteInteraction} interaction - Discord autocomplete interaction
+   * @returns {Promise<void>}
+   */
+  async respond(interaction) {
+    const choices = await this.suggestPresets(interaction.guild.id, interaction.options.getFocused());
+    await interaction.respond(choices);
+  }
+
+  /**
+   * Describe a preset on one line
+   * @param {Object} preset - Reason preset
+   * @returns {string} Description such as "spam - Spamming [1 day]"
+   */
+  describePreset(preset) {
+    const duration = preset.durationMs ? ` [${Duration.format(preset.durationMs)}]` : '';
+    return `${preset.code} - ${preset.text}${duration}`;
+  }
+}
+
+module.exports = ReasonPresetService;
@@ -0,0 +1,380 @@
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+/**
+ * Embed colour per report status
+ * @type {Object<string, number>}
+ */
+const STATUS_COLORS = {
+  open: 0xff9900,
+  claimed: 0x0099ff,
+  dismissed: 0x808080,
+  actioned: 0x00ff00
+};
+
+/**
+ * Service filing member reports and keeping their staff queue messages up to date
+ * Reports are posted to the report channel, or the mod log channel when none is set.
+ * Queue buttons use custom IDs of the form `report_<step>_<reportNumber>` and are handled by /report
+ * @class ReportService
+ * @example
+ * const reportService = new ReportService(reportRepo, configRepo);
+ * const result = await reportService.fileReport(guild, interaction.user, target, 'Posting scam links');
+ */
+class ReportService {
+  /**
+   * Initialize report service
+   * @param {ReportRepository} reportRepository - Repository storing reports
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   */
+  constructor(reportRepository, configRepository) {
+    if (!reportRepository) {
+      throw new Error('ReportRepository is required');
+    }
+    if (!configRepository) {
+      throw new Error('ConfigRepository is required');
+    }
+
+    /**
+     * Report repository
+     * @type {ReportRepository}
+     * @private
+     */
+    this._reportRepo = reportRepository;
+
+    /**
+     * Configuration repository for the queue channel and moderator role
+     * @type {ConfigRepository}
+     * @private
+     */
+    this._configRepo = configRepository;
+  }
+
+  /**
+   * File a report and post it to the staff queue
+   * The report is only kept when it reached the queue, so staff see every stored report
+   * @param {Guild} guild - Discord guild
+   * @param {User} reporter - Member filing the report
+   * @param {User} target - Reported user
+   * @param {string} reason - What the reporter says is wrong
+   * @param {Message} [message] - Reported message, for reports from the message context menu
+   * @returns {Promise<Object>} `{ success, report }` or `{ success: false, error, type }`
+   * @throws {Error} When the report cannot be stored
+   */
+  async fileReport(guild, reporter, target, reason, message = null) {
+    if (target.id === reporter.id) {
+      return { success: false, error: 'You cannot report yourself.', type: 'invalid_target' };
+    }
+
+    if (target.bot) {
+      return { success: false, error: 'Bots cannot be reported. Please contact a moderator directly.', type: 'invalid_target' };
+    }
+
+    const pending = await this._reportRepo.findPendingReportsByTarget(guild.id, target.id);
+    const duplicate = pending.find(report => report.reporterId === reporter.id &&
+      (!message || (report.message && report.message.messageId === message.id)));
+    if (duplicate) {
+      return {
+        success: false,
+        error: `You already reported this ${message ? 'message' : 'user'} (report #${duplicate.reportNumber}); the moderators are looking into it.`,
+        type: 'duplicate'
+      };
+    }
+
+    const server = await this._configRepo.findServerById(guild.id);
+    const channel = await this._getQueueChannel(guild, server);
+    if (!channel) {
+      return {
+        success: false,
+        error: 'Reports are not set up on this server. Please contact a moderator directly.',
+        type: 'not_configured'
+      };
+    }
+
+    const report = await this._reportRepo.createReport(guild.id, {
+      reporterId: reporter.id,
+      reporterTag: reporter.tag,
+      targetId: target.id,
+      targetTag: target.tag,
+      reason,
+      message: message ? {
+        channelId: message.channelId,
+        messageId: message.id,
+        url: message.url,
+        content: message.content || '',
+        attachments: [...message.attachments.values()].map(attachment => attachment.name)
+      } : null
+    });
+
+    try {
+      const mentionRoleId = server.getModeratorRole();
+      const posted = await channel.send({
+        content: mentionRoleId ? `<@&${mentionRoleId}>` : undefined,
+        ...(await this._buildQueueMessage(report, pending.length)),
+        allowedMentions: { roles: mentionRoleId ? [mentionRoleId] : [] }
+      });
+
+      report.queueChannelId = channel.id;
+      report.queueMessageId = posted.id;
+      await this._reportRepo.saveReport(report);
+    } catch (error) {
+      console.warn(`Failed to post report #${report.reportNumber} to queue of guild ${guild.id}: ${error.message}`);
+      await this._reportRepo.deleteReport(report);
+      return {
+        success: false,
+        error: 'Your report could not be delivered to the moderators. Please try again later.',
+        type: 'delivery_failed'
+      };
+    }
+
+    console.log(`Report #${report.reportNumber} against ${target.tag} (${target.id}) filed by ${reporter.tag} (${reporter.id}) in guild ${guild.id}`);
+
+    return { success: true, report };
+  }
+
+  /**
+   * Get a report by number
+   * @param {string} guildId - Discord guild ID
+   * @param {number} reportNumber - Report number
+   * @returns {Promise<Report|null>} Report or null if not found
+   */
+  async getReport(guildId, reportNumber) {
+    return this._reportRepo.findReport(guildId, reportNumber);
+  }
+
+  /**
+   * Assign a report to a moderator
+   * @param {Guild} guild - Discord guild
+   * @param {number} reportNumber - Report number
+   * @param {string} moderatorId - Moderator claiming the report
+   * @returns {Promise<Object>} `{ success, report }` or `{ success: false, error, type }`
+   */
+  async claimReport(guild, reportNumber, moderatorId) {
+    return this._updateReport(guild, reportNumber, report => {
+      if (report.status === 'claimed') {
+        return report.claimedBy === moderatorId
+          ? 'You have already claimed this report.'
+          : `This report is already claimed by <@${report.claimedBy}>.`;
+      }
+
+      report.claim(moderatorId);
+      return null;
+    });
+  }
+
+  /**
+   * Close a report without action; dismissed reports count against the reporter
+   * @param {Guild} guild - Discord guild
+   * @param {number} reportNumber - Report number
+   * @param {string} moderatorId - Moderator dismissing the report
+   * @param {string} [note] - Why the report was dismissed
+   * @returns {Promise<Object>} `{ success, report }` or `{ success: false, error, type }`
+   */
+  async dismissReport(guild, reportNumber, moderatorId, note = null) {
+    return this._updateReport(guild, reportNumber, report => {
+      report.dismiss(moderatorId, note);
+      return null;
+    });
+  }
+
+  /**
+   * Close a report after acting on the reported user
+   * @param {Guild} guild - Discord guild
+   * @param {number} reportNumber - Report number
+   * @param {string} moderatorId - Moderator who took action
+   * @param {string} action - Action taken (warn, jail, ban)
+   * @param {number} [caseNumber] - Case opened by the action
+   * @returns {Promise<Object>} `{ success, report }` or `{ success: false, error, type }`
+   */
+  async resolveReport(guild, reportNumber, moderatorId, action, caseNumber = null) {
+    return this._updateReport(guild, reportNumber, report => {
+      report.markActioned(moderatorId, action, caseNumber);
+      return null;
+    });
+  }
+
+  /**
+   * Count a member's reports by outcome, to spot members filing false reports
+   * @param {string} guildId - Discord guild ID
+   * @param {string} reporterId - Discord user ID of the reporter
+   * @returns {Promise<{total: number, pending: number, dismissed: number, actioned: number}>} Report counts
+   */
+  async getReporterStats(guildId, reporterId) {
+    const reports = await this._reportRepo.findReportsByReporter(guildId, reporterId);
+
+    return {
+      total: reports.length,
+      pending: reports.filter(report => report.isPending()).length,
+      dismissed: reports.filter(report => report.status === 'dismissed').length,
+      actioned: reports.filter(report => report.status === 'actioned').length
+    };
+  }
+
+  /**
+   * Load a pending report, apply a change and refresh its queue message
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {number} reportNumber - Report number
+   * @param {Function} change - Mutates the report; returns an error message to refuse the change
+   * @returns {Promise<Object>} `{ success, report }` or `{ success: false, error, type }`
+   */
+  async _updateReport(guild, reportNumber, change) {
+    const report = await this._reportRepo.findReport(guild.id, reportNumber);
+    if (!report) {
+      return { success: false, error: `Report #${reportNumber} not found.`, type: 'not_found' };
+    }
+
+    if (!report.isPending()) {
+      return { success: false, error: `Report #${reportNumber} has already been ${report.status}.`, type: 'already_resolved' };
+    }
+
+    const refusal = change(report);
+    if (refusal) {
+      return { success: false, error: refusal, type: 'refused' };
+    }
+
+    await this._reportRepo.saveReport(report);
+    await this._refreshQueueMessage(guild, report);
+
+    return { success: true, report };
+  }
+
+  /**
+   * Redraw a report's queue message after its status changed
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {Report} report - Updated report
+   * @returns {Promise<void>}
+   */
+  async _refreshQueueMessage(guild, report) {
+    if (!report.queueChannelId || !report.queueMessageId) {
+      return;
+    }
+
+    try {
+      const channel = await guild.channels.fetch(report.queueChannelId).catch(() => null);
+      const message = channel ? await channel.messages.fetch(report.queueMessageId).catch(() => null) : null;
+      if (!message) {
+        return;
+      }
+
+      const pending = await this._reportRepo.findPendingReportsByTarget(guild.id, report.targetId);
+      await message.edit(await this._buildQueueMessage(report, pending.filter(other => other.id !== report.id).length));
+    } catch (error) {
+      console.warn(`Failed to update queue message of report #${report.reportNumber} in guild ${guild.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the queue message for a report
+   * @private
+   * @param {Report} report - Report to show
+   * @param {number} otherPending - Other pending reports against the same user
+   * @returns {Promise<Object>} Message options with the embed and, while pending, the queue buttons
+   */
+  async _buildQueueMessage(report, otherPending) {
+    const reporterStats = await this.getReporterStats(report.guildId, report.reporterId);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`🚩 Report #${report.reportNumber}`)
+      .setDescription(report.reason.slice(0, 4096))
+      .setColor(STATUS_COLORS[report.status])
+      .addFields(
+        { name: 'Reported User', value: `<@${report.targetId}> (${report.targetTag || 'Unknown User'})`, inline: true },
+        { name: 'Reported By', value: `<@${report.reporterId}> (${report.reporterTag || 'Unknown User'})`, inline: true },
+        { name: 'Status', value: this._describeStatus(report), inline: true }
+      )
+      .setFooter({ text: `Reported user ID: ${report.targetId}` })
+      .setTimestamp(report.createdAt);
+
+    if (report.message) {
+      const quoted = report.message.content
+        ? report.message.content.slice(0, 900).split('\n').map(line => `> ${line}`).join('\n')
+        : '*No text content*';
+      embed.addFields({
+        name: 'Message',
+        value: `[Jump to message](${report.message.url}) in <#${report.message.channelId}>\n${quoted}`,
+        inline: false
+      });
+
+      if (report.message.attachments.length > 0) {
+        embed.addFields({ name: 'Attachments', value: report.message.attachments.join(', ').slice(0, 1024), inline: false });
+      }
+    }
+
+    // Earlier reports by the same member show staff how reliable the reporter has been
+    embed.addFields({
+      name: 'Reporter History',
+      value: `${reporterStats.total} report(s): ${reporterStats.actioned} actioned, ${reporterStats.dismissed} dismissed, ${reporterStats.pending} pending`,
+      inline: true
+    });
+
+    if (otherPending > 0) {
+      embed.addFields({ name: 'Other Open Reports', value: `${otherPending} against this user`, inline: true });
+    }
+
+    if (!report.isPending()) {
+      return { embeds: [embed], components: [] };
+    }
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`report_claim_${report.reportNumber}`)
+        .setLabel(report.status === 'claimed' ? 'Claimed' : 'Claim')
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(report.status === 'claimed'),
+      new ButtonBuilder()
+        .setCustomId(`report_dismiss_${report.reportNumber}`)
+        .setLabel('Dismiss')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`report_action_${report.reportNumber}`)
+        .setLabel('Take Action')
+        .setStyle(ButtonStyle.Danger)
+    );
+
+    return { embeds: [embed], components: [buttons] };
+  }
+
+  /**
+   * Describe a report's status for its queue message
+   * @private
+   * @param {Report} report - Report to describe
+   * @returns {string} Status line
+   */
+  _describeStatus(report) {
+    switch (report.status) {
+      case 'claimed':
+        return `Claimed by <@${report.claimedBy}>`;
+      case 'dismissed':
+        return `Dismissed by <@${report.resolvedBy}>${report.resolution ? `: ${report.resolution.slice(0, 900)}` : ''}`;
+      case 'actioned':
+        return `Actioned by <@${report.resolvedBy}> (${report.resolution}${report.caseNumber ? `, case #${report.caseNumber}` : ''})`;
+      default:
+        return 'Open';
+    }
+  }
+
+  /**
+   * Resolve the channel reports are queued in
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {Server|null} server - Server configuration
+   * @returns {Promise<TextChannel|null>} Report channel, else the mod log channel, or null when neither is usable
+   */
+  async _getQueueChannel(guild, server) {
+    const channelId = server ? server.getReportChannel() || server.getModLogChannel() : null;
+    if (!channelId) {
+      return null;
+    }
+
+    const channel = guild.channels.cache.get(channelId) || await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+      console.warn(`Report channel ${channelId} for guild ${guild.id} is missing or not text based`);
+      return null;
+    }
+
+    return channel;
+  }
+}
+
+module.exports = ReportService;
@@ -112,10 +112,10 @@ class RoleService {
       }
 
       // Get or create user record
-      let user = await this._userRepo.findUserById(member.id);
+      let user = await this._userRepo.findUserById(member.guild.id, member.id);
       if (!user) {
         const User = require('../entities/User');
-        user = new User(member.id, member.user.tag);
+        user = new User(member.guild.id, member.id, member.user.tag);
       }
 
       // Check if role is already persistent
@@ -181,7 +181,7 @@ class RoleService {
   async removePersistentRole(member, roleId, removeFromMember = false, reason = 'Persistent role removed') {
     try {
       // Get user record
-      const user = await this._userRepo.findUserById(member.id);
+      const user = await this._userRepo.findUserById(member.guild.id, member.id);
       if (!user) {
         return {
           success: false,
@@ -251,7 +251,7 @@ class RoleService {
   async restorePersistentRoles(member) {
     try {
       // Get user record
-      const user = await this._userRepo.findUserById(member.id);
+      const user = await this._userRepo.findUserById(member.guild.id, member.id);
       if (!user || !user.hasPersistentRoles()) {
         return {
           success: true,
@@ -374,10 +374,10 @@ class RoleService {
       }
 
       // Get or create user record
-      let user = await this._userRepo.findUserById(userId);
+      let user = await this._userRepo.findUserById(guildId, userId);
       if (!user) {
         const User = require('../entities/User');
-        user = new User(userId, 'Unknown User'); // Tag will be updated when they return
+        user = new User(guildId, userId, 'Unknown User'); // Tag will be updated when they return
       }
 
       // Add roles to persistent storage (avoiding duplicates)
@@ -767,7 +767,7 @@ class RoleService {
    */
   async getPersistentRoleStats(guildId) {
     try {
-      const usersWithPersistentRoles = await this._userRepo.findUsersWithPersistentRoles();
+      const usersWithPersistentRoles = await this._userRepo.findUsersWithPersistentRoles(guildId);
       
       const stats = {
         guildId: guildId,
@@ -0,0 +1,373 @@
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Service for running deferred actions from a persisted job queue
+ * Jobs survive restarts and are executed by a polling worker with retry support
+ * @class SchedulerService
+ * @example
+ * const scheduler = new SchedulerService(jobRepo);
+ * scheduler.registerHandler('unban', async (job, client) => { ... });
+ * await scheduler.scheduleJob('unban', expiresAt, { guildId, payload: { userId } });
+ * scheduler.start(client);
+ */
+class SchedulerService {
+  /**
+   * Initialize scheduler service
+   * @param {JobRepository} jobRepository - Scheduled job repository
+   * @param {Object} [options={}] - Worker options
+   * @param {string} [options.cronExpression] - How often the worker polls for due jobs (defaults to every 30 seconds)
+   * @param {number} [options.batchSize=25] - Maximum jobs processed per poll
+   */
+  constructor(jobRepository, options = {}) {
+    if (!jobRepository) {
+      throw new Error('JobRepository is required');
+    }
+
+    /**
+     * Job repository for queue persistence
+     * @type {JobRepository}
+     * @private
+     */
+    this._jobRepo = jobRepository;
+
+    /**
+     * Registered job handlers by job type
+     * @type {Map<string, Function>}
+     * @private
+     */
+    this._handlers = new Map();
+
+    /**
+     * Cron expression driving the polling worker
+     * @type {string}
+     * @private
+     */
+    this._cronExpression = options.cronExpression || '*/30 * * * * *';
+
+    /**
+     * Maximum jobs processed per poll
+     * @type {number}
+     * @private
+     */
+    this._batchSize = options.batchSize || 25;
+
+    /**
+     * Active cron task
+     * @type {Object|null}
+     * @private
+     */
+    this._task = null;
+
+    /**
+     * Discord client passed to job handlers
+     * @type {Client|null}
+     * @private
+     */
+    this._client = null;
+
+    /**
+     * Whether a poll is currently in progress (prevents overlapping runs)
+     * @type {boolean}
+     * @private
+     */
+    this._processing = false;
+  }
+
+  /**
+   * Register handler for a job type
+   * Handlers receive the job and the Discord client, and should throw to request a retry
+   * @param {string} type - Job type
+   * @param {Function} handler - Async handler `(job, client) => Promise<void>`
+   * @throws {Error} When type or handler is invalid
+   * @example
+   * scheduler.registerHandler('unban', async (job, client) => {
+   *   const guild = await client.guilds.fetch(job.guildId);
+   *   await guild.members.unban(job.payload.userId, 'Temporary ban expired');
+   * });
+   */
+  registerHandler(type, handler) {
+    if (!type || typeof type !== 'string') {
+      throw new Error('Job type must be a non-empty string');
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error('Job handler must be a function');
+    }
+
+    this._handlers.set(type, handler);
+  }
+
+  /**
+   * Persist a new job to the queue
+   * When a key is supplied, any pending job with the same key is cancelled first
+   * @param {string} type - Job type
+   * @param {Date} runAt - When the job becomes due
+   * @param {Object} [options={}] - Job options
+   * @param {string} [options.guildId] - Discord guild ID
+   * @param {Object} [options.payload={}] - Handler payload
+   * @param {string} [options.key] - Deduplication key
+   * @param {string} [options.createdBy] - User ID scheduling the job
+   * @param {number} [options.maxAttempts=5] - Attempts before the job is marked failed
+   * @returns {Promise<ScheduledJob>} Scheduled job
+   * @throws {Error} When scheduling fails
+   * @example
+   * const job = await scheduler.scheduleJob('unban', expiresAt, {
+   *   guildId: guild.id,
+   *   payload: { userId: target.id },
+   *   key: `unban:${guild.id}:${target.id}`
+   * });
+   */
+  async scheduleJob(type, runAt, options = {}) {
+    try {
+      if (!this._handlers.has(type)) {
+        throw new Error(`No handler registered for job type: ${type}`);
+      }
+
+      if (options.key) {
+        await this.cancelJobsByKey(options.key, options.createdBy || 'system');
+      }
+
+      const ScheduledJob = require('../entities/ScheduledJob');
+      const job = new ScheduledJob(uuidv4(), type, runAt, {
+        guildId: options.guildId,
+        payload: options.payload,
+        key: options.key,
+        createdBy: options.createdBy,
+        maxAttempts: options.maxAttempts
+      });
+
+      await this._jobRepo.saveJob(job);
+
+      return job;
+    } catch (error) {
+      throw new Error(`Failed to schedule job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a pending job by ID
+   * @param {string} jobId - Job identifier
+   * @param {string} [cancelledBy] - User ID cancelling the job
+   * @param {string} [guildId] - Restrict cancellation to jobs of this guild
+   * @returns {Promise<Object>} Cancellation result with success status
+   * @throws {Error} When cancellation fails
+   */
+  async cancelJob(jobId, cancelledBy = null, guildId = null) {
+    try {
+      const job = await this._jobRepo.findJobById(jobId);
+      if (!job || (guildId && job.guildId !== guildId)) {
+        return {
+          success: false,
+          error: 'Job not found.',
+          type: 'job_not_found'
+        };
+      }
+
+      if (!job.isPending()) {
+        return {
+          success: false,
+          error: `Job is already ${job.getStatus()}.`,
+          type: 'job_not_pending'
+        };
+      }
+
+      job.cancel(cancelledBy);
+      await this._jobRepo.saveJob(job);
+
+      return {
+        success: true,
+        job: job.getSummary()
+      };
+    } catch (error) {
+      throw new Error(`Failed to cancel job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel all pending jobs sharing a deduplication key
+   * @param {string} key - Deduplication key
+   * @param {string} [cancelledBy] - User ID cancelling the jobs
+   * @returns {Promise<number>} Number of jobs cancelled
+   * @throws {Error} When cancellation fails
+   */
+  async cancelJobsByKey(key, cancelledBy = null) {
+    try {
+      const jobs = await this._jobRepo.findPendingJobsByKey(key);
+
+      for (const job of jobs) {
+        job.cancel(cancelledBy);
+        await this._jobRepo.saveJob(job);
+      }
+
+      return jobs.length;
+    } catch (error) {
+      throw new Error(`Failed to cancel jobs by key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get pending jobs for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} [type=null] - Filter by job type
+   * @param {number|null} [limit=null] - Maximum number of jobs to return
+   * @returns {Promise<Array<ScheduledJob>>} Pending jobs ordered by run time
+   * @throws {Error} When retrieval fails
+   */
+  async getPendingJobs(guildId, type = null, limit = null) {
+    try {
+      return await this._jobRepo.findPendingJobs(guildId, type, limit);
+    } catch (error) {
+      throw new Error(`Failed to get pending jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get recently failed jobs for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {number} [limit=10] - Maximum number of jobs to return
+   * @returns {Promise<Array<ScheduledJob>>} Failed jobs, most recent first
+   * @throws {Error} When retrieval fails
+   */
+  async getFailedJobs(guildId, limit = 10) {
+    try {
+      return await this._jobRepo.findFailedJobs(guildId, limit);
+    } catch (error) {
+      throw new Error(`Failed to get failed jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count pending jobs for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} [type=null] - Filter by job type
+   * @returns {Promise<number>} Number of pending jobs
+   * @throws {Error} When count fails
+   */
+  async countPendingJobs(guildId, type = null) {
+    try {
+      const query = { status: 'pending', guildId };
+      if (type) {
+        query.type = type;
+      }
+      return await this._jobRepo.count(query);
+    } catch (error) {
+      throw new Error(`Failed to count pending jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start the polling worker
+   * Jobs interrupted by a previous shutdown are returned to the queue first
+   * @param {Client} client - Discord client passed to job handlers
+   * @returns {Promise<void>}
+   */
+  async start(client) {
+    if (this._task) {
+      return;
+    }
+
+    this._client = client;
+
+    const interruptedJobs = await this._jobRepo.findRunningJobs();
+    for (const job of interruptedJobs) {
+      job.requeue();
+      await this._jobRepo.saveJob(job);
+    }
+
+    if (interruptedJobs.length > 0) {
+      console.log(`Requeued ${interruptedJobs.length} interrupted scheduled job(s)`);
+    }
+
+    this._task = cron.schedule(this._cronExpression, () => {
+      this.processDueJobs().catch(error => {
+        console.error('Scheduled job processing failed:', error);
+      });
+    });
+
+    // Catch up on anything that became due while the bot was offline
+    await this.processDueJobs();
+
+    console.log(`Scheduler started (${this._cronExpression})`);
+  }
+
+  /**
+   * Stop the polling worker
+   */
+  stop() {
+    if (this._task) {
+      this._task.stop();
+      this._task = null;
+    }
+  }
+
+  /**
+   * Execute all jobs that are currently due
+   * @returns {Promise<number>} Number of jobs executed
+   */
+  async processDueJobs() {
+    if (this._processing || !this._client) {
+      return 0;
+    }
+
+    this._processing = true;
+    let processed = 0;
+
+    try {
+      const dueJobs = await this._jobRepo.findDueJobs(new Date(), this._batchSize);
+
+      for (const job of dueJobs) {
+        await this._runJob(job);
+        processed++;
+      }
+    } finally {
+      this._processing = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Execute a single job and persist its outcome
+   * @private
+   * @param {ScheduledJob} job - Job to execute
+   * @returns {Promise<void>}
+   */
+  async _runJob(job) {
+    const handler = this._handlers.get(job.type);
+
+    job.markRunning();
+    await this._jobRepo.saveJob(job);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+
+      await handler(job, this._client);
+      job.markCompleted();
+    } catch (error) {
+      const willRetry = job.markFailed(error.message, this._getRetryDelay(job.getAttempts()));
+
+      if (willRetry) {
+        console.warn(`Scheduled job ${job.id} (${job.type}) failed, retrying at ${job.runAt.toISOString()}: ${error.message}`);
+      } else {
+        console.error(`Scheduled job ${job.id} (${job.type}) failed permanently after ${job.getAttempts()} attempt(s): ${error.message}`);
+      }
+    }
+
+    await this._jobRepo.saveJob(job);
+  }
+
+  /**
+   * Calculate exponential backoff delay for a retry
+   * @private
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds (1 minute doubling, capped at 1 hour)
+   */
+  _getRetryDelay(attempts) {
+    return Math.min(60 * 1000 * Math.pow(2, attempts - 1), 60 * 60 * 1000);
+  }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,282 @@
+/**
+ * How long a member is left alone after being caught, so one burst is handled once
+ * @type {number}
+ */
+const SPAM_COOLDOWN_MS = 30 * 1000;
+
+/**
+ * Messages handled between sweeps of idle activity entries
+ * @type {number}
+ */
+const SWEEP_INTERVAL = 200;
+
+/**
+ * Service detecting message floods and the same message pasted repeatedly, across channels
+ * Activity is tracked per guild member in memory. When a member is caught, their recent
+ * messages are removed, the configured timeout or jail is applied and a single entry
+ * describing both is posted to the mod log
+ * @class SpamService
+ * @example
+ * const spamService = new SpamService(configRepo, moderationService, messageCleanupService, modLogService);
+ * client.on('messageCreate', message => spamService.handleMessage(message));
+ */
+class SpamService {
+  /**
+   * Initialize spam service
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   * @param {ModerationService} moderationService - Service applying automatic timeouts and jails
+   * @param {MessageCleanupService} messageCleanupService - Service deleting the spammer's messages
+   * @param {ModLogService} modLogService - Service posting spam alerts
+   */
+  constructor(configRepository, moderationService, messageCleanupService, modLogService) {
+    if (!configRepository) {
+      throw new Error('ConfigRepository is required');
+    }
+    if (!moderationService) {
+      throw new Error('ModerationService is required');
+    }
+    if (!messageCleanupService) {
+      throw new Error('MessageCleanupService is required');
+    }
+    if (!modLogService) {
+      throw new Error('ModLogService is required');
+    }
+
+    /**
+     * Configuration repository for server settings
+     * @type {ConfigRepository}
+     * @private
+     */
+    this._configRepo = configRepository;
+
+    /**
+     * Moderation service for automatic actions
+     * @type {ModerationService}
+     * @private
+     */
+    this._moderationService = moderationService;
+
+    /**
+     * Message cleanup service for removing spam
+     * @type {MessageCleanupService}
+     * @private
+     */
+    this._cleanupService = messageCleanupService;
+
+    /**
+     * Mod log service for spam alerts
+     * @type {ModLogService}
+     * @private
+     */
+    this._modLogService = modLogService;
+
+    /**
+     * Recent messages per guild member, keyed by "guildId:userId"
+     * @type {Map<string, Array<{channelId: string, contentKey: string|null, timestamp: number}>>}
+     * @private
+     */
+    this._activity = new Map();
+
+    /**
+     * When each recently caught member may be checked again, keyed by "guildId:userId"
+     * @type {Map<string, number>}
+     * @private
+     */
+    this._cooldowns = new Map();
+
+    /**
+     * Messages handled since idle entries were last swept
+     * @type {number}
+     * @private
+     */
+    this._handledSinceSweep = 0;
+  }
+
+  /**
+   * Track a guild message and act when it completes a flood or duplicate burst
+   * @param {Message} message - Message that was sent
+   * @returns {Promise<Object|null>} Spam result, or null when the message is fine
+   */
+  async handleMessage(message) {
+    if (!message.guild || message.author.bot || !message.member) {
+      return null;
+    }
+
+    try {
+      const server = await this._configRepo.findServerById(message.guild.id);
+      if (!server) {
+        return null;
+      }
+
+      const settings = server.getAntiSpamSettings();
+      if (!settings.enabled || this._isModerator(message.member, server)) {
+        return null;
+      }
+
+      const key = `${message.guild.id}:${message.author.id}`;
+      const now = Date.now();
+      this._sweep(now, settings);
+
+      if ((this._cooldowns.get(key) || 0) > now) {
+        // Messages sent while the burst is being handled go the same way
+        if (settings.deleteMessages) {
+          await message.delete().catch(() => {});
+        }
+        return null;
+      }
+
+      const oldestKept = now - Math.max(settings.messageWindowSeconds, settings.duplicateWindowSeconds) * 1000;
+      const activity = (this._activity.get(key) || []).filter(entry => entry.timestamp >= oldestKept);
+      const contentKey = this._getContentKey(message);
+      activity.push({ channelId: message.channel.id, contentKey, timestamp: now });
+      this._activity.set(key, activity);
+
+      const floodStart = now - settings.messageWindowSeconds * 1000;
+      const recent = activity.filter(entry => entry.timestamp >= floodStart);
+      if (recent.length > settings.messageLimit) {
+        return await this._handleSpam(message, key, settings, recent,
+          `Spam: ${recent.length} messages within ${settings.messageWindowSeconds} second(s)`);
+      }
+
+      if (contentKey) {
+        const duplicateStart = now - settings.duplicateWindowSeconds * 1000;
+        const copies = activity.filter(entry => entry.contentKey === contentKey && entry.timestamp >= duplicateStart);
+        if (copies.length > settings.duplicateLimit) {
+          const channelCount = new Set(copies.map(entry => entry.channelId)).size;
+          return await this._handleSpam(message, key, settings, copies,
+            `Spam: same message posted ${copies.length} times in ${channelCount} channel(s)`);
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error(`Failed to run spam detection on message ${message.id} in guild ${message.guild.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Clean up after a spammer, apply the configured action and post one mod log entry
+   * @private
+   * @param {Message} message - Message that completed the burst
+   * @param {string} key - Activity key of the member
+   * @param {Object} settings - Anti-spam settings
+   * @param {Array<Object>} entries - Tracked messages that make up the burst
+   * @param {string} reason - Description of what was detected
+   * @returns {Promise<Object>} Spam result
+   */
+  async _handleSpam(message, key, settings, entries, reason) {
+    const { guild, author } = message;
+    this._cooldowns.set(key, Date.now() + SPAM_COOLDOWN_MS);
+    this._activity.delete(key);
+
+    const channelIds = [...new Set(entries.map(entry => entry.channelId))];
+    let cleanup = null;
+    if (settings.deleteMessages) {
+      cleanup = await this._cleanupService.purgeUserMessages(guild, author.id, channelIds, {
+        since: entries[0].timestamp - 1000
+      });
+    }
+
+    const cleanupSummary = cleanup ? { deletedCount: cleanup.deletedCount, channelIds: cleanup.channelIds } : undefined;
+    let result = null;
+
+    if (settings.action !== 'none') {
+      result = await this._moderationService.applyAutomaticAction(guild, author, settings.action, reason, {
+        durationMs: settings.durationMs,
+        metadata: {
+          spam: { messageCount: entries.length, channelIds, sample: (message.content || '').slice(0, 500) },
+          cleanup: cleanupSummary
+        }
+      });
+    }
+
+    // The action's own case entry carries the cleanup; otherwise describe everything here
+    if (!result || !result.success) {
+      const fields = [
+        { name: 'Detected', value: reason, inline: false },
+        { name: 'Sample', value: (message.content || '*No text*').slice(0, 1024), inline: false }
+      ];
+
+      if (cleanup) {
+        fields.push({ name: 'Messages Deleted', value: `${cleanup.deletedCount} across ${cleanup.channelIds.length} channel(s)`, inline: true });
+      }
+
+      if (result && !result.success) {
+        fields.push({ name: `${settings.action} failed`, value: result.error.slice(0, 1024), inline: false });
+      }
+
+      await this._modLogService.sendAlert(guild.id, {
+        title: '🚫 Spam Detected',
+        description: `<@${author.id}> (${author.tag}) in <#${message.channel.id}>`,
+        color: 0xe67e22,
+        fields
+      });
+    }
+
+    console.log(`Spam detected from ${author.id} in guild ${guild.id}: ${reason}` +
+      (cleanup ? `, ${cleanup.deletedCount} message(s) deleted` : ''));
+
+    return { reason, action: settings.action, cleanup, result };
+  }
+
+  /**
+   * Normalize message content so trivially varied copies still match
+   * @private
+   * @param {Message} message - Message to key
+   * @returns {string|null} Content key, or null for messages with nothing to compare
+   */
+  _getContentKey(message) {
+    const text = (message.content || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    if (text.length > 0) {
+      return text;
+    }
+
+    const attachments = [...message.attachments.values()].map(attachment => attachment.name).sort();
+    return attachments.length > 0 ? `attachments:${attachments.join('|')}` : null;
+  }
+
+  /**
+   * Check whether a member is staff and therefore never treated as a spammer
+   * @private
+   * @param {GuildMember} member - Message author
+   * @param {Server} server - Server configuration
+   * @returns {boolean} Whether the member is a moderator
+   */
+  _isModerator(member, server) {
+    const moderatorRoleId = server.getModeratorRole();
+
+    return member.permissions.has('ManageMessages') ||
+      Boolean(moderatorRoleId && member.roles.cache.has(moderatorRoleId));
+  }
+
+  /**
+   * Periodically drop activity and cooldowns that can no longer matter
+   * @private
+   * @param {number} now - Current timestamp
+   * @param {Object} settings - Anti-spam settings of the guild being handled
+   */
+  _sweep(now, settings) {
+    if (++this._handledSinceSweep < SWEEP_INTERVAL) {
+      return;
+    }
+    this._handledSinceSweep = 0;
+
+    // Guild windows differ; an hour comfortably covers any sensible setting
+    const idleBefore = now - Math.max(settings.duplicateWindowSeconds * 1000, 60 * 60 * 1000);
+
+    for (const [key, activity] of this._activity) {
+      if (activity.length === 0 || activity[activity.length - 1].timestamp < idleBefore) {
+        this._activity.delete(key);
+      }
+    }
+
+    for (const [key, until] of this._cooldowns) {
+      if (until <= now) {
+        this._cooldowns.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = SpamService;
@@ -179,6 +179,7 @@ class TicketService {
       const ticket = new Ticket(ticketId, userId, ticketChannel.id);
       ticket.setSubject(subject);
       ticket.setCategory(category);
+      ticket.setMetadata('guildId', interaction.guild.id);
 
       if (description) {
         ticket.addMessage(userId, description, 'user', [], new Date());
@@ -293,6 +294,296 @@ class TicketService {
     }
   }
 
+  /**
+   * Open a ban appeal as a staff-only ticket in the guild it was filed against
+   * The appellant is banned, so the channel is only visible to moderators
+   * @param {Guild} guild - Guild the user is banned from
+   * @param {Object} appellant - Banned user filing the appeal ({ id, tag })
+   * @param {Object} appeal - Appeal details
+   * @param {string} appeal.text - Appeal statement written by the user
+   * @param {string} [appeal.banReason] - Reason recorded on the ban
+   * @returns {Promise<Object>} Created appeal ticket details with channel information
+   * @throws {Error} When appeal creation fails
+   * @example
+   * const result = await ticketService.createAppealTicket(guild, { id: user.id, tag: user.tag }, {
+   *   text: 'I was hacked and did not send those messages',
+   *   banReason: 'Posting scam links'
+   * });
+   */
+  async createAppealTicket(guild, appellant, appeal) {
+    try {
+      const server = await this._configRepo.findServerById(guild.id);
+      if (!server) {
+        return {
+          success: false,
+          error: 'This server does not accept appeals yet.',
+          type: 'config_missing'
+        };
+      }
+
+      const ticketId = await this._ticketRepo.generateNextTicketId();
+      const channelName = `appeal-${ticketId}`;
+
+      // Keep appeals next to regular tickets when a tickets channel is configured
+      const ticketsChannelId = server.getTicketsChannel();
+      const ticketsChannel = ticketsChannelId ? guild.channels.cache.get(ticketsChannelId) : null;
+
+      const permissionOverwrites = [
+        {
+          id: guild.id,
+          deny: ['ViewChannel']
+        },
+        {
+          id: guild.members.me.id,
+          allow: ['ViewChannel', 'SendMessages', 'ManageMessages', 'ManageChannels']
+        }
+      ];
+
+      const moderatorRoleId = server.getModeratorRole();
+      if (moderatorRoleId) {
+        permissionOverwrites.push({
+          id: moderatorRoleId,
+          allow: ['ViewChannel', 'SendMessages', 'ReadMessageHistory']
+        });
+      }
+
+      let appealChannel;
+      try {
+        appealChannel = await guild.channels.create({
+          name: channelName,
+          type: 0, // Text channel
+          topic: `Ban appeal ${ticketId} - ${appellant.tag} (${appellant.id})`,
+          parent: ticketsChannel ? ticketsChannel.parentId : null,
+          permissionOverwrites
+        });
+      } catch (error) {
+        return {
+          success: false,
+          error: `Failed to create appeal channel: ${error.message}`,
+          type: 'channel_creation_failed'
+        };
+      }
+
+      const Ticket = require('../entities/Ticket');
+      const ticket = new Ticket(ticketId, appellant.id, appealChannel.id);
+      ticket.setSubject(`Ban appeal from ${appellant.tag}`);
+      ticket.setCategory('appeal');
+      ticket.setMetadata('guildId', guild.id);
+      ticket.setMetadata('appealStatus', 'pending');
+      ticket.setMetadata('banReason', appeal.banReason || null);
+      ticket.addMessage(appellant.id, appeal.text, 'user', [], new Date());
+
+      await this._ticketRepo.saveTicket(ticket);
+
+      this._channelCache.set(appealChannel.id, {
+        ticketId: ticketId,
+        creatorId: appellant.id,
+        category: 'appeal',
+        status: 'open',
+        createdAt: new Date()
+      });
+
+      const appealEmbed = {
+        color: 0xffa500,
+        title: `📨 Ban Appeal ${ticketId}`,
+        description: appeal.text.length > 4096 ? appeal.text.substring(0, 4093) + '...' : appeal.text,
+        fields: [
+          {
+            name: 'User',
+            value: `<@${appellant.id}> (${appellant.tag})`,
+            inline: true
+          },
+          {
+            name: 'User ID',
+            value: appellant.id,
+            inline: true
+          },
+          {
+            name: 'Ban Reason',
+            value: (appeal.banReason || 'No reason recorded').slice(0, 1024),
+            inline: false
+          }
+        ],
+        timestamp: new Date(),
+        footer: {
+          text: 'Ban Appeal System'
+        }
+      };
+
+      const appealButtons = {
+        type: 1,
+        components: [
+          {
+            type: 2,
+            style: 3,
+            label: 'Accept',
+            custom_id: `appeal_accept_${ticketId}`,
+            emoji: { name: '✅' }
+          },
+          {
+            type: 2,
+            style: 4,
+            label: 'Deny',
+            custom_id: `appeal_deny_${ticketId}`,
+            emoji: { name: '⛔' }
+          }
+        ]
+      };
+
+      await appealChannel.send({
+        content: moderatorRoleId ? `<@&${moderatorRoleId}> a new ban appeal needs review.` : undefined,
+        embeds: [appealEmbed],
+        components: [appealButtons]
+      });
+
+      return {
+        success: true,
+        ticket: {
+          id: ticketId,
+          subject: ticket.getSubject(),
+          category: 'appeal',
+          status: 'open',
+          creatorId: appellant.id,
+          channelId: appealChannel.id
+        },
+        channel: {
+          id: appealChannel.id,
+          name: channelName,
+          url: `https://discord.com/channels/${guild.id}/${appealChannel.id}`
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to create appeal ticket: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an appeal ticket by ID
+   * @param {string} ticketId - Appeal ticket ID
+   * @returns {Promise<Ticket|null>} Appeal ticket, or null if the ID is not an appeal
+   * @throws {Error} When database operation fails
+   */
+  async getAppealTicket(ticketId) {
+    try {
+      const ticket = await this._ticketRepo.findTicketById(ticketId);
+      return ticket && ticket.getCategory() === 'appeal' ? ticket : null;
+    } catch (error) {
+      throw new Error(`Failed to get appeal ticket: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a user's ban appeals for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Appellant user ID
+   * @returns {Promise<Array<Ticket>>} Appeal tickets, newest first
+   * @throws {Error} When database operation fails
+   */
+  async getAppealTickets(guildId, userId) {
+    try {
+      const tickets = await this._ticketRepo.findTicketsByCreator(userId);
+      return tickets.filter(ticket =>
+        ticket.getCategory() === 'appeal' && ticket.getMetadata('guildId') === guildId);
+    } catch (error) {
+      throw new Error(`Failed to get appeal tickets: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the decision on a pending appeal before it is acted on
+   * Only one decision can be claimed; a concurrent one finds the appeal already decided
+   * @param {string} ticketId - Appeal ticket ID
+   * @param {string} staffId - Staff member deciding the appeal
+   * @param {string} outcome - Decision (accepted or denied)
+   * @param {string} reason - Reason given by staff
+   * @returns {Promise<Object>} Result with success status
+   * @throws {Error} When the ticket cannot be updated
+   */
+  async claimAppealDecision(ticketId, staffId, outcome, reason) {
+    try {
+      const claimed = await this._ticketRepo.updateAppealStatus(ticketId, 'pending', {
+        appealStatus: outcome,
+        decidedBy: staffId,
+        decidedAt: new Date(),
+        decisionReason: reason
+      });
+
+      if (!claimed) {
+        const ticket = await this.getAppealTicket(ticketId);
+        return {
+          success: false,
+          error: ticket
+            ? `Appeal ${ticketId} has already been ${ticket.getMetadata('appealStatus')}.`
+            : `Appeal ${ticketId} not found.`,
+          type: ticket ? 'appeal_already_decided' : 'appeal_not_found'
+        };
+      }
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      throw new Error(`Failed to claim appeal decision: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put a claimed appeal back to pending after its decision could not be carried out
+   * @param {string} ticketId - Appeal ticket ID
+   * @param {string} outcome - Decision that was claimed
+   * @returns {Promise<boolean>} Whether the appeal was pending again
+   * @throws {Error} When the ticket cannot be updated
+   */
+  async releaseAppealDecision(ticketId, outcome) {
+    try {
+      return await this._ticketRepo.updateAppealStatus(ticketId, outcome, {
+        appealStatus: 'pending',
+        decidedBy: null,
+        decidedAt: null,
+        decisionReason: null
+      });
+    } catch (error) {
+      throw new Error(`Failed to release appeal decision: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close the ticket of an appeal once its claimed decision has been carried out
+   * The channel is left in place as the staff record of the appeal
+   * @param {string} ticketId - Appeal ticket ID
+   * @param {string} staffId - Staff member who decided the appeal
+   * @param {string} outcome - Decision (accepted or denied)
+   * @param {string} reason - Reason given by staff
+   * @returns {Promise<Object>} Result with the updated ticket
+   * @throws {Error} When the ticket cannot be updated
+   */
+  async resolveAppealTicket(ticketId, staffId, outcome, reason) {
+    try {
+      const ticket = await this.getAppealTicket(ticketId);
+      if (!ticket) {
+        return {
+          success: false,
+          error: `Appeal ${ticketId} not found.`,
+          type: 'appeal_not_found'
+        };
+      }
+
+      if (!ticket.isClosed()) {
+        ticket.close(staffId, `Appeal ${outcome}: ${reason}`);
+      }
+
+      await this._ticketRepo.saveTicket(ticket);
+      this._channelCache.delete(ticket.channelId);
+
+      return {
+        success: true,
+        ticket
+      };
+    } catch (error) {
+      throw new Error(`Failed to resolve appeal: ${error.message}`);
+    }
+  }
+
   /**
    * Close ticket and optionally archive channel
    * @param {CommandInteraction} interaction - Discord command interaction
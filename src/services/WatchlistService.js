@@ -0,0 +1,399 @@
+const { EmbedBuilder } = require('discord.js');
+const WatchlistEntry = require('../entities/WatchlistEntry');
+
+/**
+ * Action types listed in the history summary of an alert, in display order
+ * @type {Array<string>}
+ */
+const HISTORY_ACTIONS = ['warn', 'timeout', 'jail', 'kick', 'tempban', 'ban'];
+
+/**
+ * Service keeping the per-guild watchlist and alerting staff when a watched user shows up
+ * A watched user's join is always reported; their first message is reported once per stay,
+ * so a talkative user does not flood the alert channel. Entries are cached per guild in
+ * memory since every guild message is checked against them
+ * @class WatchlistService
+ * @example
+ * const watchlistService = new WatchlistService(watchlistRepo, configRepo, moderationService, { schedulerService, modLogService });
+ * await watchlistService.addEntry(guild.id, '987654321', moderator.id, 'Suspected alt', { durationMs: Duration.WEEK });
+ * client.on('guildMemberAdd', member => watchlistService.handleMemberJoin(member));
+ */
+class WatchlistService {
+  /**
+   * Initialize watchlist service
+   * @param {WatchlistRepository} watchlistRepository - Repository storing watched users
+   * @param {ConfigRepository} configRepository - Server configuration repository
+   * @param {ModerationService} moderationService - Service providing moderation history for alerts
+   * @param {Object} [dependencies={}] - Optional collaborators
+   * @param {SchedulerService} [dependencies.schedulerService] - Scheduler removing entries when they expire
+   * @param {ModLogService} [dependencies.modLogService] - Mod log service, used when no watchlist channel is set
+   */
+  constructor(watchlistRepository, configRepository, moderationService, dependencies = {}) {
+    if (!watchlistRepository) {
+      throw new Error('WatchlistRepository is required');
+    }
+    if (!configRepository) {
+      throw new Error('ConfigRepository is required');
+    }
+    if (!moderationService) {
+      throw new Error('ModerationService is required');
+    }
+
+    /**
+     * Watchlist repository
+     * @type {WatchlistRepository}
+     * @private
+     */
+    this._watchlistRepo = watchlistRepository;
+
+    /**
+     * Configuration repository for server settings
+     * @type {ConfigRepository}
+     * @private
+     */
+    this._configRepo = configRepository;
+
+    /**
+     * Moderation service for history summaries
+     * @type {ModerationService}
+     * @private
+     */
+    this._moderationService = moderationService;
+
+    /**
+     * Scheduler for entry expiry
+     * @type {SchedulerService|null}
+     * @private
+     */
+    this._scheduler = dependencies.schedulerService || null;
+
+    /**
+     * Mod log service for alerts in guilds without a watchlist channel
+     * @type {ModLogService|null}
+     * @private
+     */
+    this._modLog = dependencies.modLogService || null;
+
+    /**
+     * Watched users per guild ID, loaded on first use
+     * The pending load is stored so concurrent messages share a single query
+     * @type {Map<string, Promise<Map<string, WatchlistEntry>>>}
+     * @private
+     */
+    this._entries = new Map();
+
+    if (this._scheduler) {
+      this._scheduler.registerHandler('unwatch', async job => {
+        await this._expireEntry(job.guildId, job.payload.userId);
+      });
+    }
+  }
+
+  /**
+   * Watch a user, replacing any existing entry for them
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - User to watch; they do not have to be in the guild
+   * @param {string} moderatorId - Moderator adding the entry
+   * @param {string} reason - Why the user is watched
+   * @param {Object} [options={}] - Entry options
+   * @param {number} [options.durationMs] - Remove the entry automatically after this long
+   * @param {string} [options.userTag] - Tag of the user, when known
+   * @returns {Promise<Object>} Saved entry and whether it replaced an existing one
+   * @throws {Error} When the entry cannot be saved
+   */
+  async addEntry(guildId, userId, moderatorId, reason, options = {}) {
+    try {
+      const existing = await this._watchlistRepo.findEntry(guildId, userId);
+      const entry = new WatchlistEntry(guildId, userId, {
+        userTag: options.userTag || (existing ? existing.userTag : null),
+        reason,
+        moderatorId,
+        expiresAt: options.durationMs ? new Date(Date.now() + options.durationMs) : null
+      });
+
+      await this._watchlistRepo.saveEntry(entry);
+      (await this._getGuildEntries(guildId)).set(userId, entry);
+
+      if (this._scheduler) {
+        const key = `unwatch:${guildId}:${userId}`;
+        if (entry.expiresAt) {
+          await this._scheduler.scheduleJob('unwatch', entry.expiresAt, {
+            guildId,
+            payload: { userId },
+            key,
+            createdBy: moderatorId
+          });
+        } else {
+          await this._scheduler.cancelJobsByKey(key, moderatorId);
+        }
+      } else if (entry.expiresAt) {
+        console.warn(`No scheduler configured; watchlist entry for user ${userId} will only lapse when next checked`);
+      }
+
+      console.log(`User ${userId} added to watchlist of guild ${guildId} by ${moderatorId}`);
+
+      return {
+        entry,
+        replaced: Boolean(existing && !existing.isExpired())
+      };
+    } catch (error) {
+      throw new Error(`Failed to add watchlist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop watching a user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Watched user ID
+   * @param {string} removedBy - Moderator removing the entry
+   * @returns {Promise<WatchlistEntry|null>} Removed entry, or null if the user was not watched
+   * @throws {Error} When the entry cannot be removed
+   */
+  async removeEntry(guildId, userId, removedBy) {
+    try {
+      const entry = await this._watchlistRepo.findEntry(guildId, userId);
+      if (!entry) {
+        return null;
+      }
+
+      await this._watchlistRepo.deleteEntry(guildId, userId);
+      (await this._getGuildEntries(guildId)).delete(userId);
+
+      if (this._scheduler) {
+        await this._scheduler.cancelJobsByKey(`unwatch:${guildId}:${userId}`, removedBy);
+      }
+
+      console.log(`User ${userId} removed from watchlist of guild ${guildId} by ${removedBy}`);
+
+      return entry.isExpired() ? null : entry;
+    } catch (error) {
+      throw new Error(`Failed to remove watchlist entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the users currently watched in a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array<WatchlistEntry>>} Active entries, newest first
+   */
+  async listEntries(guildId) {
+    const entries = await this._getGuildEntries(guildId);
+
+    return [...entries.values()]
+      .filter(entry => !entry.isExpired())
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Alert staff when a watched user joins
+   * Also re-arms the first-message alert for this stay
+   * @param {GuildMember} member - Member who joined
+   * @returns {Promise<void>}
+   */
+  async handleMemberJoin(member) {
+    const entry = await this._findActiveEntry(member.guild.id, member.id);
+    if (!entry) {
+      return;
+    }
+
+    entry.lastJoinAlertAt = new Date();
+    entry.lastMessageAlertAt = null;
+    entry.userTag = member.user.tag;
+    await this._watchlistRepo.saveEntry(entry);
+
+    const createdTimestamp = Math.floor(member.user.createdTimestamp / 1000);
+    await this._sendAlert(member.guild, entry, {
+      title: '👁️ Watched User Joined',
+      description: `<@${member.id}> (${member.user.tag}) joined the server.\n**Account Created:** <t:${createdTimestamp}:R>`
+    });
+  }
+
+  /**
+   * Alert staff about the first message a watched user sends
+   * @param {Message} message - Guild message
+   * @returns {Promise<void>}
+   */
+  async handleMessage(message) {
+    if (!message.guild || message.author.bot) {
+      return;
+    }
+
+    const entry = await this._findActiveEntry(message.guild.id, message.author.id);
+    if (!entry || entry.lastMessageAlertAt) {
+      return;
+    }
+
+    // Marked before saving so messages sent in quick succession alert once
+    entry.lastMessageAlertAt = new Date();
+    entry.userTag = message.author.tag;
+    await this._watchlistRepo.saveEntry(entry);
+
+    const preview = message.content ? message.content.slice(0, 300) : '*No text content*';
+    await this._sendAlert(message.guild, entry, {
+      title: '👁️ Watched User Active',
+      description: `<@${message.author.id}> (${message.author.tag}) sent a message in <#${message.channel.id}>.\n` +
+        `[Jump to message](${message.url})\n>>> ${preview}`
+    });
+  }
+
+  /**
+   * Find a user's entry in the cache, dropping it if it has lapsed
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<WatchlistEntry|null>} Active entry or null
+   */
+  async _findActiveEntry(guildId, userId) {
+    const entries = await this._getGuildEntries(guildId);
+    const entry = entries.get(userId);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.isExpired()) {
+      await this._expireEntry(guildId, userId);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get the cached entries of a guild, loading them on first use
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Map<string, WatchlistEntry>>} Entries keyed by user ID
+   */
+  async _getGuildEntries(guildId) {
+    if (!this._entries.has(guildId)) {
+      const loading = this._watchlistRepo.findEntriesByGuild(guildId)
+        .then(entries => new Map(entries.map(entry => [entry.userId, entry])));
+
+      // A failed load is retried on the next call instead of caching an empty watchlist
+      loading.catch(() => this._entries.delete(guildId));
+      this._entries.set(guildId, loading);
+    }
+
+    return this._entries.get(guildId);
+  }
+
+  /**
+   * Remove an entry once it has lapsed
+   * Entries replaced with a later expiry since the job was scheduled are kept
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Watched user ID
+   * @returns {Promise<void>}
+   */
+  async _expireEntry(guildId, userId) {
+    const entry = await this._watchlistRepo.findEntry(guildId, userId);
+    if (!entry || !entry.isExpired()) {
+      return;
+    }
+
+    await this._watchlistRepo.deleteEntry(guildId, userId);
+    (await this._getGuildEntries(guildId)).delete(userId);
+
+    console.log(`Watchlist entry for user ${userId} in guild ${guildId} expired`);
+  }
+
+  /**
+   * Post an alert about a watched user to the watchlist channel, or the mod log when none is set
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {WatchlistEntry} entry - Entry of the watched user
+   * @param {Object} alert - Alert title and description
+   * @returns {Promise<void>}
+   */
+  async _sendAlert(guild, entry, alert) {
+    try {
+      const server = await this._configRepo.findServerById(guild.id);
+      const mentionRoleId = server ? server.getModeratorRole() : null;
+      const fields = [
+        { name: 'Watch Reason', value: entry.reason.slice(0, 1024), inline: false },
+        { name: 'Flagged By', value: `<@${entry.moderatorId}> <t:${Math.floor(entry.createdAt.getTime() / 1000)}:R>`, inline: true },
+        { name: 'Watch Expires', value: entry.expiresAt ? `<t:${Math.floor(entry.expiresAt.getTime() / 1000)}:R>` : 'Never', inline: true },
+        { name: 'History', value: await this._summarizeHistory(guild.id, entry.userId), inline: false }
+      ];
+
+      const channel = await this._getAlertChannel(guild, server);
+      if (!channel) {
+        if (this._modLog) {
+          await this._modLog.sendAlert(guild.id, { ...alert, color: 0xff9900, fields, mentionRoleId });
+        }
+        return;
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(alert.title)
+        .setDescription(alert.description.slice(0, 4096))
+        .setColor(0xff9900)
+        .addFields(fields)
+        .setFooter({ text: `User ID: ${entry.userId}` })
+        .setTimestamp();
+
+      await channel.send({
+        content: mentionRoleId ? `<@&${mentionRoleId}>` : undefined,
+        embeds: [embed],
+        allowedMentions: { roles: mentionRoleId ? [mentionRoleId] : [] }
+      });
+    } catch (error) {
+      console.warn(`Failed to post watchlist alert for user ${entry.userId} in guild ${guild.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the configured watchlist channel
+   * @private
+   * @param {Guild} guild - Discord guild
+   * @param {Server|null} server - Server configuration
+   * @returns {Promise<TextChannel|null>} Channel, or null when unset or unusable
+   */
+  async _getAlertChannel(guild, server) {
+    const channelId = server ? server.getWatchlistChannel() : null;
+    if (!channelId) {
+      return null;
+    }
+
+    const channel = guild.channels.cache.get(channelId) || await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+      console.warn(`Watchlist channel ${channelId} for guild ${guild.id} is missing or not text based`);
+      return null;
+    }
+
+    return channel;
+  }
+
+  /**
+   * Summarise a user's moderation history in this guild for an alert
+   * @private
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<string>} Action counts, current jail status and the latest action
+   */
+  async _summarizeHistory(guildId, userId) {
+    const history = await this._moderationService.getUserModerationHistory(guildId, userId);
+    if (history.totalActions === 0) {
+      return 'No recorded actions';
+    }
+
+    const counts = HISTORY_ACTIONS
+      .filter(action => history.statistics[action] > 0)
+      .map(action => `${history.statistics[action]} ${action}`);
+
+    const lines = [`**${history.totalActions}** action${history.totalActions === 1 ? '' : 's'}${counts.length > 0 ? ` (${counts.join(', ')})` : ''}`];
+
+    if (history.currentStatus.jailed) {
+      lines.push('Currently jailed');
+    }
+
+    const latest = history.history.find(action => !(action.metadata && action.metadata.revoked));
+    if (latest) {
+      lines.push(`**Latest:** ${latest.action} <t:${Math.floor(new Date(latest.timestamp).getTime() / 1000)}:R> - ${(latest.reason || 'No reason provided').slice(0, 200)}`);
+    }
+
+    return lines.join('\n').slice(0, 1024);
+  }
+}
+
+module.exports = WatchlistService;
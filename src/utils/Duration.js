@@ -0,0 +1,225 @@
+/**
+ * Unit sizes in milliseconds, largest first
+ * Each unit lists the spellings accepted when parsing
+ * @type {Array<{name: string, short: string, size: number, aliases: Array<string>}>}
+ */
+const UNITS = [
+  { name: 'week', short: 'w', size: 7 * 24 * 60 * 60 * 1000, aliases: ['w', 'wk', 'wks', 'week', 'weeks'] },
+  { name: 'day', short: 'd', size: 24 * 60 * 60 * 1000, aliases: ['d', 'day', 'days'] },
+  { name: 'hour', short: 'h', size: 60 * 60 * 1000, aliases: ['h', 'hr', 'hrs', 'hour', 'hours'] },
+  { name: 'minute', short: 'm', size: 60 * 1000, aliases: ['m', 'min', 'mins', 'minute', 'minutes'] },
+  { name: 'second', short: 's', size: 1000, aliases: ['s', 'sec', 'secs', 'second', 'seconds'] }
+];
+
+/**
+ * One number and unit of a compound or worded duration, such as "2d" or "3 hours"
+ * @type {RegExp}
+ */
+const PART_PATTERN = /(\d+(?:\.\d+)?)\s*([a-z]+)/g;
+
+/**
+ * ISO-8601 duration without years or months, whose length varies (e.g. P1W, P2DT3H, PT90M)
+ * @type {RegExp}
+ */
+const ISO_PATTERN = /^p(?:(\d+(?:\.\d+)?)w)?(?:(\d+(?:\.\d+)?)d)?(?:t(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?)?$/;
+
+/**
+ * Durations offered while nothing has been typed yet
+ * @type {Array<string>}
+ */
+const COMMON_DURATIONS = ['10m', '30m', '1h', '6h', '12h', '1d', '3d', '1w', '2w', '4w'];
+
+/**
+ * Parsing, formatting and autocomplete suggestions for moderation durations
+ * Accepts compact forms ("1w2d3h30m"), words ("2 days 3 hours") and ISO-8601 ("P2DT3H");
+ * commands decide for themselves how short or long a duration may be
+ * @class Duration
+ * @example
+ * const durationMs = Duration.parse('1 day 12h'); // 129600000
+ * Duration.format(durationMs); // "1 day, 12 hours"
+ */
+class Duration {
+  /**
+   * Parse a duration typed by a moderator
+   * @param {string} input - Duration text
+   * @returns {number|null} Duration in milliseconds, or null if the text is not a positive duration
+   * @example
+   * Duration.parse('1w2d'); // 777600000
+   * Duration.parse('90 minutes'); // 5400000
+   * Duration.parse('PT1H30M'); // 5400000
+   */
+  static parse(input) {
+    if (typeof input !== 'string') {
+      return null;
+    }
+
+    const text = input.trim().toLowerCase();
+    const durationMs = text.startsWith('p') ? Duration._parseIso(text) : Duration._parseParts(text);
+
+    return durationMs && durationMs > 0 ? Math.round(durationMs) : null;
+  }
+
+  /**
+   * Describe a duration using every non-zero unit
+   * @param {number} durationMs - Duration in milliseconds
+   * @returns {string} Duration such as "1 week, 2 days, 3 hours"
+   */
+  static format(durationMs) {
+    const parts = Duration._split(durationMs)
+      .map(({ unit, count }) => `${count} ${unit.name}${count === 1 ? '' : 's'}`);
+
+    return parts.length > 0 ? parts.join(', ') : '0 seconds';
+  }
+
+  /**
+   * Write a duration in the compact form accepted by parse
+   * @param {number} durationMs - Duration in milliseconds
+   * @returns {string} Duration such as "1w2d3h"
+   */
+  static compact(durationMs) {
+    const parts = Duration._split(durationMs).map(({ unit, count }) => `${count}${unit.short}`);
+    return parts.length > 0 ? parts.join('') : '0s';
+  }
+
+  /**
+   * Check a duration against a command's limits
+   * @param {number} durationMs - Duration in milliseconds
+   * @param {Object} [limits={}] - Allowed range
+   * @param {number} [limits.min] - Shortest duration allowed
+   * @param {number} [limits.max] - Longest duration allowed
+   * @returns {string|null} Why the duration is not allowed, or null when it is
+   */
+  static checkLimits(durationMs, limits = {}) {
+    if (limits.min && durationMs < limits.min) {
+      return `Duration must be at least ${Duration.format(limits.min)}`;
+    }
+
+    if (limits.max && durationMs > limits.max) {
+      return `Duration can be at most ${Duration.format(limits.max)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build autocomplete choices for a duration option, previewing when each would expire
+   * An empty input offers common durations; a bare number is tried with every unit
+   * @param {string} input - Text typed so far
+   * @param {Object} [limits={}] - Allowed range (see checkLimits)
+   * @param {number} [now=Date.now()] - Time the expiry is counted from
+   * @returns {Array<{name: string, value: string}>} Autocomplete choices (at most 25)
+   */
+  static suggest(input, limits = {}, now = Date.now()) {
+    const text = (input || '').trim();
+    let candidates;
+
+    if (text.length === 0) {
+      candidates = COMMON_DURATIONS;
+    } else if (/^\d+(?:\.\d+)?$/.test(text)) {
+      candidates = ['m', 'h', 'd', 'w'].map(unit => `${text}${unit}`);
+    } else {
+      const durationMs = Duration.parse(text);
+      if (!durationMs) {
+        return [{ name: 'Unrecognised duration - try 1h30m, 2 days or PT12H', value: text.slice(0, 100) }];
+      }
+
+      const problem = Duration.checkLimits(durationMs, limits);
+      return [{
+        name: (problem ? `⚠️ ${problem}` : Duration._describeExpiry(durationMs, now)).slice(0, 100),
+        value: text.slice(0, 100)
+      }];
+    }
+
+    return candidates
+      .map(candidate => Duration.parse(candidate))
+      .filter(durationMs => durationMs && !Duration.checkLimits(durationMs, limits))
+      .slice(0, 25)
+      .map(durationMs => ({ name: Duration._describeExpiry(durationMs, now).slice(0, 100), value: Duration.compact(durationMs) }));
+  }
+
+  /**
+   * Describe a duration together with the moment it runs out
+   * @private
+   * @param {number} durationMs - Duration in milliseconds
+   * @param {number} now - Time the expiry is counted from
+   * @returns {string} Description such as "2 days - until Wed, 21 Oct 2026 14:30:00 GMT"
+   */
+  static _describeExpiry(durationMs, now) {
+    return `${Duration.format(durationMs)} - until ${new Date(now + durationMs).toUTCString()}`;
+  }
+
+  /**
+   * Parse compact and worded durations, with parts optionally separated by spaces, commas or "and"
+   * @private
+   * @param {string} text - Lowercase duration text
+   * @returns {number|null} Duration in milliseconds, or null if any part is not understood
+   */
+  static _parseParts(text) {
+    const leftover = text.replace(PART_PATTERN, '').replace(/,|\band\b/g, '').trim();
+    if (text.length === 0 || leftover.length > 0) {
+      return null;
+    }
+
+    let total = 0;
+    for (const [, value, unitName] of text.matchAll(PART_PATTERN)) {
+      const unit = UNITS.find(candidate => candidate.aliases.includes(unitName));
+      if (!unit) {
+        return null;
+      }
+      total += parseFloat(value) * unit.size;
+    }
+
+    return total;
+  }
+
+  /**
+   * Parse an ISO-8601 duration
+   * @private
+   * @param {string} text - Lowercase duration text starting with "p"
+   * @returns {number|null} Duration in milliseconds, or null if the text is not a supported ISO duration
+   */
+  static _parseIso(text) {
+    const match = text.match(ISO_PATTERN);
+    if (!match || text === 'p' || text.endsWith('t')) {
+      return null;
+    }
+
+    // Capture groups follow UNITS order: weeks, days, hours, minutes, seconds
+    return UNITS.reduce((total, unit, index) => total + parseFloat(match[index + 1] || 0) * unit.size, 0);
+  }
+
+  /**
+   * Split a duration into whole units, dropping leftover milliseconds
+   * @private
+   * @param {number} durationMs - Duration in milliseconds
+   * @returns {Array<{unit: Object, count: number}>} Non-zero units, largest first
+   */
+  static _split(durationMs) {
+    let remaining = Math.max(0, Math.round(durationMs / 1000) * 1000);
+    const parts = [];
+
+    for (const unit of UNITS) {
+      const count = Math.floor(remaining / unit.size);
+      if (count > 0) {
+        parts.push({ unit, count });
+        remaining -= count * unit.size;
+      }
+    }
+
+    return parts;
+  }
+}
+
+Duration.SECOND = 1000;
+Duration.MINUTE = 60 * 1000;
+Duration.HOUR = 60 * 60 * 1000;
+Duration.DAY = 24 * 60 * 60 * 1000;
+Duration.WEEK = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hint appended to invalid duration errors
+ * @type {string}
+ */
+Duration.FORMAT_HINT = 'Use formats like: `30m`, `1h30m`, `1w2d`, `2 days` or `P1DT12H`';
+
+module.exports = Duration;